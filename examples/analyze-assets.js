@@ -2,8 +2,8 @@
  * RPG Maker MV Asset Analyzer Example
  * 
  * This example demonstrates how to use the Asset Creator module to analyze
- * image assets in an RPG Maker MV project and generate prompts for creating
- * new assets.
+ * image and audio assets in an RPG Maker MV project and generate prompts for
+ * creating new assets.
  */
 
 const path = require('path');
@@ -27,15 +27,18 @@ async function analyzeAssets() {
   console.log('This may take a few moments depending on the size of the project...');
   
   try {
-    // Analyze image assets
+    // Analyze image and audio assets
     const assetAnalysis = await assetCreator.analyzeImageAssets(projectPath);
+    const audioAnalysis = await assetCreator.analyzeAudioAssets(projectPath);
     
-    // Save asset analysis to JSON file
+    // Save asset analysis to JSON files
     await fs.writeJson(path.join(outputDir, 'asset-analysis.json'), assetAnalysis, { spaces: 2 });
     console.log(`Asset analysis saved to: ${path.join(outputDir, 'asset-analysis.json')}`);
+    await fs.writeJson(path.join(outputDir, 'audio-analysis.json'), audioAnalysis, { spaces: 2 });
+    console.log(`Audio analysis saved to: ${path.join(outputDir, 'audio-analysis.json')}`);
     
     // Generate summary report
-    const summary = generateSummaryReport(assetAnalysis);
+    const summary = generateSummaryReport(assetAnalysis) + generateAudioSummary(audioAnalysis);
     await fs.writeFile(path.join(outputDir, 'asset-summary.md'), summary, 'utf8');
     console.log(`Asset summary saved to: ${path.join(outputDir, 'asset-summary.md')}`);
     
@@ -89,6 +92,9 @@ async function analyzeAssets() {
     console.log(`- Total Battle Assets: ${assetAnalysis.battleAssets.length}`);
     console.log(`- Missing Assets: ${assetAnalysis.missingAssets.length}`);
     console.log(`- Unused Assets: ${assetAnalysis.unusedAssets.length}`);
+    console.log(`- Missing Audio: ${audioAnalysis.missingAssets.length}`);
+    console.log(`- Unused Audio: ${audioAnalysis.unusedAssets.length}`);
+    console.log(`- Audio Missing .ogg or .m4a: ${audioAnalysis.incompleteAssets.length}`);
     
   } catch (error) {
     console.error('Error analyzing assets:', error);
@@ -244,6 +250,57 @@ function generateSummaryReport(assetAnalysis) {
   return summary;
 }
 
+/**
+ * Generate a summary report of the audio analysis
+ * @param {Object} audioAnalysis - Audio analysis data
+ * @returns {string} - Summary report in Markdown format
+ */
+function generateAudioSummary(audioAnalysis) {
+  let summary = `\n## Audio Directories\n\n`;
+  summary += `| Directory | File Count |\n`;
+  summary += `|-----------|------------|\n`;
+  
+  for (const [dirName, dirInfo] of Object.entries(audioAnalysis.audioDirectories)) {
+    summary += `| ${dirName} | ${dirInfo.fileCount} |\n`;
+  }
+  
+  // Add missing audio, with where each file is used
+  if (audioAnalysis.missingAssets.length > 0) {
+    summary += `\n## Missing Audio\n\n`;
+    summary += `| File | Used By |\n`;
+    summary += `|------|---------|\n`;
+    
+    for (const asset of audioAnalysis.missingAssets) {
+      const usedBy = asset.references.map(reference => `${reference.description} (${reference.file})`);
+      summary += `| ${asset.directory}/${asset.filename} | ${usedBy.slice(0, 3).join(', ')}${usedBy.length > 3 ? ', ...' : ''} |\n`;
+    }
+  }
+  
+  // Add audio missing one of its formats
+  if (audioAnalysis.incompleteAssets.length > 0) {
+    summary += `\n## Audio Missing a Format\n\n`;
+    summary += `A deployed game needs both .ogg and .m4a files.\n\n`;
+    summary += `| Missing File | Used |\n`;
+    summary += `|--------------|------|\n`;
+    
+    for (const asset of audioAnalysis.incompleteAssets) {
+      summary += `| ${asset.directory}/${asset.filename} | ${asset.isUsed ? '✓' : '✗'} |\n`;
+    }
+  }
+  
+  // Add unused audio
+  if (audioAnalysis.unusedAssets.length > 0) {
+    summary += `\n## Unused Audio\n\n`;
+    summary += `Total Unused Audio: ${audioAnalysis.unusedAssets.length}\n\n`;
+    
+    for (const asset of audioAnalysis.unusedAssets) {
+      summary += `- ${asset.directory}/${asset.filename}\n`;
+    }
+  }
+  
+  return summary;
+}
+
 // Run the analysis
 analyzeAssets().catch(console.error);
 
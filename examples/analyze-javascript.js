@@ -15,8 +15,10 @@
  *   --custom-evals      Include custom evaluation analysis
  *   --game-tags         Include game tag analysis
  *   --relationships     Include relationship mapping
+ *   --damage-formulas   Evaluate damage formulas against mock battlers
  *   --visualizations    Generate visualizations
  *   --all               Include all analyses (default)
+ *   --cache             Reuse the results for an unchanged project from .rpgmaker-cache in the project
  */
 
 const fs = require('fs-extra');
@@ -40,7 +42,9 @@ const options = {
   includeCustomEvals: false,
   includeGameTags: false,
   includeRelationships: false,
-  includeVisualizations: false
+  includeDamageFormulas: false,
+  includeVisualizations: false,
+  cache: false
 };
 
 // Parse options
@@ -59,14 +63,19 @@ for (let i = 1; i < args.length; i++) {
     options.includeGameTags = true;
   } else if (arg === '--relationships') {
     options.includeRelationships = true;
+  } else if (arg === '--damage-formulas') {
+    options.includeDamageFormulas = true;
   } else if (arg === '--visualizations') {
     options.includeVisualizations = true;
+  } else if (arg === '--cache') {
+    options.cache = true;
   } else if (arg === '--all') {
     options.includeBattleAnimations = true;
     options.includeConditionalLogic = true;
     options.includeCustomEvals = true;
     options.includeGameTags = true;
     options.includeRelationships = true;
+    options.includeDamageFormulas = true;
     options.includeVisualizations = true;
   }
 }
@@ -76,12 +85,14 @@ if (!options.includeBattleAnimations &&
     !options.includeConditionalLogic && 
     !options.includeCustomEvals && 
     !options.includeGameTags && 
-    !options.includeRelationships) {
+    !options.includeRelationships &&
+    !options.includeDamageFormulas) {
   options.includeBattleAnimations = true;
   options.includeConditionalLogic = true;
   options.includeCustomEvals = true;
   options.includeGameTags = true;
   options.includeRelationships = true;
+  options.includeDamageFormulas = true;
 }
 
 // Validate project path
@@ -112,6 +123,7 @@ console.log(`  Conditional Logic: ${options.includeConditionalLogic ? chalk.gree
 console.log(`  Custom Evaluations: ${options.includeCustomEvals ? chalk.green('Yes') : chalk.red('No')}`);
 console.log(`  Game Tags: ${options.includeGameTags ? chalk.green('Yes') : chalk.red('No')}`);
 console.log(`  Relationships: ${options.includeRelationships ? chalk.green('Yes') : chalk.red('No')}`);
+console.log(`  Damage Formulas: ${options.includeDamageFormulas ? chalk.green('Yes') : chalk.red('No')}`);
 console.log(`  Visualizations: ${options.includeVisualizations ? chalk.green('Yes') : chalk.red('No')}`);
 console.log();
 
@@ -122,7 +134,7 @@ async function runAnalysis() {
     
     // Extract JavaScript patterns
     console.log(chalk.yellow('Extracting JavaScript patterns...'));
-    const patterns = await jsAnalyzer.patternExtractor.extractPatterns(projectPath);
+    const patterns = await jsAnalyzer.patternExtractor.extractPatterns(projectPath, { cache: options.cache });
     console.log(chalk.green(`Found ${patterns.battleAnimationPatterns.length} battle animation patterns`));
     console.log(chalk.green(`Found ${patterns.conditionalLogicPatterns.length} conditional logic patterns`));
     console.log(chalk.green(`Found ${patterns.customEvalPatterns.length} custom evaluation patterns`));
@@ -137,28 +149,28 @@ async function runAnalysis() {
     // Analyze battle animations
     if (options.includeBattleAnimations) {
       console.log(chalk.yellow('Analyzing battle animations...'));
-      results.battleAnimations = await jsAnalyzer.battleAnimationAnalyzer.analyzeBattleAnimations(projectPath);
+      results.battleAnimations = await jsAnalyzer.battleAnimationAnalyzer.analyzeBattleAnimations(projectPath, { cache: options.cache });
       console.log(chalk.green(`Analyzed ${results.battleAnimations.animations ? results.battleAnimations.animations.length : 0} battle animations`));
     }
     
     // Analyze conditional logic
     if (options.includeConditionalLogic) {
       console.log(chalk.yellow('Analyzing conditional logic...'));
-      results.conditionalLogic = await jsAnalyzer.conditionalLogicAnalyzer.analyzeConditionalLogic(projectPath);
+      results.conditionalLogic = await jsAnalyzer.conditionalLogicAnalyzer.analyzeConditionalLogic(projectPath, { cache: options.cache });
       console.log(chalk.green(`Analyzed ${results.conditionalLogic.conditions ? results.conditionalLogic.conditions.length : 0} conditions`));
     }
     
     // Analyze custom evaluations
     if (options.includeCustomEvals) {
       console.log(chalk.yellow('Analyzing custom evaluations...'));
-      results.customEvals = await jsAnalyzer.customEvalAnalyzer.analyzeCustomEvals(projectPath);
+      results.customEvals = await jsAnalyzer.customEvalAnalyzer.analyzeCustomEvals(projectPath, { cache: options.cache });
       console.log(chalk.green(`Analyzed ${results.customEvals.evaluations ? results.customEvals.evaluations.length : 0} custom evaluations`));
     }
     
     // Analyze game tags
     if (options.includeGameTags) {
       console.log(chalk.yellow('Analyzing game tags...'));
-      results.gameTags = await jsAnalyzer.gameTagAnalyzer.analyzeGameTags(projectPath);
+      results.gameTags = await jsAnalyzer.gameTagAnalyzer.analyzeGameTags(projectPath, { cache: options.cache });
       console.log(chalk.green(`Analyzed ${results.gameTags.tags ? results.gameTags.tags.length : 0} game tags`));
     }
     
@@ -169,6 +181,23 @@ async function runAnalysis() {
       console.log(chalk.green('Mapped JavaScript relationships'));
     }
     
+    // Evaluate damage formulas
+    if (options.includeDamageFormulas) {
+      console.log(chalk.yellow('Evaluating damage formulas...'));
+      results.damageFormulas = await jsAnalyzer.damageFormulaEvaluator.analyzeDamageFormulas(projectPath, { cache: options.cache });
+      console.log(chalk.green(`Evaluated ${results.damageFormulas.formulas.length} damage formulas`));
+      results.damageFormulas.issues.forEach(issue => {
+        const color = issue.severity === 'error' ? chalk.red : chalk.yellow;
+        console.log(color(`  ${issue.message}`));
+      });
+
+      if (options.outputDir) {
+        const reportPath = path.join(options.outputDir, 'damage-formulas.md');
+        await fs.writeFile(reportPath, jsAnalyzer.damageFormulaEvaluator.generateDamageFormulaReport(results.damageFormulas));
+        console.log(chalk.green(`Damage formula report written to ${reportPath}`));
+      }
+    }
+    
     // Generate visualizations
     if (options.includeVisualizations && options.outputDir) {
       console.log(chalk.yellow('Generating visualizations...'));
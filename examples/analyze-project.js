@@ -12,6 +12,16 @@
  *   --recursive          Process files recursively
  *   --include <pattern>  File pattern to include (can be used multiple times)
  *   --exclude <pattern>  File pattern to exclude (can be used multiple times)
+ *   --no-references      Skip checking ID references between files
+ *   --format <name>      Output format to write (json, html, sarif, junit; can be used multiple times)
+ *   --config <file>      Analyzer config file (default: .rpgmaker-analyzer.json in the data or project directory)
+ *   --fix                Apply the fixes for fixable issues, then analyze the fixed files again
+ *   --fix-rule <id>      Rule to fix (can be used multiple times; default: every rule with a fix)
+ *   --dry-run            With --fix, show the fixes as a diff without writing them
+ *   --cache              Reuse the results of unchanged files from .rpgmaker-cache in the project
+ *   --clear-cache        Clear the cache before analyzing
+ *   --baseline [file]    Report only issues that are not in the baseline file (default: .rpgmaker-analyzer-baseline.json in the project)
+ *   --update-baseline    Record the current issues in the baseline file
  */
 
 const path = require('path');
@@ -26,6 +36,16 @@ program
   .option('-r, --recursive', 'Process files recursively')
   .option('-i, --include <pattern>', 'File pattern to include', collectValues, ['*.json'])
   .option('-e, --exclude <pattern>', 'File pattern to exclude', collectValues, [])
+  .option('--no-references', 'Skip checking ID references between files')
+  .option('-f, --format <name>', 'Output format to write (json, html, sarif, junit)', collectValues, [])
+  .option('-c, --config <file>', 'Analyzer config file')
+  .option('--fix', 'Apply the fixes for fixable issues')
+  .option('--fix-rule <id>', 'Rule to fix (default: every rule with a fix)', collectValues, [])
+  .option('--dry-run', 'With --fix, show the fixes as a diff without writing them')
+  .option('--cache', 'Reuse the results of unchanged files from the on-disk cache')
+  .option('--clear-cache', 'Clear the cache before analyzing')
+  .option('--baseline [file]', 'Report only issues that are not in the baseline file')
+  .option('--update-baseline', 'Record the current issues in the baseline file')
   .parse(process.argv);
 
 // Helper function to collect multiple values for an option
@@ -49,33 +69,51 @@ async function run() {
     // Check if the project is valid
     const isValid = await rpgmakerTools.utils.isValidProject(projectPath);
     if (!isValid) {
-      console.error(chalk.red(`Error: ${projectPath} is not a valid RPG Maker MV project`));
+      console.error(chalk.red(`Error: ${projectPath} is not a valid RPG Maker MV or MZ project`));
       process.exit(1);
     }
     
-    // Get the data directory
-    const dataDir = path.join(projectPath, 'data');
+    // Get the data directory, which is in www/ for a deployed game
+    const projectType = await rpgmakerTools.utils.detectProjectType(projectPath);
+    const dataDir = path.join(rpgmakerTools.utils.getGameDirectory(projectPath), 'data');
     
     // Set up options for analysis
     const analysisOptions = {
       recursive: options.recursive,
       include: options.include,
       exclude: options.exclude,
-      outputDir: options.outputDir
+      outputDir: options.outputDir,
+      checkReferences: options.references,
+      configPath: options.config,
+      projectType,
+      cache: !!options.cache,
+      baseline: options.baseline || false,
+      updateBaseline: !!options.updateBaseline
     };
+    if (options.format.length > 0) {
+      analysisOptions.formats = options.format;
+    }
     
     console.log(chalk.blue('RPG Maker MV Project Analyzer'));
     console.log(chalk.blue('============================'));
-    console.log(`Project: ${chalk.green(projectPath)}`);
+    console.log(`Project: ${chalk.green(projectPath)} (${projectType === 'mz' ? 'RPG Maker MZ' : 'RPG Maker MV'})`);
     console.log(`Output directory: ${chalk.green(options.outputDir || 'None (results will not be saved)')}`);
     console.log(`Recursive: ${chalk.green(options.recursive ? 'Yes' : 'No')}`);
     console.log(`Include patterns: ${chalk.green(options.include.join(', '))}`);
     console.log(`Exclude patterns: ${chalk.green(options.exclude.join(', ') || 'None')}`);
     console.log('');
     
+    if (options.clearCache) {
+      await rpgmakerTools.utils.clearCache(dataDir);
+      console.log(chalk.blue('Cache cleared'));
+    }
+    
     // Analyze the project
     console.log(chalk.blue('Analyzing project...'));
-    const { results, summary } = await rpgmakerTools.analyzer.analyzeProject(dataDir, analysisOptions);
+    const { results, summary, cache, baseline } = await rpgmakerTools.analyzer.analyzeProject(dataDir, analysisOptions);
+    if (cache) {
+      console.log(`Cache: ${chalk.green(cache.hits)} reused, ${chalk.yellow(cache.misses)} analyzed`);
+    }
     
     // Print the summary
     console.log('');
@@ -83,6 +121,19 @@ async function run() {
     console.log(`Total files: ${chalk.green(summary.totalFiles)}`);
     console.log(`Files with issues: ${chalk.green(summary.filesWithIssues)}`);
     console.log(`Total issues: ${chalk.green(summary.totalIssues)}`);
+    if (summary.suppressedIssues > 0) {
+      console.log(`Suppressed issues: ${chalk.blue(summary.suppressedIssues)}`);
+    }
+    if (baseline && baseline.updated) {
+      console.log(`Baseline updated: ${chalk.green(baseline.issues)} issues recorded in ${baseline.filePath}`);
+    } else if (baseline) {
+      console.log(`New issues: ${chalk.red(baseline.newIssues)}`);
+      console.log(`Known issues (in the baseline): ${chalk.yellow(baseline.knownIssues)}`);
+      console.log(`Resolved baseline issues: ${chalk.green(baseline.resolved.length)}`);
+      baseline.resolved.forEach(entry => {
+        console.log(`  - ${entry.file} ${entry.path}: ${entry.type.replace(/_/g, ' ')}`);
+      });
+    }
     
     // Print issues by type
     console.log('');
@@ -126,6 +177,30 @@ async function run() {
         });
       });
     
+    // Apply fixes
+    if (options.fix) {
+      console.log('');
+      console.log(chalk.blue(options.dryRun ? 'Fixes (dry run):' : 'Applying fixes...'));
+      const config = await rpgmakerTools.analyzer.loadConfig(dataDir, options.config);
+      const fixResult = await rpgmakerTools.analyzer.applyFixes(results, {
+        rules: options.fixRule.length > 0 ? options.fixRule : undefined,
+        ruleSettings: rpgmakerTools.analyzer.resolveRuleSettings(config, { projectType }),
+        dataPath: dataDir,
+        dryRun: options.dryRun
+      });
+      
+      if (options.dryRun && fixResult.diff) {
+        console.log(fixResult.diff);
+      }
+      console.log(rpgmakerTools.analyzer.generateAppliedFixesReport(fixResult));
+      
+      if (fixResult.transaction && !fixResult.transaction.committed) {
+        console.error(chalk.red(`Fixes were not written: ${fixResult.transaction.error}`));
+      } else if (fixResult.transaction) {
+        console.log(`Backups saved to: ${chalk.green(fixResult.transaction.backupDir)}`);
+      }
+    }
+    
     // Print output location
     if (options.outputDir) {
       console.log('');
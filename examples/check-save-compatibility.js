@@ -0,0 +1,63 @@
+/**
+ * RPG Maker MV Save Compatibility Example
+ *
+ * This example demonstrates how to use the rpgmaker-ai-tools library
+ * to compare the data directories of two versions of a project, such as
+ * the last release and a patch, and print the changes that break saves
+ * made with the old version. It exits with code 1 if any change is an error.
+ *
+ * Usage:
+ * node check-save-compatibility.js <old-data-path> <new-data-path> [options]
+ *
+ * Options:
+ *   --save <file>        Sample .rpgsave or .rmmzsave file to check against the new version
+ *   --errors-only        Only print errors
+ */
+
+const { program } = require('commander');
+const chalk = require('chalk');
+const { analyzer } = require('../src/rpgmaker');
+
+// Parse command line arguments
+program
+  .argument('<old-data-path>', 'Data directory of the old version')
+  .argument('<new-data-path>', 'Data directory of the new version')
+  .option('-s, --save <file>', 'Sample .rpgsave or .rmmzsave file to check against the new version')
+  .option('--errors-only', 'Only print errors')
+  .parse(process.argv);
+
+// Get the data paths and options
+const [oldDataPath, newDataPath] = program.args;
+const options = program.opts();
+
+// Format an issue for the console
+function formatIssue(issue) {
+  const color = issue.severity === 'error' ? chalk.red : issue.severity === 'warning' ? chalk.yellow : chalk.blue;
+  return `${color(issue.severity.padEnd(7))} ${chalk.gray(issue.type)} ${issue.message}`;
+}
+
+// Run the check
+async function run() {
+  try {
+    const issues = await analyzer.analyzeSaveCompatibility(oldDataPath, newDataPath, {
+      savePath: options.save
+    });
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const shown = options.errorsOnly ? errors : issues;
+    shown.forEach(issue => console.log(formatIssue(issue)));
+
+    if (issues.length === 0) {
+      console.log(chalk.green('No changes that break existing saves'));
+    } else {
+      console.log(`\n${errors.length} errors, ${issues.length - errors.length} warnings`);
+    }
+
+    process.exit(errors.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,151 @@
+/**
+ * RPG Maker MV Save Editor Example
+ *
+ * This example demonstrates how to use the rpgmaker-ai-tools library
+ * to inspect and edit a saved game, for example to jump to a story state
+ * when testing. Without edit options, it prints a summary of the save.
+ *
+ * Usage:
+ * node edit-save.js <path-to-project> <savefile-id> [options]
+ *
+ * Options:
+ *   --gold <amount>          Set the gold of the party
+ *   --party <ids>            Set the party members (comma separated actor IDs)
+ *   --switch <id=on|off>     Set a switch (can be used multiple times)
+ *   --variable <id=value>    Set a variable (can be used multiple times)
+ *   --self-switch <map,event,letter=on|off>  Set a self switch (can be used multiple times)
+ *   --position <map,x,y>     Move the player to a map position
+ *   --output <file>          Write the edited save to this file (default: overwrite the save)
+ *   --list                   List the saved games of the project
+ */
+
+const { program } = require('commander');
+const chalk = require('chalk');
+const { utils } = require('../src/rpgmaker');
+
+// Collect an option that can be used multiple times
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+// Parse command line arguments
+program
+  .argument('<project-path>', 'Path to the RPG Maker MV or MZ project')
+  .argument('[savefile-id]', 'Save file ID', value => parseInt(value, 10))
+  .option('--gold <amount>', 'Set the gold of the party', value => parseInt(value, 10))
+  .option('--party <ids>', 'Set the party members (comma separated actor IDs)')
+  .option('--switch <id=on|off>', 'Set a switch', collect, [])
+  .option('--variable <id=value>', 'Set a variable', collect, [])
+  .option('--self-switch <map,event,letter=on|off>', 'Set a self switch', collect, [])
+  .option('--position <map,x,y>', 'Move the player to a map position')
+  .option('-o, --output <file>', 'Write the edited save to this file')
+  .option('-l, --list', 'List the saved games of the project')
+  .parse(process.argv);
+
+// Get the project path, save file ID and options
+const [projectPath, savefileId] = program.processedArgs;
+const options = program.opts();
+
+// Split an "key=value" option
+function splitAssignment(option) {
+  const index = option.indexOf('=');
+  if (index < 0) {
+    throw new Error(`Expected key=value: ${option}`);
+  }
+  return [option.slice(0, index), option.slice(index + 1)];
+}
+
+// Apply the edit options to the contents of a save, and return whether anything changed
+function applyEdits(contents) {
+  let changed = false;
+
+  if (options.gold !== undefined) {
+    utils.setGold(contents, options.gold);
+    changed = true;
+  }
+
+  if (options.party) {
+    utils.setPartyMembers(contents, options.party.split(',').map(id => parseInt(id, 10)));
+    changed = true;
+  }
+
+  for (const option of options.switch) {
+    const [id, value] = splitAssignment(option);
+    utils.setSwitch(contents, parseInt(id, 10), value === 'on' || value === 'true');
+    changed = true;
+  }
+
+  for (const option of options.variable) {
+    const [id, value] = splitAssignment(option);
+    utils.setVariable(contents, parseInt(id, 10), isNaN(Number(value)) ? value : Number(value));
+    changed = true;
+  }
+
+  for (const option of options.selfSwitch) {
+    const [key, value] = splitAssignment(option);
+    const [mapId, eventId, letter] = key.split(',');
+    utils.setSelfSwitch(contents, parseInt(mapId, 10), parseInt(eventId, 10), letter, value === 'on' || value === 'true');
+    changed = true;
+  }
+
+  if (options.position) {
+    const [mapId, x, y] = options.position.split(',').map(value => parseInt(value, 10));
+    utils.setPosition(contents, { mapId, x, y });
+    changed = true;
+  }
+
+  return changed;
+}
+
+// Print a summary of a saved game
+function printSummary(summary) {
+  // Actors that have not joined yet are set up by the game when the save is loaded
+  const party = summary.party.map(actor => (actor.name === null
+    ? `actor ${actor.actorId} (new)`
+    : `${actor.name} (${actor.actorId}, level ${actor.level})`));
+  const { mapId, x, y } = summary.position;
+  const playtime = new Date(summary.playtime * 1000).toISOString().slice(11, 19);
+
+  console.log(`Party:    ${party.join(', ') || 'none'}`);
+  console.log(`Gold:     ${summary.gold}`);
+  console.log(`Position: map ${mapId} (${x}, ${y})`);
+  console.log(`Playtime: ${playtime}, saved ${summary.saveCount} times`);
+  console.log(`Switches: ${summary.switchesOn.join(', ') || 'none'} on`);
+}
+
+// Run the editor
+async function run() {
+  try {
+    if (options.list) {
+      const saves = await utils.listSaveFiles(projectPath);
+      if (saves.length === 0) {
+        console.log(chalk.yellow(`No saved games in ${await utils.getSaveDirectory(projectPath)}`));
+      }
+      saves.forEach(save => {
+        const info = save.info ? `${save.info.title || ''} ${save.info.playtime || ''}` : '';
+        console.log(`${save.savefileId}: ${save.filePath} ${chalk.gray(info)}`);
+      });
+      return;
+    }
+
+    if (!Number.isInteger(savefileId)) {
+      console.error(chalk.red('Error: Save file ID is required'));
+      process.exit(1);
+    }
+
+    const save = await utils.readSaveFile(await utils.getSaveFilePath(projectPath, savefileId));
+    console.log(chalk.blue(`Save ${savefileId}: ${save.filePath}`));
+
+    if (applyEdits(save.contents)) {
+      const filePath = await utils.writeSaveFile(save, { filePath: options.output });
+      console.log(chalk.green(`Edited save written to ${filePath}`));
+    }
+
+    printSummary(utils.getSaveSummary(save.contents));
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+run();
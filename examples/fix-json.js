@@ -9,10 +9,16 @@
  * 
  * Options:
  *   --output-dir <dir>   Directory to write fixed files to (default: overwrite originals)
- *   --approach <name>    Approach to use (basic, intermediate, advanced, manual, auto)
+ *   --approach <name>    Approach to use (repair, basic, intermediate, advanced, manual, auto)
  *   --recursive          Process files recursively
  *   --include <pattern>  File pattern to include (can be used multiple times)
  *   --exclude <pattern>  File pattern to exclude (can be used multiple times)
+ *   --structure          Also repair the structure of database and map files
+ *   --dry-run            Write nothing; print a unified diff and a summary report instead
+ *   --backup-dir <dir>   Directory for backups of the original files (default: backups/fix-<timestamp>)
+ *   --rollback <path>    Restore the files recorded in a backup manifest and exit
+ *   --recover <file>     Recover a truncated data file and exit
+ *   --older-copy <file>  Older copy to fill in entries lost from the truncated file (default: <file>.bak)
  */
 
 const path = require('path');
@@ -24,10 +30,16 @@ const rpgmakerTools = require('../src');
 program
   .argument('<project-path>', 'Path to the RPG Maker MV project')
   .option('-o, --output-dir <dir>', 'Directory to write fixed files to')
-  .option('-a, --approach <name>', 'Approach to use (basic, intermediate, advanced, manual, auto)', 'auto')
+  .option('-a, --approach <name>', 'Approach to use (repair, basic, intermediate, advanced, manual, auto)', 'auto')
   .option('-r, --recursive', 'Process files recursively')
   .option('-i, --include <pattern>', 'File pattern to include', collectValues, ['*.json'])
   .option('-e, --exclude <pattern>', 'File pattern to exclude', collectValues, [])
+  .option('-s, --structure', 'Also repair the structure of database and map files')
+  .option('-d, --dry-run', 'Write nothing; print a unified diff and a summary report instead')
+  .option('-b, --backup-dir <dir>', 'Directory for backups of the original files')
+  .option('--rollback <path>', 'Restore the files recorded in a backup manifest and exit')
+  .option('--recover <file>', 'Recover a truncated data file and exit')
+  .option('--older-copy <file>', 'Older copy to fill in entries lost from the truncated file')
   .parse(process.argv);
 
 // Helper function to collect multiple values for an option
@@ -48,6 +60,29 @@ if (!projectPath) {
 // Run the fixer
 async function run() {
   try {
+    // Restore a previous batch fix instead of fixing
+    if (options.rollback) {
+      const rollbackResult = await rpgmakerTools.dataFixer.rollback(options.rollback);
+      rollbackResult.restored.forEach(file => console.log(`${chalk.green('✓')} Restored ${file}`));
+      rollbackResult.removed.forEach(file => console.log(`${chalk.green('✓')} Removed ${file}`));
+      rollbackResult.modifiedSinceFix.forEach(file => console.log(`${chalk.yellow('⚠')} ${file} had been modified after the fix`));
+      rollbackResult.errors.forEach(({ file, error }) => console.log(`${chalk.red('✗')} ${file}: ${chalk.red(error)}`));
+      process.exit(rollbackResult.errors.length > 0 ? 1 : 0);
+    }
+    
+    // Recover a truncated file instead of fixing
+    if (options.recover) {
+      const recoveryResult = await rpgmakerTools.dataFixer.recoverJsonFile(options.recover, {
+        backupPath: options.olderCopy,
+        dryRun: options.dryRun
+      });
+      if (recoveryResult.dryRun) {
+        console.log(recoveryResult.diff);
+      }
+      console.log(rpgmakerTools.dataFixer.generateRecoveryReport(recoveryResult));
+      process.exit(recoveryResult.error ? 1 : 0);
+    }
+    
     // Check if the project is valid
     const isValid = await rpgmakerTools.utils.isValidProject(projectPath);
     if (!isValid) {
@@ -64,8 +99,13 @@ async function run() {
       outputDir: options.outputDir || dataDir,
       recursive: options.recursive,
       include: options.include,
-      exclude: options.exclude
+      exclude: options.exclude,
+      dryRun: options.dryRun,
+      structure: options.structure
     };
+    if (options.backupDir) {
+      fixOptions.backupDir = options.backupDir;
+    }
     
     console.log(chalk.blue('RPG Maker MV JSON Fixer'));
     console.log(chalk.blue('======================='));
@@ -75,18 +115,35 @@ async function run() {
     console.log(`Recursive: ${chalk.green(options.recursive ? 'Yes' : 'No')}`);
     console.log(`Include patterns: ${chalk.green(options.include.join(', '))}`);
     console.log(`Exclude patterns: ${chalk.green(options.exclude.join(', ') || 'None')}`);
+    console.log(`Structure repair: ${chalk.green(options.structure ? 'Yes' : 'No')}`);
+    console.log(`Dry run: ${chalk.green(options.dryRun ? 'Yes' : 'No')}`);
     console.log('');
     
     // Fix the JSON files
     console.log(chalk.blue('Fixing JSON files...'));
     const result = await rpgmakerTools.dataFixer.fixJsonFiles(dataDir, fixOptions);
     
+    // In dry run mode, print the diff and report instead of the per-file details
+    if (result.dryRun) {
+      console.log('');
+      console.log(result.diff || chalk.yellow('No changes'));
+      console.log(result.report);
+      return;
+    }
+    
     // Print the results
     console.log('');
     console.log(chalk.blue('Results:'));
     console.log(`Total files: ${chalk.green(result.totalFiles)}`);
     console.log(`Fixed files: ${chalk.green(result.fixedFiles)}`);
     console.log(`Total issues fixed: ${chalk.green(result.totalIssues)}`);
+    if (result.transaction.committed) {
+      if (result.transaction.manifestPath) {
+        console.log(`Backup manifest: ${chalk.green(result.transaction.manifestPath)}`);
+      }
+    } else {
+      console.log(chalk.red(`Transaction not committed: ${result.transaction.error}`));
+    }
     
     // Print details for each file
     console.log('');
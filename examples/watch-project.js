@@ -0,0 +1,96 @@
+/**
+ * RPG Maker MV Project Watcher Example
+ *
+ * This example demonstrates how to use the rpgmaker-ai-tools library
+ * to watch an RPG Maker MV project while the editor is open, and print
+ * the issues that appear or are resolved each time files are saved.
+ *
+ * Usage:
+ * node watch-project.js <path-to-project> [options]
+ *
+ * Options:
+ *   --no-references      Skip checking ID references between files
+ *   --config <file>      Analyzer config file (default: .rpgmaker-analyzer.json in the data or project directory)
+ *   --debounce <ms>      Milliseconds to wait for more changes before analyzing (default: 300)
+ *   --quiet              Do not print the issues found when watching starts
+ */
+
+const path = require('path');
+const { program } = require('commander');
+const chalk = require('chalk');
+const { analyzer, utils } = require('../src/rpgmaker');
+
+// Parse command line arguments
+program
+  .argument('<project-path>', 'Path to the RPG Maker MV project')
+  .option('--no-references', 'Skip checking ID references between files')
+  .option('-c, --config <file>', 'Analyzer config file')
+  .option('--debounce <ms>', 'Milliseconds to wait for more changes before analyzing', value => parseInt(value, 10), 300)
+  .option('-q, --quiet', 'Do not print the issues found when watching starts')
+  .parse(process.argv);
+
+// Get the project path and options
+const projectPath = program.args[0];
+const options = program.opts();
+
+// Validate the project path
+if (!projectPath) {
+  console.error(chalk.red('Error: Project path is required'));
+  process.exit(1);
+}
+
+// Format an issue for the console
+function formatIssue(issue) {
+  const color = issue.severity === 'error' ? chalk.red : issue.severity === 'warning' ? chalk.yellow : chalk.blue;
+  const location = issue.line ? `:${issue.line}:${issue.column}` : '';
+  return `${path.basename(issue.file || '')}${location} ${color(issue.type)} ${issue.message}`;
+}
+
+// Print the issues of an update
+function printUpdate(update) {
+  const time = new Date().toLocaleTimeString();
+
+  if (update.initial) {
+    console.log(chalk.blue(`[${time}] Watching ${projectPath}: ${update.issues} issues`));
+    if (!options.quiet) {
+      update.added.forEach(issue => console.log(`  ${formatIssue(issue)}`));
+    }
+    return;
+  }
+
+  const changed = update.files.map(file => path.basename(file)).join(', ');
+  console.log(chalk.blue(`[${time}] ${changed} changed: ${update.added.length} new, ${update.resolved.length} resolved, ${update.issues} total`));
+  update.added.forEach(issue => console.log(`  ${chalk.red('+')} ${formatIssue(issue)}`));
+  update.resolved.forEach(issue => console.log(`  ${chalk.green('-')} ${formatIssue(issue)}`));
+}
+
+// Run the watcher
+async function run() {
+  try {
+    // Check if the project is valid
+    const isValid = await utils.isValidProject(projectPath);
+    if (!isValid) {
+      console.error(chalk.red(`Error: ${projectPath} is not a valid RPG Maker MV project`));
+      process.exit(1);
+    }
+
+    const watcher = await analyzer.watchProject(projectPath, {
+      checkReferences: options.references,
+      configPath: options.config,
+      debounce: options.debounce,
+      onUpdate: printUpdate,
+      onError: error => console.error(chalk.red(`Error: ${error.message}`))
+    });
+
+    // Stop watching on Ctrl+C
+    process.on('SIGINT', async () => {
+      await watcher.close();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+run();
@@ -35,6 +35,7 @@ module.exports = {
   analyzeProject: analyzer.analyzeProject,
   extractContext: contextExtractor.extractContext,
   analyzeImageAssets: assetCreator.analyzeImageAssets,
+  analyzeAudioAssets: assetCreator.analyzeAudioAssets,
   generateMissingAssetRequest: assetCreator.generateMissingAssetRequest,
   generateActor: dataGenerator.generateActor,
   generateItem: dataGenerator.generateItem,
@@ -0,0 +1,124 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { checkEventList, checkEventStructure, analyzeEventStructure } = require('../eventStructureChecker');
+
+const command = (code, indent, parameters = []) => ({ code, indent, parameters });
+
+// Conditional Branch with an Else, and Show Choices with two choices, as the editor writes them
+const VALID_LIST = [
+  command(111, 0, [0, 1, 0]),
+  command(101, 1, ['', 0, 0, 2]),
+  command(401, 1, ['Hello']),
+  command(0, 1),
+  command(411, 0),
+  command(0, 1),
+  command(412, 0),
+  command(102, 0, [['Yes', 'No'], 1, 0, 2, 0]),
+  command(402, 0, [0, 'Yes']),
+  command(0, 1),
+  command(402, 0, [1, 'No']),
+  command(0, 1),
+  command(404, 0),
+  command(0, 0)
+];
+
+const check = (list) => checkEventList(list, 'CommonEvents.json', '[1].list');
+
+const getMessages = (issues) => issues.map(issue => issue.message);
+
+describe('checkEventList', () => {
+  test('accepts a list the way the editor writes it', () => {
+    expect(check(VALID_LIST)).toEqual([]);
+  });
+
+  test('reports a block without its end command', () => {
+    const list = VALID_LIST.filter((entry, index) => index !== 6);
+
+    expect(getMessages(check(list))).toContain('Conditional Branch (111) has no matching End of Branch (412) (CommonEvents.json [1].list[0])');
+  });
+
+  test('reports a block body that does not end with code 0', () => {
+    const list = VALID_LIST.filter((entry, index) => index !== 3);
+
+    expect(check(list)).toEqual([expect.objectContaining({
+      type: 'invalid_event_structure',
+      path: '[1].list[3]',
+      message: 'The block body before Else (411) does not end with code 0 at indent 1 (CommonEvents.json [1].list[3])',
+      severity: 'error'
+    })]);
+  });
+
+  test('reports Show Choices with fewer When blocks than choices', () => {
+    const list = VALID_LIST.filter((entry, index) => index !== 10 && index !== 11);
+
+    expect(getMessages(check(list))).toEqual(['Show Choices (102) has 2 choices but 1 When (402) blocks (CommonEvents.json [1].list[7])']);
+  });
+
+  test('reports continuation lines that do not follow their command', () => {
+    const list = [command(401, 0, ['Hello']), command(0, 0)];
+
+    expect(getMessages(check(list))).toEqual(['Text line (401) does not follow Show Text (101) (CommonEvents.json [1].list[0])']);
+  });
+
+  test('reports a list that does not end with code 0 at indent 0', () => {
+    expect(getMessages(check([command(101, 0, ['', 0, 0, 2])]))).toEqual(['The list does not end with code 0 at indent 0 (CommonEvents.json [1].list[0])']);
+    expect(getMessages(check([]))).toEqual(['The list does not end with code 0 at indent 0 (CommonEvents.json [1].list)']);
+  });
+
+  test('reports commands that are not objects with a code and parameters', () => {
+    expect(getMessages(check([null, command(0, 0)]))).toEqual(['Event command is not an object with a numeric code and a parameters array (CommonEvents.json [1].list[0])']);
+  });
+
+  test('reports branches of Battle Processing that cannot happen', () => {
+    const list = [
+      command(301, 0, [0, 1, false, true]),
+      command(601, 0),
+      command(0, 1),
+      command(602, 0),
+      command(0, 1),
+      command(603, 0),
+      command(0, 1),
+      command(604, 0),
+      command(0, 0)
+    ];
+
+    expect(getMessages(check(list))).toEqual(['Battle Processing (301) has an If Escape (602) branch, but the battle cannot end that way (CommonEvents.json [1].list[0])']);
+  });
+});
+
+describe('checkEventStructure', () => {
+  test('checks common events, troops and maps', () => {
+    const broken = [command(412, 0), command(0, 0)];
+    const database = {
+      commonEvents: [null, { id: 1, list: VALID_LIST }],
+      troops: [null, { id: 1, pages: [{ list: broken }] }],
+      maps: { 2: { events: [null, { id: 1, pages: [{ list: broken }] }] } }
+    };
+
+    expect(checkEventStructure(database).map(issue => [issue.file, issue.path])).toEqual([
+      ['Troops.json', '[1].pages[0].list[0]'],
+      ['Map002.json', 'events[1].pages[0].list[0]']
+    ]);
+  });
+});
+
+describe('analyzeEventStructure', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-events-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('checks the lists in a data directory', async () => {
+    await fs.writeJson(path.join(tempDir, 'CommonEvents.json'), [null, { id: 1, list: [command(0, 1)] }]);
+
+    const issues = await analyzeEventStructure(tempDir);
+
+    expect(issues.map(issue => issue.path)).toEqual(['[1].list[0]', '[1].list[0]']);
+  });
+});
@@ -0,0 +1,95 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parsePluginHeader } = require('../../utils/pluginParser');
+const { checkPluginCommands, analyzePluginCommands } = require('../pluginCommandChecker');
+
+const SOURCE = `/*:
+ * @target MZ
+ *
+ * @command ShowGauge
+ * @arg actorId
+ * @type actor
+ * @arg duration
+ * @type number
+ * @min 1
+ */
+`;
+
+const plugin = (name, status = true) => ({ name, status, description: '', parameters: {} });
+
+const pluginCommand = (pluginName, commandName, args) => ({ code: 357, indent: 0, parameters: [pluginName, commandName, '', args] });
+
+/**
+ * Create a database with a common event that runs commands
+ * @param {Object[]} commands - Event commands
+ * @returns {Object} - Database in the shape of loadDatabase
+ */
+const createDatabase = (commands) => ({
+  actors: [null, { id: 1, name: 'Harold' }],
+  commonEvents: [null, { id: 1, list: [...commands, { code: 0, indent: 0, parameters: [] }] }],
+  maps: {}
+});
+
+describe('checkPluginCommands', () => {
+  const headers = { Gauge: parsePluginHeader(SOURCE) };
+
+  test('accepts commands that match the plugin header', async () => {
+    const database = createDatabase([pluginCommand('Gauge', 'ShowGauge', { actorId: '1', duration: '60' })]);
+
+    expect(await checkPluginCommands(database, [plugin('Gauge')], headers, os.tmpdir())).toEqual([]);
+  });
+
+  test('reports commands and arguments that do not match the plugin header', async () => {
+    const database = createDatabase([
+      pluginCommand('Gauge', 'ShowGauge', { actorId: '2', speed: '1' }),
+      pluginCommand('Gauge', 'HideGauge', {}),
+      pluginCommand('Missing', 'Run', {}),
+      { code: 356, indent: 0, parameters: ['Missing Run'] }
+    ]);
+
+    const issues = await checkPluginCommands(database, [plugin('Gauge')], headers, os.tmpdir());
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'Plugin Command Gauge ShowGauge argument "actorId" refers to actor 2, which does not exist (CommonEvents.json [1].list[0].parameters[3].actorId)',
+      'Plugin Command Gauge ShowGauge argument "duration" is declared in the plugin header but not set; the plugin gets undefined (CommonEvents.json [1].list[0].parameters[3].duration)',
+      'Plugin Command Gauge ShowGauge argument "speed" is set but not declared in the plugin header (the plugin may have been updated) (CommonEvents.json [1].list[0].parameters[3].speed)',
+      'Plugin Command HideGauge is not declared in the header of plugin Gauge (the plugin may have been updated) (CommonEvents.json [1].list[1])',
+      'Plugin Command Run calls plugin Missing, which is not in the plugin list (CommonEvents.json [1].list[2])'
+    ]);
+    expect(issues[0]).toMatchObject({ type: 'invalid_plugin_command', file: 'CommonEvents.json', severity: 'warning' });
+  });
+
+  test('reports commands of a disabled plugin', async () => {
+    const database = createDatabase([pluginCommand('Gauge', 'ShowGauge', {})]);
+
+    const issues = await checkPluginCommands(database, [plugin('Gauge', false)], headers, os.tmpdir());
+
+    expect(issues.map(issue => issue.message)).toEqual(['Plugin Command ShowGauge calls plugin Gauge, which is disabled (CommonEvents.json [1].list[0])']);
+  });
+});
+
+describe('analyzePluginCommands', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-plugin-commands-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('checks the plugin commands of an MZ project', async () => {
+    const database = createDatabase([pluginCommand('Gauge', 'ShowGauge', { actorId: '1', duration: '0' })]);
+    await fs.outputJson(path.join(tempDir, 'data', 'Actors.json'), database.actors);
+    await fs.outputJson(path.join(tempDir, 'data', 'CommonEvents.json'), database.commonEvents);
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins', 'Gauge.js'), SOURCE, 'utf8');
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins.js'),
+      'var $plugins =\n[\n{"name":"Gauge","status":true,"description":"","parameters":{}}\n];\n', 'utf8');
+
+    const issues = await analyzePluginCommands(tempDir);
+
+    expect(issues.map(issue => issue.path)).toEqual(['[1].list[0].parameters[3].duration']);
+  });
+});
@@ -0,0 +1,118 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parsePluginHeader } = require('../../utils/pluginParser');
+const { getDependencies, checkPluginOrder, analyzePluginOrder } = require('../pluginOrderChecker');
+
+const BATTLE_SOURCE = `/*:
+ * @plugindesc Battle extension.
+ * @base PluginCommonBase
+ * @orderBefore BattleHud
+ *
+ * @help
+ * Place this plugin below YEP_BattleEngineCore.
+ */
+`;
+
+const HEADERS = {
+  PluginCommonBase: parsePluginHeader('/*:\n * @plugindesc Common base.\n */'),
+  YEP_BattleEngineCore: parsePluginHeader('/*:\n * @plugindesc Battle engine.\n */'),
+  BattleExtension: parsePluginHeader(BATTLE_SOURCE),
+  BattleHud: parsePluginHeader('/*:\n * @plugindesc Battle HUD.\n */')
+};
+
+const plugin = (name, status = true) => ({ name, status, description: '', parameters: {} });
+
+const getMessages = (issues) => issues.map(issue => issue.message);
+
+describe('getDependencies', () => {
+  test('reads dependencies from the header annotations and the help text', () => {
+    expect(getDependencies('BattleExtension', HEADERS.BattleExtension)).toEqual([
+      { kind: 'base', plugin: 'PluginCommonBase', source: '@base' },
+      { kind: 'orderBefore', plugin: 'BattleHud', source: '@orderBefore' },
+      { kind: 'orderAfter', plugin: 'YEP_BattleEngineCore', source: 'help text' },
+      { kind: 'orderAfter', plugin: 'PluginCommonBase', source: '@base' }
+    ]);
+  });
+});
+
+describe('checkPluginOrder', () => {
+  const files = Object.keys(HEADERS);
+
+  test('accepts a list in dependency order', () => {
+    const plugins = ['PluginCommonBase', 'YEP_BattleEngineCore', 'BattleExtension', 'BattleHud'].map(name => plugin(name));
+
+    expect(checkPluginOrder(plugins, HEADERS, files)).toEqual([]);
+  });
+
+  test('reports plugins in the wrong order', () => {
+    const plugins = ['BattleHud', 'BattleExtension', 'YEP_BattleEngineCore', 'PluginCommonBase'].map(name => plugin(name));
+
+    expect(getMessages(checkPluginOrder(plugins, HEADERS, files))).toEqual([
+      'Plugin BattleExtension must be placed above BattleHud (@orderBefore), but it is at position 2 and BattleHud at 1 (js/plugins.js [1])',
+      'Plugin BattleExtension must be placed below YEP_BattleEngineCore (help text), but it is at position 2 and YEP_BattleEngineCore at 3 (js/plugins.js [1])',
+      'Plugin BattleExtension must be placed below PluginCommonBase (@base), but it is at position 2 and PluginCommonBase at 4 (js/plugins.js [1])'
+    ]);
+  });
+
+  test('reports missing base plugins, missing files and unregistered files', () => {
+    const plugins = [plugin('YEP_BattleEngineCore', false), plugin('BattleExtension'), plugin('Removed')];
+
+    const issues = checkPluginOrder(plugins, HEADERS, files);
+
+    expect(getMessages(issues)).toEqual([
+      'Plugin BattleExtension requires PluginCommonBase (@base), which is not in the plugin list (js/plugins.js [1])',
+      'Plugin Removed is enabled but js/plugins/Removed.js does not exist (js/plugins.js [2])',
+      'Plugin PluginCommonBase is not in the plugin list, so it is never loaded (js/plugins/PluginCommonBase.js)',
+      'Plugin BattleHud is not in the plugin list, so it is never loaded (js/plugins/BattleHud.js)'
+    ]);
+    expect(issues.map(issue => [issue.type, issue.severity, issue.file])).toEqual([
+      ['missing_plugin', 'error', '../js/plugins.js'],
+      ['missing_plugin', 'error', '../js/plugins.js'],
+      ['unregistered_plugin', 'info', '../js/plugins/PluginCommonBase.js'],
+      ['unregistered_plugin', 'info', '../js/plugins/BattleHud.js']
+    ]);
+  });
+
+  test('reports a base plugin that is disabled', () => {
+    const plugins = [plugin('PluginCommonBase', false), plugin('BattleExtension')];
+
+    expect(getMessages(checkPluginOrder(plugins, HEADERS, ['PluginCommonBase', 'BattleExtension']))).toEqual([
+      'Plugin BattleExtension requires PluginCommonBase (@base), which is disabled (js/plugins.js [1])'
+    ]);
+  });
+
+  test('reports a plugin that is in the list twice', () => {
+    const plugins = [plugin('BattleHud'), plugin('BattleHud', false)];
+
+    expect(getMessages(checkPluginOrder(plugins, HEADERS, ['BattleHud']))).toEqual([
+      'Plugin BattleHud is in the plugin list twice (also at position 1) (js/plugins.js [1])'
+    ]);
+  });
+});
+
+describe('analyzePluginOrder', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-plugin-order-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('checks the plugin list of a project against its plugin files', async () => {
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins', 'BattleExtension.js'), BATTLE_SOURCE, 'utf8');
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins.js'),
+      'var $plugins =\n[\n{"name":"BattleExtension","status":true,"description":"","parameters":{}}\n];\n', 'utf8');
+
+    const issues = await analyzePluginOrder(tempDir);
+
+    expect(issues.map(issue => issue.type)).toEqual(['missing_plugin']);
+  });
+
+  test('finds nothing in a project without plugins', async () => {
+    expect(await analyzePluginOrder(tempDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parsePluginHeader } = require('../../utils/pluginParser');
+const { checkPluginParameters, analyzePluginParameters } = require('../pluginParameterChecker');
+
+const SOURCE = `/*:
+ * @param Max
+ * @type number
+ * @min 1
+ * @max 99
+ *
+ * @param Rate
+ * @type number
+ * @decimals 1
+ *
+ * @param Enabled
+ * @type boolean
+ *
+ * @param Style
+ * @type select
+ * @option bar
+ * @option ring
+ *
+ * @param Icon
+ * @type file
+ * @dir img/system/
+ *
+ * @param Actor
+ * @type actor
+ *
+ * @param Switch
+ * @type switch
+ *
+ * @param Points
+ * @type struct<Point>[]
+ */
+
+/*~struct~Point:
+ * @param x
+ * @type number
+ */
+`;
+
+const VALID_PARAMETERS = {
+  Max: '10',
+  Rate: '1.5',
+  Enabled: 'true',
+  Style: 'ring',
+  Icon: 'Gauge',
+  Actor: '1',
+  Switch: '0',
+  Points: '["{\\"x\\":\\"1\\"}"]'
+};
+
+const DATABASE = {
+  actors: [null, { id: 1, name: 'Harold' }],
+  system: { switches: ['', 'Door open'], variables: [''] }
+};
+
+describe('checkPluginParameters', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-plugin-parameters-'));
+    await fs.outputFile(path.join(tempDir, 'img', 'system', 'Gauge.png'), '');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const check = (parameters, status = true) => checkPluginParameters(
+    [{ name: 'Gauge', status, parameters }],
+    { Gauge: parsePluginHeader(SOURCE) },
+    DATABASE,
+    tempDir
+  );
+
+  test('accepts values that match their declarations', async () => {
+    expect(await check(VALID_PARAMETERS)).toEqual([]);
+  });
+
+  test('reports values that do not match their declarations', async () => {
+    const issues = await check({
+      ...VALID_PARAMETERS,
+      Max: '100',
+      Rate: '1.25',
+      Enabled: 'yes',
+      Style: 'dial',
+      Icon: 'Missing',
+      Actor: '2',
+      Switch: '3',
+      Points: '["{\\"x\\":\\"a\\"}"]'
+    });
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'Plugin Gauge parameter "Max" is 100, above the maximum of 99 (js/plugins.js [0].parameters.Max)',
+      'Plugin Gauge parameter "Rate" is 1.25, but only 1 decimals are allowed (js/plugins.js [0].parameters.Rate)',
+      'Plugin Gauge parameter "Enabled" should be true or false but is "yes" (js/plugins.js [0].parameters.Enabled)',
+      'Plugin Gauge parameter "Style" is "dial", which is not one of its options (bar, ring) (js/plugins.js [0].parameters.Style)',
+      'Plugin Gauge parameter "Icon" refers to img/system/Missing, which does not exist (js/plugins.js [0].parameters.Icon)',
+      'Plugin Gauge parameter "Actor" refers to actor 2, which does not exist (js/plugins.js [0].parameters.Actor)',
+      'Plugin Gauge parameter "Switch" refers to switch 3, but System.json only defines 1 (js/plugins.js [0].parameters.Switch)',
+      'Plugin Gauge parameter "Points[0].x" should be a number but is "a" (js/plugins.js [0].parameters.Points[0].x)'
+    ]);
+    expect(issues[0]).toMatchObject({ type: 'invalid_plugin_parameter', file: '../js/plugins.js', severity: 'warning', fixable: false });
+  });
+
+  test('reports parameters that are missing or not declared', async () => {
+    const parameters = { ...VALID_PARAMETERS, Old: '1' };
+    delete parameters.Max;
+
+    const issues = await check(parameters);
+
+    expect(issues.map(issue => issue.path)).toEqual(['[0].parameters.Max', '[0].parameters.Old']);
+  });
+
+  test('skips plugins that are turned off', async () => {
+    expect(await check({ Max: 'a' }, false)).toEqual([]);
+  });
+});
+
+describe('analyzePluginParameters', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-plugin-parameters-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('checks the plugins of a project against their headers and database', async () => {
+    await fs.outputJson(path.join(tempDir, 'data', 'Actors.json'), DATABASE.actors);
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins', 'Gauge.js'), '/*:\n * @param Actor\n * @type actor\n */\n', 'utf8');
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins.js'),
+      'var $plugins =\n[\n{"name":"Gauge","status":true,"description":"","parameters":{"Actor":"3"}},\n{"name":"Other","status":true,"description":"","parameters":{"Actor":"3"}}\n];\n', 'utf8');
+
+    const issues = await analyzePluginParameters(tempDir);
+
+    expect(issues.map(issue => issue.path)).toEqual(['[0].parameters.Actor']);
+  });
+});
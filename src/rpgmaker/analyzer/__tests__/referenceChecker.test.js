@@ -0,0 +1,129 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { checkReferences, collectReferences, analyzeReferences } = require('../referenceChecker');
+
+/**
+ * Create a small database with every reference in place
+ * @returns {Object} - Database in the shape of loadDatabase
+ */
+const createDatabase = () => ({
+  actors: [null, { id: 1, name: 'Harold', classId: 1, equips: [1, 0], traits: [] }],
+  classes: [null, { id: 1, name: 'Hero', learnings: [{ level: 1, skillId: 1 }], traits: [] }],
+  skills: [null, { id: 1, name: 'Fire', animationId: 1 }],
+  items: [null, { id: 1, name: 'Potion', animationId: 0 }],
+  weapons: [null, { id: 1, name: 'Sword', animationId: -1 }],
+  armors: [null, { id: 1, name: 'Shield' }],
+  animations: [null, { id: 1 }],
+  enemies: [null, { id: 1, name: 'Slime', dropItems: [{ kind: 1, dataId: 1 }, { kind: 0, dataId: 0 }] }],
+  troops: [null, { id: 1, name: 'Slime', members: [{ enemyId: 1 }], pages: [] }],
+  commonEvents: [null, { id: 1, name: 'Start', trigger: 0, switchId: 1, list: [{ code: 0, parameters: [] }] }],
+  mapInfos: [null, { id: 1, name: 'Town' }],
+  system: { switches: ['', 'Door open'], variables: ['', 'Gold'] },
+  maps: {
+    1: {
+      events: [null, {
+        id: 1,
+        pages: [{
+          conditions: { switch1Valid: false, variableValid: false, itemValid: false, actorValid: false },
+          list: [
+            { code: 117, parameters: [1] },
+            { code: 201, parameters: [0, 1, 5, 5, 2, 0] },
+            { code: 0, parameters: [] }
+          ]
+        }]
+      }]
+    }
+  }
+});
+
+describe('checkReferences', () => {
+  test('finds nothing in a consistent database', () => {
+    expect(checkReferences(createDatabase())).toEqual([]);
+  });
+
+  test('reports references to entries that do not exist', () => {
+    const database = createDatabase();
+    database.actors[1].classId = 5;
+    database.enemies[1].dropItems[0].dataId = 9;
+
+    const issues = checkReferences(database);
+
+    expect(issues.map(issue => [issue.file, issue.path, issue.table, issue.id])).toEqual([
+      ['Actors.json', '[1].classId', 'classes', 5],
+      ['Enemies.json', '[1].dropItems[0].dataId', 'items', 9]
+    ]);
+    expect(issues[0]).toMatchObject({ type: 'dangling_reference', severity: 'error', line: 0, column: 0, fixable: false });
+    expect(issues[0].message).toBe('Actor 1 (Harold) class refers to Classes.json ID 5, which does not exist (Actors.json [1].classId)');
+  });
+
+  test('reports switches beyond those defined in System.json', () => {
+    const database = createDatabase();
+    database.commonEvents[1].trigger = 2;
+    database.commonEvents[1].switchId = 4;
+
+    const issues = checkReferences(database);
+
+    expect(issues).toEqual([expect.objectContaining({ path: '[1].switchId', table: 'switches', id: 4 })]);
+  });
+
+  test('reports Common Event and Transfer Player commands that refer to missing targets', () => {
+    const database = createDatabase();
+    const list = database.maps[1].events[1].pages[0].list;
+    list[0].parameters[0] = 3;
+    list[1].parameters[1] = 2;
+
+    const issues = checkReferences(database);
+
+    expect(issues.map(issue => [issue.file, issue.path, issue.table])).toEqual([
+      ['Map001.json', 'events[1].pages[0].list[0].parameters[0]', 'commonEvents'],
+      ['Map001.json', 'events[1].pages[0].list[1].parameters[1]', 'maps']
+    ]);
+  });
+
+  test('does not check references into tables that did not load', () => {
+    const database = createDatabase();
+    database.actors[1].classId = 5;
+    database.classes = undefined;
+    database.maps[1].events[1].pages[0].list[1].parameters[1] = 2;
+    database.mapInfos = undefined;
+
+    expect(checkReferences(database)).toEqual([]);
+  });
+});
+
+describe('collectReferences', () => {
+  test('lists every reference, dangling or not', () => {
+    const references = collectReferences(createDatabase());
+
+    expect(references).toEqual(expect.arrayContaining([
+      expect.objectContaining({ file: 'Actors.json', table: 'classes', id: 1 }),
+      expect.objectContaining({ file: 'Map001.json', table: 'commonEvents', id: 1 }),
+      expect.objectContaining({ file: 'Map001.json', table: 'maps', id: 1 })
+    ]));
+  });
+});
+
+describe('analyzeReferences', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-references-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('loads the data directory and checks it', async () => {
+    const database = createDatabase();
+    database.items[1].animationId = 7;
+    await fs.writeJson(path.join(tempDir, 'Items.json'), database.items);
+    await fs.writeJson(path.join(tempDir, 'Animations.json'), database.animations);
+    await fs.writeFile(path.join(tempDir, 'Actors.json'), '[null,', 'utf8');
+
+    const issues = await analyzeReferences(tempDir);
+
+    expect(issues.map(issue => [issue.file, issue.path])).toEqual([['Items.json', '[1].animationId']]);
+  });
+});
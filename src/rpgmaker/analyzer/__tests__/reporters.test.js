@@ -0,0 +1,97 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { generateSarifReport, generateJunitReport } = require('../reporters');
+const analyzer = require('..');
+
+const BASE_DIR = path.resolve('project');
+
+const RESULTS = [
+  {
+    file: path.join(BASE_DIR, 'data', 'Items.json'),
+    issues: [
+      { type: 'arrow_function', message: 'Arrow function used', path: '[1].note', line: 3, column: 40, severity: 'warning', fixable: true },
+      { type: 'custom_check', message: 'Note <b> & "quote"', line: 0, column: 0, severity: 'info', fixable: false }
+    ]
+  },
+  {
+    file: path.join(BASE_DIR, 'data', 'Map001.json'),
+    issues: []
+  }
+];
+
+describe('generateSarifReport', () => {
+  test('reports each issue with its rule, level and location', () => {
+    const log = generateSarifReport(RESULTS, { baseDir: BASE_DIR });
+    const run = log.runs[0];
+
+    expect(log.version).toBe('2.1.0');
+    expect(run.results).toHaveLength(2);
+    expect(run.results[0]).toEqual({
+      ruleId: 'arrow_function',
+      ruleIndex: run.tool.driver.rules.findIndex(rule => rule.id === 'arrow_function'),
+      level: 'warning',
+      message: { text: 'Arrow function used' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'data/Items.json', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 3, startColumn: 40 }
+        },
+        logicalLocations: [{ fullyQualifiedName: '[1].note', kind: 'member' }]
+      }],
+      properties: { fixable: true }
+    });
+  });
+
+  test('describes issue types that do not come from a registered rule', () => {
+    const run = generateSarifReport(RESULTS, { baseDir: BASE_DIR }).runs[0];
+    const result = run.results[1];
+
+    expect(result.level).toBe('note');
+    expect(result.locations[0].physicalLocation.region).toBeUndefined();
+    expect(run.tool.driver.rules[result.ruleIndex]).toMatchObject({ id: 'custom_check', shortDescription: { text: 'custom check' } });
+  });
+});
+
+describe('generateJunitReport', () => {
+  test('writes a suite per file with a failed test case per error or warning', () => {
+    const xml = generateJunitReport(RESULTS, { baseDir: BASE_DIR });
+
+    expect(xml).toMatch('<testsuites name="RPG Maker MV Data Analysis" tests="3" failures="1" errors="0">');
+    expect(xml).toMatch('<testsuite name="data/Items.json" tests="2" failures="1"');
+    expect(xml).toMatch('<failure type="arrow_function" message="Arrow function used">warning: Arrow function used (data/Items.json:3:40)</failure>');
+    expect(xml).toMatch('<testcase classname="data/Map001.json" name="no issues"/>');
+  });
+
+  test('escapes text for XML', () => {
+    const xml = generateJunitReport(RESULTS, { baseDir: BASE_DIR });
+
+    expect(xml).toMatch('<system-out>Note &lt;b&gt; &amp; &quot;quote&quot;</system-out>');
+  });
+});
+
+describe('analyzeProject formats', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-reporters-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('writes SARIF and JUnit reports to the output directory', async () => {
+    const dataDir = path.join(tempDir, 'data');
+    const outputDir = path.join(tempDir, 'reports');
+    await fs.outputFile(path.join(dataDir, 'Items.json'), '[\nnull,\n{"id":1,"name":"Potion","note":""}\n', 'utf8');
+
+    await analyzer.analyzeProject(dataDir, { outputDir, formats: ['sarif', 'junit'], baseDir: tempDir, projectType: 'mv' });
+
+    const sarif = await fs.readJson(path.join(outputDir, 'analysis-results.sarif'));
+    expect(sarif.runs[0].results.map(result => [result.ruleId, result.locations[0].physicalLocation.artifactLocation.uri]))
+      .toEqual([['invalid_json', 'data/Items.json']]);
+    expect(await fs.readFile(path.join(outputDir, 'analysis-results.junit.xml'), 'utf8')).toMatch('failures="1"');
+    expect(await fs.pathExists(path.join(outputDir, 'analysis-results.json'))).toBe(false);
+  });
+});
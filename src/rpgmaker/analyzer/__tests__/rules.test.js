@@ -0,0 +1,145 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const rules = require('../rules');
+
+const ITEMS = '[\nnull,\n{"id":1,"name":"Potion","note":"<Eval: (a) => { return a; }>"}\n]';
+
+describe('rule registry', () => {
+  afterEach(() => {
+    rules.unregisterRule('test_rule');
+  });
+
+  test('registers a rule with default settings', () => {
+    const rule = rules.registerRule({ id: 'test_rule', check: () => [] });
+
+    expect(rule).toMatchObject({ severity: 'warning', scope: 'file', fixable: false, enabled: true });
+    expect(rules.getRule('test_rule')).toBe(rule);
+    expect(rules.getRules()).toContain(rule);
+  });
+
+  test.each([
+    [{ check: () => [] }, 'Analyzer rule must have an id'],
+    [{ id: 'unescaped_quote', check: () => [] }, 'Analyzer rule already registered: unescaped_quote'],
+    [{ id: 'test_rule' }, 'Analyzer rule test_rule must have a check function'],
+    [{ id: 'test_rule', check: () => [], fix: 'no' }, 'Analyzer rule test_rule has a fix that is not a function'],
+    [{ id: 'test_rule', check: () => [], severity: 'fatal' }, 'Invalid severity for analyzer rule test_rule: fatal']
+  ])('rejects an invalid rule %#', (rule, message) => {
+    expect(() => rules.registerRule(rule)).toThrow(message);
+  });
+
+  test('runs a registered file rule and applies its id and severity to its issues', () => {
+    rules.registerRule({
+      id: 'test_rule',
+      severity: 'info',
+      check: ({ data }) => data.filter(Boolean).map(item => ({ message: `Found ${item.name}` }))
+    });
+
+    const issues = rules.runFileRules('Items.json', ITEMS).filter(issue => issue.type === 'test_rule');
+
+    expect(issues).toEqual([{ type: 'test_rule', message: 'Found Potion', severity: 'info', line: 0, column: 0, fixable: false }]);
+  });
+
+  test('changes the fingerprint when the rules change', () => {
+    const before = rules.getRulesFingerprint();
+    rules.registerRule({ id: 'test_rule', check: () => [] });
+
+    expect(rules.getRulesFingerprint()).not.toBe(before);
+    expect(rules.getRulesFingerprint(rules.resolveRuleSettings({ rules: { test_rule: 'off' } }))).not.toBe(rules.getRulesFingerprint());
+  });
+});
+
+describe('resolveRuleSettings', () => {
+  test('turns rules off, changes their severity and passes their options', () => {
+    const settings = rules.resolveRuleSettings({
+      rules: {
+        unescaped_quote: 'off',
+        arrow_function: 'error',
+        missing_semicolon: ['info', { strict: true }]
+      }
+    });
+
+    expect(settings.unescaped_quote.enabled).toBe(false);
+    expect(settings.arrow_function).toEqual({ enabled: true, severity: 'error', options: {} });
+    expect(settings.missing_semicolon).toEqual({ enabled: true, severity: 'info', options: { strict: true } });
+  });
+
+  test('turns off rules that do not apply to the project type', () => {
+    expect(rules.resolveRuleSettings({}, { projectType: 'mz' }).arrow_function.enabled).toBe(false);
+    expect(rules.resolveRuleSettings({}, { projectType: 'mv' }).invalid_plugin_command.enabled).toBe(false);
+    expect(rules.resolveRuleSettings({ projectType: 'mv' }, { projectType: 'mz' }).arrow_function.enabled).toBe(true);
+  });
+
+  test('rejects unknown rules and invalid settings', () => {
+    expect(() => rules.resolveRuleSettings({ rules: { no_such_rule: 'off' } })).toThrow('Unknown analyzer rule in config: no_such_rule');
+    expect(() => rules.resolveRuleSettings({ rules: { arrow_function: 'loud' } })).toThrow('Invalid setting for analyzer rule arrow_function');
+  });
+});
+
+describe('runFileRules', () => {
+  test('reports the position of issues in notes', () => {
+    const issues = rules.runFileRules('Items.json', ITEMS);
+
+    expect(issues).toEqual([expect.objectContaining({
+      type: 'arrow_function',
+      severity: 'warning',
+      line: 3,
+      column: 40,
+      fixable: true
+    })]);
+  });
+
+  test('skips rules that are turned off', () => {
+    const settings = rules.resolveRuleSettings({ rules: { arrow_function: 'off' } });
+
+    expect(rules.runFileRules('Items.json', ITEMS, settings)).toEqual([]);
+  });
+
+  test('reports invalid JSON', () => {
+    const issues = rules.runFileRules('Items.json', '[null,');
+
+    expect(issues.map(issue => issue.type)).toEqual(['invalid_json']);
+  });
+});
+
+describe('loadConfig', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-rules-'));
+    await fs.ensureDir(path.join(tempDir, 'data'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('returns an empty config when there is none', async () => {
+    expect(await rules.loadConfig(path.join(tempDir, 'data'))).toEqual({ rules: {}, configPath: null });
+  });
+
+  test('finds the config in the project directory', async () => {
+    const configPath = path.join(tempDir, '.rpgmaker-analyzer.json');
+    await fs.writeJson(configPath, { rules: { arrow_function: 'off' } });
+
+    expect(await rules.loadConfig(path.join(tempDir, 'data'))).toEqual({ rules: { arrow_function: 'off' }, configPath });
+  });
+
+  test('rejects a config that is not valid JSON or does not exist', async () => {
+    const configPath = path.join(tempDir, 'config.json');
+    await fs.writeFile(configPath, '{', 'utf8');
+
+    await expect(rules.loadConfig(path.join(tempDir, 'data'), configPath)).rejects.toThrow('Invalid analyzer config');
+    await expect(rules.loadConfig(path.join(tempDir, 'data'), path.join(tempDir, 'missing.json'))).rejects.toThrow('Analyzer config not found');
+  });
+});
+
+describe('issue paths', () => {
+  test('finds the index of a path and the path of an index', () => {
+    const index = rules.getPathIndex(ITEMS, '[1].note');
+
+    expect(ITEMS.slice(index, index + 7)).toBe('"<Eval:');
+    expect(rules.getIndexPath(ITEMS, index + 10)).toBe('[1].note');
+    expect(rules.getPathIndex(ITEMS, '[5].note')).toBe(-1);
+  });
+});
@@ -0,0 +1,132 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const LZString = require('lz-string');
+const { checkSaveCompatibility, analyzeSaveCompatibility } = require('../saveCompatibilityChecker');
+
+/**
+ * Create the old version of a small database
+ * @returns {Object} - Database in the shape of loadDatabase
+ */
+const createDatabase = () => ({
+  actors: [null, { id: 1, name: 'Harold' }, { id: 2, name: 'Therese' }],
+  items: [null, { id: 1, name: 'Potion' }, { id: 2, name: 'Ether' }],
+  commonEvents: [null, { id: 1, name: 'Clock', trigger: 2 }, { id: 2, name: 'Menu', trigger: 0 }],
+  mapInfos: [null, { id: 1, name: 'Town' }],
+  system: { switches: ['', 'Door open', 'Boss beaten'], variables: ['', 'Steps'] },
+  maps: { 1: { width: 20, height: 15, events: [null, { id: 1, name: 'Guard', x: 18, y: 3 }] } }
+});
+
+const getTypes = (issues) => issues.map(issue => [issue.type, issue.file, issue.path]);
+
+describe('checkSaveCompatibility', () => {
+  test('finds nothing when only new entries were added', () => {
+    const newDatabase = createDatabase();
+    newDatabase.items.push({ id: 3, name: 'Elixir' });
+    newDatabase.system.switches.push('New switch');
+
+    expect(checkSaveCompatibility(createDatabase(), newDatabase)).toEqual([]);
+  });
+
+  test('reports entries that were removed, renumbered or reused', () => {
+    const newDatabase = createDatabase();
+    newDatabase.actors = [null, null, { id: 2, name: 'Harold' }];
+    newDatabase.items.pop();
+
+    const issues = checkSaveCompatibility(createDatabase(), newDatabase);
+
+    expect(getTypes(issues)).toEqual([
+      ['save_renumbered_entry', 'Actors.json', '[1]'],
+      ['save_repurposed_entry', 'Actors.json', '[2]'],
+      ['save_removed_entry', 'Items.json', '[2]']
+    ]);
+    expect(issues[0].message).toBe('Actor 1 (Harold) moved to ID 2; saves still refer to ID 1, which is now empty (Actors.json [1])');
+    expect(issues[1]).toMatchObject({ severity: 'warning', table: 'actors', id: 2 });
+    expect(issues[2].message).toBe('Item 2 (Ether) was removed; saves that refer to it break (Items.json [2])');
+  });
+
+  test('reports switches and variables that changed meaning', () => {
+    const newDatabase = createDatabase();
+    newDatabase.system.switches = ['', 'Boss beaten', 'Door open'];
+    newDatabase.system.variables = ['', ''];
+
+    expect(getTypes(checkSaveCompatibility(createDatabase(), newDatabase))).toEqual([
+      ['save_renumbered_entry', 'System.json', 'switches[1]'],
+      ['save_renumbered_entry', 'System.json', 'switches[2]'],
+      ['save_removed_entry', 'System.json', 'variables[1]']
+    ]);
+  });
+
+  test('reports maps that shrank or lost their file, and removed running common events', () => {
+    const newDatabase = createDatabase();
+    newDatabase.maps[1] = { width: 15, height: 15, events: [null] };
+    newDatabase.commonEvents = [null];
+
+    const issues = checkSaveCompatibility(createDatabase(), newDatabase);
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'Map 1 (Town) shrank from 20x15 to 15x15, and event 1 (Guard) stood outside the new size; saves made on this map keep them there (Map001.json width)',
+      'Parallel common event 1 (Clock) was removed; saves made while it existed fail to load (CommonEvents.json [1])'
+    ]);
+
+    delete newDatabase.maps[1];
+    expect(getTypes(checkSaveCompatibility(createDatabase(), newDatabase))[0]).toEqual(['save_removed_entry', 'MapInfos.json', '[1]']);
+  });
+
+  test('checks the IDs and switches of a sample save against the new version', () => {
+    const newDatabase = createDatabase();
+    newDatabase.items.pop();
+    newDatabase.system.switches[1] = 'Bridge built';
+    const save = {
+      filePath: 'file1.rpgsave',
+      contents: {
+        party: { _actors: [1], _items: { 2: 1 } },
+        actors: { _data: [null, { _actorId: 1, _name: 'Harold', _classId: 0, _skills: [], _equips: [] }] },
+        switches: { _data: [null, true] },
+        map: { _mapId: 1 },
+        player: { _x: 30, _y: 2, _transferring: false }
+      }
+    };
+
+    const issues = checkSaveCompatibility(createDatabase(), newDatabase, { save }).filter(issue => issue.file === 'file1.rpgsave');
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'Party inventory refers to item 2, which does not exist in the new version (file1.rpgsave party._items[2])',
+      'Player position 30, 2 is outside map 1, which is 20x15 in the new version (file1.rpgsave map._mapId)',
+      'The save has switch 1 set to true, but it is used for something else in the new version (file1.rpgsave switches._data[1])'
+    ]);
+  });
+});
+
+describe('analyzeSaveCompatibility', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-save-compatibility-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('compares two data directories and checks a save file', async () => {
+    const database = createDatabase();
+    await fs.outputJson(path.join(tempDir, 'old', 'Items.json'), database.items);
+    await fs.outputJson(path.join(tempDir, 'new', 'Items.json'), database.items.slice(0, 2));
+    const savePath = path.join(tempDir, 'file1.rpgsave');
+    await fs.writeFile(savePath, LZString.compressToBase64('{"party":{"_items":{"2":1,"@c":3},"@c":2},"@c":1}'), 'utf8');
+
+    const issues = await analyzeSaveCompatibility(path.join(tempDir, 'old'), path.join(tempDir, 'new'), { savePath });
+
+    expect(getTypes(issues)).toEqual([
+      ['save_removed_entry', 'Items.json', '[2]'],
+      ['save_invalid_reference', savePath, 'party._items[2]']
+    ]);
+  });
+
+  test('rejects a data directory that does not exist', async () => {
+    const dataPath = path.join(tempDir, 'missing');
+
+    await expect(analyzeSaveCompatibility(dataPath, tempDir)).rejects.toThrow(`Data directory not found: ${dataPath}`);
+  });
+});
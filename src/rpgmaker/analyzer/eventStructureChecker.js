@@ -0,0 +1,336 @@
+/**
+ * RPG Maker MV Event Structure Checker
+ *
+ * This module checks that event command lists in common events, troops and maps are
+ * well-formed, the way the editor writes them:
+ * - Conditional Branch (111), Show Choices (102), Loop (112) and branching Battle Processing (301)
+ *   are closed by their end command at the same indent
+ * - Each block body ends with code 0, one indent deeper than the block
+ * - Show Choices has one When (402) per choice, and When Cancel (403) only when cancel branches
+ * - Continuation lines (401, 405, 408, 655, and 657 of the RPG Maker MZ Plugin Command) follow
+ *   the command they belong to
+ * - Every list ends with code 0 at indent 0
+ * The editor crashes on lists that break these rules, without saying where the problem is.
+ */
+
+const { loadDatabase, forEachEventList } = require('./referenceChecker');
+
+/**
+ * Names of the event commands that take part in list structure
+ * @type {Object}
+ */
+const CommandNames = {
+  0: 'End of block',
+  101: 'Show Text',
+  102: 'Show Choices',
+  105: 'Show Scrolling Text',
+  108: 'Comment',
+  111: 'Conditional Branch',
+  112: 'Loop',
+  301: 'Battle Processing',
+  355: 'Script',
+  357: 'Plugin Command',
+  401: 'Text line',
+  402: 'When',
+  403: 'When Cancel',
+  404: 'End of Choices',
+  405: 'Scrolling Text line',
+  408: 'Comment line',
+  411: 'Else',
+  412: 'End of Branch',
+  413: 'Repeat Above',
+  601: 'If Win',
+  602: 'If Escape',
+  603: 'If Lose',
+  604: 'End of Battle Branches',
+  655: 'Script line',
+  657: 'Plugin Command line'
+};
+
+/**
+ * Continuation codes and the command they continue
+ * @type {Object}
+ */
+const CONTINUATIONS = {
+  401: 101,
+  405: 105,
+  408: 108,
+  655: 355,
+  657: 357
+};
+
+/**
+ * Block commands with their branch and end codes
+ * @type {Object}
+ */
+const BLOCKS = {
+  111: { branches: [411], end: 412, bodyFirst: true },
+  102: { branches: [402, 403], end: 404, bodyFirst: false },
+  112: { branches: [], end: 413, bodyFirst: true },
+  301: { branches: [601, 602, 603], end: 604, bodyFirst: false }
+};
+
+/**
+ * Describe an event command code for messages
+ * @param {number} code - Command code
+ * @returns {string} - Description, such as "Conditional Branch (111)"
+ */
+function describeCode(code) {
+  return CommandNames[code] ? `${CommandNames[code]} (${code})` : `Command ${code}`;
+}
+
+/**
+ * Find the block command that a branch or end code belongs to
+ * @param {number} code - Branch or end code
+ * @returns {number|null} - Block command code, or null if the code is not a branch or end
+ */
+function getBlockCode(code) {
+  for (const [blockCode, block] of Object.entries(BLOCKS)) {
+    if (block.end === code || block.branches.includes(code)) {
+      return Number(blockCode);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a command opens a block
+ * @param {Object} command - Event command
+ * @returns {boolean} - Whether the command opens a block
+ */
+function opensBlock(command) {
+  if (!BLOCKS[command.code]) {
+    return false;
+  }
+  // Battle Processing only has branches when the battle can be escaped or lost
+  if (command.code === 301) {
+    return !!(command.parameters[2] || command.parameters[3]);
+  }
+  return true;
+}
+
+/**
+ * Check the branches of a closed Show Choices or Battle Processing block
+ * @param {Object} block - Closed block
+ * @param {Function} report - Records an issue (index, message)
+ */
+function checkBranches(block, report) {
+  const count = code => block.branches.filter(branchCode => branchCode === code).length;
+  const parameters = block.command.parameters;
+
+  if (block.code === 102) {
+    const choices = parameters[0];
+    if (Array.isArray(choices) && count(402) !== choices.length) {
+      report(block.index, `${describeCode(102)} has ${choices.length} choices but ${count(402)} When (402) blocks`);
+    }
+    // Cancel type -2 is "Branch"; only then is there a When Cancel block
+    const cancelBranches = parameters[1] === -2;
+    if (cancelBranches && count(403) === 0) {
+      report(block.index, `${describeCode(102)} branches on cancel but has no When Cancel (403) block`);
+    } else if (!cancelBranches && count(403) > 0) {
+      report(block.index, `${describeCode(102)} has a When Cancel (403) block but does not branch on cancel`);
+    }
+  } else if (block.code === 301) {
+    const expected = { 601: true, 602: !!parameters[2], 603: !!parameters[3] };
+    for (const [branchCode, wanted] of Object.entries(expected)) {
+      const present = count(Number(branchCode)) > 0;
+      if (wanted && !present) {
+        report(block.index, `${describeCode(301)} has no ${describeCode(Number(branchCode))} branch`);
+      } else if (!wanted && present) {
+        report(block.index, `${describeCode(301)} has an ${describeCode(Number(branchCode))} branch, but the battle cannot end that way`);
+      }
+    }
+  }
+}
+
+/**
+ * Check the structure of one event command list
+ * @param {Object[]} list - Event commands
+ * @param {string} file - File the list is in
+ * @param {string} listPath - Path of the list
+ * @returns {Object[]} - Structure issues
+ */
+function checkEventList(list, file, listPath) {
+  const issues = [];
+  const report = (index, message) => {
+    const commandPath = index === null ? listPath : `${listPath}[${index}]`;
+    issues.push({
+      type: 'invalid_event_structure',
+      message: `${message} (${file} ${commandPath})`,
+      file,
+      path: commandPath,
+      line: 0,
+      column: 0,
+      severity: 'error',
+      fixable: false
+    });
+  };
+
+  // Open blocks: the command, whether a body is open and whether that body has ended with code 0
+  const stack = [];
+  let listEnded = false;
+
+  list.forEach((command, index) => {
+    if (!command || typeof command.code !== 'number' || !Array.isArray(command.parameters)) {
+      report(index, 'Event command is not an object with a numeric code and a parameters array');
+      return;
+    }
+
+    const code = command.code;
+    if (listEnded) {
+      report(index, `${describeCode(code)} comes after the code 0 that ends the list`);
+      listEnded = false;
+    }
+
+    // Continuation lines belong to the command right before them
+    if (CONTINUATIONS[code]) {
+      const previous = list[index - 1];
+      if (!previous || (previous.code !== CONTINUATIONS[code] && previous.code !== code)) {
+        report(index, `${describeCode(code)} does not follow ${describeCode(CONTINUATIONS[code])}`);
+      } else if (command.indent !== previous.indent) {
+        report(index, `${describeCode(code)} has indent ${command.indent}, but ${describeCode(previous.code)} before it has indent ${previous.indent}`);
+      }
+      return;
+    }
+
+    // Branch and end commands close the body before them
+    const blockCode = getBlockCode(code);
+    if (blockCode !== null) {
+      let blockIndex = stack.length - 1;
+      while (blockIndex >= 0 && !(stack[blockIndex].code === blockCode && stack[blockIndex].indent === command.indent)) {
+        blockIndex--;
+      }
+      if (blockIndex < 0) {
+        report(index, `${describeCode(code)} has no ${describeCode(blockCode)} at indent ${command.indent} to belong to`);
+        return;
+      }
+
+      // Blocks opened inside this one were never closed
+      while (stack.length - 1 > blockIndex) {
+        const unclosed = stack.pop();
+        report(unclosed.index, `${describeCode(unclosed.code)} has no matching ${describeCode(BLOCKS[unclosed.code].end)}`);
+      }
+
+      const block = stack[blockIndex];
+      if (block.inBody && !block.terminated) {
+        report(index, `The block body before ${describeCode(code)} does not end with code 0 at indent ${block.indent + 1}`);
+      }
+
+      if (code === BLOCKS[blockCode].end) {
+        stack.pop();
+        if (!BLOCKS[blockCode].bodyFirst && block.branches.length === 0) {
+          report(block.index, `${describeCode(blockCode)} has no branches`);
+        }
+        checkBranches(block, report);
+      } else {
+        if (code === 411 && block.branches.includes(411)) {
+          report(index, `${describeCode(111)} has more than one ${describeCode(411)}`);
+        }
+        block.branches.push(code);
+        block.inBody = true;
+        block.terminated = false;
+        block.strayReported = false;
+      }
+      return;
+    }
+
+    const top = stack[stack.length - 1];
+
+    if (code === 0) {
+      // The last command ends the list; blocks still open are reported after the loop
+      if (index === list.length - 1 && command.indent === 0) {
+        return;
+      }
+      // A code 0 that ends the body of an outer block means the blocks inside it were never closed
+      const outerIndex = stack.findIndex(block => block.inBody && !block.terminated && block.indent + 1 === command.indent);
+      if (outerIndex >= 0 && outerIndex < stack.length - 1) {
+        while (stack.length - 1 > outerIndex) {
+          const unclosed = stack.pop();
+          report(unclosed.index, `${describeCode(unclosed.code)} has no matching ${describeCode(BLOCKS[unclosed.code].end)}`);
+        }
+        stack[outerIndex].terminated = true;
+      } else if (top && top.inBody && !top.terminated) {
+        if (command.indent !== top.indent + 1) {
+          report(index, `${describeCode(0)} has indent ${command.indent}, expected ${top.indent + 1}`);
+        }
+        top.terminated = true;
+      } else if (!top && command.indent === 0) {
+        report(index, `${describeCode(0)} ends the list before its last command`);
+        listEnded = true;
+      } else {
+        report(index, `${describeCode(0)} at indent ${command.indent} does not end a block body`);
+      }
+      return;
+    }
+
+    if (top && !top.inBody) {
+      report(index, `${describeCode(top.code)} is not followed by ${describeCode(BLOCKS[top.code].branches[0])}`);
+      top.inBody = true;
+    } else if (top && top.terminated && !top.strayReported) {
+      report(index, `${describeCode(code)} comes after the code 0 that ends the ${describeCode(top.code)} body`);
+      top.strayReported = true;
+    }
+
+    const expectedIndent = top ? top.indent + 1 : 0;
+    if (command.indent !== expectedIndent) {
+      report(index, `${describeCode(code)} has indent ${command.indent}, expected ${expectedIndent}`);
+    }
+
+    if (opensBlock(command)) {
+      stack.push({
+        code,
+        command,
+        index,
+        indent: command.indent,
+        branches: [],
+        inBody: BLOCKS[code].bodyFirst,
+        terminated: false,
+        strayReported: false
+      });
+    }
+  });
+
+  while (stack.length > 0) {
+    const unclosed = stack.pop();
+    report(unclosed.index, `${describeCode(unclosed.code)} has no matching ${describeCode(BLOCKS[unclosed.code].end)}`);
+  }
+
+  const last = list[list.length - 1];
+  if (!last || last.code !== 0 || last.indent !== 0) {
+    report(list.length > 0 ? list.length - 1 : null, 'The list does not end with code 0 at indent 0');
+  }
+
+  return issues;
+}
+
+/**
+ * Check the structure of every event command list in a database
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object[]} - Structure issues
+ */
+function checkEventStructure(database) {
+  const issues = [];
+
+  forEachEventList(database, (list, file, listPath) => {
+    issues.push(...checkEventList(list, file, listPath));
+  });
+
+  return issues;
+}
+
+/**
+ * Check the structure of every event command list in a data directory
+ * @param {string|Object} dataPath - Path to the data directory, or a project database
+ * @returns {Promise<Object[]>} - Structure issues
+ */
+async function analyzeEventStructure(dataPath) {
+  const database = await loadDatabase(dataPath);
+  return checkEventStructure(database);
+}
+
+module.exports = {
+  CommandNames,
+  checkEventList,
+  checkEventStructure,
+  analyzeEventStructure
+};
@@ -0,0 +1,375 @@
+/**
+ * RPG Maker MV Analyzer Fixer
+ *
+ * This module applies the fixes of rules whose issues are marked fixable. Each fix is made on
+ * the file content the issue was found in, then confirmed by running the analysis again:
+ * - The fixed rule must report fewer issues than before
+ * - No other rule may report more issues than before
+ * - A file that was valid JSON must stay valid, and an invalid file must not get worse
+ * - Every script in a note field that the fix changed must still compile; the eval notetags of a
+ *   note are its scripts, and a note without them is compiled as one script
+ * Fixes that fail a check are undone and reported with the reason, as are issues whose rule
+ * cannot fix them safely.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const rules = require('./rules');
+const fixTransaction = require('../dataFixer/transaction');
+const { EVAL_NOTETAG_PATTERN, checkScriptSyntax } = require('../jsAnalyzer/scriptSyntaxChecker');
+
+/**
+ * Find where JSON content stops parsing
+ * @param {string} content - JSON content
+ * @returns {number} - Character index of the parse error, or -1 if the content is valid
+ */
+function getParseErrorPosition(content) {
+  try {
+    JSON.parse(content.replace(/^\uFEFF/, ''));
+    return -1;
+  } catch (error) {
+    const match = error.message.match(/position (\d+)/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+}
+
+/**
+ * Collect the scripts in the note fields of JSON content
+ * @param {string} content - JSON content
+ * @returns {Object|null} - Scripts by note path and notetag, such as "[3].note <Custom Show Eval>", or null if the content is not valid JSON
+ */
+function getNoteScripts(content) {
+  let data;
+  try {
+    data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return null;
+  }
+
+  const scripts = {};
+  const walk = (value, valuePath) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${valuePath}[${index}]`));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = valuePath ? `${valuePath}.${key}` : key;
+      if (key === 'note' && typeof child === 'string') {
+        const regex = new RegExp(EVAL_NOTETAG_PATTERN.source, EVAL_NOTETAG_PATTERN.flags);
+        let match;
+        let hasTags = false;
+        while ((match = regex.exec(child)) !== null) {
+          // A notetag used more than once is numbered from its second use
+          const label = `${childPath} <${match[1]}>`;
+          let scriptPath = label;
+          for (let count = 2; scriptPath in scripts; count++) {
+            scriptPath = `${label} ${count}`;
+          }
+          scripts[scriptPath] = match[2];
+          hasTags = true;
+        }
+        if (!hasTags) {
+          scripts[childPath] = child;
+        }
+      } else {
+        walk(child, childPath);
+      }
+    }
+  };
+  walk(data, '');
+  return scripts;
+}
+
+/**
+ * Count the issues of each rule in file content
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @param {Object} settings - Rule settings
+ * @returns {Object} - Issue counts by rule ID
+ */
+function countIssues(filePath, content, settings) {
+  const counts = {};
+  for (const issue of rules.runFileRules(filePath, content, settings)) {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Check that a fix resolved its issue without breaking anything else
+ * @param {Object} before - State before the fix (counts, parseError, scripts)
+ * @param {Object} after - State after the fix (counts, parseError, scripts)
+ * @param {string} ruleId - ID of the rule whose fix was applied
+ * @returns {string|null} - Reason the fix is rejected, or null if it is confirmed
+ */
+function verifyFix(before, after, ruleId) {
+  if (before.parseError === -1 && after.parseError !== -1) {
+    return 'The fix would make the file invalid JSON';
+  }
+  if (before.parseError !== -1 && after.parseError !== -1 && after.parseError < before.parseError) {
+    return 'The fix would move the JSON error earlier in the file';
+  }
+  if ((after.counts[ruleId] || 0) >= (before.counts[ruleId] || 0)) {
+    return 'The issue is still reported after the fix';
+  }
+
+  const worse = Object.keys(after.counts).filter(id => id !== ruleId && after.counts[id] > (before.counts[id] || 0));
+  if (worse.length > 0) {
+    return `The fix would introduce new issues (${worse.join(', ')})`;
+  }
+
+  // Scripts can only be matched up when the file was valid JSON before the fix as well
+  if (before.scripts && after.scripts) {
+    for (const [scriptPath, code] of Object.entries(after.scripts)) {
+      if (before.scripts[scriptPath] === code) continue;
+      const error = checkScriptSyntax(code);
+      if (error) {
+        return `The fix would leave a syntax error in the script in ${scriptPath}: ${error.message}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply and confirm the fixes for one analysis result
+ * @param {Object} result - Analysis result of one file
+ * @param {string} content - Current content of the file
+ * @param {string[]} ruleIds - IDs of the rules to fix
+ * @param {Object} settings - Rule settings, with every rule to fix enabled
+ * @returns {Object} - Fixed content, fixed issues and unfixed issues with reasons
+ */
+function fixContent(result, content, ruleIds, settings) {
+  const fixed = [];
+  const unfixed = [];
+
+  const candidates = result.issues.filter(issue => issue.fixable && ruleIds.includes(issue.type));
+
+  // Work from the end of the file, so fixes do not move the positions of issues before them
+  const ordered = candidates
+    .filter(issue => typeof issue.index === 'number')
+    .sort((a, b) => b.index - a.index);
+  for (const issue of candidates) {
+    if (typeof issue.index !== 'number') {
+      unfixed.push({ issue, reason: 'The issue has no position in the file' });
+    }
+  }
+
+  let state = {
+    counts: countIssues(result.file, content, settings),
+    parseError: getParseErrorPosition(content),
+    scripts: getNoteScripts(content)
+  };
+  let changedFrom = Infinity;
+
+  for (const issue of ordered) {
+    const rule = rules.getRule(issue.type);
+    if (!rule || typeof rule.fix !== 'function') {
+      unfixed.push({ issue, reason: `Rule ${issue.type} has no fix` });
+      continue;
+    }
+    if (issue.index + issue.length > changedFrom) {
+      unfixed.push({ issue, reason: 'The issue overlaps text changed by another fix; run the fixes again' });
+      continue;
+    }
+
+    const setting = settings[rule.id] || {};
+    const outcome = rule.fix({ content, issue, options: setting.options || {} }) || {};
+    if (typeof outcome.content !== 'string' || outcome.content === content) {
+      unfixed.push({ issue, reason: outcome.reason || 'The rule made no change' });
+      continue;
+    }
+
+    const next = {
+      counts: countIssues(result.file, outcome.content, settings),
+      parseError: getParseErrorPosition(outcome.content),
+      scripts: getNoteScripts(outcome.content)
+    };
+    const reason = verifyFix(state, next, rule.id);
+    if (reason) {
+      unfixed.push({ issue, reason });
+      continue;
+    }
+
+    content = outcome.content;
+    state = next;
+    changedFrom = issue.index;
+    fixed.push(issue);
+  }
+
+  return { content, fixed, unfixed };
+}
+
+/**
+ * Find the deepest directory that contains every file
+ * @param {string[]} filePaths - Paths to files
+ * @returns {string} - Absolute path of the directory
+ */
+function getCommonDirectory(filePaths) {
+  const [first, ...rest] = filePaths.map(filePath => path.dirname(path.resolve(filePath)).split(path.sep));
+  let length = first.length;
+  for (const parts of rest) {
+    let shared = 0;
+    while (shared < length && shared < parts.length && parts[shared] === first[shared]) {
+      shared++;
+    }
+    length = shared;
+  }
+  return first.slice(0, length).join(path.sep) || path.sep;
+}
+
+/**
+ * Apply the fixes for fixable issues in analysis results
+ *
+ * Files that changed since they were analyzed are skipped. Unless it is a dry run, the fixed
+ * files are written together as one transaction with backups (see dataFixer/transaction.js).
+ * @param {Object[]} results - Analysis results from analyzeFiles or analyzeProject
+ * @param {Object} options - Options
+ * @param {string[]} options.rules - IDs of the rules to fix (default: every rule with a fix)
+ * @param {Object} options.ruleSettings - Rule settings used to confirm the fixes (default: every rule's defaults)
+ * @param {boolean} options.dryRun - Write nothing and return a unified diff of the fixes instead
+ * @param {string} options.dataPath - Data directory the files are in; backups are named by the path of each file in it (default: the directory all fixed files are in)
+ * @param {string} options.backupDir - Directory for backups and the manifest (default: backups/fix-<timestamp> next to the data directory)
+ * @returns {Promise<Object>} - Fix results (files, fixedIssues, unfixedIssues, transaction or diff)
+ */
+async function applyFixes(results, options = {}) {
+  const {
+    rules: ruleIds = rules.getRules().filter(rule => typeof rule.fix === 'function').map(rule => rule.id),
+    ruleSettings = rules.resolveRuleSettings(),
+    dryRun = false
+  } = options;
+
+  for (const id of ruleIds) {
+    if (!rules.getRule(id)) {
+      throw new Error(`Unknown analyzer rule: ${id}`);
+    }
+  }
+
+  // The rules being fixed are counted even if the settings turn them off
+  const settings = { ...ruleSettings };
+  for (const id of ruleIds) {
+    settings[id] = { ...(settings[id] || { severity: rules.getRule(id).severity, options: {} }), enabled: true };
+  }
+
+  const files = [];
+  const writes = [];
+  for (const result of results) {
+    const candidates = result.issues.filter(issue => issue.fixable && ruleIds.includes(issue.type));
+    if (candidates.length === 0) continue;
+
+    const current = await fs.pathExists(result.file) ? await fs.readFile(result.file, 'utf8') : null;
+    if (current !== result.content) {
+      files.push({
+        file: result.file,
+        changed: false,
+        fixed: [],
+        unfixed: candidates.map(issue => ({ issue, reason: 'The file changed since it was analyzed; analyze it again' })),
+        remaining: result.issues
+      });
+      continue;
+    }
+
+    const { content, fixed, unfixed } = fixContent(result, current, ruleIds, settings);
+
+    // Analyze the fixed content again to report what is left; project rule issues are kept as they were
+    const remaining = [
+      ...rules.runFileRules(result.file, content, ruleSettings),
+      ...result.issues.filter(issue => (rules.getRule(issue.type) || {}).scope === 'project')
+    ];
+
+    const fileResult = {
+      file: result.file,
+      changed: content !== current,
+      fixed,
+      unfixed,
+      remaining
+    };
+    if (dryRun && fileResult.changed) {
+      const label = result.file.split(path.sep).join('/');
+      fileResult.diff = createTwoFilesPatch(label, label, current, content, undefined, undefined, { context: 3 });
+    }
+    files.push(fileResult);
+
+    if (fileResult.changed) {
+      writes.push({ outputPath: result.file, content });
+    }
+  }
+
+  const fixResult = {
+    files,
+    fixedIssues: files.reduce((sum, file) => sum + file.fixed.length, 0),
+    unfixedIssues: files.reduce((sum, file) => sum + file.unfixed.length, 0)
+  };
+
+  if (dryRun) {
+    fixResult.dryRun = true;
+    fixResult.diff = files.map(file => file.diff || '').join('');
+  } else if (writes.length > 0) {
+    const dataDir = options.dataPath || getCommonDirectory(writes.map(write => write.outputPath));
+    // Files of the same name in different directories (recursive mode) must not share a backup
+    for (const write of writes) {
+      write.file = path.relative(dataDir, write.outputPath);
+    }
+    fixResult.transaction = await fixTransaction.commitFiles(writes, {
+      backupDir: options.backupDir || fixTransaction.getDefaultBackupDir(dataDir),
+      metadata: {
+        sourceDir: path.resolve(dataDir),
+        rules: ruleIds
+      }
+    });
+  }
+
+  return fixResult;
+}
+
+/**
+ * Generate a Markdown report of applied fixes
+ * @param {Object} fixResult - Results from applyFixes
+ * @returns {string} - Markdown report
+ */
+function generateAppliedFixesReport(fixResult) {
+  let report = '# Applied Fixes Report\n\n';
+
+  report += '## Summary\n\n';
+  report += `- Files: ${fixResult.files.length}\n`;
+  report += `- Changed Files: ${fixResult.files.filter(file => file.changed).length}\n`;
+  report += `- Fixed Issues: ${fixResult.fixedIssues}\n`;
+  report += `- Unfixed Issues: ${fixResult.unfixedIssues}\n`;
+  if (fixResult.transaction && !fixResult.transaction.committed) {
+    report += `- Error: ${fixResult.transaction.error}\n`;
+  }
+  report += '\n';
+
+  for (const file of fixResult.files) {
+    report += `## ${path.basename(file.file)}\n\n`;
+
+    if (file.fixed.length > 0) {
+      report += '### Fixed\n\n';
+      for (const issue of file.fixed) {
+        report += `- ${issue.type} at line ${issue.line}, column ${issue.column}: ${issue.message}\n`;
+      }
+      report += '\n';
+    }
+
+    if (file.unfixed.length > 0) {
+      report += '### Not Fixed\n\n';
+      for (const { issue, reason } of file.unfixed) {
+        report += `- ${issue.type} at line ${issue.line}, column ${issue.column}: ${reason}\n`;
+      }
+      report += '\n';
+    }
+
+    report += `Issues remaining after fixing: ${file.remaining.length}\n\n`;
+  }
+
+  return report;
+}
+
+module.exports = {
+  applyFixes,
+  generateAppliedFixesReport
+};
@@ -3,43 +3,63 @@
  * 
  * This module provides utilities for analyzing RPG Maker MV projects.
  * It can analyze JSON files, project structure, and identify common issues.
+ * The checks themselves are rules from the registry in rules.js, which can be
+ * configured per project and extended with custom rules.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const glob = require('glob');
 const { parseJson, stringifyJson } = require('../../core');
+const referenceChecker = require('./referenceChecker');
+const eventStructureChecker = require('./eventStructureChecker');
+const pluginParameterChecker = require('./pluginParameterChecker');
+const pluginCommandChecker = require('./pluginCommandChecker');
+const pluginOrderChecker = require('./pluginOrderChecker');
+const saveCompatibilityChecker = require('./saveCompatibilityChecker');
+const rules = require('./rules');
+const reporters = require('./reporters');
+const fixer = require('./fixer');
+const suppressions = require('./suppressions');
+const watcher = require('./watcher');
+const analysisCache = require('../utils/analysisCache');
+const { detectProjectType } = require('../utils/projectType');
+const { isProjectDatabase } = require('../utils/projectDatabase');
+const jsonWriter = require('../utils/jsonWriter');
 
 /**
  * Analyze a JSON file for issues
  * @param {string} filePath - Path to the file
  * @param {string} content - File content
+ * @param {Object} options - Options
+ * @param {Object} options.ruleSettings - Rule settings from resolveRuleSettings (default: every rule's defaults)
+ * @param {Object} options.cache - Analysis cache from openCache, to reuse the issues of unchanged content
  * @returns {Object} - Analysis result
  */
-function analyzeJsonFile(filePath, content) {
-  const issues = [];
-  let fixable = true;
+function analyzeJsonFile(filePath, content, options = {}) {
+  const { ruleSettings = rules.resolveRuleSettings(), cache = null } = options;
   
-  // Check for missing commas between properties
-  const missingCommas = findMissingCommas(content);
-  issues.push(...missingCommas);
+  // Rules may look at the file name, so it is part of the key along with the rules and the content
+  const cacheKey = cache
+    ? analysisCache.hashContent(`${rules.getRulesFingerprint(ruleSettings)}\n${path.basename(filePath)}\n${content}`)
+    : null;
+  const cached = cache ? analysisCache.getCacheEntry(cache, 'fileRules', cacheKey) : undefined;
+  if (cached) {
+    return {
+      file: filePath,
+      content,
+      issues: cached.issues,
+      fixable: cached.fixable
+    };
+  }
   
-  // Check for JavaScript issues in note fields
-  const jsIssues = findJavaScriptIssues(content);
-  issues.push(...jsIssues);
+  const issues = rules.runFileRules(filePath, content, ruleSettings);
   
-  // Check if file is valid JSON
-  try {
-    JSON.parse(content);
-  } catch (error) {
-    issues.push({
-      type: 'invalid_json',
-      message: `Invalid JSON: ${error.message}`,
-      line: 0,
-      column: 0,
-      severity: 'error'
-    });
-    fixable = false;
+  // Files that are not valid JSON cannot be fixed automatically, even if that rule is turned off
+  const fixable = parseJson(content.replace(/^\uFEFF/, '')) !== null;
+  
+  if (cache) {
+    analysisCache.setCacheEntry(cache, 'fileRules', cacheKey, { issues, fixable });
   }
   
   return {
@@ -50,161 +70,21 @@ function analyzeJsonFile(filePath, content) {
   };
 }
 
-/**
- * Find missing commas between properties in JSON
- * @param {string} content - File content
- * @returns {Object[]} - List of issues
- */
-function findMissingCommas(content) {
-  const issues = [];
-  const regex = /"([a-zA-Z0-9_]+)":([^,\s}])\s*"([a-zA-Z0-9_]+)":/g;
-  let match;
-  
-  while ((match = regex.exec(content)) !== null) {
-    const [fullMatch, prop1, value, prop2] = match;
-    
-    issues.push({
-      type: 'missing_comma',
-      message: `Missing comma between "${prop1}" and "${prop2}"`,
-      line: getLineNumber(content, match.index),
-      column: getColumnNumber(content, match.index),
-      index: match.index,
-      length: fullMatch.length,
-      prop1,
-      value,
-      prop2,
-      severity: 'error',
-      fixable: true
-    });
-  }
-  
-  return issues;
-}
-
-/**
- * Find JavaScript issues in note fields
- * @param {string} content - File content
- * @returns {Object[]} - List of issues
- */
-function findJavaScriptIssues(content) {
-  const issues = [];
-  const noteRegex = /"note":"((?:\\"|[^"])*)"/g;
-  let match;
-  
-  while ((match = noteRegex.exec(content)) !== null) {
-    const [fullMatch, noteContent] = match;
-    
-    // Skip empty notes
-    if (!noteContent) continue;
-    
-    // Check for missing semicolons
-    const semicolonRegex = /([^;{])\s*\n\s*([a-zA-Z$_])/g;
-    let semicolonMatch;
-    
-    while ((semicolonMatch = semicolonRegex.exec(noteContent)) !== null) {
-      issues.push({
-        type: 'missing_semicolon',
-        message: 'Missing semicolon in JavaScript code',
-        line: getLineNumber(content, match.index + semicolonMatch.index + 7), // 7 for "note":"
-        column: getColumnNumber(content, match.index + semicolonMatch.index + 7),
-        index: match.index + semicolonMatch.index + 7,
-        length: semicolonMatch[0].length,
-        severity: 'warning',
-        fixable: true
-      });
-    }
-    
-    // Check for unescaped quotes
-    const quoteRegex = /([^\\])"/g;
-    let quoteMatch;
-    
-    while ((quoteMatch = quoteRegex.exec(noteContent)) !== null) {
-      if (quoteMatch[0] === '\\"') continue; // Already escaped
-      
-      issues.push({
-        type: 'unescaped_quote',
-        message: 'Unescaped quote in JavaScript code',
-        line: getLineNumber(content, match.index + quoteMatch.index + 7),
-        column: getColumnNumber(content, match.index + quoteMatch.index + 7),
-        index: match.index + quoteMatch.index + 7,
-        length: quoteMatch[0].length,
-        severity: 'error',
-        fixable: true
-      });
-    }
-    
-    // Check for arrow functions
-    const arrowRegex = /\(([^)]*)\)\s*=>\s*{/g;
-    let arrowMatch;
-    
-    while ((arrowMatch = arrowRegex.exec(noteContent)) !== null) {
-      issues.push({
-        type: 'arrow_function',
-        message: 'Arrow function used in JavaScript code (may not be supported by older plugins)',
-        line: getLineNumber(content, match.index + arrowMatch.index + 7),
-        column: getColumnNumber(content, match.index + arrowMatch.index + 7),
-        index: match.index + arrowMatch.index + 7,
-        length: arrowMatch[0].length,
-        severity: 'warning',
-        fixable: true
-      });
-    }
-    
-    // Check for let/const declarations
-    const varRegex = /\b(let|const)\b\s+([a-zA-Z$_][a-zA-Z0-9$_]*)/g;
-    let varMatch;
-    
-    while ((varMatch = varRegex.exec(noteContent)) !== null) {
-      issues.push({
-        type: 'modern_var_declaration',
-        message: `"${varMatch[1]}" used in JavaScript code (may not be supported by older plugins)`,
-        line: getLineNumber(content, match.index + varMatch.index + 7),
-        column: getColumnNumber(content, match.index + varMatch.index + 7),
-        index: match.index + varMatch.index + 7,
-        length: varMatch[0].length,
-        severity: 'warning',
-        fixable: true
-      });
-    }
-  }
-  
-  return issues;
-}
-
-/**
- * Get line number for a position in text
- * @param {string} text - Text content
- * @param {number} index - Character index
- * @returns {number} - Line number (1-based)
- */
-function getLineNumber(text, index) {
-  const lines = text.substring(0, index).split('\n');
-  return lines.length;
-}
-
-/**
- * Get column number for a position in text
- * @param {string} text - Text content
- * @param {number} index - Character index
- * @returns {number} - Column number (1-based)
- */
-function getColumnNumber(text, index) {
-  const lines = text.substring(0, index).split('\n');
-  return lines[lines.length - 1].length + 1;
-}
-
 /**
  * Analyze a single RPG Maker MV data file
  * @param {string} filePath - Path to the file
+ * @param {Object} options - Options
+ * @param {Object} options.ruleSettings - Rule settings from resolveRuleSettings (default: every rule's defaults)
+ * @param {Object} options.cache - Analysis cache from openCache, to reuse the issues of unchanged files
  * @returns {Promise<Object>} - Analysis result
  */
-async function analyzeFile(filePath) {
+async function analyzeFile(filePath, options = {}) {
   try {
     // Read file content
     const content = await fs.readFile(filePath, 'utf8');
     
     // Analyze file
-    return analyzeJsonFile(filePath, content);
+    return analyzeJsonFile(filePath, content, options);
   } catch (error) {
     return {
       file: filePath,
@@ -228,13 +108,16 @@ async function analyzeFile(filePath) {
  * @param {boolean} options.recursive - Whether to process files recursively
  * @param {string[]} options.include - File patterns to include
  * @param {string[]} options.exclude - File patterns to exclude
+ * @param {Object} options.ruleSettings - Rule settings from resolveRuleSettings (default: every rule's defaults)
+ * @param {Object} options.cache - Analysis cache from openCache, to reuse the issues of unchanged files
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzeFiles(dirPath, options = {}) {
   const {
     recursive = false,
-    include = ['*.json'],
-    exclude = []
+    exclude = [],
+    ruleSettings = rules.resolveRuleSettings(),
+    cache = null
   } = options;
   
   // Get all JSON files
@@ -249,7 +132,7 @@ async function analyzeFiles(dirPath, options = {}) {
   const results = [];
   for (const file of files) {
     const filePath = path.join(dirPath, file);
-    const result = await analyzeFile(filePath);
+    const result = await analyzeFile(filePath, { ruleSettings, cache });
     results.push(result);
   }
   
@@ -298,13 +181,27 @@ function generateSummary(results) {
 }
 
 /**
- * Analyze an RPG Maker MV project
- * @param {string} projectPath - Path to the project
+ * Analyze an RPG Maker MV or RPG Maker MZ project
+ *
+ * A project database is analyzed as it is in memory: files with unsaved changes are checked
+ * as they would be saved, and project rules see the changed data.
+ * @param {string|Object} projectPath - Path to the data directory of the project, or a project database
  * @param {Object} options - Options
+ * @param {string} options.projectType - Project type (mv, mz), which decides the rules that apply (default: detected from the project)
  * @param {boolean} options.recursive - Whether to process files recursively
  * @param {string[]} options.include - File patterns to include
  * @param {string[]} options.exclude - File patterns to exclude
  * @param {string} options.outputDir - Directory to write the analysis results to
+ * @param {boolean} options.checkReferences - Whether to check ID references between files (default: true)
+ * @param {Object} options.config - Analyzer config (default: loaded from .rpgmaker-analyzer.json)
+ * @param {string} options.configPath - Path to the analyzer config file
+ * @param {string[]} options.formats - Formats to write to outputDir (json, html, sarif, junit; default: json and html)
+ * @param {string} options.baseDir - Directory that SARIF and JUnit file locations are relative to (default: current directory)
+ * @param {boolean|Object} options.cache - Reuse the results of unchanged files from the on-disk cache (true, or a cache from openCache)
+ * @param {string} options.cacheDir - Cache directory (default: .rpgmaker-cache next to the data directory)
+ * @param {boolean} options.inlineSuppressions - Whether <analyzer-ignore> markers in notes and comments suppress issues (default: true)
+ * @param {boolean|string} options.baseline - Report only issues that are not in a baseline file (true for .rpgmaker-analyzer-baseline.json next to the data directory, or a path)
+ * @param {boolean} options.updateBaseline - Record the current issues in the baseline file instead of comparing with it
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzeProject(projectPath, options = {}) {
@@ -312,47 +209,190 @@ async function analyzeProject(projectPath, options = {}) {
     recursive = false,
     include = ['*.json'],
     exclude = [],
-    outputDir = null
+    outputDir = null,
+    checkReferences = true,
+    configPath = null,
+    formats = ['json', 'html'],
+    baseDir = process.cwd(),
+    cacheDir = undefined,
+    inlineSuppressions = true,
+    baseline = false,
+    updateBaseline = false
   } = options;
   
+  const projectDatabase = isProjectDatabase(projectPath) ? projectPath : null;
+  if (projectDatabase) {
+    projectPath = projectDatabase.dataPath;
+  }
+  
+  const cache = options.cache === true
+    ? await analysisCache.openCache(projectPath, { cacheDir })
+    : options.cache || null;
+  
+  // Resolve which rules run and their severities; some rules only apply to MV or to MZ
+  const config = options.config || await rules.loadConfig(projectPath, configPath);
+  const projectType = options.projectType || await detectProjectType(path.dirname(path.resolve(projectPath)));
+  const ruleSettings = rules.resolveRuleSettings(config, { projectType });
+  if (!checkReferences) {
+    ruleSettings.dangling_reference.enabled = false;
+  }
+  
   // Analyze files
   const results = await analyzeFiles(projectPath, {
     recursive,
     include,
-    exclude
+    exclude,
+    ruleSettings,
+    cache
+  });
+  
+  // Files changed in a project database are checked as they would be written by save()
+  if (projectDatabase) {
+    for (const fileName of projectDatabase.getDirtyFiles()) {
+      const data = projectDatabase.getFile(fileName);
+      if (data === null) continue;
+      
+      const filePath = path.join(projectPath, fileName);
+      const result = analyzeJsonFile(filePath, jsonWriter.formatDataFile(data), { ruleSettings, cache });
+      const index = results.findIndex(r => path.resolve(r.file) === path.resolve(filePath));
+      if (index >= 0) {
+        results[index] = result;
+      } else {
+        results.push(result);
+      }
+    }
+  }
+  
+  // Add issues from project rules to the results of the files they are in
+  const hasProjectRules = rules.getRules().some(rule => rule.scope === 'project' && ruleSettings[rule.id].enabled);
+  if (hasProjectRules) {
+    // Project rules look at the whole database, so their issues are reused only if no file changed
+    let projectIssues;
+    let cacheKey = null;
+    // Unsaved changes in a project database are not in the files the cache key is made from
+    const useCache = cache && !(projectDatabase && projectDatabase.isDirty());
+    if (useCache) {
+      const { fingerprint } = await analysisCache.getDataFingerprint(projectPath);
+      cacheKey = analysisCache.hashContent(`${rules.getRulesFingerprint(ruleSettings)}\n${fingerprint}`);
+      projectIssues = analysisCache.getCacheEntry(cache, 'projectRules', cacheKey);
+    }
+    if (!projectIssues) {
+      const database = await referenceChecker.loadDatabase(projectDatabase || projectPath);
+      projectIssues = await rules.runProjectRules(projectPath, database, ruleSettings);
+      if (useCache) {
+        analysisCache.setCacheEntry(cache, 'projectRules', cacheKey, projectIssues);
+      }
+    }
+    for (const issue of projectIssues) {
+      const filePath = path.join(projectPath, issue.file);
+      let result = results.find(r => path.resolve(r.file) === path.resolve(filePath));
+      if (!result) {
+        result = { file: filePath, content: '', issues: [], fixable: false };
+        results.push(result);
+      }
+      
+      // Project rules report a path; find the line and column it is on
+      if (!issue.line && issue.path !== undefined && result.content) {
+        const index = rules.getPathIndex(result.content, issue.path);
+        if (index >= 0) {
+          issue.line = rules.getLineNumber(result.content, index);
+          issue.column = rules.getColumnNumber(result.content, index);
+        }
+      }
+      result.issues.push(issue);
+    }
+  }
+  
+  // A cache opened here is saved here; a cache that was passed in is saved by its owner
+  if (options.cache === true) {
+    await analysisCache.saveCache(cache);
+  }
+  
+  // Leave out suppressed issues, then the issues the baseline already knows about
+  const suppressedCount = suppressions.applySuppressions(results, {
+    dataPath: projectPath,
+    suppressions: config.suppressions,
+    inline: inlineSuppressions
   });
   
+  let baselineResult = null;
+  if (baseline || updateBaseline) {
+    const baselinePath = typeof baseline === 'string' ? baseline : suppressions.getDefaultBaselinePath(projectPath);
+    if (updateBaseline) {
+      const recorded = suppressions.createBaseline(results, projectPath);
+      await suppressions.saveBaseline(baselinePath, recorded);
+      baselineResult = { filePath: baselinePath, updated: true, issues: recorded.issues.length };
+    } else {
+      const comparison = suppressions.compareWithBaseline(results, await suppressions.loadBaseline(baselinePath), projectPath);
+      baselineResult = { filePath: baselinePath, updated: false, ...comparison };
+    }
+  }
+  
   // Generate summary
   const summary = generateSummary(results);
+  summary.projectType = config.projectType || projectType;
+  summary.suppressedIssues = suppressedCount;
+  if (baselineResult && !baselineResult.updated) {
+    summary.knownIssues = baselineResult.knownIssues;
+    summary.resolvedIssues = baselineResult.resolved.length;
+  }
   
   // Write results to files if outputDir is provided
   if (outputDir) {
     await fs.ensureDir(outputDir);
     
-    // Write detailed results
-    await fs.writeFile(
-      path.join(outputDir, 'analysis-results.json'),
-      stringifyJson(results)
-    );
+    if (formats.includes('json')) {
+      // Write detailed results
+      await fs.writeFile(
+        path.join(outputDir, 'analysis-results.json'),
+        stringifyJson(results)
+      );
+      
+      // Write summary
+      await fs.writeFile(
+        path.join(outputDir, 'analysis-summary.json'),
+        stringifyJson(summary)
+      );
+    }
+    
+    if (formats.includes('html')) {
+      // Generate HTML report
+      const htmlReport = generateHtmlReport(results, summary);
+      await fs.writeFile(
+        path.join(outputDir, 'analysis-report.html'),
+        htmlReport
+      );
+    }
     
-    // Write summary
-    await fs.writeFile(
-      path.join(outputDir, 'analysis-summary.json'),
-      stringifyJson(summary)
-    );
+    if (formats.includes('sarif')) {
+      // Generate SARIF log for code scanning
+      await fs.writeFile(
+        path.join(outputDir, 'analysis-results.sarif'),
+        stringifyJson(reporters.generateSarifReport(results, { baseDir }))
+      );
+    }
     
-    // Generate HTML report
-    const htmlReport = generateHtmlReport(results, summary);
-    await fs.writeFile(
-      path.join(outputDir, 'analysis-report.html'),
-      htmlReport
-    );
+    if (formats.includes('junit')) {
+      // Generate JUnit XML for CI test reports
+      await fs.writeFile(
+        path.join(outputDir, 'analysis-results.junit.xml'),
+        reporters.generateJunitReport(results, { baseDir })
+      );
+    }
   }
   
-  return {
+  const analysis = {
     results,
     summary
   };
+  if (cache) {
+    analysis.cache = { hits: cache.hits, misses: cache.misses, filePath: cache.filePath };
+  }
+  if (baselineResult) {
+    analysis.baseline = baselineResult;
+  }
+  
+  return analysis;
 }
 
 /**
@@ -392,6 +432,9 @@ function generateHtmlReport(results, summary) {
     <p>Total Files: ${summary.totalFiles}</p>
     <p>Files with Issues: ${summary.filesWithIssues}</p>
     <p>Total Issues: ${summary.totalIssues}</p>
+    ${summary.suppressedIssues ? `<p>Suppressed Issues: ${summary.suppressedIssues}</p>` : ''}
+    ${summary.knownIssues !== undefined ? `<p>Known Issues (in the baseline): ${summary.knownIssues}</p>
+    <p>Resolved Baseline Issues: ${summary.resolvedIssues}</p>` : ''}
     
     <h3>Issues by Type</h3>
     <table>
@@ -474,8 +517,37 @@ function generateHtmlReport(results, summary) {
 
 module.exports = {
   analyzeFile,
+  analyzeReferences: referenceChecker.analyzeReferences,
+  checkReferences: referenceChecker.checkReferences,
+  loadDatabase: referenceChecker.loadDatabase,
+  analyzeEventStructure: eventStructureChecker.analyzeEventStructure,
+  checkEventStructure: eventStructureChecker.checkEventStructure,
+  analyzePluginParameters: pluginParameterChecker.analyzePluginParameters,
+  checkPluginParameters: pluginParameterChecker.checkPluginParameters,
+  analyzePluginCommands: pluginCommandChecker.analyzePluginCommands,
+  checkPluginCommands: pluginCommandChecker.checkPluginCommands,
+  analyzePluginOrder: pluginOrderChecker.analyzePluginOrder,
+  checkPluginOrder: pluginOrderChecker.checkPluginOrder,
+  analyzeSaveCompatibility: saveCompatibilityChecker.analyzeSaveCompatibility,
+  checkSaveCompatibility: saveCompatibilityChecker.checkSaveCompatibility,
+  registerRule: rules.registerRule,
+  unregisterRule: rules.unregisterRule,
+  getRule: rules.getRule,
+  getRules: rules.getRules,
+  loadConfig: rules.loadConfig,
+  resolveRuleSettings: rules.resolveRuleSettings,
   analyzeFiles,
   analyzeProject,
   generateSummary,
-  generateHtmlReport
+  generateHtmlReport,
+  generateSarifReport: reporters.generateSarifReport,
+  generateJunitReport: reporters.generateJunitReport,
+  createBaseline: suppressions.createBaseline,
+  loadBaseline: suppressions.loadBaseline,
+  saveBaseline: suppressions.saveBaseline,
+  compareWithBaseline: suppressions.compareWithBaseline,
+  applySuppressions: suppressions.applySuppressions,
+  watchProject: watcher.watchProject,
+  applyFixes: fixer.applyFixes,
+  generateAppliedFixesReport: fixer.generateAppliedFixesReport
 };
@@ -0,0 +1,145 @@
+/**
+ * RPG Maker MZ Plugin Command Checker
+ *
+ * This module checks the Plugin Commands of RPG Maker MZ (357) in common events, troops and
+ * maps against the @command and @arg annotations in the headers of the plugins they call:
+ * - The plugin must be in the plugin list and enabled
+ * - The plugin must declare the command
+ * - Arguments are checked the way plugin parameters are (numbers, options, files, database IDs,
+ *   lists and structs), and every declared argument must be set, and every set argument declared
+ * The game does nothing for a command that no plugin registered, and the editor keeps the
+ * arguments that were entered before a plugin was updated, so both go unnoticed until a
+ * scene does not play out. Plugin commands of RPG Maker MV (356) are free text and are not
+ * checked.
+ */
+
+const path = require('path');
+const pluginParser = require('../utils/pluginParser');
+const pluginsFile = require('../utils/pluginsFile');
+const { loadDatabase, forEachEventList } = require('./referenceChecker');
+const { checkValue } = require('./pluginParameterChecker');
+const { isProjectDatabase } = require('../utils/projectDatabase');
+const { getGameDirectory } = require('../utils/projectType');
+
+/**
+ * Event command code of the RPG Maker MZ Plugin Command
+ * @type {number}
+ */
+const PLUGIN_COMMAND_CODE = 357;
+
+/**
+ * Check the Plugin Commands in the event lists of a database
+ * @param {Object} database - Database from loadDatabase
+ * @param {Object[]} plugins - Plugins from js/plugins.js
+ * @param {Object} headers - Plugin headers by plugin name (commands of plugins without a header are not checked)
+ * @param {string} projectPath - Path to the project, for @type file arguments
+ * @returns {Promise<Object[]>} - Plugin command issues
+ */
+async function checkPluginCommands(database, plugins, headers, projectPath) {
+  const issues = [];
+  const listings = new Map();
+
+  // Collect the commands first; checking the arguments can read asset directories
+  const commands = [];
+  forEachEventList(database, (list, file, listPath) => {
+    list.forEach((command, index) => {
+      if (command && command.code === PLUGIN_COMMAND_CODE && Array.isArray(command.parameters)) {
+        commands.push({ command, file, commandPath: `${listPath}[${index}]` });
+      }
+    });
+  });
+
+  for (const { command, file, commandPath } of commands) {
+    const [pluginName, commandName, , args] = command.parameters;
+    const report = (message, valuePath = commandPath) => {
+      issues.push({
+        type: 'invalid_plugin_command',
+        message: `${message} (${file} ${valuePath})`,
+        file,
+        path: valuePath,
+        line: 0,
+        column: 0,
+        severity: 'warning',
+        fixable: false
+      });
+    };
+
+    const plugin = plugins.find(entry => entry && entry.name === pluginName);
+    if (!plugin) {
+      report(`Plugin Command ${commandName} calls plugin ${pluginName}, which is not in the plugin list`);
+      continue;
+    }
+    if (!plugin.status) {
+      report(`Plugin Command ${commandName} calls plugin ${pluginName}, which is disabled`);
+      continue;
+    }
+
+    const header = headers[pluginName];
+    if (!header) continue;
+
+    const declaration = header.commands[commandName];
+    if (!declaration) {
+      report(`Plugin Command ${commandName} is not declared in the header of plugin ${pluginName} (the plugin may have been updated)`);
+      continue;
+    }
+
+    const values = args && typeof args === 'object' ? args : {};
+    const context = {
+      header,
+      database,
+      projectPath,
+      listings,
+      report: (label, message) => report(`Plugin Command ${pluginName} ${commandName} argument "${label}" ${message}`, `${commandPath}.parameters[3].${label}`)
+    };
+
+    for (const [name, arg] of Object.entries(declaration.args)) {
+      if (!(name in values)) {
+        context.report(name, 'is declared in the plugin header but not set; the plugin gets undefined');
+        continue;
+      }
+      await checkValue(values[name], arg, context, name);
+    }
+
+    for (const name of Object.keys(values)) {
+      if (!declaration.args[name]) {
+        context.report(name, 'is set but not declared in the plugin header (the plugin may have been updated)');
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check the Plugin Commands of a project
+ * @param {string|Object} projectPath - Path to the project, or a project database
+ * @param {Object} database - Database from loadDatabase (default: loaded from the data directory)
+ * @returns {Promise<Object[]>} - Plugin command issues
+ */
+async function analyzePluginCommands(projectPath, database = null) {
+  if (isProjectDatabase(projectPath)) {
+    database = database || projectPath.toDatabase();
+    projectPath = projectPath.projectPath;
+  }
+
+  if (!database) {
+    database = await loadDatabase(path.join(getGameDirectory(projectPath), 'data'));
+  }
+
+  const plugins = await pluginsFile.loadPluginList(projectPath);
+  const headers = {};
+
+  for (const plugin of plugins) {
+    if (plugin && plugin.name && !(plugin.name in headers)) {
+      headers[plugin.name] = await pluginParser.loadPluginHeader(projectPath, plugin.name);
+    }
+  }
+
+  return checkPluginCommands(database, plugins, headers, projectPath);
+}
+
+module.exports = {
+  PLUGIN_COMMAND_CODE,
+  checkPluginCommands,
+  analyzePluginCommands
+};
@@ -0,0 +1,172 @@
+/**
+ * RPG Maker MV Plugin Order Checker
+ *
+ * This module checks the plugin list in js/plugins.js against the plugin files in js/plugins
+ * and the dependencies the plugins declare:
+ * - Enabled plugins must have a file, and files should be registered in the list
+ * - Plugins named with @base, or required in the help text ("This plugin requires
+ *   YEP_CoreEngine"), must be enabled and loaded first
+ * - @orderAfter and @orderBefore, and help text such as "place this plugin under
+ *   YEP_BattleEngineCore", must match the order of the list
+ * - A plugin must not be in the list twice
+ * Plugins are loaded in list order, and one that is loaded before the plugin it extends
+ * usually fails with a TypeError when the game starts.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const pluginParser = require('../utils/pluginParser');
+const pluginsFile = require('../utils/pluginsFile');
+const { getGameDirectory } = require('../utils/projectType');
+const { getProjectPath } = require('../utils/projectDatabase');
+
+/**
+ * Pattern for a plugin name in help text; Yanfly-style names have a prefix and an underscore
+ * @type {string}
+ */
+const PLUGIN_NAME = '([A-Za-z0-9]+_[A-Za-z0-9_]+?)(?:\\.js)?\\b';
+
+/**
+ * Dependencies stated in help text, by the kind of dependency they declare
+ * @type {Object}
+ */
+const HELP_PATTERNS = {
+  base: new RegExp(`\\brequires?\\s+(?:the\\s+)?${PLUGIN_NAME}`, 'gi'),
+  orderAfter: new RegExp(`\\b(?:place|placed|put|located|position|positioned)\\s+(?:this\\s+plugin\\s+|it\\s+)?(?:under|below|beneath|after)\\s+(?:the\\s+)?${PLUGIN_NAME}`, 'gi'),
+  orderBefore: new RegExp(`\\b(?:place|placed|put|located|position|positioned)\\s+(?:this\\s+plugin\\s+|it\\s+)?(?:above|over|before)\\s+(?:the\\s+)?${PLUGIN_NAME}`, 'gi')
+};
+
+/**
+ * Get the dependencies of a plugin from its header and help text
+ * @param {string} name - Plugin name
+ * @param {Object} header - Plugin header from parsePluginHeader
+ * @returns {Object[]} - Dependencies (kind: base, orderAfter or orderBefore; plugin; source)
+ */
+function getDependencies(name, header) {
+  const dependencies = [];
+  const add = (kind, plugin, source) => {
+    if (plugin !== name && !dependencies.some(dependency => dependency.kind === kind && dependency.plugin === plugin)) {
+      dependencies.push({ kind, plugin, source });
+    }
+  };
+
+  for (const kind of ['base', 'orderAfter', 'orderBefore']) {
+    header[kind].forEach(plugin => add(kind, plugin.trim(), `@${kind}`));
+  }
+
+  const text = `${header.description}\n${header.help}`;
+  for (const [kind, pattern] of Object.entries(HELP_PATTERNS)) {
+    const regex = new RegExp(pattern.source, pattern.flags);
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      add(kind, match[1], 'help text');
+    }
+  }
+
+  // A base plugin has to be loaded first too
+  for (const dependency of dependencies.filter(dependency => dependency.kind === 'base')) {
+    add('orderAfter', dependency.plugin, dependency.source);
+  }
+
+  return dependencies;
+}
+
+/**
+ * Check a plugin list against the plugin files and the dependencies of the plugins
+ * @param {Object[]} plugins - Plugins from js/plugins.js
+ * @param {Object} headers - Plugin headers by plugin name (null for plugins without a file or header)
+ * @param {string[]} files - Plugin names that have a file in js/plugins
+ * @returns {Object[]} - Issues (missing_plugin, unregistered_plugin, plugin_order)
+ */
+function checkPluginOrder(plugins, headers, files) {
+  const issues = [];
+  const report = (type, severity, message, index, file = 'js/plugins.js') => {
+    issues.push({
+      type,
+      message: `${message} (${file}${index === null ? '' : ` [${index}]`})`,
+      file: `../${file}`,
+      path: index === null ? undefined : `[${index}]`,
+      line: 0,
+      column: 0,
+      severity,
+      fixable: false
+    });
+  };
+
+  // Where each plugin is in the list; the first entry counts if a plugin is listed twice
+  const positions = {};
+  plugins.forEach((plugin, index) => {
+    if (!plugin || !plugin.name) return;
+    if (plugin.name in positions) {
+      report('plugin_order', 'error', `Plugin ${plugin.name} is in the plugin list twice (also at position ${positions[plugin.name] + 1})`, index);
+      return;
+    }
+    positions[plugin.name] = index;
+  });
+
+  plugins.forEach((plugin, index) => {
+    if (!plugin || !plugin.name || !plugin.status || positions[plugin.name] !== index) return;
+
+    if (!files.includes(plugin.name)) {
+      report('missing_plugin', 'error', `Plugin ${plugin.name} is enabled but js/plugins/${plugin.name}.js does not exist`, index);
+    }
+
+    const header = headers[plugin.name];
+    if (!header) return;
+
+    for (const { kind, plugin: other, source } of getDependencies(plugin.name, header)) {
+      const otherIndex = positions[other];
+      const enabled = otherIndex !== undefined && plugins[otherIndex].status;
+
+      if (kind === 'base') {
+        if (otherIndex === undefined) {
+          report('missing_plugin', 'error', `Plugin ${plugin.name} requires ${other} (${source}), which is not in the plugin list`, index);
+        } else if (!enabled) {
+          report('missing_plugin', 'error', `Plugin ${plugin.name} requires ${other} (${source}), which is disabled`, index);
+        }
+      } else if (kind === 'orderAfter' && enabled && otherIndex > index) {
+        report('plugin_order', 'error', `Plugin ${plugin.name} must be placed below ${other} (${source}), but it is at position ${index + 1} and ${other} at ${otherIndex + 1}`, index);
+      } else if (kind === 'orderBefore' && enabled && otherIndex < index) {
+        report('plugin_order', 'error', `Plugin ${plugin.name} must be placed above ${other} (${source}), but it is at position ${index + 1} and ${other} at ${otherIndex + 1}`, index);
+      }
+    }
+  });
+
+  for (const name of files) {
+    if (!(name in positions)) {
+      report('unregistered_plugin', 'info', `Plugin ${name} is not in the plugin list, so it is never loaded`, null, `js/plugins/${name}.js`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check the plugin list of a project
+ * @param {string|Object} project - Path to the project, or a project database
+ * @returns {Promise<Object[]>} - Issues (missing_plugin, unregistered_plugin, plugin_order)
+ */
+async function analyzePluginOrder(project) {
+  const projectPath = getProjectPath(project);
+  const pluginsPath = path.join(getGameDirectory(projectPath), 'js', 'plugins');
+  const files = await fs.pathExists(pluginsPath)
+    ? glob.sync('*.js', { cwd: pluginsPath, nodir: true }).map(file => file.replace(/\.js$/, ''))
+    : [];
+
+  const plugins = await pluginsFile.loadPluginList(projectPath);
+  const headers = {};
+  for (const plugin of plugins) {
+    if (plugin && plugin.name && !(plugin.name in headers)) {
+      headers[plugin.name] = await pluginParser.loadPluginHeader(projectPath, plugin.name);
+    }
+  }
+
+  return checkPluginOrder(plugins, headers, files);
+}
+
+module.exports = {
+  getDependencies,
+  checkPluginOrder,
+  analyzePluginOrder
+};
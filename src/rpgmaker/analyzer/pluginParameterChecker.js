@@ -0,0 +1,260 @@
+/**
+ * RPG Maker MV Plugin Parameter Checker
+ *
+ * This module checks the parameters configured for each plugin in js/plugins.js against the
+ * @param annotations in the plugin's header:
+ * - Numbers must be numbers within @min and @max, with no more than @decimals decimals
+ * - Booleans must be true or false, and select parameters one of their @option values
+ * - Files (@type file) must exist in the @dir directory
+ * - Database IDs (@type actor, skill, switch and so on) must refer to entries that exist
+ * - Lists (type[]) and structs (struct<Name>) must be valid JSON, and their values are checked too
+ * - Every declared parameter must be configured, and every configured parameter declared
+ * The editor does not check values that were entered before a plugin was updated, and plugins
+ * rarely check them either, so a bad value usually shows up as a crash in the game.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseJson } = require('../../core');
+const pluginParser = require('../utils/pluginParser');
+const pluginsFile = require('../utils/pluginsFile');
+const { loadDatabase } = require('./referenceChecker');
+const { isProjectDatabase } = require('../utils/projectDatabase');
+const { getGameDirectory } = require('../utils/projectType');
+
+/**
+ * Database tables that parameter types refer to
+ * @type {Object}
+ */
+const DatabaseTypes = {
+  actor: 'actors',
+  class: 'classes',
+  skill: 'skills',
+  item: 'items',
+  weapon: 'weapons',
+  armor: 'armors',
+  enemy: 'enemies',
+  troop: 'troops',
+  state: 'states',
+  animation: 'animations',
+  tileset: 'tilesets',
+  common_event: 'commonEvents'
+};
+
+/**
+ * List the file names in a directory without their extensions
+ * @param {string} dirPath - Directory
+ * @param {Map} listings - Listings already read, by directory
+ * @returns {Promise<Set<string>>} - File names without extensions
+ */
+async function listAssets(dirPath, listings) {
+  if (!listings.has(dirPath)) {
+    const names = new Set();
+    if (await fs.pathExists(dirPath)) {
+      for (const file of await fs.readdir(dirPath)) {
+        names.add(file.replace(/\.[^.]+$/, ''));
+      }
+    }
+    listings.set(dirPath, names);
+  }
+  return listings.get(dirPath);
+}
+
+/**
+ * Check a parameter value against its declaration
+ * @param {*} value - Configured value
+ * @param {Object} param - Parameter declaration from the plugin header
+ * @param {Object} context - Plugin header, database, project path, asset listings and report function
+ * @param {string} label - Parameter name, with the list indexes and struct fields leading to the value
+ * @returns {Promise<void>}
+ */
+async function checkValue(value, param, context, label) {
+  const { header, database, projectPath, listings, report } = context;
+  const type = (param.type || 'string').trim();
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+
+  // An empty value means the parameter was left blank
+  if (text === '' || value === undefined || value === null) {
+    return;
+  }
+
+  if (type.endsWith('[]')) {
+    const list = typeof value === 'string' ? parseJson(value) : value;
+    if (!Array.isArray(list)) {
+      report(label, `should be a list (${type}) but is ${JSON.stringify(text)}`);
+      return;
+    }
+    const itemParam = { ...param, type: type.slice(0, -2) };
+    for (let i = 0; i < list.length; i++) {
+      await checkValue(list[i], itemParam, context, `${label}[${i}]`);
+    }
+    return;
+  }
+
+  const structMatch = type.match(/^struct<(\w+)>$/);
+  if (structMatch) {
+    const struct = typeof value === 'string' ? parseJson(value) : value;
+    if (!struct || typeof struct !== 'object' || Array.isArray(struct)) {
+      report(label, `should be a ${structMatch[1]} struct but is ${JSON.stringify(text)}`);
+      return;
+    }
+    const fields = header.structs[structMatch[1]];
+    if (!fields) {
+      return;
+    }
+    for (const [name, field] of Object.entries(fields)) {
+      await checkValue(struct[name], field, context, `${label}.${name}`);
+    }
+    return;
+  }
+
+  if (type === 'number') {
+    const number = Number(text);
+    if (!Number.isFinite(number)) {
+      report(label, `should be a number but is ${JSON.stringify(text)}`);
+      return;
+    }
+    if (param.min !== undefined && param.min !== '' && number < Number(param.min)) {
+      report(label, `is ${number}, below the minimum of ${param.min}`);
+    }
+    if (param.max !== undefined && param.max !== '' && number > Number(param.max)) {
+      report(label, `is ${number}, above the maximum of ${param.max}`);
+    }
+    const decimals = (text.split('.')[1] || '').length;
+    if (decimals > Number(param.decimals || 0)) {
+      report(label, `is ${text}, but only ${param.decimals || 0} decimals are allowed`);
+    }
+  } else if (type === 'boolean') {
+    if (text !== 'true' && text !== 'false') {
+      report(label, `should be true or false but is ${JSON.stringify(text)}`);
+    }
+  } else if (type === 'select') {
+    const values = param.options.map(option => option.value);
+    if (values.length > 0 && !values.includes(text)) {
+      report(label, `is ${JSON.stringify(text)}, which is not one of its options (${values.join(', ')})`);
+    }
+  } else if (type === 'note') {
+    // Notes are stored as a JSON string so they can hold line breaks
+    if (typeof parseJson(text) !== 'string') {
+      report(label, `should be a note stored as a JSON string but is ${JSON.stringify(text)}`);
+    }
+  } else if (type === 'file') {
+    // Without @dir the editor's folder is not known, so the file cannot be looked up
+    if (!param.dir) {
+      return;
+    }
+    const assetPath = path.join(getGameDirectory(projectPath), param.dir, text);
+    const names = await listAssets(path.dirname(assetPath), listings);
+    if (!names.has(path.basename(assetPath))) {
+      report(label, `refers to ${path.posix.join(param.dir, text)}, which does not exist`);
+    }
+  } else if (DatabaseTypes[type] || type === 'switch' || type === 'variable') {
+    const id = Number(text);
+    if (!Number.isInteger(id) || id < 0) {
+      report(label, `should be a ${type.replace('_', ' ')} ID but is ${JSON.stringify(text)}`);
+      return;
+    }
+    if (id === 0) {
+      return;
+    }
+
+    if (type === 'switch' || type === 'variable') {
+      const names = database.system && database.system[type === 'switch' ? 'switches' : 'variables'];
+      if (Array.isArray(names) && id >= names.length) {
+        report(label, `refers to ${type} ${id}, but System.json only defines ${names.length - 1}`);
+      }
+    } else {
+      const table = database[DatabaseTypes[type]];
+      if (Array.isArray(table) && !table[id]) {
+        report(label, `refers to ${type.replace('_', ' ')} ${id}, which does not exist`);
+      }
+    }
+  }
+}
+
+/**
+ * Check the parameters of every enabled plugin in a plugin list
+ * @param {Object[]} plugins - Plugins from js/plugins.js
+ * @param {Object} headers - Plugin headers by plugin name (plugins without a header are not checked)
+ * @param {Object} database - Database from loadDatabase
+ * @param {string} projectPath - Path to the project, for @type file parameters
+ * @returns {Promise<Object[]>} - Parameter issues
+ */
+async function checkPluginParameters(plugins, headers, database, projectPath) {
+  const issues = [];
+  const listings = new Map();
+
+  for (let index = 0; index < plugins.length; index++) {
+    const plugin = plugins[index];
+    const header = plugin && headers[plugin.name];
+    if (!header || !plugin.status) continue;
+
+    const parameters = plugin.parameters || {};
+    const report = (label, message) => {
+      const valuePath = `[${index}].parameters.${label}`;
+      issues.push({
+        type: 'invalid_plugin_parameter',
+        message: `Plugin ${plugin.name} parameter "${label}" ${message} (js/plugins.js ${valuePath})`,
+        file: '../js/plugins.js',
+        path: valuePath,
+        line: 0,
+        column: 0,
+        severity: 'warning',
+        fixable: false
+      });
+    };
+    const context = { header, database, projectPath, listings, report };
+
+    for (const [name, param] of Object.entries(header.params)) {
+      if (!(name in parameters)) {
+        const fallback = param.default !== undefined ? `; the plugin gets undefined instead of the default ${JSON.stringify(param.default)}` : '';
+        report(name, `is declared in the plugin header but not configured${fallback}`);
+        continue;
+      }
+      await checkValue(parameters[name], param, context, name);
+    }
+
+    for (const name of Object.keys(parameters)) {
+      if (!header.params[name]) {
+        report(name, 'is configured but not declared in the plugin header (the plugin may have been updated)');
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check the plugin parameters of a project
+ * @param {string|Object} projectPath - Path to the project, or a project database
+ * @param {Object} database - Database from loadDatabase (default: loaded from the data directory)
+ * @returns {Promise<Object[]>} - Parameter issues
+ */
+async function analyzePluginParameters(projectPath, database = null) {
+  if (isProjectDatabase(projectPath)) {
+    database = database || projectPath.toDatabase();
+    projectPath = projectPath.projectPath;
+  }
+
+  if (!database) {
+    database = await loadDatabase(path.join(getGameDirectory(projectPath), 'data'));
+  }
+
+  const plugins = await pluginsFile.loadPluginList(projectPath);
+  const headers = {};
+
+  for (const plugin of plugins) {
+    if (plugin && plugin.name && !(plugin.name in headers)) {
+      headers[plugin.name] = await pluginParser.loadPluginHeader(projectPath, plugin.name);
+    }
+  }
+
+  return checkPluginParameters(plugins, headers, database, projectPath);
+}
+
+module.exports = {
+  DatabaseTypes,
+  checkValue,
+  checkPluginParameters,
+  analyzePluginParameters
+};
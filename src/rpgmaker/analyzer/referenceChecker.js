@@ -0,0 +1,480 @@
+/**
+ * RPG Maker MV Reference Checker
+ *
+ * This module checks the ID references between the files of an RPG Maker MV database,
+ * such as an actor's class, the enemies of a troop or the target of a Transfer Player command.
+ * A reference to an entry that does not exist crashes the game when it is used, so every
+ * dangling reference is reported with the file and the path to the exact value.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseJson } = require('../../core');
+const { FileTypes } = require('../utils');
+const { isProjectDatabase } = require('../utils/projectDatabase');
+
+/**
+ * Database tables and the files they are loaded from
+ * @type {Object}
+ */
+const DatabaseFiles = {
+  actors: FileTypes.ACTORS,
+  animations: FileTypes.ANIMATIONS,
+  armors: FileTypes.ARMORS,
+  classes: FileTypes.CLASSES,
+  commonEvents: FileTypes.COMMON_EVENTS,
+  enemies: FileTypes.ENEMIES,
+  items: FileTypes.ITEMS,
+  mapInfos: FileTypes.MAP_INFOS,
+  skills: FileTypes.SKILLS,
+  states: FileTypes.STATES,
+  system: FileTypes.SYSTEM,
+  tilesets: FileTypes.TILESETS,
+  troops: FileTypes.TROOPS,
+  weapons: FileTypes.WEAPONS
+};
+
+/**
+ * Load every database file and map in a data directory
+ *
+ * Files that are missing or cannot be parsed are left undefined, and references into
+ * them are not checked. A project database is used as it is in memory, with its unsaved changes.
+ * @param {string|Object} dataPath - Path to the data directory, or a project database
+ * @returns {Promise<Object>} - Database tables, System.json and maps by ID
+ */
+async function loadDatabase(dataPath) {
+  if (isProjectDatabase(dataPath)) {
+    return dataPath.toDatabase();
+  }
+
+  const database = { maps: {} };
+
+  for (const [table, fileName] of Object.entries(DatabaseFiles)) {
+    const filePath = path.join(dataPath, fileName);
+    if (await fs.pathExists(filePath)) {
+      const content = await fs.readFile(filePath, 'utf8');
+      database[table] = parseJson(content.replace(/^\uFEFF/, '')) || undefined;
+    }
+  }
+
+  const files = await fs.readdir(dataPath);
+  for (const file of files) {
+    const match = file.match(/^Map(\d+)\.json$/);
+    if (!match) continue;
+
+    const content = await fs.readFile(path.join(dataPath, file), 'utf8');
+    const map = parseJson(content.replace(/^\uFEFF/, ''));
+    if (map) {
+      database.maps[parseInt(match[1], 10)] = map;
+    }
+  }
+
+  return database;
+}
+
+/**
+ * Get the file name of a map
+ * @param {number} mapId - Map ID
+ * @returns {string} - File name
+ */
+function getMapFileName(mapId) {
+  return `Map${mapId.toString().padStart(3, '0')}.json`;
+}
+
+/**
+ * Call a function for every event command list in the database
+ * @param {Object} database - Database from loadDatabase
+ * @param {Function} callback - Called with (list, file, path) for each list
+ */
+function forEachEventList(database, callback) {
+  if (Array.isArray(database.commonEvents)) {
+    database.commonEvents.forEach((commonEvent, index) => {
+      if (commonEvent && Array.isArray(commonEvent.list)) {
+        callback(commonEvent.list, FileTypes.COMMON_EVENTS, `[${index}].list`);
+      }
+    });
+  }
+
+  if (Array.isArray(database.troops)) {
+    database.troops.forEach((troop, index) => {
+      if (!troop || !Array.isArray(troop.pages)) return;
+      troop.pages.forEach((page, pageIndex) => {
+        if (page && Array.isArray(page.list)) {
+          callback(page.list, FileTypes.TROOPS, `[${index}].pages[${pageIndex}].list`);
+        }
+      });
+    });
+  }
+
+  for (const [mapId, map] of Object.entries(database.maps)) {
+    if (!Array.isArray(map.events)) continue;
+    map.events.forEach((event, index) => {
+      if (!event || !Array.isArray(event.pages)) return;
+      event.pages.forEach((page, pageIndex) => {
+        if (page && Array.isArray(page.list)) {
+          callback(page.list, getMapFileName(Number(mapId)), `events[${index}].pages[${pageIndex}].list`);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Create a reference checker that records dangling references
+ * @param {Object} database - Database from loadDatabase
+ * @param {Object[]} issues - Issue list to append to
+ * @returns {Function} - Checks (file, path, table, id, description) and records an issue if the ID does not exist
+ */
+function createReferenceCheck(database, issues) {
+  return (file, valuePath, table, id, description) => {
+    const entries = database[table];
+    // References into files that could not be loaded cannot be checked
+    if (!Array.isArray(entries)) return;
+
+    if (!Number.isInteger(id) || id <= 0 || id >= entries.length || !entries[id]) {
+      issues.push({
+        type: 'dangling_reference',
+        message: `${description} refers to ${DatabaseFiles[table]} ID ${JSON.stringify(id)}, which does not exist (${file} ${valuePath})`,
+        file,
+        path: valuePath,
+        table,
+        id,
+        line: 0,
+        column: 0,
+        severity: 'error',
+        fixable: false
+      });
+    }
+  };
+}
+
+/**
+ * Create a checker for switch and variable IDs against the names in System.json
+ * @param {Object} database - Database from loadDatabase
+ * @param {Object[]} issues - Issue list to append to
+ * @returns {Function} - Checks (file, path, kind, id, description) where kind is 'switches' or 'variables'
+ */
+function createSystemListCheck(database, issues) {
+  return (file, valuePath, kind, id, description) => {
+    const names = database.system && database.system[kind];
+    if (!Array.isArray(names)) return;
+
+    if (!Number.isInteger(id) || id <= 0 || id >= names.length) {
+      issues.push({
+        type: 'dangling_reference',
+        message: `${description} refers to ${kind === 'switches' ? 'switch' : 'variable'} ${JSON.stringify(id)}, but System.json only defines ${names.length - 1} (${file} ${valuePath})`,
+        file,
+        path: valuePath,
+        table: kind,
+        id,
+        line: 0,
+        column: 0,
+        severity: 'error',
+        fixable: false
+      });
+    }
+  };
+}
+
+/**
+ * Get a database table as a list, treating files that did not load as empty
+ * @param {*} entries - Table from loadDatabase
+ * @returns {Array} - Entries
+ */
+function asList(entries) {
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Get a label for a database entry to use in messages
+ * @param {string} kind - Kind of entry (e.g. 'Actor')
+ * @param {Object} entry - Entry
+ * @param {number} index - Index of the entry
+ * @returns {string} - Label
+ */
+function getEntryLabel(kind, entry, index) {
+  return entry.name ? `${kind} ${index} (${entry.name})` : `${kind} ${index}`;
+}
+
+/**
+ * Check whether an actor can hold a weapon in its second equipment slot
+ * @param {Object} actor - Actor
+ * @param {Object} actorClass - Class of the actor
+ * @returns {boolean} - Whether the actor has the Dual Wield slot type
+ */
+function hasDualWield(actor, actorClass) {
+  const traits = [...(actor.traits || []), ...((actorClass && actorClass.traits) || [])];
+  // Trait 55 is Slot Type; data ID 1 is Dual Wield
+  return traits.some(trait => trait && trait.code === 55 && trait.dataId === 1);
+}
+
+/**
+ * Check the references of actors, classes, skills, items, weapons, enemies and troops
+ * @param {Object} database - Database from loadDatabase
+ * @param {Function} checkReference - Reference checker
+ * @param {Function} checkSystemList - Switch and variable checker
+ */
+function checkDatabaseReferences(database, checkReference, checkSystemList) {
+  const { actors, classes, skills, items, weapons, enemies, troops, commonEvents } = database;
+
+  asList(actors).forEach((actor, index) => {
+    if (!actor) return;
+    const label = getEntryLabel('Actor', actor, index);
+
+    checkReference(FileTypes.ACTORS, `[${index}].classId`, 'classes', actor.classId, `${label} class`);
+
+    const actorClass = Array.isArray(classes) ? classes[actor.classId] : null;
+    const dualWield = hasDualWield(actor, actorClass);
+    asList(actor.equips).forEach((equipId, slot) => {
+      // 0 is an empty slot
+      if (equipId === 0) return;
+      const isWeapon = slot === 0 || (slot === 1 && dualWield);
+      checkReference(FileTypes.ACTORS, `[${index}].equips[${slot}]`, isWeapon ? 'weapons' : 'armors', equipId, `${label} initial equipment slot ${slot}`);
+    });
+  });
+
+  asList(classes).forEach((actorClass, index) => {
+    if (!actorClass) return;
+    const label = getEntryLabel('Class', actorClass, index);
+
+    asList(actorClass.learnings).forEach((learning, learningIndex) => {
+      if (!learning) return;
+      checkReference(FileTypes.CLASSES, `[${index}].learnings[${learningIndex}].skillId`, 'skills', learning.skillId, `${label} skill to learn at level ${learning.level}`);
+    });
+  });
+
+  // Animation ID -1 means "Normal Attack" and 0 means none
+  const usableTables = [
+    [skills, FileTypes.SKILLS, 'Skill'],
+    [items, FileTypes.ITEMS, 'Item'],
+    [weapons, FileTypes.WEAPONS, 'Weapon']
+  ];
+  for (const [entries, file, kind] of usableTables) {
+    asList(entries).forEach((entry, index) => {
+      if (!entry || entry.animationId === -1 || entry.animationId === 0 || entry.animationId === undefined) return;
+      checkReference(file, `[${index}].animationId`, 'animations', entry.animationId, `${getEntryLabel(kind, entry, index)} animation`);
+    });
+  }
+
+  const dropTables = { 1: 'items', 2: 'weapons', 3: 'armors' };
+  asList(enemies).forEach((enemy, index) => {
+    if (!enemy) return;
+    const label = getEntryLabel('Enemy', enemy, index);
+
+    asList(enemy.dropItems).forEach((drop, dropIndex) => {
+      // Kind 0 is an unused drop slot
+      if (!drop || !dropTables[drop.kind]) return;
+      checkReference(FileTypes.ENEMIES, `[${index}].dropItems[${dropIndex}].dataId`, dropTables[drop.kind], drop.dataId, `${label} drop item ${dropIndex + 1}`);
+    });
+  });
+
+  asList(troops).forEach((troop, index) => {
+    if (!troop) return;
+    const label = getEntryLabel('Troop', troop, index);
+
+    asList(troop.members).forEach((member, memberIndex) => {
+      if (!member) return;
+      checkReference(FileTypes.TROOPS, `[${index}].members[${memberIndex}].enemyId`, 'enemies', member.enemyId, `${label} member ${memberIndex + 1}`);
+    });
+
+    asList(troop.pages).forEach((page, pageIndex) => {
+      if (!page || !page.conditions) return;
+      const conditions = page.conditions;
+      const conditionsPath = `[${index}].pages[${pageIndex}].conditions`;
+
+      if (conditions.switchValid) {
+        checkSystemList(FileTypes.TROOPS, `${conditionsPath}.switchId`, 'switches', conditions.switchId, `${label} page ${pageIndex + 1} switch condition`);
+      }
+      if (conditions.actorValid) {
+        checkReference(FileTypes.TROOPS, `${conditionsPath}.actorId`, 'actors', conditions.actorId, `${label} page ${pageIndex + 1} actor condition`);
+      }
+    });
+  });
+
+  asList(commonEvents).forEach((commonEvent, index) => {
+    // Triggers 1 (autorun) and 2 (parallel) run while a switch is on
+    if (!commonEvent || !commonEvent.trigger) return;
+    checkSystemList(FileTypes.COMMON_EVENTS, `[${index}].switchId`, 'switches', commonEvent.switchId, `${getEntryLabel('Common event', commonEvent, index)} trigger switch`);
+  });
+}
+
+/**
+ * Check the switch, variable, item and actor conditions of map event pages
+ * @param {Object} database - Database from loadDatabase
+ * @param {Function} checkReference - Reference checker
+ * @param {Function} checkSystemList - Switch and variable checker
+ */
+function checkMapEventConditions(database, checkReference, checkSystemList) {
+  for (const [mapId, map] of Object.entries(database.maps)) {
+    const file = getMapFileName(Number(mapId));
+
+    asList(map.events).forEach((event, index) => {
+      if (!event) return;
+      const label = getEntryLabel('Event', event, index);
+
+      asList(event.pages).forEach((page, pageIndex) => {
+        if (!page || !page.conditions) return;
+        const conditions = page.conditions;
+        const conditionsPath = `events[${index}].pages[${pageIndex}].conditions`;
+        const pageLabel = `${label} page ${pageIndex + 1}`;
+
+        if (conditions.switch1Valid) {
+          checkSystemList(file, `${conditionsPath}.switch1Id`, 'switches', conditions.switch1Id, `${pageLabel} switch condition`);
+        }
+        if (conditions.switch2Valid) {
+          checkSystemList(file, `${conditionsPath}.switch2Id`, 'switches', conditions.switch2Id, `${pageLabel} switch condition`);
+        }
+        if (conditions.variableValid) {
+          checkSystemList(file, `${conditionsPath}.variableId`, 'variables', conditions.variableId, `${pageLabel} variable condition`);
+        }
+        if (conditions.itemValid) {
+          checkReference(file, `${conditionsPath}.itemId`, 'items', conditions.itemId, `${pageLabel} item condition`);
+        }
+        if (conditions.actorValid) {
+          checkReference(file, `${conditionsPath}.actorId`, 'actors', conditions.actorId, `${pageLabel} actor condition`);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Check the references of Common Event (117) and Transfer Player (201) commands
+ * @param {Object} database - Database from loadDatabase
+ * @param {Function} checkReference - Reference checker
+ * @param {Object[]} issues - Issue list to append to
+ */
+function checkEventCommands(database, checkReference, issues) {
+  // Transfers cannot be checked when MapInfos.json could not be loaded
+  const mapInfos = Array.isArray(database.mapInfos) ? database.mapInfos : null;
+
+  forEachEventList(database, (list, file, listPath) => {
+    list.forEach((command, index) => {
+      if (!command || !Array.isArray(command.parameters)) return;
+      const commandPath = `${listPath}[${index}].parameters`;
+
+      if (command.code === 117) {
+        checkReference(file, `${commandPath}[0]`, 'commonEvents', command.parameters[0], 'Common Event command');
+      }
+
+      // Designation 0 is a direct map ID; 1 reads the map ID from a variable
+      if (command.code === 201 && command.parameters[0] === 0 && mapInfos) {
+        const mapId = command.parameters[1];
+        const inMapInfos = Number.isInteger(mapId) && !!mapInfos[mapId];
+        const hasFile = Number.isInteger(mapId) && !!database.maps[mapId];
+
+        if (!inMapInfos || !hasFile) {
+          issues.push({
+            type: 'dangling_reference',
+            message: `Transfer Player command refers to map ${JSON.stringify(mapId)}, which ${inMapInfos ? `has no ${getMapFileName(mapId)}` : 'does not exist in MapInfos.json'} (${file} ${commandPath}[1])`,
+            file,
+            path: `${commandPath}[1]`,
+            table: 'maps',
+            id: mapId,
+            line: 0,
+            column: 0,
+            severity: 'error',
+            fixable: false
+          });
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Check every ID reference in a database
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object[]} - List of dangling references
+ */
+function checkReferences(database) {
+  const issues = [];
+  const checkReference = createReferenceCheck(database, issues);
+  const checkSystemList = createSystemListCheck(database, issues);
+
+  checkDatabaseReferences(database, checkReference, checkSystemList);
+  checkMapEventConditions(database, checkReference, checkSystemList);
+  checkEventCommands(database, checkReference, issues);
+
+  return issues;
+}
+
+/**
+ * Event commands that refer to database entries, for reverse lookups
+ *
+ * Each entry gives the table, the parameter holding the ID, and optionally the parameter that
+ * must be 0 for the ID to be a constant rather than a variable.
+ * @type {Object}
+ */
+const COMMAND_REFERENCES = {
+  117: { table: 'commonEvents', index: 0, description: 'Common Event command' },
+  126: { table: 'items', index: 0, description: 'Change Items command' },
+  127: { table: 'weapons', index: 0, description: 'Change Weapons command' },
+  128: { table: 'armors', index: 0, description: 'Change Armors command' },
+  129: { table: 'actors', index: 0, description: 'Change Party Member command' },
+  201: { table: 'maps', index: 1, constant: 0, description: 'Transfer Player command' },
+  212: { table: 'animations', index: 1, description: 'Show Animation command' },
+  301: { table: 'troops', index: 1, constant: 0, description: 'Battle Processing command' }
+};
+
+/**
+ * Collect every ID reference in a database, dangling or not
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object[]} - References (file, path, table, id, description)
+ */
+function collectReferences(database) {
+  const references = [];
+  const record = (file, valuePath, table, id, description) => {
+    references.push({ file, path: valuePath, table, id, description });
+  };
+
+  checkDatabaseReferences(database, record, record);
+  checkMapEventConditions(database, record, record);
+
+  forEachEventList(database, (list, file, listPath) => {
+    list.forEach((command, index) => {
+      if (!command || !Array.isArray(command.parameters)) return;
+      const parameters = command.parameters;
+      const commandPath = `${listPath}[${index}].parameters`;
+
+      const reference = COMMAND_REFERENCES[command.code];
+      if (reference && (reference.constant === undefined || parameters[reference.constant] === 0)) {
+        record(file, `${commandPath}[${reference.index}]`, reference.table, parameters[reference.index], reference.description);
+      }
+
+      // Control Switches and Control Variables set a range of IDs
+      if (command.code === 121 || command.code === 122) {
+        const table = command.code === 121 ? 'switches' : 'variables';
+        for (let id = parameters[0]; Number.isInteger(id) && id <= parameters[1]; id++) {
+          record(file, `${commandPath}[0]`, table, id, command.code === 121 ? 'Control Switches command' : 'Control Variables command');
+        }
+      }
+
+      // Shop Processing lists its first good in the command and the rest in 605 lines
+      if ((command.code === 302 || command.code === 605) && [0, 1, 2].includes(parameters[0])) {
+        record(file, `${commandPath}[1]`, ['items', 'weapons', 'armors'][parameters[0]], parameters[1], 'Shop Processing good');
+      }
+    });
+  });
+
+  return references;
+}
+
+/**
+ * Check every ID reference in a data directory
+ * @param {string|Object} dataPath - Path to the data directory, or a project database
+ * @returns {Promise<Object[]>} - List of dangling references
+ */
+async function analyzeReferences(dataPath) {
+  const database = await loadDatabase(dataPath);
+  return checkReferences(database);
+}
+
+module.exports = {
+  DatabaseFiles,
+  loadDatabase,
+  forEachEventList,
+  checkReferences,
+  collectReferences,
+  analyzeReferences
+};
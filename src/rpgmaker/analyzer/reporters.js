@@ -0,0 +1,195 @@
+/**
+ * RPG Maker MV Analyzer Reporters
+ *
+ * This module converts analysis results into formats that CI and code scanning tools read:
+ * - SARIF 2.1.0, for code scanning alerts and pull request annotations
+ * - JUnit XML, for test report views in CI systems
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const rules = require('./rules');
+const { version } = require('../../../package.json');
+
+/**
+ * SARIF levels for analyzer severities
+ * @type {Object}
+ */
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * Get the path of a file relative to a base directory, with forward slashes
+ * @param {string} filePath - Path to the file
+ * @param {string} baseDir - Base directory
+ * @returns {string} - Relative path
+ */
+function getRelativePath(filePath, baseDir) {
+  return path.relative(baseDir, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Escape text for use in XML
+ * @param {*} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters other than tab and newlines are not allowed in XML
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Generate a SARIF log from analysis results
+ * @param {Object[]} results - Analysis results
+ * @param {Object} options - Options
+ * @param {string} options.baseDir - Directory that file locations are relative to (default: current directory)
+ * @returns {Object} - SARIF log
+ */
+function generateSarifReport(results, options = {}) {
+  const { baseDir = process.cwd() } = options;
+
+  // Describe every registered rule, plus any issue types that do not come from a rule
+  const sarifRules = rules.getRules().map(rule => ({
+    id: rule.id,
+    name: rule.id,
+    shortDescription: { text: rule.description || rule.id },
+    defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+    properties: { fixable: rule.fixable, scope: rule.scope }
+  }));
+  for (const result of results) {
+    for (const issue of result.issues) {
+      if (!sarifRules.some(rule => rule.id === issue.type)) {
+        sarifRules.push({
+          id: issue.type,
+          name: issue.type,
+          shortDescription: { text: issue.type.replace(/_/g, ' ') },
+          defaultConfiguration: { level: SARIF_LEVELS[issue.severity] || 'warning' }
+        });
+      }
+    }
+  }
+
+  const sarifResults = [];
+  for (const result of results) {
+    const uri = encodeURI(getRelativePath(result.file, path.resolve(baseDir)));
+
+    for (const issue of result.issues) {
+      const physicalLocation = {
+        artifactLocation: { uri, uriBaseId: '%SRCROOT%' }
+      };
+      // SARIF lines and columns start at 1; issues without a position only point at the file
+      if (issue.line > 0) {
+        physicalLocation.region = { startLine: issue.line };
+        if (issue.column > 0) {
+          physicalLocation.region.startColumn = issue.column;
+        }
+      }
+
+      const location = { physicalLocation };
+      if (issue.path) {
+        location.logicalLocations = [{ fullyQualifiedName: issue.path, kind: 'member' }];
+      }
+
+      sarifResults.push({
+        ruleId: issue.type,
+        ruleIndex: sarifRules.findIndex(rule => rule.id === issue.type),
+        level: SARIF_LEVELS[issue.severity] || 'warning',
+        message: { text: issue.message },
+        locations: [location],
+        properties: { fixable: !!issue.fixable }
+      });
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'rpgmaker-ai-tools',
+          version,
+          rules: sarifRules
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `${pathToFileURL(path.resolve(baseDir)).href}/` }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * Generate a JUnit XML report from analysis results
+ *
+ * Each file is a test suite. Each error or warning is a failed test case, info issues are
+ * passed test cases with the message as output, and a file without issues has one passed
+ * test case.
+ * @param {Object[]} results - Analysis results
+ * @param {Object} options - Options
+ * @param {string} options.baseDir - Directory that file names are relative to (default: current directory)
+ * @returns {string} - JUnit XML
+ */
+function generateJunitReport(results, options = {}) {
+  const { baseDir = process.cwd() } = options;
+
+  let totalTests = 0;
+  let totalFailures = 0;
+  const suites = [];
+
+  for (const result of results) {
+    const fileName = getRelativePath(result.file, path.resolve(baseDir));
+    const testCases = [];
+    let failures = 0;
+
+    for (const issue of result.issues) {
+      const location = issue.line > 0 ? `${fileName}:${issue.line}:${issue.column}` : fileName;
+      const name = `${issue.type}: ${issue.path ? `${issue.path} ` : ''}(${location})`;
+
+      if (issue.severity === 'info') {
+        testCases.push(`    <testcase classname="${escapeXml(fileName)}" name="${escapeXml(name)}">
+      <system-out>${escapeXml(issue.message)}</system-out>
+    </testcase>`);
+        continue;
+      }
+
+      failures++;
+      testCases.push(`    <testcase classname="${escapeXml(fileName)}" name="${escapeXml(name)}">
+      <failure type="${escapeXml(issue.type)}" message="${escapeXml(issue.message)}">${escapeXml(`${issue.severity}: ${issue.message} (${location})`)}</failure>
+    </testcase>`);
+    }
+
+    if (testCases.length === 0) {
+      testCases.push(`    <testcase classname="${escapeXml(fileName)}" name="no issues"/>`);
+    }
+
+    totalTests += testCases.length;
+    totalFailures += failures;
+    suites.push(`  <testsuite name="${escapeXml(fileName)}" tests="${testCases.length}" failures="${failures}" errors="0" skipped="0">
+${testCases.join('\n')}
+  </testsuite>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="RPG Maker MV Data Analysis" tests="${totalTests}" failures="${totalFailures}" errors="0">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+module.exports = {
+  SARIF_LEVELS,
+  generateSarifReport,
+  generateJunitReport
+};
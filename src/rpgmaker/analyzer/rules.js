@@ -0,0 +1,780 @@
+/**
+ * RPG Maker MV Analyzer Rules
+ *
+ * This module holds the registry of analyzer rules. Every check the analyzer runs is a rule
+ * with an ID, a default severity and a check function. Rules can be turned off or given a
+ * different severity per project in a config file, and teams can register their own rules.
+ *
+ * File rules are run once for every analyzed file and receive its content and parsed data.
+ * Project rules are run once for the whole data directory and receive the loaded database.
+ * Rules that only apply to RPG Maker MV or to RPG Maker MZ name the project types they apply
+ * to, and are off for other projects unless a config turns them on.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { parseJson } = require('../../core');
+const referenceChecker = require('./referenceChecker');
+const eventStructureChecker = require('./eventStructureChecker');
+const pluginParameterChecker = require('./pluginParameterChecker');
+const pluginCommandChecker = require('./pluginCommandChecker');
+const pluginOrderChecker = require('./pluginOrderChecker');
+const scriptSyntaxChecker = require('../jsAnalyzer/scriptSyntaxChecker');
+
+/**
+ * Severities that rules can be set to
+ * @type {string[]}
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Name of the config file, looked up in the data directory and then the project directory
+ * @type {string}
+ */
+const CONFIG_FILE = '.rpgmaker-analyzer.json';
+
+// Registered rules by ID, in registration order
+const registry = new Map();
+
+/**
+ * Get line number for a position in text
+ * @param {string} text - Text content
+ * @param {number} index - Character index
+ * @returns {number} - Line number (1-based)
+ */
+function getLineNumber(text, index) {
+  const lines = text.substring(0, index).split('\n');
+  return lines.length;
+}
+
+/**
+ * Get column number for a position in text
+ * @param {string} text - Text content
+ * @param {number} index - Character index
+ * @returns {number} - Column number (1-based)
+ */
+function getColumnNumber(text, index) {
+  const lines = text.substring(0, index).split('\n');
+  return lines[lines.length - 1].length + 1;
+}
+
+/**
+ * Split an issue path such as "[3].pages[0].list" into keys and array indexes
+ * @param {string} valuePath - Path
+ * @returns {Array<string|number>} - Path segments
+ */
+function parsePath(valuePath) {
+  const segments = [];
+  const regex = /\[(\d+)\]|\.?([^.[\]]+)/g;
+  let match;
+
+  while ((match = regex.exec(valuePath)) !== null) {
+    segments.push(match[1] !== undefined ? parseInt(match[1], 10) : match[2]);
+  }
+
+  return segments;
+}
+
+/**
+ * Find where the value at an issue path starts in JSON content
+ * @param {string} content - File content
+ * @param {string} valuePath - Path to the value, e.g. "[3].pages[0].list"
+ * @returns {number} - Character index of the value, or -1 if it cannot be found
+ */
+function getPathIndex(content, valuePath) {
+  let pos = content.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const skipWhitespace = () => {
+    while (pos < content.length && /\s/.test(content[pos])) pos++;
+  };
+
+  const skipString = () => {
+    const start = pos;
+    pos++;
+    while (pos < content.length && content[pos] !== '"') {
+      pos += content[pos] === '\\' ? 2 : 1;
+    }
+    pos++;
+    return content.slice(start, pos);
+  };
+
+  const skipValue = () => {
+    skipWhitespace();
+    if (content[pos] === '"') {
+      skipString();
+      return;
+    }
+    if (content[pos] !== '[' && content[pos] !== '{') {
+      while (pos < content.length && !/[\s,\]}]/.test(content[pos])) pos++;
+      return;
+    }
+
+    let depth = 0;
+    while (pos < content.length) {
+      const char = content[pos];
+      if (char === '"') {
+        skipString();
+        continue;
+      }
+      if (char === '[' || char === '{') depth++;
+      if (char === ']' || char === '}') depth--;
+      pos++;
+      if (depth === 0) return;
+    }
+  };
+
+  for (const segment of parsePath(valuePath)) {
+    skipWhitespace();
+
+    if (typeof segment === 'number') {
+      if (content[pos] !== '[') return -1;
+      pos++;
+      for (let i = 0; i < segment; i++) {
+        skipValue();
+        skipWhitespace();
+        if (content[pos] !== ',') return -1;
+        pos++;
+      }
+      continue;
+    }
+
+    if (content[pos] !== '{') return -1;
+    pos++;
+    while (true) {
+      skipWhitespace();
+      if (content[pos] !== '"') return -1;
+      const key = parseJson(skipString());
+      skipWhitespace();
+      pos++; // Colon
+      if (key === segment) break;
+      skipValue();
+      skipWhitespace();
+      if (content[pos] !== ',') return -1;
+      pos++;
+    }
+  }
+
+  skipWhitespace();
+  return pos < content.length ? pos : -1;
+}
+
+/**
+ * Walk JSON content once and create a lookup from character indexes to value paths
+ *
+ * Use this instead of getIndexPath to find the paths of many indexes in the same content.
+ * @param {string} content - File content
+ * @returns {Function} - Returns the path of the innermost value that contains an index, such as
+ *   "[3].note", "" for the root value, or null if no value contains it or the content is not valid JSON
+ */
+function createIndexPathLookup(content) {
+  if (parseJson(content.replace(/^\uFEFF/, '')) === null) {
+    return () => null;
+  }
+
+  let pos = content.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  const spans = [];
+
+  const skipWhitespace = () => {
+    while (pos < content.length && /\s/.test(content[pos])) pos++;
+  };
+
+  const readString = () => {
+    const start = pos;
+    pos++;
+    while (pos < content.length && content[pos] !== '"') {
+      pos += content[pos] === '\\' ? 2 : 1;
+    }
+    pos++;
+    return content.slice(start, pos);
+  };
+
+  // Walk a value and record the span it covers
+  const walk = valuePath => {
+    skipWhitespace();
+    const start = pos;
+
+    if (content[pos] === '{') {
+      pos++;
+      skipWhitespace();
+      while (content[pos] !== '}') {
+        const key = parseJson(readString());
+        skipWhitespace();
+        pos++; // Colon
+        walk(valuePath ? `${valuePath}.${key}` : key);
+        skipWhitespace();
+        if (content[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (content[pos] === '[') {
+      pos++;
+      skipWhitespace();
+      for (let i = 0; content[pos] !== ']'; i++) {
+        walk(`${valuePath}[${i}]`);
+        skipWhitespace();
+        if (content[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (content[pos] === '"') {
+      readString();
+    } else {
+      while (pos < content.length && !/[\s,\]}]/.test(content[pos])) pos++;
+    }
+
+    spans.push({ start, end: pos, path: valuePath });
+  };
+
+  walk('');
+
+  // Mark each index with its innermost value: outer values first, so the values inside them overwrite them
+  spans.sort((a, b) => a.start - b.start);
+  const owners = new Int32Array(content.length).fill(-1);
+  spans.forEach((span, spanIndex) => owners.fill(spanIndex, span.start, span.end));
+
+  return index => (index >= 0 && index < owners.length && owners[index] >= 0 ? spans[owners[index]].path : null);
+}
+
+/**
+ * Find the path of the innermost value that contains a character index in JSON content
+ * @param {string} content - File content
+ * @param {number} index - Character index
+ * @returns {string|null} - Path such as "[3].note", "" for the root value, or null if the content is not valid JSON
+ */
+function getIndexPath(content, index) {
+  return createIndexPathLookup(content)(index);
+}
+
+/**
+ * Register an analyzer rule
+ * @param {Object} rule - Rule
+ * @param {string} rule.id - Unique rule ID, used as the issue type and in config files
+ * @param {string} rule.description - Short description of what the rule finds
+ * @param {string} rule.severity - Default severity (error, warning, info)
+ * @param {string} rule.scope - 'file' to check each file, 'project' to check the whole database (default: 'file')
+ * @param {boolean} rule.fixable - Whether issues found by the rule can be fixed automatically
+ * @param {boolean} rule.enabled - Whether the rule is on unless a config turns it off (default: true)
+ * @param {string[]} rule.projectTypes - Project types the rule applies to, e.g. ['mv'] (default: all)
+ * @param {Function} rule.check - Returns the issues for a file ({ filePath, content, data, options })
+ *   or a project ({ dataPath, database, options, shared }); shared is an object the project rules of
+ *   one run have in common, for results that several rules are made from
+ * @param {Function} rule.fix - Fixes one issue of a file rule ({ content, issue, options }); returns
+ *   { content } with the fixed file content, or { reason } if the issue cannot be fixed safely
+ * @returns {Object} - Registered rule
+ */
+function registerRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('Analyzer rule must have an id');
+  }
+  if (registry.has(rule.id)) {
+    throw new Error(`Analyzer rule already registered: ${rule.id}`);
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Analyzer rule ${rule.id} must have a check function`);
+  }
+  if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+    throw new Error(`Analyzer rule ${rule.id} has a fix that is not a function`);
+  }
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid severity for analyzer rule ${rule.id}: ${rule.severity}`);
+  }
+
+  const registered = {
+    description: '',
+    severity: 'warning',
+    scope: 'file',
+    fixable: false,
+    enabled: true,
+    ...rule
+  };
+  registry.set(rule.id, registered);
+  return registered;
+}
+
+/**
+ * Remove a registered analyzer rule
+ * @param {string} id - Rule ID
+ * @returns {boolean} - Whether the rule was registered
+ */
+function unregisterRule(id) {
+  return registry.delete(id);
+}
+
+/**
+ * Get a registered analyzer rule
+ * @param {string} id - Rule ID
+ * @returns {Object|undefined} - Rule
+ */
+function getRule(id) {
+  return registry.get(id);
+}
+
+/**
+ * Get all registered analyzer rules
+ * @returns {Object[]} - Rules in registration order
+ */
+function getRules() {
+  return [...registry.values()];
+}
+
+/**
+ * Load the analyzer config for a project
+ * @param {string} dataPath - Path to the data directory
+ * @param {string} configPath - Path to a config file (default: look for .rpgmaker-analyzer.json)
+ * @returns {Promise<Object>} - Config, with the path it was loaded from (empty if there is none)
+ */
+async function loadConfig(dataPath, configPath = null) {
+  const candidates = configPath
+    ? [configPath]
+    : [path.join(dataPath, CONFIG_FILE), path.join(path.dirname(path.resolve(dataPath)), CONFIG_FILE)];
+
+  for (const candidate of candidates) {
+    if (!await fs.pathExists(candidate)) continue;
+
+    const config = parseJson(await fs.readFile(candidate, 'utf8'));
+    if (!config || typeof config !== 'object') {
+      throw new Error(`Invalid analyzer config: ${candidate}`);
+    }
+    return { ...config, configPath: candidate };
+  }
+
+  if (configPath) {
+    throw new Error(`Analyzer config not found: ${configPath}`);
+  }
+  return { rules: {}, configPath: null };
+}
+
+/**
+ * Get the setting of a rule when no config mentions it
+ * @param {Object} rule - Rule
+ * @param {string|null} projectType - Type of the analyzed project (mv, mz), or null if unknown
+ * @returns {Object} - Setting ({ enabled, severity, options })
+ */
+function getDefaultSetting(rule, projectType = null) {
+  const applies = !projectType || !Array.isArray(rule.projectTypes) || rule.projectTypes.includes(projectType);
+  return {
+    enabled: rule.enabled && applies,
+    severity: rule.severity,
+    options: {}
+  };
+}
+
+/**
+ * Resolve the severity and options of every registered rule for a config
+ *
+ * A rule setting is 'off', a severity, or an array of a severity and rule options,
+ * e.g. { "arrow_function": "off", "missing_semicolon": ["info", { ... }] }.
+ * The config can also set "projectType" to "mv" or "mz", instead of the detected type.
+ * @param {Object} config - Config from loadConfig
+ * @param {Object} options - Options
+ * @param {string} options.projectType - Detected type of the project, which turns off rules for other types (default: every rule on)
+ * @returns {Object} - Settings by rule ID ({ enabled, severity, options })
+ */
+function resolveRuleSettings(config = {}, options = {}) {
+  const ruleConfig = config.rules || {};
+  const projectType = config.projectType || options.projectType || null;
+  const settings = {};
+
+  for (const rule of registry.values()) {
+    settings[rule.id] = getDefaultSetting(rule, projectType);
+  }
+
+  for (const [id, value] of Object.entries(ruleConfig)) {
+    if (!settings[id]) {
+      throw new Error(`Unknown analyzer rule in config: ${id}`);
+    }
+
+    const [level, options = {}] = Array.isArray(value) ? value : [value];
+    if (level === 'off' || level === false) {
+      settings[id].enabled = false;
+    } else if (level === 'on' || level === true) {
+      settings[id].enabled = true;
+    } else if (SEVERITIES.includes(level)) {
+      settings[id].enabled = true;
+      settings[id].severity = level;
+    } else {
+      throw new Error(`Invalid setting for analyzer rule ${id}: ${JSON.stringify(value)}`);
+    }
+    settings[id].options = options;
+  }
+
+  return settings;
+}
+
+/**
+ * Get a fingerprint of the registered rules and their settings
+ *
+ * The fingerprint changes when a rule is registered or removed, when its check changes, or
+ * when a setting changes, so it can be part of the key of cached analysis results.
+ * @param {Object} settings - Settings from resolveRuleSettings
+ * @returns {string} - Hex digest
+ */
+function getRulesFingerprint(settings = resolveRuleSettings()) {
+  const hash = crypto.createHash('sha256');
+  for (const rule of registry.values()) {
+    hash.update(`${rule.id}\n${rule.scope}\n${rule.check.toString()}\n`);
+  }
+  hash.update(JSON.stringify(settings));
+  return hash.digest('hex');
+}
+
+/**
+ * Apply a rule's ID, severity and fixability to the issues it found
+ * @param {Object} rule - Rule
+ * @param {Object} setting - Resolved setting of the rule
+ * @param {Object[]} issues - Issues returned by the rule
+ * @returns {Object[]} - Issues
+ */
+function finalizeIssues(rule, setting, issues) {
+  return (issues || []).map(issue => ({
+    line: 0,
+    column: 0,
+    fixable: rule.fixable,
+    ...issue,
+    type: rule.id,
+    severity: setting.severity
+  }));
+}
+
+/**
+ * Run the enabled file rules on a file
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @param {Object} settings - Settings from resolveRuleSettings (default: every rule's defaults)
+ * @returns {Object[]} - Issues
+ */
+function runFileRules(filePath, content, settings = resolveRuleSettings()) {
+  const data = parseJson(content.replace(/^\uFEFF/, ''));
+  const issues = [];
+
+  for (const rule of registry.values()) {
+    const setting = settings[rule.id] || getDefaultSetting(rule);
+    if (rule.scope !== 'file' || !setting.enabled) continue;
+
+    issues.push(...finalizeIssues(rule, setting, rule.check({ filePath, content, data, options: setting.options })));
+  }
+
+  return issues;
+}
+
+/**
+ * Run the enabled project rules on a data directory
+ * @param {string} dataPath - Path to the data directory
+ * @param {Object} database - Database from referenceChecker.loadDatabase
+ * @param {Object} settings - Settings from resolveRuleSettings (default: every rule's defaults)
+ * @returns {Promise<Object[]>} - Issues, each with the file it was found in
+ */
+async function runProjectRules(dataPath, database, settings = resolveRuleSettings()) {
+  const issues = [];
+  const shared = {};
+
+  for (const rule of registry.values()) {
+    const setting = settings[rule.id] || getDefaultSetting(rule);
+    if (rule.scope !== 'project' || !setting.enabled) continue;
+
+    issues.push(...finalizeIssues(rule, setting, await rule.check({ dataPath, database, options: setting.options, shared })));
+  }
+
+  return issues;
+}
+
+/**
+ * Insert text into content
+ * @param {string} content - Content
+ * @param {number} index - Character index to insert at
+ * @param {string} text - Text to insert
+ * @returns {string} - Content with the text inserted
+ */
+function insertText(content, index, text) {
+  return content.slice(0, index) + text + content.slice(index);
+}
+
+/**
+ * Call a function for the content of every note field in a file
+ * @param {string} content - File content
+ * @param {Function} callback - Called with (noteContent, offset) where offset is the index of the note in the file
+ */
+function forEachNote(content, callback) {
+  const noteRegex = /"note":"((?:\\"|[^"])*)"/g;
+  let match;
+
+  while ((match = noteRegex.exec(content)) !== null) {
+    const noteContent = match[1];
+
+    // Skip empty notes
+    if (!noteContent) continue;
+
+    callback(noteContent, match.index + '"note":"'.length);
+  }
+}
+
+/**
+ * Create a file rule check that reports every match of a pattern in note fields
+ * @param {RegExp} pattern - Global pattern to find in notes
+ * @param {Function} createIssue - Returns the issue fields for a match
+ * @returns {Function} - Rule check
+ */
+function createNotePatternCheck(pattern, createIssue) {
+  return ({ content }) => {
+    const issues = [];
+
+    forEachNote(content, (noteContent, offset) => {
+      const regex = new RegExp(pattern.source, pattern.flags);
+      let match;
+
+      while ((match = regex.exec(noteContent)) !== null) {
+        const index = offset + match.index;
+        issues.push({
+          ...createIssue(match),
+          line: getLineNumber(content, index),
+          column: getColumnNumber(content, index),
+          index,
+          length: match[0].length
+        });
+      }
+    });
+
+    return issues;
+  };
+}
+
+/**
+ * Create a project rule check that reports one kind of plugin order issue
+ *
+ * The plugin order is checked once per run, and each of the rules takes its kind of issue.
+ * @param {string} type - Issue type from pluginOrderChecker
+ * @returns {Function} - Rule check
+ */
+function createPluginOrderCheck(type) {
+  return async ({ dataPath, shared = {} }) => {
+    if (!shared.pluginOrderIssues) {
+      shared.pluginOrderIssues = pluginOrderChecker.analyzePluginOrder(path.dirname(path.resolve(dataPath)));
+    }
+    const issues = await shared.pluginOrderIssues;
+    return issues.filter(issue => issue.type === type);
+  };
+}
+
+registerRule({
+  id: 'invalid_json',
+  description: 'File is not valid JSON',
+  severity: 'error',
+  fixable: false,
+  check: ({ content, data }) => {
+    if (data !== null) return [];
+
+    try {
+      JSON.parse(content.replace(/^\uFEFF/, ''));
+      return [];
+    } catch (error) {
+      return [{ message: `Invalid JSON: ${error.message}` }];
+    }
+  }
+});
+
+registerRule({
+  id: 'missing_comma',
+  description: 'Missing comma between two properties',
+  severity: 'error',
+  fixable: true,
+  check: ({ content }) => {
+    const issues = [];
+    const regex = /"([a-zA-Z0-9_]+)":([^,\s}])\s*"([a-zA-Z0-9_]+)":/g;
+    let match;
+
+    while ((match = regex.exec(content)) !== null) {
+      const [fullMatch, prop1, value, prop2] = match;
+
+      issues.push({
+        message: `Missing comma between "${prop1}" and "${prop2}"`,
+        line: getLineNumber(content, match.index),
+        column: getColumnNumber(content, match.index),
+        index: match.index,
+        length: fullMatch.length,
+        prop1,
+        value,
+        prop2
+      });
+    }
+
+    return issues;
+  },
+  fix: ({ content, issue }) => {
+    // Only a single-character number or literal can be followed by the comma; strings, arrays
+    // and objects would put it in the wrong place
+    if (!/^[\w.-]$/.test(issue.value)) {
+      return { reason: `The value of "${issue.prop1}" is not a number or literal` };
+    }
+    return { content: insertText(content, issue.index + JSON.stringify(issue.prop1).length + 1 + issue.value.length, ',') };
+  }
+});
+
+// Off by default: script_syntax_error compiles the code and finds real errors instead
+registerRule({
+  id: 'missing_semicolon',
+  description: 'Missing semicolon in JavaScript code in a note field',
+  severity: 'warning',
+  fixable: true,
+  enabled: false,
+  check: createNotePatternCheck(/([^;{])\s*\n\s*([a-zA-Z$_])/g, () => ({
+    message: 'Missing semicolon in JavaScript code'
+  })),
+  fix: ({ content, issue }) => ({ content: insertText(content, issue.index + 1, ';') })
+});
+
+registerRule({
+  id: 'unescaped_quote',
+  description: 'Unescaped quote in JavaScript code in a note field',
+  severity: 'error',
+  fixable: true,
+  check: createNotePatternCheck(/([^\\])"/g, () => ({
+    message: 'Unescaped quote in JavaScript code'
+  })),
+  fix: ({ content, issue }) => ({ content: insertText(content, issue.index + issue.length - 1, '\\') })
+});
+
+registerRule({
+  id: 'arrow_function',
+  description: 'Arrow function in JavaScript code in a note field',
+  severity: 'warning',
+  fixable: true,
+  // RPG Maker MZ runs a JavaScript engine that has arrow functions, and so do its plugins
+  projectTypes: ['mv'],
+  check: createNotePatternCheck(/\(([^()]*)\)\s*=>\s*{/g, () => ({
+    message: 'Arrow function used in JavaScript code (may not be supported by older plugins)'
+  })),
+  fix: ({ content, issue }) => {
+    const start = issue.index;
+    const bodyStart = start + issue.length;
+
+    // Find the end of the body, so it can be checked for this and arguments
+    let depth = 1;
+    let end = bodyStart;
+    while (end < content.length && depth > 0) {
+      if (content[end] === '{') depth++;
+      if (content[end] === '}') depth--;
+      end++;
+    }
+    if (depth > 0) {
+      return { reason: 'The end of the arrow function body was not found' };
+    }
+    if (/\b(this|arguments)\b/.test(content.slice(bodyStart, end))) {
+      return { reason: 'The arrow function uses this or arguments, which mean something else in a function expression' };
+    }
+
+    const params = content.slice(start, bodyStart).match(/^\(([^()]*)\)/)[1];
+    return { content: `${content.slice(0, start)}function (${params}) {${content.slice(bodyStart)}` };
+  }
+});
+
+registerRule({
+  id: 'modern_var_declaration',
+  description: 'let or const declaration in JavaScript code in a note field',
+  severity: 'warning',
+  fixable: true,
+  projectTypes: ['mv'],
+  check: createNotePatternCheck(/\b(let|const)\b\s+([a-zA-Z$_][a-zA-Z0-9$_]*)/g, (match) => ({
+    message: `"${match[1]}" used in JavaScript code (may not be supported by older plugins)`
+  })),
+  fix: ({ content, issue }) => {
+    // A let in a loop header gets a new binding per iteration, which closures can depend on
+    if (/for\s*\(\s*$/.test(content.slice(Math.max(0, issue.index - 20), issue.index))) {
+      return { reason: 'The declaration is in a for loop header, where var would change its scope' };
+    }
+    const declaration = content.slice(issue.index, issue.index + issue.length);
+    return { content: content.slice(0, issue.index) + declaration.replace(/^(let|const)/, 'var') + content.slice(issue.index + issue.length) };
+  }
+});
+
+registerRule({
+  id: 'dangling_reference',
+  description: 'ID reference to a database entry, map, switch or variable that does not exist',
+  severity: 'error',
+  scope: 'project',
+  fixable: false,
+  check: ({ database }) => referenceChecker.checkReferences(database)
+});
+
+registerRule({
+  id: 'invalid_event_structure',
+  description: 'Event command list with unclosed blocks, wrong indents, orphaned lines or a missing end',
+  severity: 'error',
+  scope: 'project',
+  fixable: false,
+  check: ({ database }) => eventStructureChecker.checkEventStructure(database)
+});
+
+registerRule({
+  id: 'script_syntax_error',
+  description: 'Syntax error in a script command, script operand, damage formula or eval notetag',
+  severity: 'error',
+  scope: 'project',
+  fixable: false,
+  check: ({ database }) => scriptSyntaxChecker.checkScripts(database)
+});
+
+registerRule({
+  id: 'invalid_plugin_parameter',
+  description: 'Plugin parameter in js/plugins.js that does not match the @param annotations of the plugin',
+  severity: 'warning',
+  scope: 'project',
+  fixable: false,
+  check: ({ dataPath, database }) => pluginParameterChecker.analyzePluginParameters(path.dirname(path.resolve(dataPath)), database)
+});
+
+registerRule({
+  id: 'invalid_plugin_command',
+  description: 'RPG Maker MZ Plugin Command that calls a missing plugin or command, or has arguments that do not match its @arg annotations',
+  severity: 'warning',
+  scope: 'project',
+  fixable: false,
+  projectTypes: ['mz'],
+  check: ({ dataPath, database }) => pluginCommandChecker.analyzePluginCommands(path.dirname(path.resolve(dataPath)), database)
+});
+
+registerRule({
+  id: 'missing_plugin',
+  description: 'Enabled plugin without a file in js/plugins, or a required base plugin that is missing or disabled',
+  severity: 'error',
+  scope: 'project',
+  fixable: false,
+  check: createPluginOrderCheck('missing_plugin')
+});
+
+registerRule({
+  id: 'plugin_order',
+  description: 'Plugin listed before a plugin it must be placed below, after one it must be placed above, or twice',
+  severity: 'error',
+  scope: 'project',
+  fixable: false,
+  check: createPluginOrderCheck('plugin_order')
+});
+
+registerRule({
+  id: 'unregistered_plugin',
+  description: 'Plugin file in js/plugins that is not in the plugin list',
+  severity: 'info',
+  scope: 'project',
+  fixable: false,
+  check: createPluginOrderCheck('unregistered_plugin')
+});
+
+module.exports = {
+  SEVERITIES,
+  CONFIG_FILE,
+  registerRule,
+  unregisterRule,
+  getRule,
+  getRules,
+  loadConfig,
+  resolveRuleSettings,
+  getRulesFingerprint,
+  runFileRules,
+  runProjectRules,
+  getLineNumber,
+  getColumnNumber,
+  getPathIndex,
+  getIndexPath,
+  createIndexPathLookup
+};
@@ -0,0 +1,397 @@
+/**
+ * RPG Maker MV Save Compatibility Checker
+ *
+ * This module compares two versions of a project's database and reports the changes that
+ * break saves made with the old version:
+ * - Actors, classes, skills, items, weapons, armors, states and maps that were removed, or
+ *   renumbered so that their old ID now holds something else or nothing. Saves keep IDs, not
+ *   names, so a save made before a renumbering refers to the wrong entry afterwards.
+ * - Switches and variables whose ID now has a different name, which usually means it was
+ *   reused for a different purpose and saves hold a value that meant something else
+ * - Maps that shrank, so that events and saved positions can end up outside them
+ * - Autorun and parallel common events that were removed; the game keeps these running in the
+ *   save and fails to load it when they no longer exist
+ * A sample save (.rpgsave, or .rmmzsave in RPG Maker MZ) can be checked as well: every ID it
+ * holds is looked up in the new version, and the switches and variables it uses are checked
+ * against the changes.
+ */
+
+const fs = require('fs-extra');
+const { loadDatabase } = require('./referenceChecker');
+const { isProjectDatabase, getMapFileName } = require('../utils/projectDatabase');
+const { readSaveFile } = require('../utils/saveFile');
+
+/**
+ * Database tables that saves refer to by ID: file, and the name used in messages
+ * @type {Object}
+ */
+const SavedTables = {
+  actors: { file: 'Actors.json', label: 'Actor' },
+  classes: { file: 'Classes.json', label: 'Class' },
+  skills: { file: 'Skills.json', label: 'Skill' },
+  items: { file: 'Items.json', label: 'Item' },
+  weapons: { file: 'Weapons.json', label: 'Weapon' },
+  armors: { file: 'Armors.json', label: 'Armor' },
+  states: { file: 'States.json', label: 'State' },
+  mapInfos: { file: 'MapInfos.json', label: 'Map' }
+};
+
+/**
+ * Create an issue
+ * @param {string} type - Issue type
+ * @param {string} severity - Severity
+ * @param {string} message - Message
+ * @param {string} file - File the issue is in
+ * @param {string} valuePath - Path to the value in the file
+ * @param {string} table - Table the ID is in
+ * @param {number} id - ID
+ * @returns {Object} - Issue
+ */
+function createIssue(type, severity, message, file, valuePath, table, id) {
+  return {
+    type,
+    message: `${message} (${file} ${valuePath})`,
+    file,
+    path: valuePath,
+    table,
+    id,
+    line: 0,
+    column: 0,
+    severity,
+    fixable: false
+  };
+}
+
+/**
+ * Describe an entry by ID and name
+ * @param {string} label - Kind of entry
+ * @param {number} id - ID
+ * @param {string} name - Name
+ * @returns {string} - Description
+ */
+function describe(label, id, name) {
+  return name ? `${label} ${id} (${name})` : `${label} ${id}`;
+}
+
+/**
+ * Find the ID a name moved to: another ID that has the name in the new version and did not
+ * have it in the old one
+ * @param {Array} oldNames - Names by ID in the old version
+ * @param {Array} newNames - Names by ID in the new version
+ * @param {number} id - Old ID of the name
+ * @returns {number} - New ID, or -1 if the name did not move
+ */
+function findMovedId(oldNames, newNames, id) {
+  const name = oldNames[id];
+  if (!name) {
+    return -1;
+  }
+  return newNames.findIndex((newName, newId) => newId > 0 && newId !== id && newName === name && oldNames[newId] !== name);
+}
+
+/**
+ * Compare the entries of a database table between two versions
+ * @param {string} table - Table name
+ * @param {Array} oldEntries - Entries in the old version
+ * @param {Array} newEntries - Entries in the new version
+ * @returns {Object[]} - Issues
+ */
+function compareTable(table, oldEntries, newEntries) {
+  const { file, label } = SavedTables[table];
+  const issues = [];
+  const names = entries => entries.map(entry => (entry && entry.name) || '');
+  const oldNames = names(oldEntries);
+  const newNames = names(newEntries);
+
+  oldEntries.forEach((oldEntry, id) => {
+    if (!oldEntry || id === 0) return;
+    const newEntry = newEntries[id];
+
+    // An entry is the same if its name did not change; unnamed entries cannot be told apart
+    if (newEntry && (!oldNames[id] || !newNames[id] || oldNames[id] === newNames[id])) return;
+
+    const movedId = findMovedId(oldNames, newNames, id);
+    if (movedId > 0) {
+      issues.push(createIssue('save_renumbered_entry', 'error',
+        `${describe(label, id, oldNames[id])} moved to ID ${movedId}; saves still refer to ID ${id}, which is now ${newEntry ? `${newNames[id] || 'unnamed'}` : 'empty'}`,
+        file, `[${id}]`, table, id));
+    } else if (!newEntry) {
+      issues.push(createIssue('save_removed_entry', 'error',
+        `${describe(label, id, oldNames[id])} was removed; saves that refer to it break`,
+        file, `[${id}]`, table, id));
+    } else {
+      issues.push(createIssue('save_repurposed_entry', 'warning',
+        `${label} ${id} was ${oldNames[id]} and is now ${newNames[id]}; saves that refer to it get ${newNames[id]}`,
+        file, `[${id}]`, table, id));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Compare the switch or variable names of two versions
+ * @param {string} kind - 'switches' or 'variables'
+ * @param {string[]} oldNames - Names by ID in the old version
+ * @param {string[]} newNames - Names by ID in the new version
+ * @returns {Object[]} - Issues
+ */
+function compareNames(kind, oldNames, newNames) {
+  const label = kind === 'switches' ? 'Switch' : 'Variable';
+  const issues = [];
+
+  oldNames.forEach((oldName, id) => {
+    const newName = newNames[id] || '';
+    if (!oldName || id === 0 || newName === oldName) return;
+
+    // Saves keep the value at the old ID, whatever it is called now
+    const movedId = findMovedId(oldNames, newNames, id);
+    if (movedId > 0) {
+      issues.push(createIssue('save_renumbered_entry', 'error',
+        `${describe(label, id, oldName)} moved to ID ${movedId}; saves keep its value at ID ${id}${newName ? `, which is now ${newName}` : ''}`,
+        'System.json', `${kind}[${id}]`, kind, id));
+    } else if (newName) {
+      issues.push(createIssue('save_repurposed_entry', 'warning',
+        `${label} ${id} was ${oldName} and is now ${newName}; saves keep the value it had as ${oldName}`,
+        'System.json', `${kind}[${id}]`, kind, id));
+    } else {
+      issues.push(createIssue('save_removed_entry', 'warning',
+        `${describe(label, id, oldName)} no longer has a name; saves keep the value it had`,
+        'System.json', `${kind}[${id}]`, kind, id));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Compare the sizes of the maps in both versions, and report maps that shrank
+ * @param {Object} oldDatabase - Old version, from loadDatabase
+ * @param {Object} newDatabase - New version, from loadDatabase
+ * @returns {Object[]} - Issues
+ */
+function compareMapSizes(oldDatabase, newDatabase) {
+  const issues = [];
+  const mapInfos = newDatabase.mapInfos || [];
+
+  for (const [mapId, oldMap] of Object.entries(oldDatabase.maps)) {
+    const newMap = newDatabase.maps[mapId];
+    if (!newMap || !(newMap.width < oldMap.width || newMap.height < oldMap.height)) continue;
+
+    const id = Number(mapId);
+    const name = mapInfos[id] && mapInfos[id].name;
+    const outside = (Array.isArray(oldMap.events) ? oldMap.events : [])
+      .filter(event => event && (event.x >= newMap.width || event.y >= newMap.height));
+    const resized = `${describe('Map', id, name)} shrank from ${oldMap.width}x${oldMap.height} to ${newMap.width}x${newMap.height}`;
+
+    if (outside.length > 0) {
+      const events = outside.map(event => describe('event', event.id, event.name)).join(', ');
+      issues.push(createIssue('save_map_resized', 'error',
+        `${resized}, and ${events} stood outside the new size; saves made on this map keep them there`,
+        getMapFileName(id), 'width', 'maps', id));
+    } else {
+      issues.push(createIssue('save_map_resized', 'warning',
+        `${resized}; saves made with the player or a moving event outside the new size leave them off the map`,
+        getMapFileName(id), 'width', 'maps', id));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Report autorun and parallel common events of the old version that no longer exist
+ * @param {Array} oldEvents - Common events in the old version
+ * @param {Array} newEvents - Common events in the new version
+ * @returns {Object[]} - Issues
+ */
+function compareCommonEvents(oldEvents, newEvents) {
+  const issues = [];
+
+  oldEvents.forEach((oldEvent, id) => {
+    if (!oldEvent || id === 0 || !oldEvent.trigger || newEvents[id]) return;
+
+    // The map keeps one object per triggered common event, and each one looks its event up on load
+    const trigger = oldEvent.trigger === 1 ? 'Autorun' : 'Parallel';
+    issues.push(createIssue('save_missing_common_event', 'error',
+      `${trigger} ${describe('common event', id, oldEvent.name)} was removed; saves made while it existed fail to load`,
+      'CommonEvents.json', `[${id}]`, 'commonEvents', id));
+  });
+
+  return issues;
+}
+
+/**
+ * Check whether an ID exists in the new version; IDs in tables that did not load are not checked
+ * @param {Object} database - Database from loadDatabase
+ * @param {string} table - Table name, or 'maps'
+ * @param {number} id - ID
+ * @returns {boolean} - Whether the ID exists
+ */
+function idExists(database, table, id) {
+  if (table === 'maps') {
+    return !Array.isArray(database.mapInfos) || (!!database.mapInfos[id] && !!database.maps[id]);
+  }
+  return !Array.isArray(database[table]) || !!database[table][id];
+}
+
+/**
+ * Check a sample save against the new version of the database
+ * @param {Object} contents - Contents of a saved game, from readSaveFile
+ * @param {Object} database - New version, from loadDatabase
+ * @param {Object[]} changes - Issues found by comparing the two versions
+ * @param {string} file - Name of the save file, for messages
+ * @returns {Object[]} - Issues
+ */
+function checkSave(contents, database, changes, file) {
+  const issues = [];
+  const check = (table, id, valuePath, description) => {
+    if (!Number.isInteger(id) || id <= 0 || idExists(database, table, id)) return;
+    const label = table === 'maps' ? 'map' : table === 'commonEvents' ? 'common event' : SavedTables[table].label.toLowerCase();
+    issues.push(createIssue('save_invalid_reference', 'error',
+      `${description} refers to ${label} ${id}, which does not exist in the new version`,
+      file, valuePath, table, id));
+  };
+  const party = contents.party || {};
+
+  (party._actors || []).forEach((actorId, index) => check('actors', actorId, `party._actors[${index}]`, 'Party member'));
+  for (const [key, table] of [['_items', 'items'], ['_weapons', 'weapons'], ['_armors', 'armors']]) {
+    Object.keys(party[key] || {}).forEach(id => check(table, Number(id), `party.${key}[${id}]`, 'Party inventory'));
+  }
+
+  const actors = contents.actors && Array.isArray(contents.actors._data) ? contents.actors._data : [];
+  actors.forEach((actor, index) => {
+    if (!actor) return;
+    const actorPath = `actors._data[${index}]`;
+    const description = `Actor ${actor._name || index}`;
+    check('actors', actor._actorId, `${actorPath}._actorId`, description);
+    check('classes', actor._classId, `${actorPath}._classId`, `${description} class`);
+    (actor._skills || []).forEach((skillId, i) => check('skills', skillId, `${actorPath}._skills[${i}]`, `${description} skill`));
+    (actor._states || []).forEach((stateId, i) => check('states', stateId, `${actorPath}._states[${i}]`, `${description} state`));
+    (actor._equips || []).forEach((equip, i) => {
+      if (equip && (equip._dataClass === 'weapon' || equip._dataClass === 'armor')) {
+        check(`${equip._dataClass}s`, equip._itemId, `${actorPath}._equips[${i}]._itemId`, `${description} equipment`);
+      }
+    });
+  });
+
+  // The player's position, or the transfer the save is waiting to make
+  const player = contents.player || {};
+  const map = contents.map || {};
+  const position = player._transferring
+    ? { mapId: player._newMapId, x: player._newX, y: player._newY, path: 'player._newMapId' }
+    : { mapId: map._mapId, x: player._x, y: player._y, path: 'map._mapId' };
+  check('maps', position.mapId, position.path, 'Player position');
+  const mapData = database.maps[position.mapId];
+  if (mapData && (position.x >= mapData.width || position.y >= mapData.height)) {
+    issues.push(createIssue('save_invalid_reference', 'error',
+      `Player position ${position.x}, ${position.y} is outside map ${position.mapId}, which is ${mapData.width}x${mapData.height} in the new version`,
+      file, position.path, 'maps', position.mapId));
+  }
+
+  (map._commonEvents || []).forEach((commonEvent, index) => {
+    if (commonEvent) {
+      check('commonEvents', commonEvent._commonEventId, `map._commonEvents[${index}]._commonEventId`, 'Running common event');
+    }
+  });
+
+  // Switches and variables that changed meaning matter when the save has a value for them
+  const reasons = {
+    save_renumbered_entry: 'moved to another ID',
+    save_repurposed_entry: 'is used for something else',
+    save_removed_entry: 'is no longer used'
+  };
+  for (const change of changes.filter(issue => issue.table === 'switches' || issue.table === 'variables')) {
+    const values = contents[change.table] && contents[change.table]._data;
+    const value = values ? values[change.id] : undefined;
+    if (value === undefined || value === null || value === false || value === 0) continue;
+    const label = change.table === 'switches' ? 'switch' : 'variable';
+    issues.push(createIssue('save_invalid_reference', change.severity,
+      `The save has ${label} ${change.id} set to ${JSON.stringify(value)}, but it ${reasons[change.type]} in the new version`,
+      file, `${change.table}._data[${change.id}]`, change.table, change.id));
+  }
+
+  return issues;
+}
+
+/**
+ * Compare two versions of a database and report the changes that break existing saves
+ * @param {Object} oldDatabase - Old version, from loadDatabase
+ * @param {Object} newDatabase - New version, from loadDatabase
+ * @param {Object} options - Options
+ * @param {Object} options.save - Sample save from readSaveFile to check against the new version
+ * @returns {Object[]} - Issues (save_removed_entry, save_renumbered_entry, save_repurposed_entry, save_map_resized, save_missing_common_event, save_invalid_reference)
+ */
+function checkSaveCompatibility(oldDatabase, newDatabase, options = {}) {
+  const { save = null } = options;
+  const issues = [];
+
+  for (const table of Object.keys(SavedTables)) {
+    if (Array.isArray(oldDatabase[table]) && Array.isArray(newDatabase[table])) {
+      issues.push(...compareTable(table, oldDatabase[table], newDatabase[table]));
+    }
+  }
+
+  // A map whose file was deleted while it stayed in MapInfos.json is gone as well
+  if (Array.isArray(newDatabase.mapInfos)) {
+    for (const mapId of Object.keys(oldDatabase.maps)) {
+      const id = Number(mapId);
+      if (newDatabase.mapInfos[id] && !newDatabase.maps[id]) {
+        issues.push(createIssue('save_removed_entry', 'error',
+          `${describe('Map', id, newDatabase.mapInfos[id].name)} has no ${getMapFileName(id)} any more; saves made on it break`,
+          'MapInfos.json', `[${id}]`, 'mapInfos', id));
+      }
+    }
+  }
+
+  const oldSystem = oldDatabase.system || {};
+  const newSystem = newDatabase.system || {};
+  for (const kind of ['switches', 'variables']) {
+    if (Array.isArray(oldSystem[kind]) && Array.isArray(newSystem[kind])) {
+      issues.push(...compareNames(kind, oldSystem[kind], newSystem[kind]));
+    }
+  }
+
+  issues.push(...compareMapSizes(oldDatabase, newDatabase));
+
+  if (Array.isArray(oldDatabase.commonEvents) && Array.isArray(newDatabase.commonEvents)) {
+    issues.push(...compareCommonEvents(oldDatabase.commonEvents, newDatabase.commonEvents));
+  }
+
+  if (save) {
+    issues.push(...checkSave(save.contents, newDatabase, issues, save.filePath || 'save'));
+  }
+
+  return issues;
+}
+
+/**
+ * Compare two versions of a project's data directory and report the changes that break existing saves
+ * @param {string|Object} oldDataPath - Data directory of the old version, or a project database
+ * @param {string|Object} newDataPath - Data directory of the new version, or a project database
+ * @param {Object} options - Options
+ * @param {string} options.savePath - Sample .rpgsave or .rmmzsave file to check against the new version
+ * @returns {Promise<Object[]>} - Issues
+ */
+async function analyzeSaveCompatibility(oldDataPath, newDataPath, options = {}) {
+  const { savePath = null } = options;
+
+  const load = async dataPath => {
+    if (!isProjectDatabase(dataPath) && !await fs.pathExists(dataPath)) {
+      throw new Error(`Data directory not found: ${dataPath}`);
+    }
+    return loadDatabase(dataPath);
+  };
+
+  const oldDatabase = await load(oldDataPath);
+  const newDatabase = await load(newDataPath);
+  const save = savePath ? await readSaveFile(savePath) : null;
+
+  return checkSaveCompatibility(oldDatabase, newDatabase, { save });
+}
+
+module.exports = {
+  SavedTables,
+  checkSaveCompatibility,
+  analyzeSaveCompatibility
+};
@@ -0,0 +1,392 @@
+/**
+ * RPG Maker MV Analyzer Suppressions
+ *
+ * This module keeps known issues out of analysis results, so new problems are not lost among
+ * them:
+ * - Inline suppressions: an <analyzer-ignore> marker in a note field suppresses the issues of
+ *   that database entry, map or map event, and in a Comment command it suppresses the issues of
+ *   that event list. <analyzer-ignore: rule_a, rule_b> only suppresses those rules.
+ * - Suppression lists: the "suppressions" of the analyzer config, keyed by file, path and rule ID
+ * - Baselines: a file recording the issues a project already has. Later runs compare against it
+ *   and report only the issues that are new, and the baseline issues that were resolved.
+ * Baseline issues are matched by a fingerprint of their rule, file, path, message and the text
+ * they cover, so they still match after lines move.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseJson, stringifyJson } = require('../../core');
+const rules = require('./rules');
+const analysisCache = require('../utils/analysisCache');
+
+/**
+ * Version of the baseline file format
+ * @type {number}
+ */
+const BASELINE_VERSION = 1;
+
+/**
+ * Name of the baseline file, created next to the data directory
+ * @type {string}
+ */
+const BASELINE_FILE = '.rpgmaker-analyzer-baseline.json';
+
+/**
+ * Inline suppression marker, with an optional list of rule IDs
+ * @type {RegExp}
+ */
+const SUPPRESS_MARKER = /<analyzer-ignore(?:\s*:\s*([^>]*))?>/gi;
+
+/**
+ * Get the default baseline file for a data directory
+ * @param {string} dataPath - Path to the data directory
+ * @returns {string} - Baseline file next to the data directory
+ */
+function getDefaultBaselinePath(dataPath) {
+  return path.join(path.dirname(path.resolve(dataPath)), BASELINE_FILE);
+}
+
+/**
+ * Get the path of a result's file relative to the data directory, with forward slashes
+ * @param {string} dataPath - Path to the data directory
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Relative file path, such as "Map001.json"
+ */
+function getRelativeFile(dataPath, filePath) {
+  return path.relative(path.resolve(dataPath), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Read the suppression markers in text
+ * @param {string} text - Note or comment text
+ * @returns {Array<string[]|null>} - For each marker, the rule IDs it suppresses (null for every rule)
+ */
+function readMarkers(text) {
+  const markers = [];
+  const regex = new RegExp(SUPPRESS_MARKER.source, SUPPRESS_MARKER.flags);
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const ruleIds = (match[1] || '').split(',').map(id => id.trim()).filter(Boolean);
+    markers.push(ruleIds.length > 0 ? ruleIds : null);
+  }
+
+  return markers;
+}
+
+/**
+ * Find the inline suppressions in the data of a file
+ * @param {*} data - Parsed file data
+ * @param {string} file - File relative to the data directory
+ * @returns {Object[]} - Suppressions (file, path, rules, source)
+ */
+function findInlineSuppressions(data, file) {
+  const suppressions = [];
+
+  const walk = (value, valuePath) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (item && typeof item === 'object') {
+          walk(item, `${valuePath}[${index}]`);
+        }
+      });
+      return;
+    }
+
+    // A note covers the entry, map or map event it belongs to
+    if (typeof value.note === 'string') {
+      for (const ruleIds of readMarkers(value.note)) {
+        suppressions.push({ file, path: valuePath, rules: ruleIds, source: 'inline' });
+      }
+    }
+
+    // A Comment covers the event list it is in
+    if (Array.isArray(value.list)) {
+      const listPath = valuePath ? `${valuePath}.list` : 'list';
+      for (const command of value.list) {
+        if (command && (command.code === 108 || command.code === 408) && Array.isArray(command.parameters)) {
+          for (const ruleIds of readMarkers(String(command.parameters[0]))) {
+            suppressions.push({ file, path: listPath, rules: ruleIds, source: 'inline' });
+          }
+        }
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (child && typeof child === 'object') {
+        walk(child, valuePath ? `${valuePath}.${key}` : key);
+      }
+    }
+  };
+
+  if (data && typeof data === 'object') {
+    walk(data, '');
+  }
+
+  return suppressions;
+}
+
+/**
+ * Normalize the suppression list of an analyzer config
+ *
+ * Each entry names a file relative to the data directory, and optionally a path in it and the
+ * rules to suppress, e.g. { "file": "Skills.json", "path": "[12]", "rules": ["arrow_function"],
+ * "reason": "Only runs in the browser build" }. A missing path covers the whole file, and
+ * missing rules cover every rule.
+ * @param {Object[]} list - Suppressions from the config
+ * @returns {Object[]} - Suppressions (file, path, rules, reason, source)
+ */
+function normalizeSuppressions(list = []) {
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid analyzer config: "suppressions" must be an array');
+  }
+
+  return list.map((entry, index) => {
+    if (!entry || typeof entry.file !== 'string') {
+      throw new Error(`Invalid suppression ${index} in analyzer config: "file" is required`);
+    }
+
+    const ruleIds = entry.rules || (entry.rule ? [entry.rule] : null);
+    return {
+      file: entry.file.split('\\').join('/'),
+      path: entry.path || '',
+      rules: ruleIds && ruleIds.length > 0 && !ruleIds.includes('*') ? ruleIds : null,
+      reason: entry.reason || null,
+      source: 'list'
+    };
+  });
+}
+
+/**
+ * Create a function that finds the paths of the issues of one analysis result
+ *
+ * Project rules report a path. For file rules, it is found from the position of the issue; the
+ * file is walked the first time an issue needs it, and the walk is reused for its other issues.
+ * @param {Object} result - Analysis result
+ * @returns {Function} - Returns the path of an issue of the result ("" if it has no position)
+ */
+function createIssuePathFinder(result) {
+  let lookup = null;
+
+  return issue => {
+    if (typeof issue.path === 'string') {
+      return issue.path;
+    }
+    if (typeof issue.index === 'number' && result.content) {
+      lookup = lookup || rules.createIndexPathLookup(result.content);
+      return lookup(issue.index) || '';
+    }
+    return '';
+  };
+}
+
+/**
+ * Check whether a path is a suppression path or inside it
+ * @param {string} issuePath - Issue path
+ * @param {string} suppressionPath - Suppression path
+ * @returns {boolean} - Whether the suppression covers the path
+ */
+function coversPath(issuePath, suppressionPath) {
+  if (!suppressionPath || issuePath === suppressionPath) {
+    return true;
+  }
+  return issuePath.startsWith(suppressionPath) && /^[.[]/.test(issuePath.slice(suppressionPath.length));
+}
+
+/**
+ * Move suppressed issues out of analysis results
+ *
+ * The issues of each result are split into issues and suppressed, and each suppressed issue
+ * records the suppression that covers it.
+ * @param {Object[]} results - Analysis results
+ * @param {Object} options - Options
+ * @param {string} options.dataPath - Path to the data directory
+ * @param {Object[]} options.suppressions - Suppression list from the analyzer config
+ * @param {boolean} options.inline - Whether to read inline suppression markers (default: true)
+ * @returns {number} - Number of suppressed issues
+ */
+function applySuppressions(results, options = {}) {
+  const { dataPath, inline = true } = options;
+  const list = normalizeSuppressions(options.suppressions);
+  let suppressedCount = 0;
+
+  for (const result of results) {
+    const file = getRelativeFile(dataPath, result.file);
+    const suppressions = list.filter(suppression => suppression.file === file);
+    if (inline && result.content) {
+      suppressions.push(...findInlineSuppressions(parseJson(result.content.replace(/^\uFEFF/, '')), file));
+    }
+    if (suppressions.length === 0) continue;
+
+    const issues = [];
+    const suppressed = result.suppressed || [];
+    const findPath = createIssuePathFinder(result);
+    for (const issue of result.issues) {
+      const issuePath = findPath(issue);
+      const suppression = suppressions.find(candidate =>
+        (!candidate.rules || candidate.rules.includes(issue.type)) && coversPath(issuePath, candidate.path)
+      );
+
+      if (suppression) {
+        suppressed.push({ ...issue, suppression });
+      } else {
+        issues.push(issue);
+      }
+    }
+
+    suppressedCount += suppressed.length - (result.suppressed || []).length;
+    result.issues = issues;
+    result.suppressed = suppressed;
+  }
+
+  return suppressedCount;
+}
+
+/**
+ * Get the baseline fingerprint of an issue
+ *
+ * Line, column and position numbers in messages are left out, so an issue keeps its
+ * fingerprint when other parts of the file change.
+ * @param {Object} issue - Issue
+ * @param {Object} result - Analysis result the issue is in
+ * @param {string} file - File relative to the data directory
+ * @param {Function} findPath - Path finder from createIssuePathFinder for the result; pass one
+ *   when getting the entries of several issues of a result (default: a new one)
+ * @returns {Object} - Baseline entry (fingerprint, type, file, path, message)
+ */
+function getBaselineEntry(issue, result, file, findPath = createIssuePathFinder(result)) {
+  const issuePath = findPath(issue);
+  const message = issue.message.replace(/\b(line|column|position) \d+/g, '$1 N');
+  const text = typeof issue.index === 'number' && result.content
+    ? result.content.substr(issue.index, issue.length || 0)
+    : '';
+
+  return {
+    fingerprint: analysisCache.hashContent([issue.type, file, issuePath, message, text].join('\n')),
+    type: issue.type,
+    file,
+    path: issuePath,
+    message: issue.message
+  };
+}
+
+/**
+ * Create a baseline of the issues in analysis results
+ * @param {Object[]} results - Analysis results
+ * @param {string} dataPath - Path to the data directory
+ * @returns {Object} - Baseline
+ */
+function createBaseline(results, dataPath) {
+  const issues = [];
+
+  for (const result of results) {
+    const file = getRelativeFile(dataPath, result.file);
+    const findPath = createIssuePathFinder(result);
+    for (const issue of result.issues) {
+      issues.push(getBaselineEntry(issue, result, file, findPath));
+    }
+  }
+
+  // Sorted, so the baseline file changes as little as possible between updates
+  issues.sort((a, b) =>
+    a.file.localeCompare(b.file) || a.path.localeCompare(b.path) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    issues
+  };
+}
+
+/**
+ * Load a baseline file
+ * @param {string} filePath - Path to the baseline file
+ * @returns {Promise<Object>} - Baseline
+ */
+async function loadBaseline(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Baseline file not found: ${filePath}`);
+  }
+
+  const baseline = parseJson(await fs.readFile(filePath, 'utf8'));
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.issues)) {
+    throw new Error(`Invalid baseline file: ${filePath}`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Write a baseline file
+ * @param {string} filePath - Path to the baseline file
+ * @param {Object} baseline - Baseline from createBaseline
+ * @returns {Promise<void>}
+ */
+async function saveBaseline(filePath, baseline) {
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, `${stringifyJson(baseline)}\n`);
+}
+
+/**
+ * Compare analysis results with a baseline
+ *
+ * Issues in the baseline are moved from the issues of each result to its known issues, so only
+ * new issues are left. An issue that occurs more often than the baseline recorded counts as new.
+ * @param {Object[]} results - Analysis results
+ * @param {Object} baseline - Baseline from createBaseline or loadBaseline
+ * @param {string} dataPath - Path to the data directory
+ * @returns {Object} - Comparison (newIssues, knownIssues, resolved baseline entries)
+ */
+function compareWithBaseline(results, baseline, dataPath) {
+  const remaining = new Map();
+  for (const entry of baseline.issues) {
+    if (!remaining.has(entry.fingerprint)) {
+      remaining.set(entry.fingerprint, []);
+    }
+    remaining.get(entry.fingerprint).push(entry);
+  }
+
+  let newIssues = 0;
+  let knownIssues = 0;
+  for (const result of results) {
+    const file = getRelativeFile(dataPath, result.file);
+    const issues = [];
+    const known = [];
+    const findPath = createIssuePathFinder(result);
+
+    for (const issue of result.issues) {
+      const entries = remaining.get(getBaselineEntry(issue, result, file, findPath).fingerprint);
+      if (entries && entries.length > 0) {
+        entries.pop();
+        known.push(issue);
+      } else {
+        issues.push(issue);
+      }
+    }
+
+    newIssues += issues.length;
+    knownIssues += known.length;
+    result.issues = issues;
+    result.known = known;
+  }
+
+  return {
+    newIssues,
+    knownIssues,
+    resolved: [...remaining.values()].flat()
+  };
+}
+
+module.exports = {
+  BASELINE_FILE,
+  getDefaultBaselinePath,
+  findInlineSuppressions,
+  applySuppressions,
+  createIssuePathFinder,
+  getBaselineEntry,
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline
+};
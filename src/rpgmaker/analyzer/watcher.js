@@ -0,0 +1,360 @@
+/**
+ * RPG Maker MV Analyzer Watcher
+ *
+ * This module watches the data and js/plugins directories of a project while the editor is
+ * open, and analyzes files again as they are saved:
+ * - File rules are run again for the changed data files only
+ * - Project rules such as the reference checks are run again on the database in memory, in
+ *   which only the changed files are parsed again
+ * - Changed plugins are compiled to catch syntax errors, and the project rules are run again
+ *   for the plugin list in js/plugins.js
+ * Each update reports the issues that are new and the issues that were resolved since the last
+ * one, after suppressions are applied.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { parseJson } = require('../../core');
+const rules = require('./rules');
+const referenceChecker = require('./referenceChecker');
+const suppressions = require('./suppressions');
+const { checkScriptSyntax } = require('../jsAnalyzer/scriptSyntaxChecker');
+const { getGameDirectory, detectProjectType } = require('../utils/projectType');
+
+/**
+ * Time to wait for more changes before analyzing, in milliseconds; the editor saves
+ * several files at once
+ * @type {number}
+ */
+const DEFAULT_DEBOUNCE = 300;
+
+/**
+ * Put a parsed data file into the database, or remove it
+ * @param {Object} database - Database from referenceChecker.loadDatabase
+ * @param {string} fileName - Data file name
+ * @param {*} data - Parsed file data (undefined to remove the file)
+ */
+function updateDatabase(database, fileName, data) {
+  const mapMatch = fileName.match(/^Map(\d+)\.json$/);
+  if (mapMatch) {
+    const mapId = parseInt(mapMatch[1], 10);
+    if (data) {
+      database.maps[mapId] = data;
+    } else {
+      delete database.maps[mapId];
+    }
+    return;
+  }
+
+  for (const [table, tableFile] of Object.entries(referenceChecker.DatabaseFiles)) {
+    if (tableFile === fileName) {
+      database[table] = data || undefined;
+    }
+  }
+}
+
+/**
+ * Analyze a data file with the file rules
+ * @param {string} filePath - Path to the file
+ * @param {Object} ruleSettings - Rule settings
+ * @returns {Promise<Object|null>} - Analysis result and parsed data, or null if the file does not exist
+ */
+async function analyzeDataFile(filePath, ruleSettings) {
+  if (!await fs.pathExists(filePath)) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const data = parseJson(content.replace(/^\uFEFF/, ''));
+  return {
+    result: {
+      file: filePath,
+      content,
+      issues: rules.runFileRules(filePath, content, ruleSettings),
+      fixable: data !== null
+    },
+    data: data === null ? undefined : data
+  };
+}
+
+/**
+ * Compile a plugin to find syntax errors
+ * @param {string} filePath - Path to the plugin
+ * @param {Object} ruleSettings - Rule settings; script_syntax_error decides whether and how plugins are reported
+ * @returns {Promise<Object|null>} - Analysis result, or null if the plugin does not exist
+ */
+async function analyzePluginFile(filePath, ruleSettings) {
+  if (!await fs.pathExists(filePath)) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const setting = ruleSettings.script_syntax_error;
+  const issues = [];
+
+  if (setting && setting.enabled) {
+    const error = checkScriptSyntax(content.replace(/^\uFEFF/, ''));
+    if (error) {
+      const name = path.basename(filePath);
+      issues.push({
+        type: 'script_syntax_error',
+        message: `Plugin ${name} has a syntax error at line ${error.line}, column ${error.column}: ${error.message} (js/plugins/${name})`,
+        file: filePath,
+        line: error.line,
+        column: error.column,
+        severity: setting.severity,
+        fixable: false
+      });
+    }
+  }
+
+  return { file: filePath, content, issues, fixable: false };
+}
+
+/**
+ * Compare two lists of fingerprinted issues
+ * @param {Object[]} previous - Issues before ({ fingerprint, issue })
+ * @param {Object[]} current - Issues now ({ fingerprint, issue })
+ * @returns {Object} - New issues and resolved issues
+ */
+function diffIssues(previous, current) {
+  const remaining = new Map();
+  for (const entry of previous) {
+    if (!remaining.has(entry.fingerprint)) {
+      remaining.set(entry.fingerprint, []);
+    }
+    remaining.get(entry.fingerprint).push(entry);
+  }
+
+  const added = [];
+  for (const entry of current) {
+    const entries = remaining.get(entry.fingerprint);
+    if (entries && entries.length > 0) {
+      entries.pop();
+    } else {
+      added.push(entry.issue);
+    }
+  }
+
+  return {
+    added,
+    resolved: [...remaining.values()].flat().map(entry => entry.issue)
+  };
+}
+
+/**
+ * Watch a project and analyze the files the editor saves
+ *
+ * The project is analyzed once when watching starts. That first update has initial set and
+ * reports every issue as added; later updates report what changed.
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options - Options
+ * @param {Function} options.onUpdate - Called after each analysis with { initial, files, added, resolved, issues }
+ * @param {Function} options.onError - Called when an analysis fails (default: print a warning)
+ * @param {Object} options.config - Analyzer config (default: loaded from .rpgmaker-analyzer.json)
+ * @param {string} options.configPath - Path to the analyzer config file
+ * @param {string} options.projectType - Project type (mv, mz), which decides the rules that apply (default: detected from the project)
+ * @param {boolean} options.checkReferences - Whether to check ID references between files (default: true)
+ * @param {boolean} options.inlineSuppressions - Whether <analyzer-ignore> markers suppress issues (default: true)
+ * @param {number} options.debounce - Milliseconds to wait for more changes before analyzing (default: 300)
+ * @returns {Promise<Object>} - Watcher (close() stops watching, getResults() gives the current analysis results)
+ */
+async function watchProject(projectPath, options = {}) {
+  const {
+    onUpdate = () => {},
+    onError = error => console.warn('Failed to analyze changed files:', error),
+    configPath = null,
+    checkReferences = true,
+    inlineSuppressions = true,
+    debounce = DEFAULT_DEBOUNCE
+  } = options;
+
+  const gamePath = getGameDirectory(projectPath);
+  const dataPath = path.join(gamePath, 'data');
+  const pluginsPath = path.join(gamePath, 'js', 'plugins');
+  const pluginListPath = path.join(gamePath, 'js', 'plugins.js');
+  if (!await fs.pathExists(dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  }
+
+  const config = options.config || await rules.loadConfig(dataPath, configPath);
+  const projectType = options.projectType || await detectProjectType(projectPath);
+  const ruleSettings = rules.resolveRuleSettings(config, { projectType });
+  if (!checkReferences) {
+    ruleSettings.dangling_reference.enabled = false;
+  }
+  const hasProjectRules = rules.getRules().some(rule => rule.scope === 'project' && ruleSettings[rule.id].enabled);
+
+  // Results of the file rules by file, the database in memory and the project rule issues
+  const fileResults = new Map();
+  const database = { maps: {} };
+  let projectIssues = [];
+  let previous = [];
+
+  // Fingerprints are kept per issue, so unchanged issues are not located in their file again
+  const fingerprints = new WeakMap();
+  const getFingerprint = (issue, result, findPath) => {
+    if (!fingerprints.has(issue)) {
+      const file = path.relative(dataPath, result.file).split(path.sep).join('/');
+      fingerprints.set(issue, suppressions.getBaselineEntry(issue, result, file, findPath).fingerprint);
+    }
+    return fingerprints.get(issue);
+  };
+
+  /**
+   * Combine the file and project rule issues, without suppressed issues
+   * @returns {Object[]} - Analysis results
+   */
+  const getResults = () => {
+    const results = new Map();
+    for (const [file, result] of fileResults) {
+      results.set(file, { ...result, issues: [...result.issues] });
+    }
+
+    for (const issue of projectIssues) {
+      const filePath = path.join(dataPath, issue.file);
+      if (!results.has(filePath)) {
+        results.set(filePath, { file: filePath, content: '', issues: [], fixable: false });
+      }
+      const result = results.get(filePath);
+      if (!issue.line && issue.path !== undefined && result.content) {
+        const index = rules.getPathIndex(result.content, issue.path);
+        if (index >= 0) {
+          issue.line = rules.getLineNumber(result.content, index);
+          issue.column = rules.getColumnNumber(result.content, index);
+        }
+      }
+      result.issues.push(issue);
+    }
+
+    const combined = [...results.values()];
+    suppressions.applySuppressions(combined, {
+      dataPath,
+      suppressions: config.suppressions,
+      inline: inlineSuppressions
+    });
+    return combined;
+  };
+
+  /**
+   * Analyze changed files and report what changed
+   * @param {string[]} files - Paths of the changed files
+   * @param {boolean} initial - Whether this is the first analysis
+   */
+  const analyze = async (files, initial) => {
+    let projectChanged = false;
+
+    for (const filePath of files) {
+      if (filePath === pluginListPath) {
+        projectChanged = true;
+        continue;
+      }
+      if (path.dirname(filePath) === pluginsPath) {
+        const result = await analyzePluginFile(filePath, ruleSettings);
+        if (result) {
+          fileResults.set(filePath, result);
+        } else {
+          fileResults.delete(filePath);
+        }
+        projectChanged = true;
+        continue;
+      }
+
+      const analysis = await analyzeDataFile(filePath, ruleSettings);
+      if (analysis) {
+        fileResults.set(filePath, analysis.result);
+      } else {
+        fileResults.delete(filePath);
+      }
+
+      // A file saved as invalid JSON keeps its last valid data, so references into it are still checked
+      if (!analysis || analysis.data !== undefined) {
+        updateDatabase(database, path.basename(filePath), analysis ? analysis.data : undefined);
+        projectChanged = true;
+      }
+    }
+
+    if (projectChanged && hasProjectRules) {
+      projectIssues = await rules.runProjectRules(dataPath, database, ruleSettings);
+    }
+
+    const results = getResults();
+    const current = results.flatMap(result => {
+      // One path finder per file, so the file is walked at most once for all of its issues
+      const findPath = suppressions.createIssuePathFinder(result);
+      return result.issues.map(issue => ({
+        fingerprint: getFingerprint(issue, result, findPath),
+        issue
+      }));
+    });
+    const { added, resolved } = diffIssues(previous, current);
+    previous = current;
+
+    onUpdate({
+      initial,
+      files,
+      added,
+      resolved,
+      issues: current.length
+    });
+  };
+
+  // Analyze the whole project first
+  const initialFiles = glob.sync('*.json', { cwd: dataPath, nodir: true }).map(file => path.join(dataPath, file));
+  if (await fs.pathExists(pluginsPath)) {
+    initialFiles.push(...glob.sync('*.js', { cwd: pluginsPath, nodir: true }).map(file => path.join(pluginsPath, file)));
+  }
+  await analyze(initialFiles, true);
+
+  // Collect changes until the editor is done saving, then analyze them one batch at a time
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const schedule = filePath => {
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...pending];
+      pending.clear();
+      running = running.then(() => analyze(files, false)).catch(onError);
+    }, debounce);
+  };
+
+  const watchers = [
+    fs.watch(dataPath, (eventType, fileName) => {
+      if (fileName && fileName.endsWith('.json')) {
+        schedule(path.join(dataPath, fileName));
+      }
+    })
+  ];
+  if (await fs.pathExists(pluginsPath)) {
+    watchers.push(fs.watch(pluginsPath, (eventType, fileName) => {
+      if (fileName && fileName.endsWith('.js')) {
+        schedule(path.join(pluginsPath, fileName));
+      }
+    }));
+  }
+  if (await fs.pathExists(pluginListPath)) {
+    watchers.push(fs.watch(path.dirname(pluginListPath), (eventType, fileName) => {
+      if (fileName === 'plugins.js') {
+        schedule(pluginListPath);
+      }
+    }));
+  }
+  watchers.forEach(watcher => watcher.on('error', onError));
+
+  return {
+    getResults,
+    close: async () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      await running;
+    }
+  };
+}
+
+module.exports = {
+  watchProject
+};
@@ -0,0 +1,278 @@
+/**
+ * RPG Maker MV Audio Assets
+ *
+ * This module analyzes the audio files of an RPG Maker MV project in audio/bgm, bgs, me and se.
+ * References are gathered from:
+ * - Event commands: Play BGM, BGS, ME and SE (241-250), Change Battle BGM, Victory ME and
+ *   Defeat ME, Change Vehicle BGM, and the Play SE command of movement routes
+ * - System.json: the system sounds, the title, battle and vehicle BGM, and the victory,
+ *   defeat and game over ME
+ * - Maps with an autoplay BGM or BGS, and the sound effects in animation timings (soundTimings
+ *   in RPG Maker MZ)
+ * Each file is reported as used, unused or missing. MV plays .ogg files on most platforms and
+ * .m4a files on iOS and in some browsers, and a deployed game needs both, so files that are
+ * missing either format are reported too.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { FileTypes } = require('../utils');
+const { forEachEventList } = require('../analyzer/referenceChecker');
+const { getProjectDatabase } = require('../utils/projectDatabase');
+const { getGameDirectory } = require('../utils/projectType');
+
+// Audio directory structure in RPG Maker MV
+const AUDIO_DIRECTORIES = {
+  BGM: 'bgm',                  // Background music, looped
+  BGS: 'bgs',                  // Background sounds, looped
+  ME: 'me',                    // Music effects, played once (victory, level up)
+  SE: 'se'                     // Sound effects
+};
+
+// Audio formats a deployed game needs
+const AUDIO_FORMATS = ['ogg', 'm4a'];
+
+/**
+ * Names of the system sounds in System.json, by index
+ * @type {string[]}
+ */
+const SYSTEM_SOUNDS = [
+  'Cursor', 'OK', 'Cancel', 'Buzzer', 'Equip', 'Save', 'Load', 'Battle Start', 'Escape',
+  'Enemy Attack', 'Enemy Damage', 'Enemy Collapse', 'Boss Collapse 1', 'Boss Collapse 2',
+  'Actor Damage', 'Actor Collapse', 'Recovery', 'Miss', 'Evasion', 'Magic Evasion',
+  'Magic Reflection', 'Shop', 'Use Item', 'Use Skill'
+];
+
+/**
+ * Event commands that play audio: directory, parameter index and description, by command code
+ * @type {Object}
+ */
+const AUDIO_COMMANDS = {
+  132: { directory: AUDIO_DIRECTORIES.BGM, index: 0, description: 'Change Battle BGM' },
+  133: { directory: AUDIO_DIRECTORIES.ME, index: 0, description: 'Change Victory ME' },
+  139: { directory: AUDIO_DIRECTORIES.ME, index: 0, description: 'Change Defeat ME' },
+  140: { directory: AUDIO_DIRECTORIES.BGM, index: 1, description: 'Change Vehicle BGM' },
+  241: { directory: AUDIO_DIRECTORIES.BGM, index: 0, description: 'Play BGM' },
+  245: { directory: AUDIO_DIRECTORIES.BGS, index: 0, description: 'Play BGS' },
+  249: { directory: AUDIO_DIRECTORIES.ME, index: 0, description: 'Play ME' },
+  250: { directory: AUDIO_DIRECTORIES.SE, index: 0, description: 'Play SE' }
+};
+
+/**
+ * Movement route command that plays a sound effect
+ * @type {number}
+ */
+const ROUTE_PLAY_SE = 44;
+
+/**
+ * Gather every audio file referenced by the database
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object[]} - References (directory, name, file, path, description)
+ */
+function collectAudioReferences(database) {
+  const references = [];
+  const add = (directory, audio, file, valuePath, description) => {
+    if (audio && typeof audio.name === 'string' && audio.name !== '') {
+      references.push({ directory, name: audio.name, file, path: valuePath, description });
+    }
+  };
+
+  const addRoute = (route, file, routePath) => {
+    if (!route || !Array.isArray(route.list)) return;
+    route.list.forEach((command, index) => {
+      if (command && command.code === ROUTE_PLAY_SE && Array.isArray(command.parameters)) {
+        add(AUDIO_DIRECTORIES.SE, command.parameters[0], file, `${routePath}.list[${index}].parameters[0]`, 'Movement route Play SE');
+      }
+    });
+  };
+
+  forEachEventList(database, (list, file, listPath) => {
+    list.forEach((command, index) => {
+      if (!command || !Array.isArray(command.parameters)) return;
+      const commandPath = `${listPath}[${index}].parameters`;
+
+      const audioCommand = AUDIO_COMMANDS[command.code];
+      if (audioCommand) {
+        add(audioCommand.directory, command.parameters[audioCommand.index], file, `${commandPath}[${audioCommand.index}]`, audioCommand.description);
+      } else if (command.code === 205) {
+        addRoute(command.parameters[1], file, `${commandPath}[1]`);
+      }
+    });
+  });
+
+  const system = database.system;
+  if (system) {
+    if (Array.isArray(system.sounds)) {
+      system.sounds.forEach((sound, index) => {
+        add(AUDIO_DIRECTORIES.SE, sound, FileTypes.SYSTEM, `sounds[${index}]`, `System sound ${SYSTEM_SOUNDS[index] || index}`);
+      });
+    }
+    add(AUDIO_DIRECTORIES.BGM, system.titleBgm, FileTypes.SYSTEM, 'titleBgm', 'Title BGM');
+    add(AUDIO_DIRECTORIES.BGM, system.battleBgm, FileTypes.SYSTEM, 'battleBgm', 'Battle BGM');
+    add(AUDIO_DIRECTORIES.ME, system.victoryMe, FileTypes.SYSTEM, 'victoryMe', 'Victory ME');
+    add(AUDIO_DIRECTORIES.ME, system.defeatMe, FileTypes.SYSTEM, 'defeatMe', 'Defeat ME');
+    add(AUDIO_DIRECTORIES.ME, system.gameoverMe, FileTypes.SYSTEM, 'gameoverMe', 'Game Over ME');
+    for (const vehicle of ['boat', 'ship', 'airship']) {
+      if (system[vehicle]) {
+        add(AUDIO_DIRECTORIES.BGM, system[vehicle].bgm, FileTypes.SYSTEM, `${vehicle}.bgm`, `${vehicle[0].toUpperCase()}${vehicle.slice(1)} BGM`);
+      }
+    }
+  }
+
+  for (const [mapId, map] of Object.entries(database.maps)) {
+    const file = `Map${mapId.toString().padStart(3, '0')}.json`;
+    if (map.autoplayBgm) {
+      add(AUDIO_DIRECTORIES.BGM, map.bgm, file, 'bgm', 'Map autoplay BGM');
+    }
+    if (map.autoplayBgs) {
+      add(AUDIO_DIRECTORIES.BGS, map.bgs, file, 'bgs', 'Map autoplay BGS');
+    }
+
+    // Autonomous movement routes of event pages can play sound effects too
+    if (!Array.isArray(map.events)) continue;
+    map.events.forEach((event, index) => {
+      if (!event || !Array.isArray(event.pages)) return;
+      event.pages.forEach((page, pageIndex) => {
+        if (page) {
+          addRoute(page.moveRoute, file, `events[${index}].pages[${pageIndex}].moveRoute`);
+        }
+      });
+    });
+  }
+
+  if (Array.isArray(database.animations)) {
+    database.animations.forEach((animation, index) => {
+      if (!animation) return;
+      // MV animations keep their sounds in timings, MZ animations in soundTimings
+      for (const key of ['timings', 'soundTimings']) {
+        if (!Array.isArray(animation[key])) continue;
+        animation[key].forEach((timing, timingIndex) => {
+          if (timing) {
+            add(AUDIO_DIRECTORIES.SE, timing.se, FileTypes.ANIMATIONS, `[${index}].${key}[${timingIndex}].se`, `Animation ${animation.name || index} SE`);
+          }
+        });
+      }
+    });
+  }
+
+  return references;
+}
+
+/**
+ * List the audio files in a directory by name, with the formats each one exists in
+ * @param {string} dirPath - Directory
+ * @returns {Promise<Map<string, string[]>>} - Formats by file name without extension
+ */
+async function listAudioFiles(dirPath) {
+  const names = new Map();
+  if (!await fs.pathExists(dirPath)) {
+    return names;
+  }
+
+  for (const file of await fs.readdir(dirPath)) {
+    const match = file.match(/^(.+)\.(ogg|m4a)$/i);
+    if (!match) continue;
+    if (!names.has(match[1])) {
+      names.set(match[1], []);
+    }
+    names.get(match[1]).push(match[2].toLowerCase());
+  }
+
+  return names;
+}
+
+/**
+ * Analyze audio assets in an RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
+ * @returns {Promise<Object>} - Analysis of audio assets
+ */
+async function analyzeAudioAssets(projectPath) {
+  try {
+    const project = getProjectDatabase(projectPath);
+    const database = project.toDatabase();
+    const references = collectAudioReferences(database);
+
+    const assetAnalysis = {
+      projectName: database.system ? database.system.gameTitle : undefined,
+      audioDirectories: {},
+      audioAssets: [],
+      references,
+      unusedAssets: [],
+      missingAssets: [],
+      incompleteAssets: []
+    };
+
+    for (const dirName of Object.values(AUDIO_DIRECTORIES)) {
+      const dirPath = path.join(getGameDirectory(project.projectPath), 'audio', dirName);
+      const files = await listAudioFiles(dirPath);
+      const dirReferences = references.filter(reference => reference.directory === dirName);
+
+      assetAnalysis.audioDirectories[dirName] = {
+        path: dirPath,
+        fileCount: files.size,
+        files: [...files.keys()]
+      };
+
+      // Files that exist, and whether they are used and complete
+      for (const [name, formats] of files) {
+        const used = dirReferences.filter(reference => reference.name === name);
+        assetAnalysis.audioAssets.push({
+          type: dirName,
+          directory: dirName,
+          name,
+          formats,
+          references: used.length
+        });
+
+        if (used.length === 0) {
+          assetAnalysis.unusedAssets.push({
+            type: dirName,
+            directory: dirName,
+            filename: name,
+            formats
+          });
+        }
+
+        for (const format of AUDIO_FORMATS.filter(format => !formats.includes(format))) {
+          assetAnalysis.incompleteAssets.push({
+            type: dirName,
+            directory: dirName,
+            filename: `${name}.${format}`,
+            existing: formats.map(existing => `${name}.${existing}`),
+            isUsed: used.length > 0
+          });
+        }
+      }
+
+      // Referenced files that exist in neither format
+      const missing = new Map();
+      for (const reference of dirReferences) {
+        if (files.has(reference.name)) continue;
+        if (!missing.has(reference.name)) {
+          missing.set(reference.name, []);
+        }
+        missing.get(reference.name).push(reference);
+      }
+      for (const [name, related] of missing) {
+        assetAnalysis.missingAssets.push({
+          type: dirName,
+          directory: dirName,
+          filename: name,
+          references: related
+        });
+      }
+    }
+
+    return assetAnalysis;
+  } catch (error) {
+    throw new Error(`Error analyzing audio assets: ${error.message}`);
+  }
+}
+
+module.exports = {
+  AUDIO_DIRECTORIES,
+  AUDIO_FORMATS,
+  SYSTEM_SOUNDS,
+  collectAudioReferences,
+  analyzeAudioAssets
+};
@@ -2,13 +2,15 @@
  * RPG Maker MV Asset Creator
  * 
  * This module provides tools for analyzing and creating game assets for RPG Maker MV projects.
- * It helps understand how images are used in the game and generates contextual information
+ * It helps understand how images and audio are used in the game and generates contextual information
  * for creating new assets.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const contextExtractor = require('../contextExtractor');
+const { getProjectPath } = require('../utils/projectDatabase');
+const audioAssets = require('./audioAssets');
 
 // Image directory structure in RPG Maker MV
 const IMAGE_DIRECTORIES = {
@@ -71,7 +73,7 @@ const IMAGE_FORMATS = {
 
 /**
  * Analyze image assets in an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Analysis of image assets
  */
 async function analyzeImageAssets(projectPath) {
@@ -80,7 +82,7 @@ async function analyzeImageAssets(projectPath) {
     const context = await contextExtractor.extractContext(projectPath);
     
     // Get image directory path
-    const imgPath = path.join(projectPath, 'img');
+    const imgPath = path.join(getProjectPath(projectPath), 'img');
     
     // Initialize asset analysis
     const assetAnalysis = {
@@ -95,7 +97,7 @@ async function analyzeImageAssets(projectPath) {
     };
     
     // Analyze each image directory
-    for (const [key, dirName] of Object.entries(IMAGE_DIRECTORIES)) {
+    for (const dirName of Object.values(IMAGE_DIRECTORIES)) {
       const dirPath = path.join(imgPath, dirName);
       
       if (await fs.pathExists(dirPath)) {
@@ -311,7 +313,7 @@ async function analyzeImageAssets(projectPath) {
     }
     
     // Find unused assets
-    for (const [dirKey, dirName] of Object.entries(IMAGE_DIRECTORIES)) {
+    for (const dirName of Object.values(IMAGE_DIRECTORIES)) {
       const dirInfo = assetAnalysis.imageDirectories[dirName];
       
       if (dirInfo && dirInfo.files.length > 0) {
@@ -940,6 +942,10 @@ module.exports = {
   IMAGE_DIRECTORIES,
   IMAGE_FORMATS,
   analyzeImageAssets,
+  AUDIO_DIRECTORIES: audioAssets.AUDIO_DIRECTORIES,
+  AUDIO_FORMATS: audioAssets.AUDIO_FORMATS,
+  collectAudioReferences: audioAssets.collectAudioReferences,
+  analyzeAudioAssets: audioAssets.analyzeAudioAssets,
   generateCharacterImagePrompt,
   generateEnemyImagePrompt,
   generateTilesetImagePrompt,
@@ -5,17 +5,16 @@
  * relationships between characters in an RPG Maker MV game.
  */
 
-const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { getProjectDatabase } = require('../utils/projectDatabase');
+const { getSpeakerName } = require('../utils/messages');
 
 /**
  * Map character relationships from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Mapped character relationships
  */
 async function mapRelationships(projectPath) {
-  const dataPath = path.join(projectPath, 'data');
+  const database = getProjectDatabase(projectPath);
   
   // Initialize character relationships structure
   const relationships = {
@@ -29,46 +28,40 @@ async function mapRelationships(projectPath) {
 
   try {
     // Extract character information from Actors.json
-    const actorsPath = path.join(dataPath, 'Actors.json');
-    if (await fs.pathExists(actorsPath)) {
-      const actors = parseJson(await fs.readFile(actorsPath, 'utf8'));
+    const actors = database.actors.toArray();
+    if (actors) {
       relationships.characters = extractCharacters(actors);
     }
 
     // Extract class information from Classes.json
-    const classesPath = path.join(dataPath, 'Classes.json');
-    if (await fs.pathExists(classesPath)) {
-      const classes = parseJson(await fs.readFile(classesPath, 'utf8'));
+    const classes = database.classes.toArray();
+    if (classes) {
       addClassInformation(relationships.characters, classes);
     }
 
     // Extract enemy information from Enemies.json
-    const enemiesPath = path.join(dataPath, 'Enemies.json');
-    if (await fs.pathExists(enemiesPath)) {
-      const enemies = parseJson(await fs.readFile(enemiesPath, 'utf8'));
+    const enemies = database.enemies.toArray();
+    if (enemies) {
       relationships.antagonists = extractEnemies(enemies);
     }
 
     // Extract map information from MapInfos.json
-    const mapInfosPath = path.join(dataPath, 'MapInfos.json');
-    if (await fs.pathExists(mapInfosPath)) {
-      const mapInfos = parseJson(await fs.readFile(mapInfosPath, 'utf8'));
+    const mapInfos = database.mapInfos.toArray();
+    if (mapInfos) {
       
       // Extract dialogues and interactions from map files
-      await extractCharacterInteractions(dataPath, mapInfos, relationships);
+      await extractCharacterInteractions(database, mapInfos, relationships);
     }
 
     // Extract common events for character interactions
-    const commonEventsPath = path.join(dataPath, 'CommonEvents.json');
-    if (await fs.pathExists(commonEventsPath)) {
-      const commonEvents = parseJson(await fs.readFile(commonEventsPath, 'utf8'));
+    const commonEvents = database.commonEvents.toArray();
+    if (commonEvents) {
       extractCommonEventInteractions(commonEvents, relationships);
     }
 
     // Identify protagonists based on party members in System.json
-    const systemPath = path.join(dataPath, 'System.json');
-    if (await fs.pathExists(systemPath)) {
-      const systemData = parseJson(await fs.readFile(systemPath, 'utf8'));
+    const systemData = database.system.get();
+    if (systemData) {
       identifyProtagonists(relationships, systemData);
     }
 
@@ -176,11 +169,11 @@ function extractEnemies(enemies) {
 
 /**
  * Extract character interactions from map files
- * @param {string} dataPath - Path to data directory
+ * @param {Object} database - Project database
  * @param {Array} mapInfos - Map information array
  * @param {Object} relationships - Relationships object to populate
  */
-async function extractCharacterInteractions(dataPath, mapInfos, relationships) {
+async function extractCharacterInteractions(database, mapInfos, relationships) {
   const characterMap = {};
   relationships.characters.forEach(character => {
     characterMap[character.name] = character;
@@ -193,11 +186,9 @@ async function extractCharacterInteractions(dataPath, mapInfos, relationships) {
     const mapInfo = mapInfos[i];
     if (!mapInfo) continue;
     
-    const mapPath = path.join(dataPath, `Map${mapInfo.id.toString().padStart(3, '0')}.json`);
-    if (await fs.pathExists(mapPath)) {
+    const mapData = database.maps.get(mapInfo.id);
+    if (mapData) {
       try {
-        const mapData = parseJson(await fs.readFile(mapPath, 'utf8'));
-        
         if (mapData.events) {
           // Process each event in the map
           for (let j = 0; j < mapData.events.length; j++) {
@@ -217,25 +208,17 @@ async function extractCharacterInteractions(dataPath, mapInfos, relationships) {
                 for (let l = 0; l < page.list.length; l++) {
                   const command = page.list[l];
                   
-                  // Message command (code 101)
+                  // Message command (code 101); the text is in the 401 lines after it
                   if (command.code === 101) {
-                    currentSpeaker = command.parameters[4] || '';
-                    const text = command.parameters[0] || '';
+                    currentSpeaker = getSpeakerName(page.list, l);
                     
                     // Add current speaker to mentioned characters
                     if (currentSpeaker && currentSpeaker.trim() !== '') {
                       mentionedCharacters.add(currentSpeaker);
                     }
-                    
-                    // Check for character mentions in the text
-                    relationships.characters.forEach(character => {
-                      if (text.includes(character.name)) {
-                        mentionedCharacters.add(character.name);
-                      }
-                    });
                   } 
                   // Message continuation (code 401)
-                  else if (command.code === 401 && currentSpeaker) {
+                  else if (command.code === 401 && currentSpeaker !== null) {
                     const text = command.parameters[0] || '';
                     
                     // Check for character mentions in the text
@@ -320,25 +303,17 @@ function extractCommonEventInteractions(commonEvents, relationships) {
     for (let j = 0; j < event.list.length; j++) {
       const command = event.list[j];
       
-      // Message command (code 101)
+      // Message command (code 101); the text is in the 401 lines after it
       if (command.code === 101) {
-        currentSpeaker = command.parameters[4] || '';
-        const text = command.parameters[0] || '';
+        currentSpeaker = getSpeakerName(event.list, j);
         
         // Add current speaker to mentioned characters
         if (currentSpeaker && currentSpeaker.trim() !== '') {
           mentionedCharacters.add(currentSpeaker);
         }
-        
-        // Check for character mentions in the text
-        relationships.characters.forEach(character => {
-          if (text.includes(character.name)) {
-            mentionedCharacters.add(character.name);
-          }
-        });
       } 
       // Message continuation (code 401)
-      else if (command.code === 401 && currentSpeaker) {
+      else if (command.code === 401 && currentSpeaker !== null) {
         const text = command.parameters[0] || '';
         
         // Check for character mentions in the text
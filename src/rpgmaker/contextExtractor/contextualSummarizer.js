@@ -5,12 +5,10 @@
  * providing high-level overviews of narrative, world, characters, and game systems.
  */
 
-const fs = require('fs-extra');
-const path = require('path');
 
 /**
  * Generate contextual summaries from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} contextData - Previously extracted context data
  * @returns {Promise<Object>} - Generated contextual summaries
  */
@@ -6,16 +6,16 @@
  */
 
 const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { getProjectDatabase } = require('../utils/projectDatabase');
+const pluginsFile = require('../utils/pluginsFile');
 
 /**
  * Analyze game systems from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Analyzed game systems
  */
 async function analyzeGameSystems(projectPath) {
-  const dataPath = path.join(projectPath, 'data');
+  const database = getProjectDatabase(projectPath);
   
   // Initialize game systems structure
   const gameSystems = {
@@ -51,77 +51,67 @@ async function analyzeGameSystems(projectPath) {
 
   try {
     // Extract system information from System.json
-    const systemPath = path.join(dataPath, 'System.json');
-    if (await fs.pathExists(systemPath)) {
-      const systemData = parseJson(await fs.readFile(systemPath, 'utf8'));
+    const systemData = database.system.get();
+    if (systemData) {
       extractSystemInfo(systemData, gameSystems);
     }
 
     // Extract class information from Classes.json
-    const classesPath = path.join(dataPath, 'Classes.json');
-    if (await fs.pathExists(classesPath)) {
-      const classes = parseJson(await fs.readFile(classesPath, 'utf8'));
+    const classes = database.classes.toArray();
+    if (classes) {
       extractClassInfo(classes, gameSystems);
     }
 
     // Extract skill information from Skills.json
-    const skillsPath = path.join(dataPath, 'Skills.json');
-    if (await fs.pathExists(skillsPath)) {
-      const skills = parseJson(await fs.readFile(skillsPath, 'utf8'));
+    const skills = database.skills.toArray();
+    if (skills) {
       extractSkillInfo(skills, gameSystems);
     }
 
     // Extract item information from Items.json
-    const itemsPath = path.join(dataPath, 'Items.json');
-    if (await fs.pathExists(itemsPath)) {
-      const items = parseJson(await fs.readFile(itemsPath, 'utf8'));
+    const items = database.items.toArray();
+    if (items) {
       extractItemInfo(items, gameSystems);
     }
 
     // Extract weapon information from Weapons.json
-    const weaponsPath = path.join(dataPath, 'Weapons.json');
-    if (await fs.pathExists(weaponsPath)) {
-      const weapons = parseJson(await fs.readFile(weaponsPath, 'utf8'));
+    const weapons = database.weapons.toArray();
+    if (weapons) {
       extractWeaponInfo(weapons, gameSystems);
     }
 
     // Extract armor information from Armors.json
-    const armorsPath = path.join(dataPath, 'Armors.json');
-    if (await fs.pathExists(armorsPath)) {
-      const armors = parseJson(await fs.readFile(armorsPath, 'utf8'));
+    const armors = database.armors.toArray();
+    if (armors) {
       extractArmorInfo(armors, gameSystems);
     }
 
     // Extract state information from States.json
-    const statesPath = path.join(dataPath, 'States.json');
-    if (await fs.pathExists(statesPath)) {
-      const states = parseJson(await fs.readFile(statesPath, 'utf8'));
+    const states = database.states.toArray();
+    if (states) {
       extractStateInfo(states, gameSystems);
     }
 
     // Extract enemy information from Enemies.json
-    const enemiesPath = path.join(dataPath, 'Enemies.json');
-    if (await fs.pathExists(enemiesPath)) {
-      const enemies = parseJson(await fs.readFile(enemiesPath, 'utf8'));
+    const enemies = database.enemies.toArray();
+    if (enemies) {
       extractEnemyInfo(enemies, gameSystems);
     }
 
     // Extract troop information from Troops.json
-    const troopsPath = path.join(dataPath, 'Troops.json');
-    if (await fs.pathExists(troopsPath)) {
-      const troops = parseJson(await fs.readFile(troopsPath, 'utf8'));
+    const troops = database.troops.toArray();
+    if (troops) {
       extractTroopInfo(troops, gameSystems);
     }
 
     // Extract common events for custom systems
-    const commonEventsPath = path.join(dataPath, 'CommonEvents.json');
-    if (await fs.pathExists(commonEventsPath)) {
-      const commonEvents = parseJson(await fs.readFile(commonEventsPath, 'utf8'));
+    const commonEvents = database.commonEvents.toArray();
+    if (commonEvents) {
       extractCustomSystems(commonEvents, gameSystems);
     }
 
     // Analyze plugins for custom systems
-    await analyzePlugins(projectPath, gameSystems);
+    await analyzePlugins(database.projectPath, gameSystems);
 
     // Analyze game balance
     analyzeGameBalance(gameSystems);
@@ -722,20 +712,14 @@ function extractCustomSystems(commonEvents, gameSystems) {
  * @param {Object} gameSystems - Game systems object to populate
  */
 async function analyzePlugins(projectPath, gameSystems) {
-  const pluginsPath = path.join(projectPath, 'js', 'plugins.js');
+  const pluginsPath = pluginsFile.getPluginsFilePath(projectPath);
   
   if (await fs.pathExists(pluginsPath)) {
     try {
-      const pluginsContent = await fs.readFile(pluginsPath, 'utf8');
-      
-      // Extract plugin information using regex
-      const pluginRegex = /\{\s*name\s*:\s*["']([^"']+)["']/g;
-      let match;
-      const plugins = [];
-      
-      while ((match = pluginRegex.exec(pluginsContent)) !== null) {
-        plugins.push(match[1]);
-      }
+      // Read the plugin names from the plugin list
+      const plugins = (await pluginsFile.readPluginsFile(projectPath))
+        .filter(plugin => plugin && plugin.name)
+        .map(plugin => plugin.name);
       
       // Identify common plugins and their systems
       const knownPlugins = {
@@ -886,6 +870,52 @@ async function analyzePlugins(projectPath, gameSystems) {
         'YEP_X_BattleSysETB': {
           name: 'Energy Turn Battle System',
           description: 'Turn-based battle system with energy points'
+        },
+        
+        // The RPG Maker MZ counterparts (VisuStella MZ)
+        'VisuMZ_1_BattleCore': {
+          name: 'VisuStella Battle Core',
+          description: 'Enhanced battle system with action sequences and visual improvements'
+        },
+        'VisuMZ_1_ItemsEquipsCore': {
+          name: 'Enhanced Item and Equipment System',
+          description: 'Improved item, equipment and shop menus with categories and custom parameters'
+        },
+        'VisuMZ_1_SkillsStatesCore': {
+          name: 'Enhanced Skill and State System',
+          description: 'Enhanced skill system with cost types, and states with custom behavior'
+        },
+        'VisuMZ_1_MessageCore': {
+          name: 'Enhanced Message System',
+          description: 'Improved message system with name boxes, text codes, and word wrapping'
+        },
+        'VisuMZ_1_SaveCore': {
+          name: 'Enhanced Save System',
+          description: 'Improved save system with autosave and additional information'
+        },
+        'VisuMZ_1_MainMenuCore': {
+          name: 'Enhanced Main Menu',
+          description: 'Customizable main menu with additional commands'
+        },
+        'VisuMZ_2_QuestSystem': {
+          name: 'Quest System',
+          description: 'Quest journal for tracking and managing quests'
+        },
+        'VisuMZ_2_BattleSystemCTB': {
+          name: 'Charge Turn Battle System',
+          description: 'Turn-based battle system with charge time'
+        },
+        'VisuMZ_2_BattleSystemSTB': {
+          name: 'Standard Turn Battle System',
+          description: 'Turn-based battle system with individual turns'
+        },
+        'VisuMZ_2_BattleSystemPTB': {
+          name: 'Press Turn Battle System',
+          description: 'Turn-based battle system with press turns'
+        },
+        'VisuMZ_2_BattleSystemETB': {
+          name: 'Energy Turn Battle System',
+          description: 'Turn-based battle system with energy points'
         }
       };
       
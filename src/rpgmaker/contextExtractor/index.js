@@ -7,7 +7,6 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { parseJson } = require('../../core');
 
 // Import sub-modules
 const narrativeExtractor = require('./narrativeExtractor');
@@ -15,16 +14,21 @@ const worldBuilder = require('./worldBuilder');
 const characterRelationships = require('./characterRelationships');
 const gameSystemsAnalyzer = require('./gameSystemsAnalyzer');
 const contextualSummarizer = require('./contextualSummarizer');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Extract contextual information from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ *
+ * The extractors share one project database, so each data file is read and parsed once.
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} options - Options for extraction
  * @param {boolean} options.extractNarrative - Whether to extract narrative information
  * @param {boolean} options.buildWorld - Whether to build world information
  * @param {boolean} options.mapCharacterRelationships - Whether to map character relationships
  * @param {boolean} options.analyzeGameSystems - Whether to analyze game systems
  * @param {boolean} options.generateSummaries - Whether to generate contextual summaries
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
  * @returns {Promise<Object>} - Extracted contextual information
  */
 async function extractContext(projectPath, options = {}) {
@@ -37,9 +41,9 @@ async function extractContext(projectPath, options = {}) {
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
-  if (!await fs.pathExists(dataPath)) {
-    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  const database = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(database.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${database.projectPath}`);
   }
 
   // Initialize result object
@@ -54,37 +58,32 @@ async function extractContext(projectPath, options = {}) {
 
   try {
     // Get project name from System.json
-    const systemPath = path.join(dataPath, 'System.json');
-    if (await fs.pathExists(systemPath)) {
-      const systemData = parseJson(await fs.readFile(systemPath, 'utf8'));
-      result.projectName = (systemData && systemData.gameTitle) ? systemData.gameTitle : path.basename(projectPath);
-    } else {
-      result.projectName = path.basename(projectPath);
-    }
+    const systemData = database.system.get();
+    result.projectName = (systemData && systemData.gameTitle) ? systemData.gameTitle : path.basename(database.projectPath);
 
     // Extract narrative information
     if (extractNarrative) {
-      result.narrative = await narrativeExtractor.extractNarrative(projectPath);
+      result.narrative = await narrativeExtractor.extractNarrative(database);
     }
 
     // Build world information
     if (buildWorld) {
-      result.world = await worldBuilder.buildWorld(projectPath);
+      result.world = await worldBuilder.buildWorld(database);
     }
 
     // Map character relationships
     if (mapCharacterRelationships) {
-      result.characters = await characterRelationships.mapRelationships(projectPath);
+      result.characters = await characterRelationships.mapRelationships(database);
     }
 
     // Analyze game systems
     if (analyzeGameSystems) {
-      result.gameSystems = await gameSystemsAnalyzer.analyzeGameSystems(projectPath);
+      result.gameSystems = await gameSystemsAnalyzer.analyzeGameSystems(database);
     }
 
     // Generate contextual summaries
     if (generateSummaries) {
-      result.summaries = await contextualSummarizer.generateSummaries(projectPath, result);
+      result.summaries = await contextualSummarizer.generateSummaries(database, result);
     }
 
     return result;
@@ -95,7 +94,7 @@ async function extractContext(projectPath, options = {}) {
 
 /**
  * Extract narrative information from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Extracted narrative information
  */
 async function extractNarrative(projectPath) {
@@ -104,7 +103,7 @@ async function extractNarrative(projectPath) {
 
 /**
  * Build world information from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Built world information
  */
 async function buildWorld(projectPath) {
@@ -113,7 +112,7 @@ async function buildWorld(projectPath) {
 
 /**
  * Map character relationships from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Mapped character relationships
  */
 async function mapCharacterRelationships(projectPath) {
@@ -122,7 +121,7 @@ async function mapCharacterRelationships(projectPath) {
 
 /**
  * Analyze game systems from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Analyzed game systems
  */
 async function analyzeGameSystems(projectPath) {
@@ -131,7 +130,7 @@ async function analyzeGameSystems(projectPath) {
 
 /**
  * Generate contextual summaries from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} contextData - Previously extracted context data
  * @returns {Promise<Object>} - Generated contextual summaries
  */
@@ -145,7 +144,7 @@ async function generateSummaries(projectPath, contextData = null) {
 }
 
 module.exports = {
-  extractContext,
+  extractContext: withProjectCache('context', extractContext),
   extractNarrative,
   buildWorld,
   mapCharacterRelationships,
@@ -5,17 +5,16 @@
  * including story arcs, character dialogues, and plot points.
  */
 
-const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { getProjectDatabase } = require('../utils/projectDatabase');
+const { getSpeakerName } = require('../utils/messages');
 
 /**
  * Extract narrative information from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Extracted narrative information
  */
 async function extractNarrative(projectPath) {
-  const dataPath = path.join(projectPath, 'data');
+  const database = getProjectDatabase(projectPath);
   
   // Initialize narrative structure
   const narrative = {
@@ -33,9 +32,8 @@ async function extractNarrative(projectPath) {
 
   try {
     // Extract game title from System.json
-    const systemPath = path.join(dataPath, 'System.json');
-    if (await fs.pathExists(systemPath)) {
-      const systemData = parseJson(await fs.readFile(systemPath, 'utf8'));
+    const systemData = database.system.get();
+    if (systemData) {
       narrative.title = (systemData && systemData.gameTitle) ? systemData.gameTitle : '';
       
       // Extract quest information from switches
@@ -45,27 +43,24 @@ async function extractNarrative(projectPath) {
     }
 
     // Extract map information from MapInfos.json
-    const mapInfosPath = path.join(dataPath, 'MapInfos.json');
-    if (await fs.pathExists(mapInfosPath)) {
-      const mapInfos = parseJson(await fs.readFile(mapInfosPath, 'utf8'));
+    const mapInfos = database.mapInfos.toArray();
+    if (mapInfos) {
       const mapStructure = buildMapStructure(mapInfos);
       narrative.locations = mapStructure;
       
       // Extract dialogues and events from individual map files
-      await extractMapEvents(dataPath, mapInfos, narrative);
+      await extractMapEvents(database, mapInfos, narrative);
     }
 
     // Extract character information from Actors.json
-    const actorsPath = path.join(dataPath, 'Actors.json');
-    if (await fs.pathExists(actorsPath)) {
-      const actors = parseJson(await fs.readFile(actorsPath, 'utf8'));
+    const actors = database.actors.toArray();
+    if (actors) {
       narrative.characters = extractCharacterInfo(actors);
     }
 
     // Extract common events from CommonEvents.json
-    const commonEventsPath = path.join(dataPath, 'CommonEvents.json');
-    if (await fs.pathExists(commonEventsPath)) {
-      const commonEvents = parseJson(await fs.readFile(commonEventsPath, 'utf8'));
+    const commonEvents = database.commonEvents.toArray();
+    if (commonEvents) {
       extractCommonEvents(commonEvents, narrative);
     }
 
@@ -191,11 +186,11 @@ function buildMapStructure(mapInfos) {
 
 /**
  * Extract events from map files
- * @param {string} dataPath - Path to data directory
+ * @param {Object} database - Project database
  * @param {Array} mapInfos - Map information array
  * @param {Object} narrative - Narrative object to populate
  */
-async function extractMapEvents(dataPath, mapInfos, narrative) {
+async function extractMapEvents(database, mapInfos, narrative) {
   narrative.events = {};
   narrative.dialogues = {};
   
@@ -203,10 +198,9 @@ async function extractMapEvents(dataPath, mapInfos, narrative) {
     const mapInfo = mapInfos[i];
     if (!mapInfo) continue;
     
-    const mapPath = path.join(dataPath, `Map${mapInfo.id.toString().padStart(3, '0')}.json`);
-    if (await fs.pathExists(mapPath)) {
+    const mapData = database.maps.get(mapInfo.id);
+    if (mapData) {
       try {
-        const mapData = parseJson(await fs.readFile(mapPath, 'utf8'));
         if (mapData.events) {
           const mapEvents = [];
           const mapDialogues = [];
@@ -243,11 +237,12 @@ async function extractMapEvents(dataPath, mapInfos, narrative) {
                   for (let l = 0; l < page.list.length; l++) {
                     const command = page.list[l];
                     
-                    // Message command (code 101)
+                    // Message command (code 101); the text is in the 401 lines after it
                     if (command.code === 101) {
                       currentDialogue = {
-                        speaker: command.parameters[4] || '',
-                        lines: [command.parameters[0]]
+                        speaker: getSpeakerName(page.list, l),
+                        face: command.parameters[0] || '',
+                        lines: []
                       };
                       dialogues.push(currentDialogue);
                     } 
@@ -367,11 +362,12 @@ function extractCommonEvents(commonEvents, narrative) {
       for (let j = 0; j < event.list.length; j++) {
         const command = event.list[j];
         
-        // Message command (code 101)
+        // Message command (code 101); the text is in the 401 lines after it
         if (command.code === 101) {
           currentDialogue = {
-            speaker: command.parameters[4] || '',
-            lines: [command.parameters[0]]
+            speaker: getSpeakerName(event.list, j),
+            face: command.parameters[0] || '',
+            lines: []
           };
           eventInfo.dialogues.push(currentDialogue);
         } 
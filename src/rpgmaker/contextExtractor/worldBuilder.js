@@ -5,17 +5,15 @@
  * of the game world, including locations, connections, and geographical features.
  */
 
-const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Build world information from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @returns {Promise<Object>} - Built world information
  */
 async function buildWorld(projectPath) {
-  const dataPath = path.join(projectPath, 'data');
+  const database = getProjectDatabase(projectPath);
   
   // Initialize world structure
   const world = {
@@ -29,16 +27,14 @@ async function buildWorld(projectPath) {
 
   try {
     // Extract game title from System.json as world name
-    const systemPath = path.join(dataPath, 'System.json');
-    if (await fs.pathExists(systemPath)) {
-      const systemData = parseJson(await fs.readFile(systemPath, 'utf8'));
+    const systemData = database.system.get();
+    if (systemData) {
       world.name = (systemData && systemData.gameTitle) ? systemData.gameTitle : '';
     }
 
     // Extract map information from MapInfos.json
-    const mapInfosPath = path.join(dataPath, 'MapInfos.json');
-    if (await fs.pathExists(mapInfosPath)) {
-      const mapInfos = parseJson(await fs.readFile(mapInfosPath, 'utf8'));
+    const mapInfos = database.mapInfos.toArray();
+    if (mapInfos) {
       
       // Build hierarchical map structure
       const mapStructure = buildMapHierarchy(mapInfos);
@@ -48,7 +44,7 @@ async function buildWorld(projectPath) {
       world.regions = identifyRegions(mapStructure.rootMaps);
       
       // Process individual map files to extract detailed information
-      await extractMapDetails(dataPath, mapInfos, world);
+      await extractMapDetails(database, mapInfos, world);
       
       // Identify key areas based on event density and connections
       world.keyAreas = identifyKeyAreas(world);
@@ -165,11 +161,11 @@ function identifyRegions(rootMaps) {
 
 /**
  * Extract detailed information from individual map files
- * @param {string} dataPath - Path to data directory
+ * @param {Object} database - Project database
  * @param {Array} mapInfos - Map information array
  * @param {Object} world - World object to populate
  */
-async function extractMapDetails(dataPath, mapInfos, world) {
+async function extractMapDetails(database, mapInfos, world) {
   const locations = [];
   const mapConnections = [];
   const transferEvents = {};
@@ -179,11 +175,9 @@ async function extractMapDetails(dataPath, mapInfos, world) {
     const mapInfo = mapInfos[i];
     if (!mapInfo) continue;
     
-    const mapPath = path.join(dataPath, `Map${mapInfo.id.toString().padStart(3, '0')}.json`);
-    if (await fs.pathExists(mapPath)) {
+    const mapData = database.maps.get(mapInfo.id);
+    if (mapData) {
       try {
-        const mapData = parseJson(await fs.readFile(mapPath, 'utf8'));
-        
         // Create location object
         const location = {
           id: mapInfo.id,
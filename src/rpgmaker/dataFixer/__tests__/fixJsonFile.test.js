@@ -0,0 +1,56 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const dataFixer = require('..');
+
+describe('fixJsonFile', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-fix-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('writes a repaired file', async () => {
+    const filePath = path.join(tempDir, 'Items.json');
+    await fs.writeFile(filePath, '[null,{"id":1:"name":"Potion"}]', 'utf8');
+
+    const result = await dataFixer.fixJsonFile(filePath, { approach: 'repair' });
+
+    expect(result.valid).toBe(true);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('[null,{"id":1,"name":"Potion"}]');
+  });
+
+  test('does not write a repair that is still not valid JSON', async () => {
+    const filePath = path.join(tempDir, 'Items.json');
+    await fs.writeFile(filePath, ']/*', 'utf8');
+
+    await expect(dataFixer.fixJsonFile(filePath, { approach: 'repair' })).rejects.toThrow('not valid JSON');
+    expect(await fs.readFile(filePath, 'utf8')).toBe(']/*');
+  });
+
+  test.each(['manual', 'auto'])('does not write invalid JSON from the %s approach', async (approach) => {
+    // The manual approach adds brackets around '{{{' that leave it unparseable,
+    // and auto falls back to it when every other approach fails on ']/*'
+    const samples = { manual: '{{{', auto: ']/*' };
+    const filePath = path.join(tempDir, 'Items.json');
+    await fs.writeFile(filePath, samples[approach], 'utf8');
+
+    expect(dataFixer.fixJson(samples[approach], { approach }).content).not.toBe(samples[approach]);
+    await expect(dataFixer.fixJsonFile(filePath, { approach })).rejects.toThrow('not valid JSON');
+    expect(await fs.readFile(filePath, 'utf8')).toBe(samples[approach]);
+  });
+
+  test('reports an invalid repair in a dry run without writing', async () => {
+    const filePath = path.join(tempDir, 'Items.json');
+    await fs.writeFile(filePath, ']/*', 'utf8');
+
+    const result = await dataFixer.fixJsonFile(filePath, { approach: 'repair', dryRun: true });
+
+    expect(result.valid).toBe(false);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(']/*');
+  });
+});
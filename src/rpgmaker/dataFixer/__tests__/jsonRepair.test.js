@@ -0,0 +1,98 @@
+const { repairJson, REPAIR_RULES } = require('../jsonRepair');
+
+const getRules = (result) => result.repairs.map(repair => repair.rule);
+
+describe('repairJson', () => {
+  test('leaves valid JSON untouched', () => {
+    const content = '[\n{"id":1,"name":"Harold"}\n]';
+    const result = repairJson(content);
+
+    expect(result.content).toBe(content);
+    expect(result.repairs).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  test.each([
+    ['[1,2,]', '[1,2]', ['trailing-comma']],
+    ['[1,,2]', '[1,2]', ['extra-comma']],
+    ['[1 2]', '[1, 2]', ['missing-comma']],
+    ['{"a" 1}', '{"a": 1}', ['missing-colon']],
+    ['{"a":}', '{"a":null}', ['missing-value']],
+    ['{a:1}', '{"a":1}', ['unquoted-key']],
+    ["['a']", '["a"]', ['single-quoted-string']],
+    ['[undefined, True]', '[null, true]', ['invalid-literal', 'invalid-literal']],
+    ['[1, 2', '[1, 2]', ['unclosed-container']],
+    ['[1, 2}', '[1, 2]', ['mismatched-bracket']],
+    ['[1] garbage', '[1] ', ['trailing-garbage']],
+    ['[1, /* two */ 2]', '[1,  2]', ['comment']],
+    ['\uFEFF[1]', '[1]', ['byte-order-mark']]
+  ])('repairs %j', (content, expected, rules) => {
+    const result = repairJson(content);
+
+    expect(result.content).toBe(expected);
+    expect(getRules(result)).toEqual(rules);
+    expect(result.valid).toBe(true);
+  });
+
+  test.each([
+    ['[1:2]', '[1,2]', ['stray-token', 'missing-comma']],
+    ['[1@2]', '[1,2]', ['stray-token', 'missing-comma']],
+    ['{"a":[1,2,}', '{"a":[1,2]}', ['trailing-comma', 'unclosed-container']]
+  ])('applies an insertion at the offset of a deletion in %j', (content, expected, rules) => {
+    const result = repairJson(content);
+
+    expect(result.content).toBe(expected);
+    expect(getRules(result)).toEqual(rules);
+    expect(result.valid).toBe(true);
+  });
+
+  test('records the position, original text and replacement of each repair', () => {
+    const result = repairJson('{\n  "a": 1,\n  "b": 2,\n}');
+
+    expect(result.repairs).toEqual([{
+      rule: 'trailing-comma',
+      message: REPAIR_RULES['trailing-comma'],
+      line: 3,
+      column: 9,
+      index: 20,
+      original: ',',
+      replacement: ''
+    }]);
+  });
+
+  test('keeps the layout of the rest of the file', () => {
+    const content = '[\n  null,\n  {"id": 1, "note": "a"}\n  {"id": 2, "note": "b"}\n]';
+    const result = repairJson(content);
+
+    expect(result.content).toBe('[\n  null,\n  {"id": 1, "note": "a"},\n  {"id": 2, "note": "b"}\n]');
+    expect(result.valid).toBe(true);
+  });
+
+  test('produces valid JSON or reports the result as invalid', () => {
+    const samples = [
+      '[1:2]',
+      '[1@2]',
+      '{"a":[1,2,}',
+      '{"a":1 "b":[1 2 3,] , }',
+      '[{"a":1},{"b":2]',
+      '{"a":{"b":[1,{"c":2}}',
+      '[1,2,3',
+      '{"a":"b',
+      '[,,]',
+      '{:1}',
+      '[}'
+    ];
+
+    samples.forEach(content => {
+      const result = repairJson(content);
+      let parses = true;
+      try {
+        JSON.parse(result.content);
+      } catch (error) {
+        parses = false;
+      }
+
+      expect(result.valid).toBe(parses);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const dataFixer = require('..');
+const { salvageJson, recoverJson } = require('../recovery');
+
+const FULL = '[\n{"id":1,"name":"Harold"},\n{"id":2,"name":"Therese"},\n{"id":3,"name":"Marsha"}\n]';
+const TRUNCATED = FULL.slice(0, FULL.indexOf('"Therese"') + 4);
+
+describe('salvageJson', () => {
+  test('keeps every complete value before the cut', () => {
+    const result = salvageJson('{"a":[1,2,3');
+
+    expect(result.complete).toBe(false);
+    expect(result.value).toEqual({ a: [1, 2] });
+    expect(result).toMatchObject({ cutOffset: 10, line: 1, column: 11 });
+  });
+
+  test('reports complete content as complete', () => {
+    const result = salvageJson('[null,{"id":1}]');
+
+    expect(result.complete).toBe(true);
+    expect(result.value).toEqual([null, { id: 1 }]);
+  });
+});
+
+describe('recoverJson', () => {
+  test('leaves complete content untouched', () => {
+    const result = recoverJson(FULL);
+
+    expect(result.truncated).toBe(false);
+    expect(result.content).toBe(FULL);
+  });
+
+  test('fills in the entries after the cut from the older copy', () => {
+    const backup = FULL.replace('"Harold"', '"Old Harold"');
+    const result = recoverJson(TRUNCATED, { backup });
+
+    expect(result.truncated).toBe(true);
+    expect(result.data.map(entry => entry.name)).toEqual(['Harold', 'Therese', 'Marsha']);
+    expect(result.sources.map(source => [source.path, source.source])).toEqual([
+      ['[0]', 'salvaged'],
+      ['[1]', 'backup'],
+      ['[2]', 'backup']
+    ]);
+    expect(JSON.parse(result.content)).toEqual(result.data);
+  });
+
+  test('reports entries that were cut off and are not in an older copy as lost', () => {
+    const result = recoverJson(TRUNCATED);
+
+    expect(result.data).toEqual([{ id: 1, name: 'Harold' }]);
+    expect(result.sources[1]).toMatchObject({ path: '[1]', source: 'lost', id: 2 });
+  });
+
+  test('uses the older copy when nothing before the cut is usable', () => {
+    const result = recoverJson('  ', { backup: FULL });
+
+    expect(result.data).toEqual(JSON.parse(FULL));
+    expect(result.sources.map(source => source.source)).toEqual(['backup', 'backup', 'backup']);
+  });
+
+  test('fails when nothing before the cut is usable and there is no older copy', () => {
+    const result = recoverJson('  ');
+
+    expect(result.error).toMatch('No complete data');
+    expect(result.data).toBeUndefined();
+  });
+});
+
+describe('recoverJsonFile', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-recovery-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('recovers from the .bak file next to the truncated file', async () => {
+    const filePath = path.join(tempDir, 'Actors.json');
+    await fs.writeFile(filePath, TRUNCATED, 'utf8');
+    await fs.writeFile(`${filePath}.bak`, FULL, 'utf8');
+
+    const result = await dataFixer.recoverJsonFile(filePath);
+
+    expect(result.changed).toBe(true);
+    expect(result.backupPath).toBe(`${filePath}.bak`);
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual(JSON.parse(FULL));
+  });
+
+  test('writes nothing in a dry run', async () => {
+    const filePath = path.join(tempDir, 'Actors.json');
+    await fs.writeFile(filePath, TRUNCATED, 'utf8');
+
+    const result = await dataFixer.recoverJsonFile(filePath, { dryRun: true });
+
+    expect(result.diff).toMatch('+{"id":1,"name":"Harold"}\n+]');
+    expect(await fs.readFile(filePath, 'utf8')).toBe(TRUNCATED);
+  });
+
+  test('does not touch a file that is not truncated', async () => {
+    const filePath = path.join(tempDir, 'Actors.json');
+    await fs.writeFile(filePath, FULL, 'utf8');
+
+    const result = await dataFixer.recoverJsonFile(filePath);
+
+    expect(result.changed).toBe(false);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(FULL);
+  });
+});
@@ -0,0 +1,113 @@
+const { repairStructure, getFileShape } = require('../structureRepair');
+const { getTemplate } = require('../../dataGenerator/schemaValidator');
+
+const createItem = (id, name) => ({ ...getTemplate('item'), id, name });
+
+const getRules = (changes) => changes.map(change => change.rule);
+
+describe('repairStructure', () => {
+  test('knows the shape of database and map files', () => {
+    expect(getFileShape('data/Items.json')).toEqual({ kind: 'database', schema: 'item', sparse: false });
+    expect(getFileShape('MapInfos.json').sparse).toBe(true);
+    expect(getFileShape('Map012.json')).toEqual({ kind: 'map', schema: 'map' });
+    expect(getFileShape('System.json')).toBeNull();
+  });
+
+  test('leaves a well-formed database untouched', () => {
+    const items = [null, createItem(1, 'Potion'), createItem(2, 'Ether')];
+    const { data, changes } = repairStructure(JSON.parse(JSON.stringify(items)), 'Items.json');
+
+    expect(changes).toEqual([]);
+    expect(data).toEqual(items);
+  });
+
+  test('restores missing and mistyped fields', () => {
+    const item = createItem(1, 'Potion');
+    delete item.description;
+    item.price = '50';
+    const { data, changes } = repairStructure([null, item], 'Items.json');
+
+    expect(getRules(changes)).toEqual(['missing-field', 'invalid-type']);
+    expect(data[1].description).toBe('');
+    expect(data[1].price).toBe(50);
+  });
+
+  test('inserts the null header when every entry was shifted down', () => {
+    const { data, changes } = repairStructure([createItem(1, 'Potion'), createItem(2, 'Ether')], 'Items.json');
+
+    expect(getRules(changes)).toEqual(['missing-null-header']);
+    expect(data.map(item => item && item.name)).toEqual([null, 'Potion', 'Ether']);
+  });
+
+  test('moves reordered entries to the slot of their id without changing ids', () => {
+    const { data, changes } = repairStructure([null, createItem(2, 'Ether'), createItem(1, 'Potion')], 'Items.json');
+
+    expect(changes.map(change => [change.rule, change.path, change.fixed])).toEqual([
+      ['id-mismatch', '[1]', true],
+      ['id-mismatch', '[2]', true]
+    ]);
+    expect(data.map(item => item && [item.id, item.name])).toEqual([null, [1, 'Potion'], [2, 'Ether']]);
+  });
+
+  test('keeps the id of an entry after a gap and fills the gap', () => {
+    const { data, changes } = repairStructure([null, createItem(1, 'Potion'), createItem(3, 'Elixir')], 'Items.json');
+
+    expect(changes.map(change => [change.rule, change.path])).toEqual([
+      ['id-mismatch', '[2]'],
+      ['null-entry', '[2]']
+    ]);
+    expect(data.map(item => item && [item.id, item.name])).toEqual([null, [1, 'Potion'], [2, ''], [3, 'Elixir']]);
+  });
+
+  test('leaves gaps in sparse files as null', () => {
+    const mapInfo = { ...getTemplate('mapInfo'), id: 3, name: 'Town' };
+    const { data } = repairStructure([null, mapInfo], 'MapInfos.json');
+
+    expect(data).toHaveLength(4);
+    expect(data.slice(0, 3)).toEqual([null, null, null]);
+    expect(data[3]).toMatchObject({ id: 3, name: 'Town' });
+  });
+
+  test('reports duplicate ids as unfixable without moving or renumbering entries', () => {
+    const { data, changes } = repairStructure([null, createItem(1, 'Potion'), createItem(1, 'Ether')], 'Items.json');
+
+    expect(changes).toEqual([expect.objectContaining({
+      rule: 'id-mismatch',
+      path: '[2].id',
+      before: 1,
+      after: 1,
+      fixed: false
+    })]);
+    expect(data.map(item => item && [item.id, item.name])).toEqual([null, [1, 'Potion'], [1, 'Ether']]);
+  });
+
+  test('moves an entry over an invalid value in its slot', () => {
+    const { data, changes } = repairStructure([null, createItem(2, 'Ether'), 'broken'], 'Items.json');
+
+    expect(changes.map(change => [change.rule, change.path, change.before])).toEqual([
+      ['invalid-entry', '[2]', 'broken'],
+      ['id-mismatch', '[1]', 1],
+      ['null-entry', '[1]', null]
+    ]);
+    expect(data.map(item => item && [item.id, item.name])).toEqual([null, [1, ''], [2, 'Ether']]);
+  });
+
+  test('moves map events to the slot of their id and adds missing pages', () => {
+    const map = getTemplate('map');
+    map.data = new Array(map.width * map.height * 6).fill(0);
+    map.events = [null, { ...getTemplate('event'), id: 2, name: 'Door', pages: [] }];
+
+    const { data, changes } = repairStructure(map, 'Map001.json');
+
+    expect(getRules(changes)).toEqual(['id-mismatch', 'missing-page']);
+    expect(data.events[1]).toBeNull();
+    expect(data.events[2]).toMatchObject({ id: 2, name: 'Door' });
+    expect(data.events[2].pages).toHaveLength(1);
+  });
+
+  test('reports a root of the wrong type as unfixable', () => {
+    const { changes } = repairStructure({}, 'Items.json');
+
+    expect(changes).toEqual([expect.objectContaining({ rule: 'invalid-root', fixed: false })]);
+  });
+});
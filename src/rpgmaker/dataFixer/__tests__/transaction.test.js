@@ -0,0 +1,131 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const dataFixer = require('..');
+const transaction = require('../transaction');
+
+describe('fix transactions', () => {
+  let tempDir;
+  let dataDir;
+  let backupDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-transaction-'));
+    dataDir = path.join(tempDir, 'data');
+    backupDir = path.join(tempDir, 'backups', 'fix');
+    await fs.ensureDir(dataDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('backs up the previous content of every file and records it in the manifest', async () => {
+    await fs.writeFile(path.join(dataDir, 'Items.json'), '[null]', 'utf8');
+    const writes = [
+      { file: 'Items.json', outputPath: path.join(dataDir, 'Items.json'), content: '[null,{"id":1}]' },
+      { file: 'Weapons.json', outputPath: path.join(dataDir, 'Weapons.json'), content: '[null]' }
+    ];
+
+    const result = await transaction.commitFiles(writes, { backupDir, metadata: { approach: 'repair' } });
+
+    expect(result.committed).toBe(true);
+    expect(result.filesWritten).toBe(2);
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe('[null,{"id":1}]');
+    expect(await fs.readFile(path.join(backupDir, 'files', 'Items.json'), 'utf8')).toBe('[null]');
+
+    const manifest = await fs.readJson(result.manifestPath);
+    expect(manifest.status).toBe('committed');
+    expect(manifest.approach).toBe('repair');
+    expect(manifest.files.map(entry => [entry.file, entry.existed])).toEqual([
+      ['Items.json', true],
+      ['Weapons.json', false]
+    ]);
+  });
+
+  test('rollback restores changed files and removes files the fix created', async () => {
+    await fs.writeFile(path.join(dataDir, 'Items.json'), '[null]', 'utf8');
+    const writes = [
+      { file: 'Items.json', outputPath: path.join(dataDir, 'Items.json'), content: '[null,{"id":1}]' },
+      { file: 'Weapons.json', outputPath: path.join(dataDir, 'Weapons.json'), content: '[null]' }
+    ];
+    const { manifestPath } = await transaction.commitFiles(writes, { backupDir });
+
+    const result = await transaction.rollback(backupDir);
+
+    expect(result.errors).toEqual([]);
+    expect(result.restored).toEqual([path.join(dataDir, 'Items.json')]);
+    expect(result.removed).toEqual([path.join(dataDir, 'Weapons.json')]);
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe('[null]');
+    expect(await fs.pathExists(path.join(dataDir, 'Weapons.json'))).toBe(false);
+    expect((await fs.readJson(manifestPath)).status).toBe('rolled-back');
+  });
+
+  test('rollback reports files that were changed again after the fix', async () => {
+    const filePath = path.join(dataDir, 'Items.json');
+    await fs.writeFile(filePath, '[null]', 'utf8');
+    await transaction.commitFiles([{ file: 'Items.json', outputPath: filePath, content: '[null,{"id":1}]' }], { backupDir });
+    await fs.writeFile(filePath, '[null,{"id":2}]', 'utf8');
+
+    const result = await transaction.rollback(backupDir);
+
+    expect(result.modifiedSinceFix).toEqual([filePath]);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('[null]');
+  });
+
+  test('rollback refuses a backup that does not match its recorded hash', async () => {
+    const filePath = path.join(dataDir, 'Items.json');
+    await fs.writeFile(filePath, '[null]', 'utf8');
+    await transaction.commitFiles([{ file: 'Items.json', outputPath: filePath, content: '[null,{"id":1}]' }], { backupDir });
+    await fs.writeFile(path.join(backupDir, 'files', 'Items.json'), '[]', 'utf8');
+
+    const result = await transaction.rollback(backupDir);
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].error).toMatch('does not match its recorded hash');
+    expect(await fs.readFile(filePath, 'utf8')).toBe('[null,{"id":1}]');
+  });
+
+  test('rolls back the files already written when a write fails', async () => {
+    await fs.writeFile(path.join(dataDir, 'Items.json'), '[null]', 'utf8');
+    // A file where a directory is expected makes the second write fail
+    await fs.writeFile(path.join(tempDir, 'blocked'), '', 'utf8');
+    const writes = [
+      { file: 'Items.json', outputPath: path.join(dataDir, 'Items.json'), content: '[null,{"id":1}]' },
+      { file: 'Weapons.json', outputPath: path.join(tempDir, 'blocked', 'Weapons.json'), content: '[null]' }
+    ];
+
+    const result = await transaction.commitFiles(writes, { backupDir });
+
+    expect(result.committed).toBe(false);
+    expect(result.rolledBack).toBe(true);
+    expect(result.error).toBeTruthy();
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe('[null]');
+  });
+
+  test('fixJsonFiles writes nothing when any file cannot be fixed', async () => {
+    await fs.writeFile(path.join(dataDir, 'Items.json'), '[null,{"id":1},]', 'utf8');
+    await fs.writeFile(path.join(dataDir, 'Weapons.json'), ']/*', 'utf8');
+
+    const result = await dataFixer.fixJsonFiles(dataDir, { backupDir });
+
+    expect(result.transaction.committed).toBe(false);
+    expect(result.transaction.failedFiles).toEqual([path.join(dataDir, 'Weapons.json')]);
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe('[null,{"id":1},]');
+    expect(await fs.pathExists(backupDir)).toBe(false);
+  });
+
+  test('fixJsonFiles commits every fix together and can be rolled back', async () => {
+    await fs.writeFile(path.join(dataDir, 'Items.json'), '[null,{"id":1},]', 'utf8');
+    await fs.writeFile(path.join(dataDir, 'Weapons.json'), '[null]', 'utf8');
+
+    const result = await dataFixer.fixJsonFiles(dataDir, { approach: 'repair', backupDir });
+
+    expect(result.transaction.committed).toBe(true);
+    expect(result.transaction.filesWritten).toBe(1);
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe('[null,{"id":1}]');
+
+    await dataFixer.rollback(result.transaction.manifestPath);
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe('[null,{"id":1},]');
+  });
+});
@@ -7,11 +7,22 @@
  * - Intermediate: More comprehensive regex-based fixes
  * - Advanced: Enhanced regex-based fixes with multiple passes
  * - Manual: Character-by-character parsing and reconstruction
+ * - Repair: Error-tolerant tokenizer and parser that records every repair it makes
+ *
+ * With the `structure` option, files that parse are also checked against the shape
+ * RPG Maker MV expects for their file name (see structureRepair.js).
  */
 
 const fs = require('fs-extra');
 const path = require('path');
-const { parseJson, stringifyJson } = require('../../core');
+const glob = require('glob');
+const { createTwoFilesPatch } = require('diff');
+const { parseJson } = require('../../core');
+const { formatDataFile } = require('../utils/jsonWriter');
+const jsonRepair = require('./jsonRepair');
+const fixTransaction = require('./transaction');
+const structureRepair = require('./structureRepair');
+const recovery = require('./recovery');
 
 /**
  * Fix JSON content using the basic approach
@@ -23,14 +34,14 @@ const fixJsonBasic = (content) => {
   let fixedContent = content;
   
   // Remove any HTML content at the beginning of the file
-  const jsonStartIndex = content.search(/[\[\{]/);
+  const jsonStartIndex = content.search(/[[{]/);
   if (jsonStartIndex > 0) {
     fixedContent = content.substring(jsonStartIndex);
     issues++;
   }
   
   // Fix missing commas between properties
-  fixedContent = fixedContent.replace(/"([a-zA-Z0-9_]+)":([^,\s\}\]]*)\s*"([a-zA-Z0-9_]+)":/g, (match, prop1, value, prop2) => {
+  fixedContent = fixedContent.replace(/"([a-zA-Z0-9_]+)":([^,\s}\]]*)\s*"([a-zA-Z0-9_]+)":/g, (match, prop1, value, prop2) => {
     issues++;
     return `"${prop1}":${value},"${prop2}":`;
   });
@@ -52,14 +63,14 @@ const fixJsonIntermediate = (content) => {
   let fixedContent = content;
   
   // Remove any HTML content at the beginning of the file
-  const jsonStartIndex = content.search(/[\[\{]/);
+  const jsonStartIndex = content.search(/[[{]/);
   if (jsonStartIndex > 0) {
     fixedContent = content.substring(jsonStartIndex);
     issues++;
   }
   
   // Fix missing commas between properties
-  fixedContent = fixedContent.replace(/"([a-zA-Z0-9_]+)":([^,\s\}\]]*)\s*"([a-zA-Z0-9_]+)":/g, (match, prop1, value, prop2) => {
+  fixedContent = fixedContent.replace(/"([a-zA-Z0-9_]+)":([^,\s}\]]*)\s*"([a-zA-Z0-9_]+)":/g, (match, prop1, value, prop2) => {
     issues++;
     return `"${prop1}":${value},"${prop2}":`;
   });
@@ -99,7 +110,7 @@ const fixJsonAdvanced = (content) => {
   let fixedContent = content;
   
   // Remove any HTML content at the beginning of the file
-  const jsonStartIndex = content.search(/[\[\{]/);
+  const jsonStartIndex = content.search(/[[{]/);
   if (jsonStartIndex > 0) {
     fixedContent = content.substring(jsonStartIndex);
     issues++;
@@ -113,7 +124,7 @@ const fixJsonAdvanced = (content) => {
     prevContent = fixedContent;
     
     // Fix missing commas between properties
-    fixedContent = fixedContent.replace(/"([a-zA-Z0-9_]+)":\s*([^,\s\}\]]*)\s*"([a-zA-Z0-9_]+)":/g, (match, prop1, value, prop2) => {
+    fixedContent = fixedContent.replace(/"([a-zA-Z0-9_]+)":\s*([^,\s}\]]*)\s*"([a-zA-Z0-9_]+)":/g, (match, prop1, value, prop2) => {
       issues++;
       return `"${prop1}":${value},"${prop2}":`;
     });
@@ -215,7 +226,7 @@ const fixJsonManual = (content) => {
   let issues = 0;
   
   // Remove any HTML content at the beginning of the file
-  const jsonStartIndex = content.search(/[\[\{]/);
+  const jsonStartIndex = content.search(/[[{]/);
   if (jsonStartIndex > 0) {
     content = content.substring(jsonStartIndex);
     issues++;
@@ -359,15 +370,29 @@ const fixJsonManual = (content) => {
 };
 
 /**
- * Fix JSON content using the best approach
+ * Fix JSON content using the repair engine
  * @param {string} content - JSON content
- * @param {Object} options - Options
- * @param {string} options.approach - Approach to use (basic, intermediate, advanced, manual, auto)
- * @returns {Object} - Result of fixing
+ * @returns {Object} - Result of fixing, with a structured record for every repair and whether the result is valid JSON
  */
-const fixJson = (content, options = {}) => {
-  const { approach = 'auto' } = options;
+const fixJsonRepair = (content) => {
+  const { content: fixedContent, repairs, valid } = jsonRepair.repairJson(content);
   
+  return {
+    content: fixedContent,
+    issues: repairs.length,
+    approach: 'repair',
+    repairs,
+    valid
+  };
+};
+
+/**
+ * Fix the JSON syntax of content using the best approach
+ * @param {string} content - JSON content
+ * @param {string} approach - Approach to use (repair, basic, intermediate, advanced, manual, auto)
+ * @returns {Object} - Result of fixing
+ */
+const fixJsonSyntax = (content, approach) => {
   // Try to parse the JSON first
   const parsed = parseJson(content);
   if (parsed) {
@@ -375,12 +400,15 @@ const fixJson = (content, options = {}) => {
     return {
       content,
       issues: 0,
-      approach: 'none'
+      approach: 'none',
+      repairs: []
     };
   }
   
   // Choose the approach
   switch (approach) {
+    case 'repair':
+      return fixJsonRepair(content);
     case 'basic':
       return fixJsonBasic(content);
     case 'intermediate':
@@ -390,8 +418,14 @@ const fixJson = (content, options = {}) => {
     case 'manual':
       return fixJsonManual(content);
     case 'auto':
-    default:
-      // Try each approach in order of increasing sophistication
+    default: {
+      // Prefer the repair engine, since its changes can be reviewed one by one
+      const repairResult = fixJsonRepair(content);
+      if (parseJson(repairResult.content)) {
+        return repairResult;
+      }
+      
+      // Fall back to each legacy approach in order of increasing sophistication
       const basicResult = fixJsonBasic(content);
       if (parseJson(basicResult.content)) {
         return basicResult;
@@ -408,25 +442,116 @@ const fixJson = (content, options = {}) => {
       }
       
       return fixJsonManual(content);
+    }
+  }
+};
+
+/**
+ * Repair the structure of fixed JSON content for the shape expected from its file name
+ * @param {Object} result - Result of fixing the JSON syntax
+ * @param {string} fileName - File name used to determine the expected shape
+ * @returns {Object} - Result with structural changes applied
+ */
+const fixJsonStructure = (result, fileName) => {
+  const data = parseJson(result.content);
+  if (!data) {
+    // The syntax could not be fixed, so the structure cannot be checked
+    return { ...result, structuralChanges: [] };
+  }
+  
+  const { data: repairedData, changes } = structureRepair.repairStructure(data, fileName);
+  const fixedChanges = changes.filter(change => change.fixed);
+  if (fixedChanges.length === 0) {
+    return { ...result, structuralChanges: changes };
+  }
+  
+  return {
+    ...result,
+    content: formatDataFile(repairedData, { original: result.content }),
+    issues: result.issues + fixedChanges.length,
+    approach: result.approach === 'none' ? 'structure' : result.approach,
+    structuralChanges: changes
+  };
+};
+
+/**
+ * Fix JSON content using the best approach
+ * @param {string} content - JSON content
+ * @param {Object} options - Options
+ * @param {string} options.approach - Approach to use (repair, basic, intermediate, advanced, manual, auto)
+ * @param {boolean} options.structure - Also repair the structure expected for fileName (default: false)
+ * @param {string} options.fileName - Name of the file the content belongs to, such as Actors.json or Map001.json
+ * @returns {Object} - Result of fixing
+ */
+const fixJson = (content, options = {}) => {
+  const { approach = 'auto', structure = false, fileName = null } = options;
+  
+  const result = fixJsonSyntax(content, approach);
+  if (!structure || !fileName) {
+    return result;
+  }
+  
+  return fixJsonStructure(result, fileName);
+};
+
+/**
+ * Create a unified diff between the original and fixed content of a file
+ * @param {string} originalContent - Original file content
+ * @param {string} fixedContent - Fixed file content
+ * @param {string} oldLabel - Label for the original file
+ * @param {string} newLabel - Label for the fixed file
+ * @returns {string} - Unified diff, or an empty string if nothing changed
+ */
+const createFixDiff = (originalContent, fixedContent, oldLabel, newLabel) => {
+  if (originalContent === fixedContent) {
+    return '';
   }
+  
+  return createTwoFilesPatch(
+    oldLabel.split(path.sep).join('/'),
+    newLabel.split(path.sep).join('/'),
+    originalContent,
+    fixedContent,
+    undefined,
+    undefined,
+    { context: 3 }
+  );
 };
 
 /**
  * Fix a JSON file
  * @param {string} filePath - Path to the file
  * @param {Object} options - Options
- * @param {string} options.approach - Approach to use (basic, intermediate, advanced, manual, auto)
+ * @param {string} options.approach - Approach to use (repair, basic, intermediate, advanced, manual, auto)
  * @param {string} options.outputPath - Path to write the fixed file to (defaults to overwriting the original)
+ * @param {boolean} options.dryRun - Write nothing and return a unified diff of the changes instead
+ * @param {boolean} options.structure - Also repair the structure expected for the file name
  * @returns {Promise<Object>} - Result of fixing
  */
 const fixJsonFile = async (filePath, options = {}) => {
-  const { outputPath = filePath, approach = 'auto' } = options;
+  const { outputPath = filePath, approach = 'auto', dryRun = false, structure = false } = options;
   
   // Read the file
   const content = await fs.readFile(filePath, 'utf8');
   
   // Fix the JSON
-  const result = fixJson(content, { approach });
+  const result = fixJson(content, { approach, structure, fileName: path.basename(filePath) });
+  
+  if (dryRun) {
+    return {
+      ...result,
+      filePath,
+      outputPath,
+      dryRun: true,
+      changed: result.content !== content,
+      diff: createFixDiff(content, result.content, filePath, outputPath)
+    };
+  }
+  
+  // Never overwrite a file with a fix that is still not valid JSON, whatever approach made it
+  if (parseJson(result.content) === null) {
+    throw new Error(`The fixed content of ${filePath} is still not valid JSON, so it was not written`);
+  }
   
   // Write the fixed content
   await fs.ensureDir(path.dirname(outputPath));
@@ -439,15 +564,74 @@ const fixJsonFile = async (filePath, options = {}) => {
   };
 };
 
+/**
+ * Recover a data file that was cut off mid-write
+ * 
+ * Every complete entry is salvaged from the truncated file, and entries after the cut are
+ * filled in from an older copy of the file. Files that are not truncated are left untouched.
+ * @param {string} filePath - Path to the truncated file
+ * @param {Object} options - Options
+ * @param {string} options.backupPath - Path to an older copy of the file (default: <filePath>.bak if it exists)
+ * @param {string} options.outputPath - Path to write the recovered file to (defaults to overwriting the original)
+ * @param {boolean} options.dryRun - Write nothing and return a unified diff of the changes instead
+ * @returns {Promise<Object>} - Result of recovery, including where each entry came from
+ */
+const recoverJsonFile = async (filePath, options = {}) => {
+  const { outputPath = filePath, dryRun = false } = options;
+  let { backupPath = null } = options;
+  
+  if (!backupPath && await fs.pathExists(`${filePath}.bak`)) {
+    backupPath = `${filePath}.bak`;
+  }
+  
+  const content = await fs.readFile(filePath, 'utf8');
+  const backup = backupPath ? await fs.readFile(backupPath, 'utf8') : null;
+  
+  const result = {
+    ...recovery.recoverJson(content, { backup }),
+    filePath,
+    outputPath,
+    backupPath
+  };
+  
+  // Nothing to write if the file is complete or nothing could be recovered
+  if (!result.truncated || result.error) {
+    return { ...result, changed: false };
+  }
+  
+  if (dryRun) {
+    return {
+      ...result,
+      dryRun: true,
+      changed: true,
+      diff: createFixDiff(content, result.content, filePath, outputPath)
+    };
+  }
+  
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, result.content, 'utf8');
+  
+  return { ...result, changed: true };
+};
+
 /**
  * Fix all JSON files in a directory
+ * 
+ * Unless `transactional` is disabled, fixes are applied as a single transaction: every file is
+ * fixed in memory first, and nothing is written if any file fails or still is not valid JSON.
+ * The previous contents of all files that are written are backed up with a manifest that can
+ * be passed to rollback().
  * @param {string} dirPath - Path to the directory
  * @param {Object} options - Options
- * @param {string} options.approach - Approach to use (basic, intermediate, advanced, manual, auto)
+ * @param {string} options.approach - Approach to use (repair, basic, intermediate, advanced, manual, auto)
  * @param {string} options.outputDir - Directory to write the fixed files to (defaults to overwriting the originals)
  * @param {boolean} options.recursive - Whether to process files recursively
  * @param {string[]} options.include - File patterns to include
  * @param {string[]} options.exclude - File patterns to exclude
+ * @param {boolean} options.dryRun - Write nothing and return per-file diffs and a summary report instead
+ * @param {boolean} options.structure - Also repair the structure expected for each file name
+ * @param {boolean} options.transactional - Whether to apply all fixes as one transaction (default: true)
+ * @param {string} options.backupDir - Directory for backups and the manifest (default: backups/fix-<timestamp> next to outputDir)
  * @returns {Promise<Object>} - Result of fixing
  */
 const fixJsonFiles = async (dirPath, options = {}) => {
@@ -455,31 +639,62 @@ const fixJsonFiles = async (dirPath, options = {}) => {
     approach = 'auto',
     outputDir = dirPath,
     recursive = false,
-    include = ['*.json'],
-    exclude = []
+    exclude = [],
+    dryRun = false,
+    structure = false,
+    transactional = true,
+    backupDir = fixTransaction.getDefaultBackupDir(outputDir)
   } = options;
   
+  const useTransaction = transactional && !dryRun;
+  
+  // Never treat a backup directory inside the data directory as data
+  const ignore = [...exclude];
+  const backupRelative = path.relative(dirPath, backupDir);
+  if (backupRelative && !backupRelative.startsWith('..') && !path.isAbsolute(backupRelative)) {
+    ignore.push(`${backupRelative.split(path.sep).join('/')}/**`);
+  }
+  
   // Get all JSON files
   const pattern = recursive ? '**/*.json' : '*.json';
   const files = glob.sync(pattern, {
     cwd: dirPath,
     nodir: true,
-    ignore: exclude
+    ignore
   });
   
   // Fix each file
   const results = [];
+  const writes = [];
   for (const file of files) {
     const filePath = path.join(dirPath, file);
     const outputPath = path.join(outputDir, file);
     
     try {
-      const result = await fixJsonFile(filePath, {
-        approach,
-        outputPath
-      });
-      
-      results.push(result);
+      if (useTransaction) {
+        // Fix in memory only; files are written together once every fix has succeeded
+        const content = await fs.readFile(filePath, 'utf8');
+        const result = fixJson(content, { approach, structure, fileName: path.basename(file) });
+        
+        results.push({
+          ...result,
+          filePath,
+          outputPath
+        });
+        
+        if (result.content !== content || path.resolve(outputPath) !== path.resolve(filePath)) {
+          writes.push({ file, outputPath, content: result.content });
+        }
+      } else {
+        const result = await fixJsonFile(filePath, {
+          approach,
+          outputPath,
+          dryRun,
+          structure
+        });
+        
+        results.push(result);
+      }
     } catch (error) {
       results.push({
         filePath,
@@ -491,12 +706,148 @@ const fixJsonFiles = async (dirPath, options = {}) => {
     }
   }
   
-  return {
+  const batchResult = {
     results,
     totalFiles: results.length,
     fixedFiles: results.filter(r => r.issues > 0).length,
     totalIssues: results.reduce((sum, r) => sum + r.issues, 0)
   };
+  
+  if (useTransaction) {
+    const failedFiles = results
+      .filter(r => r.error || !parseJson(r.content))
+      .map(r => r.filePath);
+    
+    if (failedFiles.length > 0) {
+      batchResult.transaction = {
+        committed: false,
+        rolledBack: false,
+        manifestPath: null,
+        failedFiles,
+        error: `${failedFiles.length} files could not be fixed; no files were written`
+      };
+    } else if (writes.length === 0) {
+      batchResult.transaction = {
+        committed: true,
+        rolledBack: false,
+        manifestPath: null,
+        filesWritten: 0
+      };
+    } else {
+      batchResult.transaction = await fixTransaction.commitFiles(writes, {
+        backupDir,
+        metadata: {
+          sourceDir: path.resolve(dirPath),
+          outputDir: path.resolve(outputDir),
+          approach,
+          structure
+        }
+      });
+    }
+  }
+  
+  if (dryRun) {
+    batchResult.dryRun = true;
+    batchResult.diff = results.map(r => r.diff || '').join('');
+    batchResult.report = generateFixReport(batchResult);
+  }
+  
+  return batchResult;
+};
+
+/**
+ * Generate a report of JSON fixes
+ * @param {Object} results - Results from fixJsonFiles
+ * @returns {string} - Formatted report
+ */
+const generateFixReport = (results) => {
+  let report = `# JSON Fix Report\n\n`;
+  
+  report += `## Summary\n\n`;
+  report += `- Mode: ${results.dryRun ? 'Dry run (no files written)' : 'Applied'}\n`;
+  if (results.transaction) {
+    report += `- Transaction: ${results.transaction.committed ? 'Committed' : `Not committed (${results.transaction.error})`}\n`;
+    if (results.transaction.manifestPath) {
+      report += `- Backup Manifest: ${results.transaction.manifestPath}\n`;
+    }
+  }
+  report += `- Total Files: ${results.totalFiles}\n`;
+  report += `- Files Fixed: ${results.fixedFiles}\n`;
+  report += `- Total Issues: ${results.totalIssues}\n`;
+  report += `- Files with Errors: ${results.results.filter(r => r.error).length}\n\n`;
+  
+  report += `## Details\n\n`;
+  for (const result of results.results) {
+    if (result.error) {
+      report += `- ${result.filePath}: error: ${result.error}\n`;
+      continue;
+    }
+    if (result.issues === 0 && !(result.structuralChanges && result.structuralChanges.length > 0)) continue;
+    
+    report += `- ${result.filePath}: ${result.issues} issues fixed using ${result.approach} approach`;
+    if (result.repairs && result.repairs.length > 0) {
+      const byRule = {};
+      for (const repair of result.repairs) {
+        byRule[repair.rule] = (byRule[repair.rule] || 0) + 1;
+      }
+      report += ` (${Object.entries(byRule).map(([rule, count]) => `${rule}: ${count}`).join(', ')})`;
+    }
+    report += '\n';
+    
+    // Structural changes are listed one by one, since they change data rather than syntax
+    for (const change of result.structuralChanges || []) {
+      report += `  - ${change.fixed ? '' : '(not fixed) '}${change.rule} at ${change.path || '(root)'}: ${change.message}\n`;
+    }
+  }
+  
+  return report;
+};
+
+/**
+ * Generate a report of a truncated file recovery
+ * @param {Object} result - Result from recoverJsonFile
+ * @returns {string} - Formatted report
+ */
+const generateRecoveryReport = (result) => {
+  let report = `# Recovery Report\n\n`;
+  
+  report += `## Summary\n\n`;
+  report += `- File: ${result.filePath}\n`;
+  report += `- Older Copy: ${result.backupPath || 'None'}\n`;
+  if (!result.truncated) {
+    report += `- Truncated: No\n`;
+    return report;
+  }
+  report += `- Truncated: Yes, at line ${result.line}, column ${result.column}\n`;
+  if (result.error) {
+    report += `- Error: ${result.error}\n`;
+    return report;
+  }
+  
+  const counts = {};
+  for (const record of result.sources) {
+    counts[record.source] = (counts[record.source] || 0) + 1;
+  }
+  for (const [source, description] of Object.entries(recovery.RECOVERY_SOURCES)) {
+    report += `- ${description}: ${counts[source] || 0}\n`;
+  }
+  report += '\n';
+  
+  report += `## Entries\n\n`;
+  for (const record of result.sources) {
+    let label = record.path || '(root)';
+    if (record.id !== undefined) label += ` (ID ${record.id}${record.name ? `: ${record.name}` : ''})`;
+    
+    report += `- ${label}: ${record.source}`;
+    if (record.source === 'mixed') {
+      report += ` (${record.salvaged} salvaged, ${record.fromBackup} from older copy)`;
+    } else if (record.source === 'partial') {
+      report += ` (${record.salvaged} salvaged)`;
+    }
+    report += '\n';
+  }
+  
+  return report;
 };
 
 module.exports = {
@@ -506,5 +857,15 @@ module.exports = {
   fixJsonBasic,
   fixJsonIntermediate,
   fixJsonAdvanced,
-  fixJsonManual
+  fixJsonManual,
+  fixJsonRepair,
+  generateFixReport,
+  recoverJsonFile,
+  generateRecoveryReport,
+  rollback: fixTransaction.rollback,
+  repairJson: jsonRepair.repairJson,
+  REPAIR_RULES: jsonRepair.REPAIR_RULES,
+  repairStructure: structureRepair.repairStructure,
+  getFileShape: structureRepair.getFileShape,
+  recoverJson: recovery.recoverJson
 };
@@ -0,0 +1,632 @@
+/**
+ * RPG Maker MV JSON Repair Engine
+ *
+ * This module provides an error-tolerant tokenizer and parser for broken JSON files.
+ * Instead of re-serializing the whole document, every repair is recorded as a small
+ * edit against the original text. The edits are applied in one pass, so the rest of
+ * the file keeps its exact layout and each change can be reviewed individually.
+ */
+
+/**
+ * Repair rules and their descriptions
+ * @type {Object}
+ */
+const REPAIR_RULES = {
+  'byte-order-mark': 'Removed byte order mark',
+  'leading-garbage': 'Removed non-JSON content before the root value',
+  'trailing-garbage': 'Removed content after the root value',
+  'comment': 'Removed comment',
+  'missing-comma': 'Inserted missing comma',
+  'extra-comma': 'Removed extra comma',
+  'trailing-comma': 'Removed trailing comma',
+  'missing-colon': 'Inserted missing colon',
+  'missing-value': 'Inserted null for missing value',
+  'unquoted-key': 'Quoted property name',
+  'unquoted-string': 'Quoted bare word value',
+  'single-quoted-string': 'Converted single-quoted string to double quotes',
+  'unescaped-quote': 'Escaped quote inside string',
+  'control-character': 'Escaped control character inside string',
+  'invalid-escape': 'Escaped invalid escape sequence',
+  'unterminated-string': 'Closed unterminated string',
+  'invalid-number': 'Normalized invalid number',
+  'invalid-literal': 'Replaced non-JSON literal',
+  'mismatched-bracket': 'Replaced mismatched closing bracket',
+  'unclosed-container': 'Closed unclosed object or array',
+  'stray-token': 'Removed unexpected token'
+};
+
+// Non-JSON literals and their JSON replacements
+const LITERAL_REPLACEMENTS = {
+  undefined: 'null',
+  NaN: 'null',
+  Infinity: 'null',
+  '-Infinity': 'null',
+  None: 'null',
+  Null: 'null',
+  NULL: 'null',
+  True: 'true',
+  TRUE: 'true',
+  False: 'false',
+  FALSE: 'false'
+};
+
+const JSON_LITERALS = ['true', 'false', 'null'];
+const VALID_NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?$/;
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const WORD_PATTERN = /-?[A-Za-z_$][\w$]*/y;
+const CONTROL_ESCAPES = { '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Create an edit against the original text
+ * @param {number} start - Start index of the replaced range
+ * @param {number} end - End index of the replaced range
+ * @param {string} text - Replacement text
+ * @param {string} rule - Repair rule ID
+ * @returns {Object} - Edit
+ */
+const createEdit = (start, end, text, rule) => ({ start, end, text, rule });
+
+/**
+ * Check whether a character is JSON whitespace
+ * @param {string} char - Character
+ * @returns {boolean} - Whether the character is whitespace
+ */
+const isWhitespace = (char) => char === ' ' || char === '\t' || char === '\n' || char === '\r';
+
+/**
+ * Skip whitespace starting at an index
+ * @param {string} text - Text
+ * @param {number} index - Start index
+ * @returns {number} - Index of the next non-whitespace character
+ */
+const skipWhitespace = (text, index) => {
+  while (index < text.length && isWhitespace(text[index])) index++;
+  return index;
+};
+
+/**
+ * Escape a control character for use inside a JSON string
+ * @param {string} char - Control character
+ * @returns {string} - Escape sequence
+ */
+const escapeControlCharacter = (char) => {
+  return CONTROL_ESCAPES[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+};
+
+/**
+ * Check whether the text at an index ends a value (delimiter or end of input)
+ * @param {string} text - Text
+ * @param {number} index - Index to check
+ * @returns {boolean} - Whether a value may end here
+ */
+const isValueBoundary = (text, index) => {
+  const next = skipWhitespace(text, index);
+  return next >= text.length || ',:}]'.includes(text[next]);
+};
+
+/**
+ * Decide whether a double quote inside a string closes it or is an unescaped quote.
+ * A quote closes the string if what follows could continue the surrounding JSON.
+ * @param {string} text - Text
+ * @param {number} index - Index directly after the quote
+ * @returns {boolean} - Whether the quote closes the string
+ */
+const isClosingQuote = (text, index) => {
+  const next = skipWhitespace(text, index);
+  if (next >= text.length) return true;
+
+  const char = text[next];
+  if (',:}]{['.includes(char)) return true;
+
+  // Another string directly after this one (missing comma between strings)
+  if (char === '"') {
+    let end = next + 1;
+    while (end < text.length && text[end] !== '"' && text[end] !== '\n') {
+      end += text[end] === '\\' ? 2 : 1;
+    }
+    return text[end] === '"' && isValueBoundary(text, end + 1);
+  }
+
+  // A number or literal directly after this string (missing comma)
+  const valueMatch = /^(?:-?\d[\d.eE+-]*|true|false|null)/.exec(text.substring(next, next + 32));
+  if (valueMatch) {
+    return isValueBoundary(text, next + valueMatch[0].length);
+  }
+
+  return false;
+};
+
+/**
+ * Check whether the line after a raw line break inside a string starts with JSON structure,
+ * which means the string was never closed rather than containing a literal line break
+ * @param {string} text - Text
+ * @param {number} index - Index of the line break
+ * @returns {boolean} - Whether the string should be closed at the line break
+ */
+const continuesWithStructure = (text, index) => {
+  const next = skipWhitespace(text, index);
+  if (next >= text.length) return true;
+  if ('{}[],'.includes(text[next])) return true;
+  return /^"(?:[^"\\\n]|\\.)*"\s*:/.test(text.substring(next, next + 256));
+};
+
+/**
+ * Read a double-quoted string token
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} - Token
+ */
+const readDoubleQuotedString = (text, start) => {
+  const edits = [];
+  let index = start + 1;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\') {
+      const next = text[index + 1];
+      if (next !== undefined && '"\\/bfnrt'.includes(next)) {
+        index += 2;
+      } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substring(index + 2, index + 6))) {
+        index += 6;
+      } else {
+        edits.push(createEdit(index, index + 1, '\\\\', 'invalid-escape'));
+        index++;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (isClosingQuote(text, index + 1)) {
+        return { type: 'string', start, end: index + 1, edits };
+      }
+      edits.push(createEdit(index, index + 1, '\\"', 'unescaped-quote'));
+      index++;
+      continue;
+    }
+
+    if (char === '\n' || char === '\r') {
+      if (continuesWithStructure(text, index)) {
+        edits.push(createEdit(index, index, '"', 'unterminated-string'));
+        return { type: 'string', start, end: index, edits };
+      }
+    }
+
+    if (char < ' ') {
+      edits.push(createEdit(index, index + 1, escapeControlCharacter(char), 'control-character'));
+    }
+
+    index++;
+  }
+
+  edits.push(createEdit(text.length, text.length, '"', 'unterminated-string'));
+  return { type: 'string', start, end: text.length, edits };
+};
+
+/**
+ * Read a single-quoted string token and convert it to a double-quoted string
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} - Token
+ */
+const readSingleQuotedString = (text, start) => {
+  let value = '';
+  let index = start + 1;
+
+  while (index < text.length && text[index] !== '\'') {
+    if (text[index] === '\\' && index + 1 < text.length) {
+      const next = text[index + 1];
+      if ('bfnrt'.includes(next)) {
+        value += JSON.parse(`"\\${next}"`);
+      } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substring(index + 2, index + 6))) {
+        value += String.fromCharCode(parseInt(text.substring(index + 2, index + 6), 16));
+        index += 4;
+      } else {
+        value += next;
+      }
+      index += 2;
+      continue;
+    }
+    value += text[index];
+    index++;
+  }
+
+  const end = Math.min(index + 1, text.length);
+  return {
+    type: 'string',
+    start,
+    end,
+    edits: [createEdit(start, end, JSON.stringify(value), 'single-quoted-string')]
+  };
+};
+
+/**
+ * Split text into tokens, tolerating invalid input
+ * @param {string} text - Text
+ * @param {number} start - Index to start tokenizing at
+ * @returns {Object} - Tokens and comment edits
+ */
+const tokenize = (text, start = 0) => {
+  const tokens = [];
+  const edits = [];
+  let index = start;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (isWhitespace(char)) {
+      index++;
+      continue;
+    }
+
+    // Comments
+    if (char === '/' && (text[index + 1] === '/' || text[index + 1] === '*')) {
+      let end;
+      if (text[index + 1] === '/') {
+        end = text.indexOf('\n', index);
+        if (end === -1) end = text.length;
+      } else {
+        end = text.indexOf('*/', index + 2);
+        end = end === -1 ? text.length : end + 2;
+      }
+      edits.push(createEdit(index, end, '', 'comment'));
+      index = end;
+      continue;
+    }
+
+    // Punctuation
+    if ('{}[]:,'.includes(char)) {
+      tokens.push({ type: 'punct', value: char, start: index, end: index + 1, edits: [] });
+      index++;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === '\'') {
+      const token = char === '"' ? readDoubleQuotedString(text, index) : readSingleQuotedString(text, index);
+      tokens.push(token);
+      index = token.end;
+      continue;
+    }
+
+    // Numbers
+    NUMBER_PATTERN.lastIndex = index;
+    const numberMatch = NUMBER_PATTERN.exec(text);
+    if (numberMatch) {
+      const raw = numberMatch[0];
+      const edits = [];
+      if (!VALID_NUMBER.test(raw)) {
+        edits.push(createEdit(index, index + raw.length, String(Number(raw)), 'invalid-number'));
+      }
+      tokens.push({ type: 'number', value: raw, start: index, end: index + raw.length, edits });
+      index += raw.length;
+      continue;
+    }
+
+    // Words (literals, bare keys and bare values)
+    WORD_PATTERN.lastIndex = index;
+    const wordMatch = WORD_PATTERN.exec(text);
+    if (wordMatch) {
+      // Split literals run together with the next value, e.g. [1null2]
+      const literalMatch = /^(?:true|false|null)(?=\d|true|false|null)/.exec(wordMatch[0]);
+      const raw = literalMatch ? literalMatch[0] : wordMatch[0];
+      tokens.push({ type: 'word', value: raw, start: index, end: index + raw.length, edits: [] });
+      index += raw.length;
+      continue;
+    }
+
+    // Anything else is invalid; group consecutive invalid characters
+    let end = index + 1;
+    while (end < text.length && !isWhitespace(text[end]) && !/[{}[\]:,"'\w$]/.test(text[end])) {
+      end++;
+    }
+    tokens.push({ type: 'invalid', value: text.substring(index, end), start: index, end, edits: [] });
+    index = end;
+  }
+
+  tokens.push({ type: 'eof', start: text.length, end: text.length, edits: [] });
+
+  return { tokens, edits };
+};
+
+/**
+ * Parse tokens into edits that turn the text into valid JSON
+ * @param {Object[]} tokens - Tokens from tokenize
+ * @param {Object[]} edits - Edit list to append to
+ * @returns {number} - Index of the first token after the root value
+ */
+const parseTokens = (tokens, edits) => {
+  const stack = [];
+  let position = 0;
+  let lastEnd = tokens.length > 0 ? tokens[0].start : 0;
+
+  const peek = () => tokens[position];
+
+  const accept = () => {
+    const token = tokens[position++];
+    edits.push(...token.edits);
+    lastEnd = token.end;
+    return token;
+  };
+
+  const replace = (text, rule) => {
+    const token = tokens[position++];
+    edits.push(createEdit(token.start, token.end, text, rule));
+    lastEnd = token.end;
+    return token;
+  };
+
+  const drop = (rule) => {
+    const token = tokens[position++];
+    edits.push(createEdit(token.start, token.end, '', rule));
+    return token;
+  };
+
+  const insert = (text, rule) => {
+    edits.push(createEdit(lastEnd, lastEnd, text, rule));
+  };
+
+  const hasOpenArray = () => stack.includes('[');
+
+  const parseValue = () => {
+    for (;;) {
+      const token = peek();
+
+      if (token.type === 'punct' && (token.value === '{' || token.value === '[')) {
+        accept();
+        parseContainer(token.value);
+        return;
+      }
+
+      if (token.type === 'string' || token.type === 'number') {
+        accept();
+        return;
+      }
+
+      if (token.type === 'word') {
+        if (JSON_LITERALS.includes(token.value)) {
+          accept();
+        } else if (LITERAL_REPLACEMENTS.hasOwnProperty(token.value)) {
+          replace(LITERAL_REPLACEMENTS[token.value], 'invalid-literal');
+        } else {
+          replace(JSON.stringify(token.value), 'unquoted-string');
+        }
+        return;
+      }
+
+      if (token.type === 'invalid' || (token.type === 'punct' && token.value === ':')) {
+        drop('stray-token');
+        continue;
+      }
+
+      // Closing bracket, comma or end of input where a value was expected
+      insert('null', 'missing-value');
+      return;
+    }
+  };
+
+  const parseMember = () => {
+    const token = peek();
+
+    if (token.type === 'string') {
+      accept();
+    } else {
+      replace(JSON.stringify(token.value), 'unquoted-key');
+    }
+
+    if (peek().type === 'punct' && peek().value === ':') {
+      accept();
+    } else {
+      insert(':', 'missing-colon');
+    }
+
+    parseValue();
+    return true;
+  };
+
+  const parseContainer = (open) => {
+    const close = open === '{' ? '}' : ']';
+    let count = 0;
+    let pendingComma = null;
+
+    stack.push(open);
+
+    for (;;) {
+      const token = peek();
+
+      if (token.type === 'eof') {
+        if (pendingComma) edits.push(createEdit(pendingComma.start, pendingComma.end, '', 'trailing-comma'));
+        insert(close, 'unclosed-container');
+        break;
+      }
+
+      if (token.type === 'punct' && (token.value === '}' || token.value === ']')) {
+        if (pendingComma) edits.push(createEdit(pendingComma.start, pendingComma.end, '', 'trailing-comma'));
+
+        if (token.value === close) {
+          accept();
+        } else if (stack.slice(0, -1).includes(token.value === '}' ? '{' : '[')) {
+          // The bracket belongs to an outer container, so this one was left open
+          insert(close, 'unclosed-container');
+        } else {
+          replace(close, 'mismatched-bracket');
+        }
+        break;
+      }
+
+      if (token.type === 'punct' && token.value === ',') {
+        if (count === 0 || pendingComma) {
+          drop('extra-comma');
+        } else {
+          pendingComma = token;
+          position++;
+        }
+        continue;
+      }
+
+      if (token.type === 'invalid' || (token.type === 'punct' && token.value === ':')) {
+        drop('stray-token');
+        continue;
+      }
+
+      if (open === '{' && token.type === 'punct') {
+        // A value starting where a key should be: inside an array the current object
+        // was most likely never closed, otherwise the bracket is dropped
+        if (hasOpenArray()) {
+          if (pendingComma) edits.push(createEdit(pendingComma.start, pendingComma.end, '', 'trailing-comma'));
+          insert(close, 'unclosed-container');
+          break;
+        }
+        drop('stray-token');
+        continue;
+      }
+
+      if (count > 0 && !pendingComma) {
+        insert(',', 'missing-comma');
+      }
+      if (pendingComma) {
+        lastEnd = pendingComma.end;
+        pendingComma = null;
+      }
+
+      if (open === '{') {
+        parseMember();
+      } else {
+        parseValue();
+      }
+      count++;
+    }
+
+    stack.pop();
+  };
+
+  parseValue();
+  return position;
+};
+
+/**
+ * Build line start offsets for fast line/column lookups
+ * @param {string} text - Text
+ * @returns {number[]} - Offsets of the first character of each line
+ */
+const getLineStarts = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+/**
+ * Get the 1-based line and column for an index
+ * @param {number[]} lineStarts - Line start offsets
+ * @param {number} index - Character index
+ * @returns {Object} - Line and column
+ */
+const getPosition = (lineStarts, index) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: index - lineStarts[low] + 1 };
+};
+
+/**
+ * Repair broken JSON content
+ * @param {string} content - JSON content
+ * @returns {Object} - Repaired content, list of repairs and whether the result is valid JSON
+ */
+const repairJson = (content) => {
+  const edits = [];
+  let start = 0;
+
+  // Strip the byte order mark
+  if (content.charCodeAt(0) === 0xFEFF) {
+    edits.push(createEdit(0, 1, '', 'byte-order-mark'));
+    start = 1;
+  }
+
+  // Remove any non-JSON content (e.g. HTML) before the root value
+  const firstChar = skipWhitespace(content, start);
+  if (firstChar < content.length && content[firstChar] !== '{' && content[firstChar] !== '[') {
+    const jsonStartIndex = content.slice(firstChar).search(/[[{]/);
+    if (jsonStartIndex > 0) {
+      edits.push(createEdit(firstChar, firstChar + jsonStartIndex, '', 'leading-garbage'));
+      start = firstChar + jsonStartIndex;
+    }
+  }
+
+  const { tokens, edits: commentEdits } = tokenize(content, start);
+  const parserEdits = [];
+  const rootEnd = parseTokens(tokens, parserEdits);
+
+  // Remove anything left after the root value
+  const trailing = tokens.slice(rootEnd, -1);
+  if (trailing.length > 0) {
+    const garbageStart = trailing[0].start;
+    edits.push(...commentEdits.filter(edit => edit.start < garbageStart));
+    edits.push(createEdit(garbageStart, trailing[trailing.length - 1].end, '', 'trailing-garbage'));
+  } else {
+    edits.push(...commentEdits);
+  }
+  edits.push(...parserEdits);
+
+  // Apply edits in order of position; the sort is stable so insertions keep their order
+  edits.sort((a, b) => a.start - b.start);
+
+  const lineStarts = getLineStarts(content);
+  const repairs = [];
+  let fixedContent = '';
+  let index = 0;
+  let lastStart = -1;
+
+  for (const edit of edits) {
+    if (edit.start < index) {
+      // An insertion at the offset of the previous edit is applied after it (delete, then insert);
+      // anything else overlapping is already covered
+      if (edit.start !== lastStart || edit.end !== edit.start) continue;
+      fixedContent += edit.text;
+    } else {
+      fixedContent += content.substring(index, edit.start) + edit.text;
+      index = edit.end;
+      lastStart = edit.start;
+    }
+
+    const { line, column } = getPosition(lineStarts, edit.start);
+    repairs.push({
+      rule: edit.rule,
+      message: REPAIR_RULES[edit.rule],
+      line,
+      column,
+      index: edit.start,
+      original: content.substring(edit.start, edit.end),
+      replacement: edit.text
+    });
+  }
+  fixedContent += content.substring(index);
+
+  let valid = true;
+  try {
+    JSON.parse(fixedContent);
+  } catch (error) {
+    valid = false;
+  }
+
+  return {
+    content: fixedContent,
+    repairs,
+    valid
+  };
+};
+
+module.exports = {
+  REPAIR_RULES,
+  tokenize,
+  repairJson
+};
@@ -0,0 +1,346 @@
+/**
+ * RPG Maker MV Truncated File Recovery
+ *
+ * This module recovers data files that were cut off mid-write, for example when the editor
+ * crashed while saving. Every value that was written completely is salvaged from the truncated
+ * file, and everything after the cut is filled in from an older copy of the same file (such as
+ * a .bak or a previous export) when one is available. Each recovered entry is recorded with
+ * the source it came from.
+ */
+
+const { parseJson } = require('../../core');
+const { formatDataFile } = require('../utils/jsonWriter');
+
+/**
+ * Where a recovered value came from
+ * @type {Object}
+ */
+const RECOVERY_SOURCES = {
+  salvaged: 'Complete in the truncated file',
+  backup: 'Taken from the older copy',
+  mixed: 'Salvaged values followed by the remaining values from the older copy',
+  partial: 'Only the values before the cut could be salvaged',
+  lost: 'Cut off and not present in the older copy'
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value is a plain object
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Get the line and column of an offset in a text
+ * @param {string} text - Text
+ * @param {number} offset - Offset in the text
+ * @returns {Object} - Line and column (both 1-based)
+ */
+const getLocation = (text, offset) => {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+};
+
+/**
+ * Parse JSON that may be cut off, keeping every value that was written completely
+ *
+ * Arrays and objects that were cut off are returned with the elements and members that were
+ * complete, followed by the cut-off element itself if it is an array or object. All cut-off
+ * containers are added to the returned `incomplete` set. Anything that is not valid JSON is
+ * treated as the point where the file was cut off.
+ * @param {string} content - JSON content
+ * @returns {Object} - Salvaged value, whether it is complete, the incomplete containers and the cut offset
+ */
+const salvageJson = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const incomplete = new WeakSet();
+  const numberPattern = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  let pos = 0;
+  let cutOffset = null;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  // Record the cut at the start of the value that could not be read
+  const cut = (start, value) => {
+    if (cutOffset === null) cutOffset = start;
+    pos = text.length;
+    if (value !== undefined) incomplete.add(value);
+    return { value, complete: false };
+  };
+
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length) {
+      if (text[pos] === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (text[pos] === '"') {
+        pos++;
+        const value = parseJson(text.slice(start, pos));
+        return value === null ? cut(start) : { value, complete: true };
+      }
+      pos++;
+    }
+    return cut(start);
+  };
+
+  const parsePrimitive = () => {
+    const start = pos;
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(literal, pos)) {
+        pos += literal.length;
+        return { value, complete: true };
+      }
+    }
+
+    numberPattern.lastIndex = pos;
+    const match = numberPattern.exec(text);
+    // A number that runs to the end of the text may have lost some of its digits
+    if (!match || start + match[0].length >= text.length) {
+      return cut(start);
+    }
+    pos += match[0].length;
+    return { value: Number(match[0]), complete: true };
+  };
+
+  const parseArray = () => {
+    const array = [];
+    pos++;
+    while (true) {
+      skipWhitespace();
+      const start = pos;
+      if (text[pos] === ']') {
+        pos++;
+        return { value: array, complete: true };
+      }
+      if (array.length > 0) {
+        if (text[pos] !== ',') return cut(start, array);
+        pos++;
+      }
+
+      const element = parseValue();
+      if (!element.complete) {
+        if (element.value !== undefined) array.push(element.value);
+        return cut(start, array);
+      }
+      array.push(element.value);
+    }
+  };
+
+  const parseObject = () => {
+    const object = {};
+    let first = true;
+    pos++;
+    while (true) {
+      skipWhitespace();
+      const start = pos;
+      if (text[pos] === '}') {
+        pos++;
+        return { value: object, complete: true };
+      }
+      if (!first) {
+        if (text[pos] !== ',') return cut(start, object);
+        pos++;
+        skipWhitespace();
+      }
+      first = false;
+
+      if (text[pos] !== '"') return cut(start, object);
+      const key = parseString();
+      if (!key.complete) return cut(start, object);
+      skipWhitespace();
+      if (text[pos] !== ':') return cut(start, object);
+      pos++;
+
+      const member = parseValue();
+      if (!member.complete) {
+        if (member.value !== undefined) object[key.value] = member.value;
+        return cut(start, object);
+      }
+      object[key.value] = member.value;
+    }
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    if (pos >= text.length) return cut(pos);
+
+    switch (text[pos]) {
+      case '[':
+        return parseArray();
+      case '{':
+        return parseObject();
+      case '"':
+        return parseString();
+      default:
+        return parsePrimitive();
+    }
+  };
+
+  const root = parseValue();
+  return {
+    value: root.value,
+    complete: root.complete,
+    incomplete,
+    cutOffset,
+    ...(cutOffset !== null ? getLocation(text, cutOffset) : {})
+  };
+};
+
+/**
+ * Create a record of where a recovered value came from
+ * @param {string} path - Path of the value
+ * @param {string} source - Source (see RECOVERY_SOURCES)
+ * @param {*} value - Value
+ * @returns {Object} - Source record
+ */
+const createSourceRecord = (path, source, value) => {
+  const record = { path, source };
+  if (isPlainObject(value)) {
+    if ('id' in value) record.id = value.id;
+    if (typeof value.name === 'string') record.name = value.name;
+  }
+  return record;
+};
+
+/**
+ * Check whether a list holds entries (database entries, map events) rather than plain values
+ * @param {Array} list - List
+ * @returns {boolean} - Whether every element is an object or null
+ */
+const isEntryList = (list) => list.every(entry => entry === null || isPlainObject(entry));
+
+/**
+ * Record a value taken from the older copy, listing the entries of entry lists one by one
+ * @param {string} path - Path of the value
+ * @param {*} value - Value from the older copy
+ * @param {Object[]} sources - Source records to append to
+ */
+const recordBackup = (path, value, sources) => {
+  if (Array.isArray(value) && value.length > 0 && isEntryList(value)) {
+    value.forEach((entry, index) => sources.push(createSourceRecord(`${path}[${index}]`, 'backup', entry)));
+    return;
+  }
+  sources.push(createSourceRecord(path, 'backup', value));
+};
+
+/**
+ * Merge a salvaged value with the same value from an older copy
+ * @param {*} value - Salvaged value
+ * @param {*} backup - Value from the older copy, if any
+ * @param {string} path - Path of the value, used in source records
+ * @param {WeakSet} incomplete - Containers that were cut off
+ * @param {Object[]} sources - Source records to append to
+ * @returns {*} - Recovered value
+ */
+const mergeRecovered = (value, backup, path, incomplete, sources) => {
+  if (Array.isArray(value)) {
+    const backupArray = Array.isArray(backup) ? backup : [];
+    if (!isEntryList(value.concat(backupArray))) {
+      // Lists of plain values, such as map tile data, are completed from the older copy
+      if (backupArray.length > value.length) {
+        sources.push({ path, source: 'mixed', salvaged: value.length, fromBackup: backupArray.length - value.length });
+        return value.concat(backupArray.slice(value.length));
+      }
+      sources.push({ path, source: 'partial', salvaged: value.length });
+      return value;
+    }
+
+    // Lists of entries (database entries, map events) are recovered entry by entry
+    const merged = [];
+    const length = Math.max(value.length, backupArray.length);
+    for (let index = 0; index < length; index++) {
+      const entryPath = `${path}[${index}]`;
+      const entry = value[index];
+
+      if (index < value.length && !incomplete.has(entry)) {
+        merged.push(entry);
+        sources.push(createSourceRecord(entryPath, 'salvaged', entry));
+      } else if (index < backupArray.length) {
+        merged.push(backupArray[index]);
+        sources.push(createSourceRecord(entryPath, 'backup', backupArray[index]));
+      } else {
+        sources.push({ ...createSourceRecord(entryPath, 'lost', entry), partial: entry });
+      }
+    }
+    return merged;
+  }
+
+  const backupObject = isPlainObject(backup) ? backup : {};
+  const merged = {};
+  for (const [key, member] of Object.entries(value)) {
+    const memberPath = path ? `${path}.${key}` : key;
+    if (incomplete.has(member)) {
+      merged[key] = mergeRecovered(member, backupObject[key], memberPath, incomplete, sources);
+    } else {
+      merged[key] = member;
+      sources.push(createSourceRecord(memberPath, 'salvaged', member));
+    }
+  }
+
+  for (const [key, member] of Object.entries(backupObject)) {
+    if (key in merged) continue;
+    merged[key] = member;
+    recordBackup(path ? `${path}.${key}` : key, member, sources);
+  }
+  return merged;
+};
+
+/**
+ * Recover JSON content that was cut off
+ * @param {string} content - Truncated JSON content
+ * @param {Object} options - Options
+ * @param {string} options.backup - Content of an older copy of the same file
+ * @returns {Object} - Recovered content and data, the cut location and where each entry came from
+ */
+const recoverJson = (content, options = {}) => {
+  const { backup = null } = options;
+
+  const salvaged = salvageJson(content);
+  if (salvaged.complete) {
+    return {
+      content,
+      data: salvaged.value,
+      truncated: false,
+      sources: []
+    };
+  }
+
+  // An older copy may itself be truncated, so only its complete part is used
+  const backupData = backup !== null ? recoverJson(backup).data : undefined;
+  const result = {
+    truncated: true,
+    cutOffset: salvaged.cutOffset,
+    line: salvaged.line,
+    column: salvaged.column,
+    sources: []
+  };
+
+  if (salvaged.value === undefined) {
+    // Nothing before the cut was usable, so the older copy is all there is
+    if (backupData === undefined) {
+      return { ...result, content, data: undefined, error: 'No complete data before the cut and no older copy to recover from' };
+    }
+    result.data = backupData;
+    recordBackup('', backupData, result.sources);
+  } else {
+    result.data = mergeRecovered(salvaged.value, backupData, '', salvaged.incomplete, result.sources);
+  }
+
+  result.content = formatDataFile(result.data, { original: content });
+  return result;
+};
+
+module.exports = {
+  RECOVERY_SOURCES,
+  salvageJson,
+  recoverJson
+};
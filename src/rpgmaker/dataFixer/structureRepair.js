@@ -0,0 +1,433 @@
+/**
+ * RPG Maker MV Structure Repair
+ *
+ * This module repairs parsed data files that are valid JSON but do not have the shape
+ * RPG Maker MV expects. It uses the templates in dataGenerator/schemas.js to restore
+ * missing fields, moves database entries whose ID does not match their array index to
+ * the slot of their ID, rebuilds the null header slot and reports every structural change
+ * it makes.
+ */
+
+const path = require('path');
+const schemas = require('../dataGenerator/schemas');
+const { getTemplate } = require('../dataGenerator/schemaValidator');
+
+/**
+ * Database files and the schema of their entries
+ * @type {Object}
+ */
+const DATABASE_SCHEMAS = {
+  'Actors.json': 'actor',
+  'Animations.json': 'animation',
+  'Armors.json': 'armor',
+  'Classes.json': 'class',
+  'CommonEvents.json': 'commonEvent',
+  'Enemies.json': 'enemy',
+  'Items.json': 'item',
+  'MapInfos.json': 'mapInfo',
+  'Skills.json': 'skill',
+  'States.json': 'state',
+  'Tilesets.json': 'tileset',
+  'Troops.json': 'troop',
+  'Weapons.json': 'weapon'
+};
+
+// Database files where null entries are normal (deleted maps leave holes in MapInfos.json)
+const SPARSE_DATABASES = ['MapInfos.json'];
+
+/**
+ * Get the expected shape of a data file from its name
+ * @param {string} fileName - File name or path
+ * @returns {Object|null} - Shape ({ kind: 'database'|'map', schema }) or null if unknown
+ */
+const getFileShape = (fileName) => {
+  const baseName = path.basename(fileName);
+
+  if (DATABASE_SCHEMAS[baseName]) {
+    return {
+      kind: 'database',
+      schema: DATABASE_SCHEMAS[baseName],
+      sparse: SPARSE_DATABASES.includes(baseName)
+    };
+  }
+
+  if (/^Map\d+\.json$/.test(baseName)) {
+    return { kind: 'map', schema: 'map' };
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value is a plain object
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check whether a value has the same JSON type as a template value
+ * @param {*} value - Value
+ * @param {*} templateValue - Template value
+ * @returns {boolean} - Whether the types match
+ */
+const hasTemplateType = (value, templateValue) => {
+  if (Array.isArray(templateValue)) return Array.isArray(value);
+  if (isPlainObject(templateValue)) return isPlainObject(value);
+  return typeof value === typeof templateValue;
+};
+
+/**
+ * Restore missing or mistyped fields of an object from a template
+ * @param {Object} target - Object to repair (modified in place)
+ * @param {Object} template - Template with default values
+ * @param {string} basePath - Path of the object, used in change records
+ * @param {Object[]} changes - Change list to append to
+ */
+const restoreFields = (target, template, basePath, changes) => {
+  for (const [key, templateValue] of Object.entries(template)) {
+    const fieldPath = basePath ? `${basePath}.${key}` : key;
+
+    if (!(key in target)) {
+      target[key] = JSON.parse(JSON.stringify(templateValue));
+      changes.push({
+        rule: 'missing-field',
+        path: fieldPath,
+        message: `Restored missing field "${key}"`,
+        before: undefined,
+        after: target[key],
+        fixed: true
+      });
+      continue;
+    }
+
+    const value = target[key];
+    if (hasTemplateType(value, templateValue)) {
+      // Fill in nested objects like skill damage or event page conditions
+      if (isPlainObject(templateValue)) {
+        restoreFields(value, templateValue, fieldPath, changes);
+      }
+      continue;
+    }
+
+    // Numbers stored as strings keep their value
+    const replacement = typeof templateValue === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))
+      ? Number(value)
+      : JSON.parse(JSON.stringify(templateValue));
+
+    target[key] = replacement;
+    changes.push({
+      rule: 'invalid-type',
+      path: fieldPath,
+      message: `Replaced "${key}" of type ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value} with ${Array.isArray(templateValue) ? 'array' : typeof templateValue}`,
+      before: value,
+      after: replacement,
+      fixed: true
+    });
+  }
+};
+
+/**
+ * Move entries whose ID does not match their index to the slot matching their ID
+ *
+ * IDs are never rewritten, since maps, troops and common events refer to entries by ID.
+ * Nothing is moved unless every entry has a unique positive integer ID. Slots that are
+ * left empty are filled with null.
+ * @param {Array} entries - Entries (modified in place)
+ * @param {string} basePath - Path of the array, used in change records
+ * @param {Object[]} changes - Change list to append to
+ * @returns {boolean} - Whether every entry now sits at the index matching its ID
+ */
+const moveEntriesToIdSlots = (entries, basePath, changes) => {
+  const misplaced = [];
+  const seen = new Set();
+
+  for (let index = 1; index < entries.length; index++) {
+    const entry = entries[index];
+    if (!isPlainObject(entry)) continue;
+    if (!Number.isInteger(entry.id) || entry.id < 1 || seen.has(entry.id)) return false;
+    seen.add(entry.id);
+    if (entry.id !== index) misplaced.push(index);
+  }
+
+  const moved = misplaced.map(index => ({ index, entry: entries[index] }));
+  moved.forEach(({ index }) => {
+    entries[index] = null;
+  });
+
+  moved.forEach(({ index, entry }) => {
+    while (entries.length <= entry.id) entries.push(null);
+
+    // An invalid value in the slot would be replaced by an empty entry with this ID anyway
+    const occupant = entries[entry.id];
+    if (occupant !== null) {
+      changes.push({
+        rule: 'invalid-entry',
+        path: `${basePath}[${entry.id}]`,
+        message: `Replaced invalid entry with the entry with id ${entry.id}`,
+        before: occupant,
+        after: entry,
+        fixed: true
+      });
+    }
+
+    entries[entry.id] = entry;
+    changes.push({
+      rule: 'id-mismatch',
+      path: `${basePath}[${index}]`,
+      message: `Moved entry with id ${entry.id} from index ${index} to index ${entry.id}`,
+      before: index,
+      after: entry.id,
+      fixed: true
+    });
+  });
+
+  return true;
+};
+
+/**
+ * Repair an array of entries that must have a null header slot and IDs matching their index
+ * @param {Array} entries - Entries (modified in place)
+ * @param {string} schemaName - Schema of the entries
+ * @param {string} basePath - Path of the array, used in change records
+ * @param {Object} options - Options
+ * @param {boolean} options.sparse - Whether null entries are allowed after the header
+ * @param {Function} options.repairEntry - Extra repair for each entry
+ * @param {Object[]} changes - Change list to append to
+ */
+const repairEntryList = (entries, schemaName, basePath, options, changes) => {
+  const { sparse = false, repairEntry = null } = options;
+
+  // Rebuild the null header slot
+  if (entries.length === 0) {
+    entries.push(null);
+    changes.push({
+      rule: 'missing-null-header',
+      path: `${basePath}[0]`,
+      message: 'Inserted null header slot into empty list',
+      before: undefined,
+      after: null,
+      fixed: true
+    });
+  } else if (entries[0] !== null) {
+    if (isPlainObject(entries[0]) && entries[0].id === 1) {
+      // The header was dropped and every entry shifted down by one
+      entries.unshift(null);
+      changes.push({
+        rule: 'missing-null-header',
+        path: `${basePath}[0]`,
+        message: 'Inserted missing null header slot',
+        before: undefined,
+        after: null,
+        fixed: true
+      });
+    } else {
+      changes.push({
+        rule: 'invalid-null-header',
+        path: `${basePath}[0]`,
+        message: 'Replaced non-null header slot with null',
+        before: entries[0],
+        after: null,
+        fixed: true
+      });
+      entries[0] = null;
+    }
+  }
+
+  moveEntriesToIdSlots(entries, basePath, changes);
+
+  for (let index = 1; index < entries.length; index++) {
+    const entryPath = `${basePath}[${index}]`;
+    let entry = entries[index];
+
+    if (entry === null) {
+      if (!sparse) {
+        entry = getTemplate(schemaName);
+        entry.id = index;
+        if ('name' in entry) entry.name = '';
+        entries[index] = entry;
+        changes.push({
+          rule: 'null-entry',
+          path: entryPath,
+          message: `Replaced null entry with an empty ${schemaName}`,
+          before: null,
+          after: entry,
+          fixed: true
+        });
+      }
+      continue;
+    }
+
+    if (!isPlainObject(entry)) {
+      entry = getTemplate(schemaName);
+      entry.id = index;
+      if ('name' in entry) entry.name = '';
+      changes.push({
+        rule: 'invalid-entry',
+        path: entryPath,
+        message: `Replaced invalid entry with an empty ${schemaName}`,
+        before: entries[index],
+        after: entry,
+        fixed: true
+      });
+      entries[index] = entry;
+      continue;
+    }
+
+    if (entry.id !== index) {
+      // The entries could not be moved to their ID slots (duplicate or invalid IDs)
+      changes.push({
+        rule: 'id-mismatch',
+        path: `${entryPath}.id`,
+        message: `Entry id ${JSON.stringify(entry.id)} does not match array index ${index} and cannot be moved to its slot`,
+        before: entry.id,
+        after: entry.id,
+        fixed: false
+      });
+    }
+
+    restoreFields(entry, schemas[schemaName].template, entryPath, changes);
+
+    if (repairEntry) {
+      repairEntry(entry, entryPath);
+    }
+  }
+};
+
+/**
+ * Repair the pages of an event-like object (map events and troops)
+ * @param {Object} owner - Object with a pages array
+ * @param {Object} pageTemplate - Template for a single page
+ * @param {string} basePath - Path of the owner, used in change records
+ * @param {Object[]} changes - Change list to append to
+ */
+const repairPages = (owner, pageTemplate, basePath, changes) => {
+  // The editor cannot open an event without pages
+  if (owner.pages.length === 0) {
+    owner.pages.push(JSON.parse(JSON.stringify(pageTemplate)));
+    changes.push({
+      rule: 'missing-page',
+      path: `${basePath}.pages[0]`,
+      message: 'Added an empty page to event without pages',
+      before: undefined,
+      after: owner.pages[0],
+      fixed: true
+    });
+    return;
+  }
+
+  owner.pages.forEach((page, index) => {
+    const pagePath = `${basePath}.pages[${index}]`;
+
+    if (!isPlainObject(page)) {
+      owner.pages[index] = JSON.parse(JSON.stringify(pageTemplate));
+      changes.push({
+        rule: 'invalid-entry',
+        path: pagePath,
+        message: 'Replaced invalid page with an empty page',
+        before: page,
+        after: owner.pages[index],
+        fixed: true
+      });
+      return;
+    }
+
+    restoreFields(page, pageTemplate, pagePath, changes);
+  });
+};
+
+/**
+ * Repair the structure of a map
+ * @param {Object} map - Map data (modified in place)
+ * @param {Object[]} changes - Change list to append to
+ */
+const repairMap = (map, changes) => {
+  restoreFields(map, schemas.map.template, '', changes);
+
+  // Tile data holds 6 layers of width * height tiles
+  const expectedSize = map.width * map.height * 6;
+  if (map.data.length < expectedSize) {
+    const missing = expectedSize - map.data.length;
+    changes.push({
+      rule: 'map-data-size',
+      path: 'data',
+      message: `Padded tile data with ${missing} empty tiles to match ${map.width}x${map.height}`,
+      before: map.data.length,
+      after: expectedSize,
+      fixed: true
+    });
+    map.data.push(...new Array(missing).fill(0));
+  } else if (map.data.length > expectedSize) {
+    changes.push({
+      rule: 'map-data-size',
+      path: 'data',
+      message: `Tile data has ${map.data.length} entries but ${map.width}x${map.height} needs ${expectedSize}`,
+      before: map.data.length,
+      after: map.data.length,
+      fixed: false
+    });
+  }
+
+  repairEntryList(map.events, 'event', 'events', {
+    sparse: true,
+    repairEntry: (event, eventPath) => repairPages(event, schemas.eventPage.template, eventPath, changes)
+  }, changes);
+};
+
+/**
+ * Repair the structure of parsed RPG Maker MV data
+ * @param {*} data - Parsed file content (modified in place where possible)
+ * @param {string} fileName - File name or path, used to determine the expected shape
+ * @returns {Object} - Repaired data and the list of structural changes
+ */
+const repairStructure = (data, fileName) => {
+  const shape = getFileShape(fileName);
+  const changes = [];
+
+  if (!shape) {
+    return { data, changes, shape: null };
+  }
+
+  if (shape.kind === 'database') {
+    if (!Array.isArray(data)) {
+      changes.push({
+        rule: 'invalid-root',
+        path: '',
+        message: `${path.basename(fileName)} must be an array`,
+        before: data,
+        after: data,
+        fixed: false
+      });
+      return { data, changes, shape };
+    }
+
+    repairEntryList(data, shape.schema, '', {
+      sparse: shape.sparse,
+      repairEntry: shape.schema === 'troop'
+        ? (troop, troopPath) => repairPages(troop, schemas.troop.template.pages[0], troopPath, changes)
+        : null
+    }, changes);
+  } else {
+    if (!isPlainObject(data)) {
+      changes.push({
+        rule: 'invalid-root',
+        path: '',
+        message: `${path.basename(fileName)} must be an object`,
+        before: data,
+        after: data,
+        fixed: false
+      });
+      return { data, changes, shape };
+    }
+
+    repairMap(data, changes);
+  }
+
+  return { data, changes, shape };
+};
+
+module.exports = {
+  DATABASE_SCHEMAS,
+  getFileShape,
+  repairStructure
+};
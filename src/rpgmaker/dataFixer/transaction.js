@@ -0,0 +1,233 @@
+/**
+ * RPG Maker MV Fix Transactions
+ *
+ * This module makes batch fixes all-or-nothing. Before any file is written, the current
+ * bytes of every file that will change are copied to a backup folder together with a
+ * manifest. If a write fails, the batch is rolled back from that manifest, and the
+ * manifest can be used later to restore the exact previous state with rollback().
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Calculate the SHA-256 hash of file content
+ * @param {Buffer|string} content - Content to hash
+ * @returns {string} - Hex digest
+ */
+const hashContent = (content) => {
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Write a file atomically by writing a temporary file and renaming it
+ * @param {string} filePath - Path to the file
+ * @param {Buffer|string} content - Content to write
+ * @returns {Promise<void>}
+ */
+const writeFileAtomic = async (filePath, content) => {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(tempPath, content);
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+};
+
+/**
+ * Get a default backup directory for a data directory
+ * @param {string} dataDir - Directory that is being fixed
+ * @returns {string} - Backup directory next to the data directory
+ */
+const getDefaultBackupDir = (dataDir) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(path.dirname(path.resolve(dataDir)), 'backups', `fix-${timestamp}`);
+};
+
+/**
+ * Write a manifest to its backup directory
+ * @param {string} manifestPath - Path to the manifest
+ * @param {Object} manifest - Manifest
+ * @returns {Promise<void>}
+ */
+const writeManifest = async (manifestPath, manifest) => {
+  await writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+};
+
+/**
+ * Snapshot the current state of files that are about to be written
+ * @param {Object[]} writes - Files to be written ({ file, outputPath, content })
+ * @param {string} backupDir - Directory to store the backups and manifest in
+ * @param {Object} metadata - Extra information to record in the manifest
+ * @returns {Promise<Object>} - Manifest and its path
+ */
+const createBackup = async (writes, backupDir, metadata = {}) => {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    ...metadata,
+    files: []
+  };
+
+  for (const write of writes) {
+    const targetPath = path.resolve(write.outputPath);
+    const entry = {
+      file: write.file,
+      targetPath,
+      existed: await fs.pathExists(targetPath),
+      backupPath: null,
+      sha256: null,
+      size: 0
+    };
+
+    if (entry.existed) {
+      const bytes = await fs.readFile(targetPath);
+      entry.backupPath = path.join('files', write.file);
+      entry.sha256 = hashContent(bytes);
+      entry.size = bytes.length;
+      await fs.outputFile(path.join(backupDir, entry.backupPath), bytes);
+    }
+
+    manifest.files.push(entry);
+  }
+
+  const manifestPath = path.join(backupDir, MANIFEST_FILE);
+  await writeManifest(manifestPath, manifest);
+
+  return { manifest, manifestPath };
+};
+
+/**
+ * Write a set of files as a single transaction
+ * @param {Object[]} writes - Files to write ({ file, outputPath, content })
+ * @param {Object} options - Options
+ * @param {string} options.backupDir - Directory to store the backups and manifest in
+ * @param {Object} options.metadata - Extra information to record in the manifest
+ * @returns {Promise<Object>} - Transaction result
+ */
+const commitFiles = async (writes, options = {}) => {
+  const { backupDir, metadata = {} } = options;
+
+  let manifest;
+  let manifestPath;
+  try {
+    ({ manifest, manifestPath } = await createBackup(writes, backupDir, metadata));
+  } catch (error) {
+    // Nothing has been written yet, so there is nothing to roll back
+    return {
+      committed: false,
+      rolledBack: false,
+      manifestPath: null,
+      backupDir,
+      error: `Backup failed: ${error.message}`
+    };
+  }
+
+  try {
+    for (let i = 0; i < writes.length; i++) {
+      const bytes = Buffer.from(writes[i].content, 'utf8');
+      await writeFileAtomic(manifest.files[i].targetPath, bytes);
+      manifest.files[i].fixedSha256 = hashContent(bytes);
+    }
+  } catch (error) {
+    const rollbackResult = await rollback(manifestPath);
+    return {
+      committed: false,
+      rolledBack: rollbackResult.errors.length === 0,
+      manifestPath,
+      backupDir,
+      error: error.message,
+      rollback: rollbackResult
+    };
+  }
+
+  manifest.status = 'committed';
+  manifest.committedAt = new Date().toISOString();
+  await writeManifest(manifestPath, manifest);
+
+  return {
+    committed: true,
+    rolledBack: false,
+    manifestPath,
+    backupDir,
+    filesWritten: writes.length
+  };
+};
+
+/**
+ * Restore the files recorded in a backup manifest to their previous state
+ * @param {string} manifestPath - Path to the manifest (or the backup directory containing it)
+ * @returns {Promise<Object>} - Rollback result
+ */
+const rollback = async (manifestPath) => {
+  if ((await fs.stat(manifestPath)).isDirectory()) {
+    manifestPath = path.join(manifestPath, MANIFEST_FILE);
+  }
+
+  const backupDir = path.dirname(manifestPath);
+  const manifest = await fs.readJson(manifestPath);
+  const result = {
+    manifestPath,
+    restored: [],
+    removed: [],
+    modifiedSinceFix: [],
+    errors: []
+  };
+
+  for (const entry of manifest.files) {
+    try {
+      // Note files that were changed again after the fix was written
+      if (entry.fixedSha256 && await fs.pathExists(entry.targetPath)) {
+        const current = await fs.readFile(entry.targetPath);
+        if (hashContent(current) !== entry.fixedSha256) {
+          result.modifiedSinceFix.push(entry.targetPath);
+        }
+      }
+
+      if (!entry.existed) {
+        // The file did not exist before the fix, so restoring means removing it
+        if (await fs.pathExists(entry.targetPath)) {
+          await fs.remove(entry.targetPath);
+          result.removed.push(entry.targetPath);
+        }
+        continue;
+      }
+
+      const bytes = await fs.readFile(path.join(backupDir, entry.backupPath));
+      if (hashContent(bytes) !== entry.sha256) {
+        throw new Error(`Backup of ${entry.file} does not match its recorded hash`);
+      }
+
+      await writeFileAtomic(entry.targetPath, bytes);
+      result.restored.push(entry.targetPath);
+    } catch (error) {
+      result.errors.push({
+        file: entry.targetPath,
+        error: error.message
+      });
+    }
+  }
+
+  manifest.status = result.errors.length === 0 ? 'rolled-back' : 'rollback-failed';
+  manifest.rolledBackAt = new Date().toISOString();
+  await writeManifest(manifestPath, manifest);
+
+  return result;
+};
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  getDefaultBackupDir,
+  createBackup,
+  commitFiles,
+  rollback
+};
@@ -0,0 +1,114 @@
+const {
+  createEventBuilder,
+  validateEventList,
+  createEventPage,
+  createMapEvent,
+  createCommonEvent
+} = require('../eventBuilder');
+
+const getCodes = (list) => list.map(command => [command.code, command.indent]);
+
+describe('createEventBuilder', () => {
+  test('writes commands with their continuation lines and the closing code 0', () => {
+    const list = createEventBuilder()
+      .showText('Actor1', 0, 'Hello\nthere')
+      .script('const a = 1;\n$gameVariables.setValue(1, a);')
+      .transfer(2, 5, 6, { direction: 8 })
+      .build();
+
+    expect(list).toEqual([
+      { code: 101, indent: 0, parameters: ['Actor1', 0, 0, 2] },
+      { code: 401, indent: 0, parameters: ['Hello'] },
+      { code: 401, indent: 0, parameters: ['there'] },
+      { code: 355, indent: 0, parameters: ['const a = 1;'] },
+      { code: 655, indent: 0, parameters: ['$gameVariables.setValue(1, a);'] },
+      { code: 201, indent: 0, parameters: [0, 2, 5, 6, 8, 0] },
+      { code: 0, indent: 0, parameters: [] }
+    ]);
+  });
+
+  test('writes blocks with indented bodies and their end commands', () => {
+    const builder = createEventBuilder()
+      .choices([['Yes', b => b.setSwitch(1)], 'No'], { cancel: 'branch' })
+      .ifSwitch(12, b => b.loop(l => l.breakLoop()), b => b.changeGold(-10));
+
+    expect(getCodes(builder.build())).toEqual([
+      [102, 0], [402, 0], [121, 1], [0, 1], [402, 0], [0, 1], [403, 0], [0, 1], [404, 0],
+      [111, 0], [112, 1], [113, 2], [0, 2], [413, 1], [0, 1], [411, 0], [125, 1], [0, 1], [412, 0],
+      [0, 0]
+    ]);
+    expect(builder.build()[0].parameters).toEqual([['Yes', 'No'], -2, 0, 2, 0]);
+    expect(builder.validate()).toEqual({ success: true, errors: [] });
+  });
+
+  test('splits long texts into messages and writes the speaker for each project type', () => {
+    const text = ['1', '2', '3', '4', '5'];
+    const mv = createEventBuilder().showText('', 0, text, { speaker: 'Harold' }).build();
+    const mz = createEventBuilder({ projectType: 'mz' }).showText('', 0, 'Hi', { speaker: 'Harold' }).build();
+
+    expect(getCodes(mv)).toEqual([[101, 0], [401, 0], [401, 0], [401, 0], [401, 0], [101, 0], [401, 0], [0, 0]]);
+    expect(mv[1].parameters).toEqual(['\\n<Harold>1']);
+    expect(mv[6].parameters).toEqual(['\\n<Harold>5']);
+    expect(mz[0].parameters).toEqual(['', 0, 0, 2, 'Harold']);
+  });
+
+  test('writes MZ plugin commands with their argument lines', () => {
+    const list = createEventBuilder({ projectType: 'mz' }).mzPluginCommand('Gauge', 'ShowGauge', { actorId: 1, label: 'HP' }).build();
+
+    expect(list.slice(0, 3)).toEqual([
+      { code: 357, indent: 0, parameters: ['Gauge', 'ShowGauge', 'ShowGauge', { actorId: '1', label: 'HP' }] },
+      { code: 657, indent: 0, parameters: ['actorId = 1'] },
+      { code: 657, indent: 0, parameters: ['label = HP'] }
+    ]);
+  });
+
+  test('rejects arguments the commands cannot hold', () => {
+    const builder = createEventBuilder();
+
+    expect(() => builder.choices([])).toThrow('Show Choices needs 1 to 6 choices');
+    expect(() => builder.choices(['Yes'], { cancel: 3 })).toThrow("Show Choices cancel must be a choice index, 'branch' or 'disallow', got 3");
+    expect(() => builder.ifVariable(1, '=>', 0)).toThrow('Unknown comparison operator: =>');
+    expect(() => builder.setVariable(1, 0, '**=')).toThrow('Unknown variable operation: **=');
+    expect(() => builder.setSelfSwitch('E')).toThrow('Self switch must be one of A, B, C, D, got E');
+    expect(() => builder.mzPluginCommand('Gauge', 'ShowGauge')).toThrow('Plugin Command (357) is only available in RPG Maker MZ projects');
+  });
+});
+
+describe('validateEventList', () => {
+  test('reports structure and parameter problems', () => {
+    const list = [
+      { code: 101, indent: 0, parameters: ['', 0, 0, 2, 'Harold'] },
+      { code: 401, indent: 0, parameters: ['Hello'] },
+      { code: 111, indent: 0, parameters: [0, 1, 0] },
+      { code: 0, indent: 1, parameters: [] },
+      { code: 0, indent: 0, parameters: [] }
+    ];
+
+    const result = validateEventList(list);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([
+      'list[2]: Conditional Branch (111) has no matching End of Branch (412)',
+      'list[0]: Show Text (101) has a speaker name, which only RPG Maker MZ shows'
+    ]);
+    expect(validateEventList(list, { projectType: 'mz' }).errors).toHaveLength(1);
+  });
+
+  test('rejects a list that is not an array', () => {
+    expect(validateEventList({ code: 0 })).toEqual({ success: false, errors: ['Event list is not an array'] });
+  });
+});
+
+describe('event factories', () => {
+  test('creates map events and common events around built lists', () => {
+    const builder = createEventBuilder().showText('', 0, 'Hello');
+    const page = createEventPage(builder, { trigger: 1, conditions: { switch1Valid: true, switch1Id: 3 } });
+    const event = createMapEvent({ id: 1, name: 'Guard', x: 4, y: 5 }, [page, builder]);
+    const commonEvent = createCommonEvent({ id: 2, name: 'Greeting' }, builder);
+
+    expect(page).toMatchObject({ trigger: 1, conditions: { switch1Valid: true, switch1Id: 3, variableValid: false } });
+    expect(event).toMatchObject({ id: 1, name: 'Guard', x: 4, y: 5 });
+    expect(event.pages.map(eventPage => eventPage.list)).toEqual([builder.build(), builder.build()]);
+    expect(commonEvent).toMatchObject({ id: 2, name: 'Greeting', list: builder.build() });
+  });
+});
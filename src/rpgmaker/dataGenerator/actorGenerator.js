@@ -69,11 +69,6 @@ const generate = async (params = {}, options = {}) => {
   // Generate nickname if not provided
   if (!params.nickname) {
     try {
-      const nicknameParams = {
-        type: 'character nickname',
-        name: actor.name,
-        characteristics
-      };
       const nickname = await aiProvider.generateContent(
         `Generate a short nickname for a character named "${actor.name}" with these traits: ${characteristics.join(', ')}`,
         { temperature: 0.8 }
@@ -0,0 +1,760 @@
+/**
+ * Event Builder for RPG Maker MV
+ *
+ * This module provides a fluent builder for event command lists, so cutscenes, NPC pages and
+ * common events can be scripted in code instead of written as raw {code, indent, parameters}
+ * arrays. The builder writes the lists the way the editor does:
+ * - Text, scrolling text, comments and scripts are split into their first command and the
+ *   continuation lines (401, 405, 408, 655) that follow it
+ * - Block bodies of Show Choices, Conditional Branch and Loop are one indent deeper and end
+ *   with code 0, and the blocks are closed by their end command (404, 412, 413)
+ * - The list ends with code 0 at indent 0
+ * Lists can be checked with validateEventList, which runs the structure checks of the
+ * analyzer and checks the parameters of the commands the builder writes.
+ */
+
+const eventStructureChecker = require('../analyzer/eventStructureChecker');
+const schemaValidator = require('./schemaValidator');
+const { ProjectTypes } = require('../utils/projectType');
+
+/**
+ * Lines of text the message window shows at once; longer texts become several messages
+ * @type {number}
+ */
+const MESSAGE_LINES = 4;
+
+/**
+ * Choices Show Choices can have
+ * @type {number}
+ */
+const MAX_CHOICES = 6;
+
+/**
+ * Self switch letters
+ * @type {string[]}
+ */
+const SELF_SWITCHES = ['A', 'B', 'C', 'D'];
+
+/**
+ * Comparison operators of Conditional Branch on a variable
+ * @type {Object}
+ */
+const ComparisonOperators = {
+  '==': 0,
+  '>=': 1,
+  '<=': 2,
+  '>': 3,
+  '<': 4,
+  '!=': 5
+};
+
+/**
+ * Operations of Control Variables
+ * @type {Object}
+ */
+const VariableOperations = {
+  '=': 0,
+  '+=': 1,
+  '-=': 2,
+  '*=': 3,
+  '/=': 4,
+  '%=': 5
+};
+
+/**
+ * Names and parameter types of the event commands the builder writes, as checked by validateEventList
+ * @type {Object}
+ */
+const CommandSignatures = {
+  101: { name: 'Show Text', parameters: ['string', 'number', 'number', 'number'] },
+  102: { name: 'Show Choices', parameters: ['array', 'number', 'number', 'number', 'number'] },
+  105: { name: 'Show Scrolling Text', parameters: ['number', 'boolean'] },
+  108: { name: 'Comment', parameters: ['string'] },
+  111: { name: 'Conditional Branch', parameters: ['number'] },
+  113: { name: 'Break Loop', parameters: [] },
+  115: { name: 'Exit Event Processing', parameters: [] },
+  117: { name: 'Common Event', parameters: ['number'] },
+  118: { name: 'Label', parameters: ['string'] },
+  119: { name: 'Jump to Label', parameters: ['string'] },
+  121: { name: 'Control Switches', parameters: ['number', 'number', 'number'] },
+  122: { name: 'Control Variables', parameters: ['number', 'number', 'number', 'number'] },
+  123: { name: 'Control Self Switch', parameters: ['string', 'number'] },
+  125: { name: 'Change Gold', parameters: ['number', 'number', 'number'] },
+  126: { name: 'Change Items', parameters: ['number', 'number', 'number', 'number'] },
+  201: { name: 'Transfer Player', parameters: ['number', 'number', 'number', 'number', 'number', 'number'] },
+  214: { name: 'Erase Event', parameters: [] },
+  221: { name: 'Fadeout Screen', parameters: [] },
+  222: { name: 'Fadein Screen', parameters: [] },
+  230: { name: 'Wait', parameters: ['number'] },
+  250: { name: 'Play SE', parameters: ['object'] },
+  355: { name: 'Script', parameters: ['string'] },
+  356: { name: 'Plugin Command', parameters: ['string'] },
+  357: { name: 'Plugin Command', parameters: ['string', 'string', 'string', 'object'] },
+  401: { name: 'Text line', parameters: ['string'] },
+  402: { name: 'When', parameters: ['number', 'string'] },
+  403: { name: 'When Cancel', parameters: ['number'] },
+  405: { name: 'Scrolling Text line', parameters: ['string'] },
+  408: { name: 'Comment line', parameters: ['string'] },
+  655: { name: 'Script line', parameters: ['string'] },
+  657: { name: 'Plugin Command line', parameters: ['string'] }
+};
+
+/**
+ * Split text into lines
+ * @param {string|string[]} text - Text with line breaks, or lines
+ * @returns {string[]} - Lines
+ */
+const toLines = (text) => {
+  const lines = Array.isArray(text) ? text : String(text).split(/\r?\n/);
+  return lines.map(line => String(line));
+};
+
+/**
+ * Get the operand of a command that takes a constant or a variable
+ * @param {number|Object} value - Constant, or {variable: id}
+ * @returns {Object} - Operand type (0 constant, 1 variable) and value
+ */
+const toOperand = (value) => {
+  if (value && typeof value === 'object' && 'variable' in value) {
+    return { type: 1, value: value.variable };
+  }
+  return { type: 0, value };
+};
+
+/**
+ * Get the self switch letter, throwing if it is not one
+ * @param {string} letter - Self switch letter
+ * @returns {string} - Upper-case letter
+ */
+const toSelfSwitch = (letter) => {
+  const upper = String(letter).toUpperCase();
+  if (!SELF_SWITCHES.includes(upper)) {
+    throw new Error(`Self switch must be one of ${SELF_SWITCHES.join(', ')}, got ${letter}`);
+  }
+  return upper;
+};
+
+/**
+ * Get the event command list of a builder or a list
+ * @param {Object|Object[]} list - Event builder, or event commands
+ * @returns {Object[]|*} - Event commands; anything else is returned as it is, for the validator to report
+ */
+const toList = (list) => {
+  if (list && typeof list.build === 'function') {
+    return list.build();
+  }
+  return list;
+};
+
+/**
+ * Create an event builder
+ *
+ * Every command method returns the builder, so commands can be chained. Blocks take functions
+ * that are called with a builder for their body.
+ * @param {Object} options - Builder options
+ * @param {string} options.projectType - Project type the list is for (use ProjectTypes constants, default: mv)
+ * @param {number} options.indent - Indent of the commands (default: 0; bodies of blocks are built one deeper)
+ * @returns {Object} - Event builder
+ */
+const createEventBuilder = (options = {}) => {
+  const projectType = options.projectType || ProjectTypes.MV;
+  const indent = options.indent || 0;
+  const commands = [];
+
+  const push = (code, parameters, commandIndent = indent) => {
+    commands.push({ code, indent: commandIndent, parameters });
+  };
+
+  // A command whose own parameters are followed by its lines, such as Show Text (101) and Text lines (401)
+  const pushWithLines = (code, parameters, lineCode, lines) => {
+    push(code, parameters);
+    lines.forEach(line => push(lineCode, [line]));
+  };
+
+  // A command holding the first line, followed by the rest, such as Script (355) and Script lines (655)
+  const pushContinued = (code, lineCode, lines) => {
+    push(code, [lines[0]]);
+    lines.slice(1).forEach(line => push(lineCode, [line]));
+  };
+
+  // The body of a block: one indent deeper, ending with code 0
+  const pushBody = (build) => {
+    const body = createEventBuilder({ projectType, indent: indent + 1 });
+    if (typeof build === 'function') {
+      build(body);
+    }
+    commands.push(...body.build());
+  };
+
+  const requireMz = (feature) => {
+    if (projectType !== ProjectTypes.MZ) {
+      throw new Error(`${feature} is only available in RPG Maker MZ projects`);
+    }
+  };
+
+  return {
+    projectType,
+    indent,
+
+    /**
+     * Show Text (101) with its Text lines (401); texts longer than the message window are
+     * split into several messages with the same face
+     * @param {string} faceName - Face image, or '' for none
+     * @param {number} faceIndex - Index of the face in the image
+     * @param {string|string[]} text - Text with line breaks, or lines
+     * @param {Object} textOptions - Message options
+     * @param {number} textOptions.background - 0 window, 1 dim, 2 transparent (default: 0)
+     * @param {number} textOptions.position - 0 top, 1 middle, 2 bottom (default: 2)
+     * @param {string} textOptions.speaker - Speaker name; the name field in MZ, the \n<Name> escape code of message plugins in MV
+     * @returns {Object} - The builder
+     */
+    showText(faceName, faceIndex, text, textOptions = {}) {
+      const { background = 0, position = 2, speaker = '' } = textOptions;
+      const lines = toLines(text);
+      const parameters = [faceName || '', faceIndex || 0, background, position];
+
+      if (projectType === ProjectTypes.MZ) {
+        parameters.push(speaker);
+      }
+
+      for (let start = 0; start < lines.length; start += MESSAGE_LINES) {
+        const messageLines = lines.slice(start, start + MESSAGE_LINES);
+        if (speaker && projectType !== ProjectTypes.MZ) {
+          messageLines[0] = `\\n<${speaker}>${messageLines[0]}`;
+        }
+        pushWithLines(101, parameters.slice(), 401, messageLines);
+      }
+      return this;
+    },
+
+    /**
+     * Show Scrolling Text (105) with its Scrolling Text lines (405)
+     * @param {string|string[]} text - Text with line breaks, or lines
+     * @param {Object} scrollOptions - Scrolling options
+     * @param {number} scrollOptions.speed - Scrolling speed, 1 to 8 (default: 2)
+     * @param {boolean} scrollOptions.noFast - Whether the player cannot fast forward (default: false)
+     * @returns {Object} - The builder
+     */
+    showScrollingText(text, scrollOptions = {}) {
+      const { speed = 2, noFast = false } = scrollOptions;
+      pushWithLines(105, [speed, noFast], 405, toLines(text));
+      return this;
+    },
+
+    /**
+     * Show Choices (102) with a When (402) branch per choice
+     * @param {Array} items - Choices: the text, or [text, build] to give the choice a body
+     * @param {Object} choiceOptions - Choice options
+     * @param {number|string} choiceOptions.cancel - Index of the choice cancel picks, 'branch' for a When Cancel (403) branch, or 'disallow' (default: the last choice)
+     * @param {Function} choiceOptions.onCancel - Body of the When Cancel branch
+     * @param {number|string} choiceOptions.default - Index of the choice selected first, or 'none' (default: 0)
+     * @param {number} choiceOptions.position - 0 left, 1 middle, 2 right (default: 2)
+     * @param {number} choiceOptions.background - 0 window, 1 dim, 2 transparent (default: 0)
+     * @returns {Object} - The builder
+     */
+    choices(items, choiceOptions = {}) {
+      if (!Array.isArray(items) || items.length === 0 || items.length > MAX_CHOICES) {
+        throw new Error(`Show Choices needs 1 to ${MAX_CHOICES} choices`);
+      }
+
+      const choices = items.map(item => (Array.isArray(item) ? { text: String(item[0]), build: item[1] } : { text: String(item) }));
+      const { cancel = choices.length - 1, onCancel = null, position = 2, background = 0 } = choiceOptions;
+      const defaultChoice = choiceOptions.default === undefined ? 0 : choiceOptions.default;
+
+      let cancelType = cancel;
+      if (cancel === 'branch') {
+        cancelType = -2;
+      } else if (cancel === 'disallow') {
+        cancelType = -1;
+      } else if (!Number.isInteger(cancel) || cancel < 0 || cancel >= choices.length) {
+        throw new Error(`Show Choices cancel must be a choice index, 'branch' or 'disallow', got ${cancel}`);
+      }
+
+      push(102, [choices.map(choice => choice.text), cancelType, defaultChoice === 'none' ? -1 : defaultChoice, position, background]);
+      choices.forEach((choice, index) => {
+        push(402, [index, choice.text]);
+        pushBody(choice.build);
+      });
+      if (cancelType === -2) {
+        push(403, [6, null]);
+        pushBody(onCancel);
+      }
+      push(404, []);
+      return this;
+    },
+
+    /**
+     * Conditional Branch (111) with raw parameters, with an optional Else (411) branch
+     * @param {Array} parameters - Conditional Branch parameters
+     * @param {Function} then - Body run when the condition holds
+     * @param {Function} otherwise - Body of the Else branch (default: no Else branch)
+     * @returns {Object} - The builder
+     */
+    if(parameters, then, otherwise = null) {
+      push(111, parameters);
+      pushBody(then);
+      if (otherwise) {
+        push(411, []);
+        pushBody(otherwise);
+      }
+      push(412, []);
+      return this;
+    },
+
+    /**
+     * Conditional Branch on a switch
+     * @param {number} switchId - Switch ID
+     * @param {Function} then - Body run when the switch has the value
+     * @param {Function} otherwise - Body of the Else branch (default: none)
+     * @param {boolean} on - Value to check for (default: true)
+     * @returns {Object} - The builder
+     */
+    ifSwitch(switchId, then, otherwise = null, on = true) {
+      return this.if([0, switchId, on ? 0 : 1], then, otherwise);
+    },
+
+    /**
+     * Conditional Branch on a variable
+     * @param {number} variableId - Variable ID
+     * @param {string} operator - Comparison: ==, >=, <=, >, < or !=
+     * @param {number|Object} value - Constant, or {variable: id} to compare with another variable
+     * @param {Function} then - Body run when the comparison holds
+     * @param {Function} otherwise - Body of the Else branch (default: none)
+     * @returns {Object} - The builder
+     */
+    ifVariable(variableId, operator, value, then, otherwise = null) {
+      if (!(operator in ComparisonOperators)) {
+        throw new Error(`Unknown comparison operator: ${operator}`);
+      }
+      const operand = toOperand(value);
+      return this.if([1, variableId, operand.type, operand.value, ComparisonOperators[operator]], then, otherwise);
+    },
+
+    /**
+     * Conditional Branch on a self switch of the event
+     * @param {string} letter - Self switch letter, A to D
+     * @param {Function} then - Body run when the self switch has the value
+     * @param {Function} otherwise - Body of the Else branch (default: none)
+     * @param {boolean} on - Value to check for (default: true)
+     * @returns {Object} - The builder
+     */
+    ifSelfSwitch(letter, then, otherwise = null, on = true) {
+      return this.if([2, toSelfSwitch(letter), on ? 0 : 1], then, otherwise);
+    },
+
+    /**
+     * Conditional Branch on a script
+     * @param {string} code - Script condition
+     * @param {Function} then - Body run when the script is truthy
+     * @param {Function} otherwise - Body of the Else branch (default: none)
+     * @returns {Object} - The builder
+     */
+    ifScript(code, then, otherwise = null) {
+      return this.if([12, code], then, otherwise);
+    },
+
+    /**
+     * Loop (112), closed by Repeat Above (413)
+     * @param {Function} build - Body of the loop
+     * @returns {Object} - The builder
+     */
+    loop(build) {
+      push(112, []);
+      pushBody(build);
+      push(413, []);
+      return this;
+    },
+
+    /**
+     * Break Loop (113)
+     * @returns {Object} - The builder
+     */
+    breakLoop() {
+      push(113, []);
+      return this;
+    },
+
+    /**
+     * Exit Event Processing (115)
+     * @returns {Object} - The builder
+     */
+    exitEvent() {
+      push(115, []);
+      return this;
+    },
+
+    /**
+     * Common Event (117)
+     * @param {number} commonEventId - Common event ID
+     * @returns {Object} - The builder
+     */
+    commonEvent(commonEventId) {
+      push(117, [commonEventId]);
+      return this;
+    },
+
+    /**
+     * Label (118)
+     * @param {string} name - Label name
+     * @returns {Object} - The builder
+     */
+    label(name) {
+      push(118, [name]);
+      return this;
+    },
+
+    /**
+     * Jump to Label (119)
+     * @param {string} name - Label name
+     * @returns {Object} - The builder
+     */
+    jumpToLabel(name) {
+      push(119, [name]);
+      return this;
+    },
+
+    /**
+     * Control Switches (121)
+     * @param {number} switchId - Switch ID
+     * @param {boolean} on - Value to set (default: true)
+     * @returns {Object} - The builder
+     */
+    setSwitch(switchId, on = true) {
+      push(121, [switchId, switchId, on ? 0 : 1]);
+      return this;
+    },
+
+    /**
+     * Control Variables (122)
+     * @param {number} variableId - Variable ID
+     * @param {number|Object} value - Constant, {variable: id}, {random: [min, max]} or {script: code}
+     * @param {string} operation - Operation: =, +=, -=, *=, /= or %= (default: =)
+     * @returns {Object} - The builder
+     */
+    setVariable(variableId, value, operation = '=') {
+      if (!(operation in VariableOperations)) {
+        throw new Error(`Unknown variable operation: ${operation}`);
+      }
+
+      const parameters = [variableId, variableId, VariableOperations[operation]];
+      if (value && typeof value === 'object' && 'random' in value) {
+        parameters.push(2, value.random[0], value.random[1]);
+      } else if (value && typeof value === 'object' && 'script' in value) {
+        parameters.push(4, value.script);
+      } else {
+        const operand = toOperand(value);
+        parameters.push(operand.type, operand.value);
+      }
+      push(122, parameters);
+      return this;
+    },
+
+    /**
+     * Control Self Switch (123)
+     * @param {string} letter - Self switch letter, A to D
+     * @param {boolean} on - Value to set (default: true)
+     * @returns {Object} - The builder
+     */
+    setSelfSwitch(letter, on = true) {
+      push(123, [toSelfSwitch(letter), on ? 0 : 1]);
+      return this;
+    },
+
+    /**
+     * Change Gold (125)
+     * @param {number} amount - Gold to add; negative to take
+     * @returns {Object} - The builder
+     */
+    changeGold(amount) {
+      push(125, [amount < 0 ? 1 : 0, 0, Math.abs(amount)]);
+      return this;
+    },
+
+    /**
+     * Change Items (126)
+     * @param {number} itemId - Item ID
+     * @param {number} amount - Items to add; negative to take
+     * @returns {Object} - The builder
+     */
+    changeItems(itemId, amount) {
+      push(126, [itemId, amount < 0 ? 1 : 0, 0, Math.abs(amount)]);
+      return this;
+    },
+
+    /**
+     * Transfer Player (201) to a map position
+     * @param {number} mapId - Map ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} transferOptions - Transfer options
+     * @param {number} transferOptions.direction - 0 retain, 2 down, 4 left, 6 right, 8 up (default: 0)
+     * @param {number} transferOptions.fade - 0 black, 1 white, 2 none (default: 0)
+     * @returns {Object} - The builder
+     */
+    transfer(mapId, x, y, transferOptions = {}) {
+      const { direction = 0, fade = 0 } = transferOptions;
+      push(201, [0, mapId, x, y, direction, fade]);
+      return this;
+    },
+
+    /**
+     * Erase Event (214)
+     * @returns {Object} - The builder
+     */
+    eraseEvent() {
+      push(214, []);
+      return this;
+    },
+
+    /**
+     * Fadeout Screen (221)
+     * @returns {Object} - The builder
+     */
+    fadeout() {
+      push(221, []);
+      return this;
+    },
+
+    /**
+     * Fadein Screen (222)
+     * @returns {Object} - The builder
+     */
+    fadein() {
+      push(222, []);
+      return this;
+    },
+
+    /**
+     * Wait (230)
+     * @param {number} frames - Frames to wait (60 per second)
+     * @returns {Object} - The builder
+     */
+    wait(frames) {
+      push(230, [frames]);
+      return this;
+    },
+
+    /**
+     * Play SE (250)
+     * @param {string} name - Sound effect file name in audio/se, without extension
+     * @param {Object} audioOptions - Audio options
+     * @param {number} audioOptions.volume - Volume (default: 90)
+     * @param {number} audioOptions.pitch - Pitch (default: 100)
+     * @param {number} audioOptions.pan - Pan (default: 0)
+     * @returns {Object} - The builder
+     */
+    playSe(name, audioOptions = {}) {
+      const { volume = 90, pitch = 100, pan = 0 } = audioOptions;
+      push(250, [{ name, volume, pitch, pan }]);
+      return this;
+    },
+
+    /**
+     * Comment (108) with its Comment lines (408)
+     * @param {string|string[]} text - Text with line breaks, or lines
+     * @returns {Object} - The builder
+     */
+    comment(text) {
+      pushContinued(108, 408, toLines(text));
+      return this;
+    },
+
+    /**
+     * Script (355) with its Script lines (655)
+     * @param {string|string[]} code - Script with line breaks, or lines
+     * @returns {Object} - The builder
+     */
+    script(code) {
+      pushContinued(355, 655, toLines(code));
+      return this;
+    },
+
+    /**
+     * Plugin Command of RPG Maker MV (356)
+     * @param {string} text - Command text, such as "Quest Add 1"
+     * @returns {Object} - The builder
+     */
+    pluginCommand(text) {
+      push(356, [text]);
+      return this;
+    },
+
+    /**
+     * Plugin Command of RPG Maker MZ (357) with a Plugin Command line (657) per argument, the
+     * way the editor shows the arguments
+     * @param {string} pluginName - Plugin name
+     * @param {string} commandName - Command name from the @command annotation
+     * @param {Object} args - Arguments by name; values are stored as strings like the editor does
+     * @param {string} text - Command text shown in the editor (default: the command name)
+     * @returns {Object} - The builder
+     */
+    mzPluginCommand(pluginName, commandName, args = {}, text = commandName) {
+      requireMz('Plugin Command (357)');
+      const values = {};
+      Object.entries(args).forEach(([name, value]) => {
+        values[name] = typeof value === 'string' ? value : JSON.stringify(value);
+      });
+      push(357, [pluginName, commandName, text, values]);
+      Object.entries(values).forEach(([name, value]) => push(657, [`${name} = ${value}`]));
+      return this;
+    },
+
+    /**
+     * Any event command, for commands the builder has no method for
+     * @param {number} code - Command code
+     * @param {Array} parameters - Command parameters (default: none)
+     * @returns {Object} - The builder
+     */
+    command(code, parameters = []) {
+      push(code, parameters);
+      return this;
+    },
+
+    /**
+     * Build the event command list
+     * @returns {Object[]} - Event commands, ending with code 0 at the builder's indent
+     */
+    build() {
+      return commands.map(command => ({ ...command, parameters: command.parameters.slice() }))
+        .concat([{ code: 0, indent, parameters: [] }]);
+    },
+
+    /**
+     * Validate the event command list
+     * @returns {Object} - Validation result with success flag and any errors
+     */
+    validate() {
+      return validateEventList(this.build(), { projectType });
+    }
+  };
+};
+
+/**
+ * Check the parameters of one event command
+ * @param {Object} command - Event command
+ * @param {string} projectType - Project type the list is for
+ * @returns {string[]} - Problems with the parameters
+ */
+const checkParameters = (command, projectType) => {
+  const problems = [];
+  const signature = CommandSignatures[command.code];
+  const parameters = command.parameters;
+  if (!signature) return problems;
+
+  signature.parameters.forEach((type, index) => {
+    const value = parameters[index];
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== type) {
+      problems.push(`parameter ${index} is ${actual === 'undefined' ? 'missing' : `a ${actual}`}, expected a ${type}`);
+    }
+  });
+
+  if (command.code === 101 && parameters.length > 4) {
+    if (projectType !== ProjectTypes.MZ) {
+      problems.push('has a speaker name, which only RPG Maker MZ shows');
+    } else if (typeof parameters[4] !== 'string') {
+      problems.push('parameter 4 (speaker name) is not a string');
+    }
+  }
+  if (command.code === 357 && projectType !== ProjectTypes.MZ) {
+    problems.push('is only available in RPG Maker MZ projects');
+  }
+  if (command.code === 123 && !SELF_SWITCHES.includes(parameters[0])) {
+    problems.push(`sets self switch ${parameters[0]}, expected one of ${SELF_SWITCHES.join(', ')}`);
+  }
+  if (command.code === 111 && parameters[0] === 2 && !SELF_SWITCHES.includes(parameters[1])) {
+    problems.push(`checks self switch ${parameters[1]}, expected one of ${SELF_SWITCHES.join(', ')}`);
+  }
+  if (command.code === 102 && Array.isArray(parameters[0]) && parameters[0].length > MAX_CHOICES) {
+    problems.push(`has ${parameters[0].length} choices, at most ${MAX_CHOICES} are shown`);
+  }
+  return problems;
+};
+
+/**
+ * Validate an event command list
+ * @param {Object[]|Object} list - Event commands, or an event builder
+ * @param {Object} options - Validation options
+ * @param {string} options.projectType - Project type the list is for (use ProjectTypes constants, default: mv)
+ * @returns {Object} - Validation result with success flag and any errors
+ */
+const validateEventList = (list, options = {}) => {
+  const projectType = options.projectType || ProjectTypes.MV;
+  const commands = toList(list);
+  const errors = [];
+
+  if (!Array.isArray(commands)) {
+    return { success: false, errors: ['Event list is not an array'] };
+  }
+
+  // The structure checker ends its messages with the file and path, which a list on its own has not
+  eventStructureChecker.checkEventList(commands, 'event', 'list').forEach(issue => {
+    const suffix = ` (event ${issue.path})`;
+    const message = issue.message.endsWith(suffix) ? issue.message.slice(0, -suffix.length) : issue.message;
+    errors.push(`${issue.path}: ${message}`);
+  });
+
+  commands.forEach((command, index) => {
+    if (!command || typeof command.code !== 'number' || !Array.isArray(command.parameters)) return;
+    const name = CommandSignatures[command.code] ? CommandSignatures[command.code].name : 'Command';
+    checkParameters(command, projectType).forEach(problem => {
+      errors.push(`list[${index}]: ${name} (${command.code}) ${problem}`);
+    });
+  });
+
+  return {
+    success: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Create a map event page with an event command list
+ * @param {Object[]|Object} list - Event commands, or an event builder
+ * @param {Object} properties - Page properties to override, such as conditions, image and trigger
+ * @returns {Object} - Event page
+ */
+const createEventPage = (list, properties = {}) => {
+  const page = schemaValidator.getTemplate('eventPage');
+  Object.entries(properties).forEach(([key, value]) => {
+    page[key] = value && typeof value === 'object' && !Array.isArray(value) && page[key]
+      ? { ...page[key], ...value }
+      : value;
+  });
+  page.list = toList(list);
+  return page;
+};
+
+/**
+ * Create a map event
+ * @param {Object} properties - Event properties, such as id, name, x and y
+ * @param {Object[]} pages - Event pages from createEventPage, or event command lists or builders
+ * @returns {Object} - Map event
+ */
+const createMapEvent = (properties, pages) => {
+  const event = { ...schemaValidator.getTemplate('event'), ...properties };
+  event.pages = pages.map(page => (page && Array.isArray(page.list) ? page : createEventPage(page)));
+  return event;
+};
+
+/**
+ * Create a common event
+ * @param {Object} properties - Common event properties, such as id, name, trigger and switchId
+ * @param {Object[]|Object} list - Event commands, or an event builder
+ * @returns {Object} - Common event
+ */
+const createCommonEvent = (properties, list) => {
+  const commonEvent = { ...schemaValidator.getTemplate('commonEvent'), ...properties };
+  commonEvent.list = toList(list);
+  return commonEvent;
+};
+
+module.exports = {
+  ComparisonOperators,
+  VariableOperations,
+  createEventBuilder,
+  validateEventList,
+  createEventPage,
+  createMapEvent,
+  createCommonEvent
+};
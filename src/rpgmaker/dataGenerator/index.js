@@ -2,8 +2,9 @@
  * RPG Maker MV Data Generator
  * 
  * This module provides utilities for generating structured JSON data for RPG Maker MV projects.
- * It includes generators for various data types (Actors, Items, Skills, etc.) and ensures
- * the generated data follows the correct structure expected by RPG Maker MV.
+ * It includes generators for various data types (Actors, Items, Skills, etc.) and a builder for
+ * event command lists, and ensures the generated data follows the correct structure expected
+ * by RPG Maker MV.
  */
 
 const actorGenerator = require('./actorGenerator');
@@ -13,6 +14,7 @@ const weaponGenerator = require('./weaponGenerator');
 const armorGenerator = require('./armorGenerator');
 const enemyGenerator = require('./enemyGenerator');
 const schemaValidator = require('./schemaValidator');
+const eventBuilder = require('./eventBuilder');
 
 /**
  * Generate a new actor with the specified parameters
@@ -78,6 +80,55 @@ const validateData = (type, data) => {
   return schemaValidator.validate(type, data);
 };
 
+/**
+ * Create a fluent builder for an event command list
+ * @param {Object} options - Builder options (projectType, indent)
+ * @returns {Object} - Event builder
+ */
+const createEventBuilder = (options) => {
+  return eventBuilder.createEventBuilder(options);
+};
+
+/**
+ * Validate an event command list: its structure and the parameters of its commands
+ * @param {Object[]|Object} list - Event commands, or an event builder
+ * @param {Object} options - Validation options (projectType)
+ * @returns {Object} - Validation result
+ */
+const validateEventList = (list, options) => {
+  return eventBuilder.validateEventList(list, options);
+};
+
+/**
+ * Create a map event page with an event command list
+ * @param {Object[]|Object} list - Event commands, or an event builder
+ * @param {Object} properties - Page properties to override
+ * @returns {Object} - Event page
+ */
+const createEventPage = (list, properties) => {
+  return eventBuilder.createEventPage(list, properties);
+};
+
+/**
+ * Create a map event with the specified pages
+ * @param {Object} properties - Event properties (id, name, x, y, etc.)
+ * @param {Object[]} pages - Event pages, or event command lists or builders
+ * @returns {Object} - Map event
+ */
+const createMapEvent = (properties, pages) => {
+  return eventBuilder.createMapEvent(properties, pages);
+};
+
+/**
+ * Create a common event with an event command list
+ * @param {Object} properties - Common event properties (id, name, trigger, switchId)
+ * @param {Object[]|Object} list - Event commands, or an event builder
+ * @returns {Object} - Common event
+ */
+const createCommonEvent = (properties, list) => {
+  return eventBuilder.createCommonEvent(properties, list);
+};
+
 /**
  * Generate a complete set of related data (actor with equipment, skills, etc.)
  * @param {Object} params - Parameters for the data set
@@ -124,5 +175,10 @@ module.exports = {
   generateArmor,
   generateEnemy,
   generateRelatedData,
-  validateData
+  validateData,
+  createEventBuilder,
+  validateEventList,
+  createEventPage,
+  createMapEvent,
+  createCommonEvent
 };
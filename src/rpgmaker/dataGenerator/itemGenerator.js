@@ -268,14 +268,16 @@ const generateEffectsNote = (effects, level) => {
       case 22: // Remove State
         note += `Removes status effect #${effect.dataId}\n`;
         break;
-      case 31: // Buff Parameter
+      case 31: { // Buff Parameter
         const buffParams = ['MaxHP', 'MaxMP', 'ATK', 'DEF', 'MAT', 'MDF', 'AGI', 'LUK'];
         note += `Increases ${buffParams[effect.dataId]} for ${effect.value1} turns\n`;
         break;
-      case 32: // Debuff Parameter
+      }
+      case 32: { // Debuff Parameter
         const debuffParams = ['MaxHP', 'MaxMP', 'ATK', 'DEF', 'MAT', 'MDF', 'AGI', 'LUK'];
         note += `Decreases ${debuffParams[effect.dataId]} for ${effect.value1} turns\n`;
         break;
+      }
     }
   });
   
@@ -333,11 +333,465 @@ const enemySchema = {
   }
 };
 
+// Class schema
+const classSchema = {
+  id: 'class',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    expParams: {
+      type: 'array',
+      items: { type: 'integer' }
+    },
+    learnings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          level: { type: 'integer' },
+          note: { type: 'string' },
+          skillId: { type: 'integer' }
+        }
+      }
+    },
+    params: {
+      type: 'array',
+      items: {
+        type: 'array',
+        items: { type: 'integer' }
+      }
+    },
+    traits: {
+      type: 'array',
+      items: { $ref: '#/definitions/trait' }
+    },
+    note: { type: 'string' }
+  },
+  required: ['id', 'name', 'expParams', 'learnings', 'params', 'traits'],
+  definitions: commonDefinitions,
+  template: {
+    id: 1,
+    name: 'Class',
+    expParams: [30, 20, 30, 30],
+    learnings: [],
+    // One curve per parameter (MHP, MMP, ATK, DEF, MAT, MDF, AGI, LUK) for levels 0-99
+    params: [500, 100, 15, 15, 15, 15, 15, 15].map(value => new Array(100).fill(value)),
+    traits: [],
+    note: ''
+  }
+};
+
+// State schema
+const stateSchema = {
+  id: 'state',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    iconIndex: { type: 'integer' },
+    autoRemovalTiming: { type: 'integer' },
+    chanceByDamage: { type: 'integer' },
+    maxTurns: { type: 'integer' },
+    minTurns: { type: 'integer' },
+    message1: { type: 'string' },
+    message2: { type: 'string' },
+    message3: { type: 'string' },
+    message4: { type: 'string' },
+    motion: { type: 'integer' },
+    overlay: { type: 'integer' },
+    priority: { type: 'integer' },
+    releaseByDamage: { type: 'boolean' },
+    removeAtBattleEnd: { type: 'boolean' },
+    removeByDamage: { type: 'boolean' },
+    removeByRestriction: { type: 'boolean' },
+    removeByWalking: { type: 'boolean' },
+    restriction: { type: 'integer' },
+    stepsToRemove: { type: 'integer' },
+    traits: {
+      type: 'array',
+      items: { $ref: '#/definitions/trait' }
+    },
+    note: { type: 'string' }
+  },
+  required: ['id', 'name', 'iconIndex', 'restriction', 'priority', 'traits'],
+  definitions: commonDefinitions,
+  template: {
+    id: 1,
+    name: 'State',
+    iconIndex: 0,
+    autoRemovalTiming: 0,
+    chanceByDamage: 100,
+    maxTurns: 1,
+    minTurns: 1,
+    message1: '',
+    message2: '',
+    message3: '',
+    message4: '',
+    motion: 0,
+    overlay: 0,
+    priority: 50,
+    releaseByDamage: false,
+    removeAtBattleEnd: false,
+    removeByDamage: false,
+    removeByRestriction: false,
+    removeByWalking: false,
+    restriction: 0,
+    stepsToRemove: 100,
+    traits: [],
+    note: ''
+  }
+};
+
+// Event command shared by event pages, common events and troop pages
+const eventCommand = {
+  type: 'object',
+  properties: {
+    code: { type: 'integer' },
+    indent: { type: 'integer' },
+    parameters: { type: 'array' }
+  },
+  required: ['code', 'indent', 'parameters']
+};
+
+// Troop schema
+const troopSchema = {
+  id: 'troop',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    members: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          enemyId: { type: 'integer' },
+          x: { type: 'integer' },
+          y: { type: 'integer' },
+          hidden: { type: 'boolean' }
+        }
+      }
+    },
+    pages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          conditions: { type: 'object' },
+          list: {
+            type: 'array',
+            items: eventCommand
+          },
+          span: { type: 'integer' }
+        }
+      }
+    }
+  },
+  required: ['id', 'name', 'members', 'pages'],
+  template: {
+    id: 1,
+    name: 'Troop',
+    members: [],
+    pages: [
+      {
+        conditions: {
+          actorHp: 50,
+          actorId: 1,
+          actorValid: false,
+          enemyHp: 50,
+          enemyIndex: 0,
+          enemyValid: false,
+          switchId: 1,
+          switchValid: false,
+          turnA: 0,
+          turnB: 0,
+          turnEnding: false,
+          turnValid: false
+        },
+        list: [{ code: 0, indent: 0, parameters: [] }],
+        span: 0
+      }
+    ]
+  }
+};
+
+// Common event schema
+const commonEventSchema = {
+  id: 'commonEvent',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    list: {
+      type: 'array',
+      items: eventCommand
+    },
+    switchId: { type: 'integer' },
+    trigger: { type: 'integer' }
+  },
+  required: ['id', 'name', 'list', 'switchId', 'trigger'],
+  template: {
+    id: 1,
+    name: '',
+    list: [{ code: 0, indent: 0, parameters: [] }],
+    switchId: 1,
+    trigger: 0
+  }
+};
+
+// Animation schema
+const animationSchema = {
+  id: 'animation',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    animation1Hue: { type: 'integer' },
+    animation1Name: { type: 'string' },
+    animation2Hue: { type: 'integer' },
+    animation2Name: { type: 'string' },
+    frames: { type: 'array' },
+    position: { type: 'integer' },
+    timings: { type: 'array' }
+  },
+  required: ['id', 'name', 'frames', 'position', 'timings'],
+  template: {
+    id: 1,
+    name: '',
+    animation1Hue: 0,
+    animation1Name: '',
+    animation2Hue: 0,
+    animation2Name: '',
+    frames: [[]],
+    position: 1,
+    timings: []
+  }
+};
+
+// Tileset schema
+const tilesetSchema = {
+  id: 'tileset',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    flags: {
+      type: 'array',
+      items: { type: 'integer' }
+    },
+    mode: { type: 'integer' },
+    tilesetNames: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    note: { type: 'string' }
+  },
+  required: ['id', 'name', 'flags', 'mode', 'tilesetNames'],
+  template: {
+    id: 1,
+    name: '',
+    flags: new Array(8192).fill(0),
+    mode: 1,
+    tilesetNames: ['', '', '', '', '', '', '', '', ''],
+    note: ''
+  }
+};
+
+// Map info schema (entries of MapInfos.json)
+const mapInfoSchema = {
+  id: 'mapInfo',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    expanded: { type: 'boolean' },
+    name: { type: 'string' },
+    order: { type: 'integer' },
+    parentId: { type: 'integer' },
+    scrollX: { type: 'number' },
+    scrollY: { type: 'number' }
+  },
+  required: ['id', 'name', 'order', 'parentId'],
+  template: {
+    id: 1,
+    expanded: false,
+    name: 'MAP001',
+    order: 1,
+    parentId: 0,
+    scrollX: 0,
+    scrollY: 0
+  }
+};
+
+// Event page schema (pages of map events)
+const eventPageSchema = {
+  id: 'eventPage',
+  type: 'object',
+  properties: {
+    conditions: { type: 'object' },
+    directionFix: { type: 'boolean' },
+    image: { type: 'object' },
+    list: {
+      type: 'array',
+      items: eventCommand
+    },
+    moveFrequency: { type: 'integer' },
+    moveRoute: { type: 'object' },
+    moveSpeed: { type: 'integer' },
+    moveType: { type: 'integer' },
+    priorityType: { type: 'integer' },
+    stepAnime: { type: 'boolean' },
+    through: { type: 'boolean' },
+    trigger: { type: 'integer' },
+    walkAnime: { type: 'boolean' }
+  },
+  required: ['conditions', 'image', 'list', 'moveRoute', 'priorityType', 'trigger'],
+  template: {
+    conditions: {
+      actorId: 1,
+      actorValid: false,
+      itemId: 1,
+      itemValid: false,
+      selfSwitchCh: 'A',
+      selfSwitchValid: false,
+      switch1Id: 1,
+      switch1Valid: false,
+      switch2Id: 1,
+      switch2Valid: false,
+      variableId: 1,
+      variableValid: false,
+      variableValue: 0
+    },
+    directionFix: false,
+    image: {
+      characterIndex: 0,
+      characterName: '',
+      direction: 2,
+      pattern: 0,
+      tileId: 0
+    },
+    list: [{ code: 0, indent: 0, parameters: [] }],
+    moveFrequency: 3,
+    moveRoute: {
+      list: [{ code: 0, parameters: [] }],
+      repeat: true,
+      skippable: false,
+      wait: false
+    },
+    moveSpeed: 3,
+    moveType: 0,
+    priorityType: 0,
+    stepAnime: false,
+    through: false,
+    trigger: 0,
+    walkAnime: true
+  }
+};
+
+// Map event schema (entries of a map's events array)
+const eventSchema = {
+  id: 'event',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    note: { type: 'string' },
+    pages: {
+      type: 'array',
+      items: { $ref: '/eventPage' }
+    },
+    x: { type: 'integer' },
+    y: { type: 'integer' }
+  },
+  required: ['id', 'name', 'pages', 'x', 'y'],
+  template: {
+    id: 1,
+    name: 'EV001',
+    note: '',
+    pages: [eventPageSchema.template],
+    x: 0,
+    y: 0
+  }
+};
+
+// Map schema (MapXXX.json)
+const mapSchema = {
+  id: 'map',
+  type: 'object',
+  properties: {
+    autoplayBgm: { type: 'boolean' },
+    autoplayBgs: { type: 'boolean' },
+    battleback1Name: { type: 'string' },
+    battleback2Name: { type: 'string' },
+    bgm: { type: 'object' },
+    bgs: { type: 'object' },
+    disableDashing: { type: 'boolean' },
+    displayName: { type: 'string' },
+    encounterList: { type: 'array' },
+    encounterStep: { type: 'integer' },
+    height: { type: 'integer' },
+    note: { type: 'string' },
+    parallaxLoopX: { type: 'boolean' },
+    parallaxLoopY: { type: 'boolean' },
+    parallaxName: { type: 'string' },
+    parallaxShow: { type: 'boolean' },
+    parallaxSx: { type: 'integer' },
+    parallaxSy: { type: 'integer' },
+    scrollType: { type: 'integer' },
+    specifyBattleback: { type: 'boolean' },
+    tilesetId: { type: 'integer' },
+    width: { type: 'integer' },
+    data: {
+      type: 'array',
+      items: { type: 'integer' }
+    },
+    events: { type: 'array' }
+  },
+  required: ['data', 'events', 'width', 'height', 'tilesetId'],
+  template: {
+    autoplayBgm: false,
+    autoplayBgs: false,
+    battleback1Name: '',
+    battleback2Name: '',
+    bgm: { name: '', pan: 0, pitch: 100, volume: 90 },
+    bgs: { name: '', pan: 0, pitch: 100, volume: 90 },
+    disableDashing: false,
+    displayName: '',
+    encounterList: [],
+    encounterStep: 30,
+    height: 13,
+    note: '',
+    parallaxLoopX: false,
+    parallaxLoopY: false,
+    parallaxName: '',
+    parallaxShow: true,
+    parallaxSx: 0,
+    parallaxSy: 0,
+    scrollType: 0,
+    specifyBattleback: false,
+    tilesetId: 1,
+    width: 17,
+    // 6 layers of width * height tiles
+    data: new Array(17 * 13 * 6).fill(0),
+    events: [null]
+  }
+};
+
 module.exports = {
   actor: actorSchema,
   item: itemSchema,
   skill: skillSchema,
   weapon: weaponSchema,
   armor: armorSchema,
-  enemy: enemySchema
+  enemy: enemySchema,
+  class: classSchema,
+  state: stateSchema,
+  troop: troopSchema,
+  commonEvent: commonEventSchema,
+  animation: animationSchema,
+  tileset: tilesetSchema,
+  mapInfo: mapInfoSchema,
+  eventPage: eventPageSchema,
+  event: eventSchema,
+  map: mapSchema
 };
@@ -0,0 +1,70 @@
+const { evaluateDamageFormulas } = require('../damageFormulaEvaluator');
+
+/**
+ * Create a database with one actor, one enemy and a skill with a formula
+ * @param {string} formula - Damage formula of the skill
+ * @returns {Object} - Database in the shape of loadDatabase
+ */
+const createDatabase = (formula) => ({
+  actors: [null, { id: 1, name: 'Harold', classId: 1, initialLevel: 1 }],
+  classes: [null, { id: 1, name: 'Hero', params: new Array(8).fill([0, 10, 20]) }],
+  enemies: [null, { id: 1, name: 'Slime', params: [100, 0, 10, 4, 10, 10, 10, 10], actions: [] }],
+  skills: [null, { id: 1, name: 'Attack', damage: { type: 1, formula }, scope: 1 }],
+  items: [null]
+});
+
+const evaluate = (formula) => evaluateDamageFormulas(createDatabase(formula), { levels: [1, 2] });
+
+describe('evaluateDamageFormulas', () => {
+  test('reports the range of a formula at each level', () => {
+    const { formulas, issues } = evaluate('a.atk * 4 - b.def * 2');
+
+    expect(issues).toEqual([]);
+    expect(formulas[0].ranges).toEqual([
+      { level: 1, min: 32, max: 32, evaluations: 1 },
+      { level: 2, min: 72, max: 72, evaluations: 1 }
+    ]);
+  });
+
+  test.each([
+    ['a.castSpell()', 'damage_formula_exception', 'throws TypeError'],
+    ['a.atk * undefined', 'damage_formula_nan', 'gives NaN'],
+    ['b.def - a.atk * 10', 'damage_formula_negative', 'gives a negative result'],
+    ['a.atk * 1e9', 'damage_formula_absurd', 'gives an absurd result']
+  ])('reports problems with %j', (formula, type, text) => {
+    const { issues } = evaluate(formula);
+
+    expect(issues).toEqual([expect.objectContaining({ type, file: 'Skills.json', path: '[1].damage.formula' })]);
+    expect(issues[0].message).toMatch(text);
+  });
+
+  test('stops a formula that never ends', () => {
+    const { issues } = evaluate('while (true) {}');
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].message).toMatch('Script execution timed out');
+  });
+
+  test('stops a formula that schedules an endless microtask', () => {
+    const { issues } = evaluate('Promise.resolve().then(function () { while (true) {} }), 1');
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].message).toMatch('Script execution timed out');
+  });
+
+  test('keeps formulas away from the host', () => {
+    const escapes = [
+      'this.constructor.constructor("return process")().exit(1)',
+      'a.constructor.constructor("return process")().exit(1)',
+      '$gameVariables.value.constructor("return process")().exit(1)',
+      'process.exit(1)',
+      'require("fs")'
+    ];
+
+    escapes.forEach(formula => {
+      const { issues } = evaluate(formula);
+
+      expect(issues).toEqual([expect.objectContaining({ type: 'damage_formula_exception' })]);
+    });
+  });
+});
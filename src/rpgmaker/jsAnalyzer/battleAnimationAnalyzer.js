@@ -6,13 +6,14 @@
  */
 
 const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Analyze battle animations in an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} options - Options for analysis
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzeBattleAnimations(projectPath, options = {}) {
@@ -23,9 +24,9 @@ async function analyzeBattleAnimations(projectPath, options = {}) {
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
-  if (!await fs.pathExists(dataPath)) {
-    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  const database = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(database.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${database.projectPath}`);
   }
 
   // Initialize results
@@ -41,12 +42,10 @@ async function analyzeBattleAnimations(projectPath, options = {}) {
   for (const file of includeFiles) {
     if (excludeFiles.includes(file)) continue;
 
-    const filePath = path.join(dataPath, file);
-    if (!await fs.pathExists(filePath)) continue;
+    const data = database.getFile(file);
+    if (data === null) continue;
 
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const data = parseJson(content);
 
       // Extract animations
       const animations = extractAnimations(data, file, includeAnimationTypes);
@@ -60,7 +59,7 @@ async function analyzeBattleAnimations(projectPath, options = {}) {
   results.commands = analyzeCommands(results.animations);
   results.parameters = analyzeParameters(results.animations);
   results.sequences = analyzeSequences(results.animations);
-  results.relationships = analyzeRelationships(results.animations, projectPath);
+  results.relationships = analyzeRelationships(results.animations, database);
 
   return results;
 }
@@ -369,10 +368,10 @@ function findLongestCommonSubsequence(arr1, arr2) {
 /**
  * Analyze relationships between animations and game mechanics
  * @param {Object[]} animations - Animations
- * @param {string} projectPath - Path to the project
+ * @param {Object} database - Project database
  * @returns {Object} - Relationship analysis
  */
-async function analyzeRelationships(animations, projectPath) {
+async function analyzeRelationships(animations, database) {
   const relationships = {
     bySkillType: {},
     byDamageType: {},
@@ -381,14 +380,12 @@ async function analyzeRelationships(animations, projectPath) {
   };
 
   // Load Skills.json to get skill information
-  const skillsPath = path.join(projectPath, 'data', 'Skills.json');
-  if (!await fs.pathExists(skillsPath)) {
+  const skills = database.skills.toArray();
+  if (!skills) {
     return relationships;
   }
 
   try {
-    const content = await fs.readFile(skillsPath, 'utf8');
-    const skills = parseJson(content);
 
     // Group animations by skill
     for (const animation of animations) {
@@ -558,7 +555,7 @@ function generateSequenceDiagram(animation) {
 }
 
 module.exports = {
-  analyzeBattleAnimations,
+  analyzeBattleAnimations: withProjectCache('battleAnimations', analyzeBattleAnimations),
   extractAnimations,
   parseAnimationCommands,
   analyzeCommands,
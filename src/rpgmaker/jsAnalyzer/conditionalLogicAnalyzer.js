@@ -7,25 +7,26 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { parseJson } = require('../../core');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Analyze conditional logic in an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} options - Options for analysis
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzeConditionalLogic(projectPath, options = {}) {
   const {
     includeFiles = ['States.json', 'CommonEvents.json', 'Map*.json'],
-    excludeFiles = [],
-    includeTypes = ['placeholder_state', 'custom_state_turn', 'conditional_branch']
+    excludeFiles = []
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
-  if (!await fs.pathExists(dataPath)) {
-    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  const database = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(database.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${database.projectPath}`);
   }
 
   // Initialize results
@@ -39,13 +40,12 @@ async function analyzeConditionalLogic(projectPath, options = {}) {
   };
 
   // Get all matching files
-  const files = await getMatchingFiles(dataPath, includeFiles, excludeFiles);
+  const files = await getMatchingFiles(database.dataPath, includeFiles, excludeFiles);
 
   // Process each file
   for (const file of files) {
     try {
-      const content = await fs.readFile(file, 'utf8');
-      const data = parseJson(content);
+      const data = database.getFile(path.relative(database.dataPath, file));
       const fileName = path.basename(file);
 
       // Extract conditional logic based on file type
@@ -843,7 +843,7 @@ function buildDecisionTrees(results) {
   }
   
   // Build a tree for each source
-  for (const [sourceKey, sourceConditions] of Object.entries(conditionsBySource)) {
+  for (const sourceConditions of Object.values(conditionsBySource)) {
     // Sort by depth
     sourceConditions.sort((a, b) => (a.depth || 0) - (b.depth || 0));
     
@@ -1013,7 +1013,7 @@ function generateFlowchart(tree) {
 }
 
 module.exports = {
-  analyzeConditionalLogic,
+  analyzeConditionalLogic: withProjectCache('conditionalLogic', analyzeConditionalLogic),
   extractStateConditionalLogic,
   extractCommonEventConditionalLogic,
   extractMapConditionalLogic,
@@ -6,13 +6,14 @@
  */
 
 const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Analyze custom evaluations in an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} options - Options for analysis
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzeCustomEvals(projectPath, options = {}) {
@@ -23,9 +24,9 @@ async function analyzeCustomEvals(projectPath, options = {}) {
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
-  if (!await fs.pathExists(dataPath)) {
-    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  const database = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(database.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${database.projectPath}`);
   }
 
   // Initialize results
@@ -51,12 +52,10 @@ async function analyzeCustomEvals(projectPath, options = {}) {
   for (const file of includeFiles) {
     if (excludeFiles.includes(file)) continue;
 
-    const filePath = path.join(dataPath, file);
-    if (!await fs.pathExists(filePath)) continue;
+    const data = database.getFile(file);
+    if (data === null) continue;
 
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const data = parseJson(content);
       
       // Extract evaluations
       extractCustomEvals(data, file, includeTypes, results);
@@ -714,7 +713,7 @@ function generateDependencyGraph(results) {
 }
 
 module.exports = {
-  analyzeCustomEvals,
+  analyzeCustomEvals: withProjectCache('customEvals', analyzeCustomEvals),
   extractCustomEvals,
   parseJavaScript,
   extractVariables,
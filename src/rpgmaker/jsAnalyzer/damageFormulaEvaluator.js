@@ -0,0 +1,558 @@
+/**
+ * RPG Maker MV Damage Formula Evaluator
+ *
+ * This module runs the damage formulas of skills and items against mock battlers built from
+ * the real actor, class and enemy parameters of a project. Each formula is run for every
+ * user and target at a set of level brackets, and the results are checked for:
+ * - Exceptions, such as calls to functions that do not exist
+ * - NaN, which the engine turns into 0 damage
+ * - Negative results, which the engine clamps to 0
+ * - Absurd results, beyond what any battler can have as HP
+ * The reported ranges are the formula results before variance, elements, criticals and guarding.
+ *
+ * Formulas run in a separate VM context with a time limit. Everything a formula can reach is
+ * created inside that context from plain values, so a formula cannot get hold of the tool's
+ * objects, and endless loops are stopped, including loops in promise callbacks. Node's vm module is still not meant to run hostile
+ * code, so only analyze projects you would run.
+ */
+
+const fs = require('fs-extra');
+const vm = require('vm');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
+
+/**
+ * Names of the damage types of skills and items
+ * @type {Object}
+ */
+const DamageTypes = {
+  0: 'None',
+  1: 'HP Damage',
+  2: 'MP Damage',
+  3: 'HP Recover',
+  4: 'MP Recover',
+  5: 'HP Drain',
+  6: 'MP Drain'
+};
+
+/**
+ * Parameter names, in the order of the params arrays of classes and enemies
+ * @type {string[]}
+ */
+const PARAM_NAMES = ['mhp', 'mmp', 'atk', 'def', 'mat', 'mdf', 'agi', 'luk'];
+
+/**
+ * Ex-parameter names, with the values used for every mock battler
+ * @type {Object}
+ */
+const XPARAMS = { hit: 0.95, eva: 0.05, cri: 0.04, cev: 0, mev: 0, mrf: 0, cnt: 0, hrg: 0, mrg: 0, trg: 0 };
+
+/**
+ * Sp-parameter names, with the values used for every mock battler
+ * @type {Object}
+ */
+const SPARAMS = { tgr: 1, grd: 1, rec: 1, pha: 1, mcr: 1, tcr: 1, pdr: 1, mdr: 1, fdr: 1, exr: 1 };
+
+/**
+ * Default options for evaluation
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  levels: [1, 25, 50, 75, 99],
+  variables: {},
+  absurdLimit: 999999,
+  timeout: 100
+};
+
+/**
+ * Create a mock battler with the properties and methods damage formulas use
+ * @param {Object} source - Battler source
+ * @param {string} source.kind - 'actor' or 'enemy'
+ * @param {number} source.id - Actor or enemy ID
+ * @param {string} source.name - Name
+ * @param {number[]} source.params - Parameters (mhp, mmp, atk, def, mat, mdf, agi, luk)
+ * @param {number} source.level - Level (actors only; enemies have no level in RPG Maker MV)
+ * @returns {Object} - Mock battler
+ */
+function createMockBattler(source) {
+  const params = PARAM_NAMES.map((name, index) => Number(source.params[index]) || 0);
+  const isActor = source.kind === 'actor';
+
+  const battler = {
+    _hp: params[0],
+    _mp: params[1],
+    _tp: 0,
+    get hp() { return this._hp; },
+    get mp() { return this._mp; },
+    get tp() { return this._tp; },
+    param: paramId => params[paramId] || 0,
+    xparam: xparamId => Object.values(XPARAMS)[xparamId] || 0,
+    sparam: sparamId => Object.values(SPARAMS)[sparamId] || 0,
+    hpRate() { return params[0] > 0 ? this._hp / params[0] : 0; },
+    mpRate() { return params[1] > 0 ? this._mp / params[1] : 0; },
+    tpRate() { return this._tp / 100; },
+    maxTp: () => 100,
+    name: () => source.name,
+    isActor: () => isActor,
+    isEnemy: () => !isActor,
+    isAlive: () => true,
+    isDead: () => false,
+    isStateAffected: () => false,
+    isBuffAffected: () => false,
+    isDebuffAffected: () => false,
+    buff: () => 0,
+    states: () => [],
+    elementRate: () => 1,
+    debuffRate: () => 1,
+    stateRate: () => 1,
+    attackElements: () => [],
+    // State changes made by formulas have no effect on later evaluations
+    setHp(hp) { this._hp = hp; },
+    setMp(mp) { this._mp = mp; },
+    setTp(tp) { this._tp = tp; },
+    gainHp(value) { this._hp += value; },
+    gainMp(value) { this._mp += value; },
+    gainTp(value) { this._tp += value; },
+    addState: () => {},
+    removeState: () => {},
+    addBuff: () => {},
+    addDebuff: () => {}
+  };
+
+  PARAM_NAMES.forEach((name, index) => {
+    Object.defineProperty(battler, name, { get: () => params[index], enumerable: true });
+  });
+  for (const [name, value] of Object.entries({ ...XPARAMS, ...SPARAMS })) {
+    Object.defineProperty(battler, name, { get: () => value, enumerable: true });
+  }
+
+  if (isActor) {
+    battler.level = source.level;
+    battler.actorId = () => source.id;
+    battler.isLearnedSkill = () => false;
+    battler.hasSkill = () => false;
+    battler.hasWeapon = () => false;
+    battler.hasArmor = () => false;
+    battler.equips = () => [];
+    battler.weapons = () => [];
+    battler.armors = () => [];
+  } else {
+    battler.enemyId = () => source.id;
+  }
+
+  return battler;
+}
+
+/**
+ * Get the parameters of an actor at a level from the actor's class
+ * @param {Object} actor - Actor entry
+ * @param {Object[]} classes - Class entries
+ * @param {number} level - Level
+ * @returns {Object|null} - Battler source, or null if the actor's class has no parameters
+ */
+function getActorSource(actor, classes, level) {
+  const actorClass = Array.isArray(classes) ? classes[actor.classId] : null;
+  if (!actorClass || !Array.isArray(actorClass.params)) {
+    return null;
+  }
+
+  // An actor cannot go above its max level
+  const actorLevel = Math.max(1, Math.min(level, actor.maxLevel || level));
+  return {
+    kind: 'actor',
+    id: actor.id,
+    name: actor.name,
+    level: actorLevel,
+    params: PARAM_NAMES.map((name, index) => {
+      const curve = actorClass.params[index];
+      return Array.isArray(curve) ? curve[actorLevel] : 0;
+    })
+  };
+}
+
+/**
+ * Describe a battler source for messages
+ * @param {Object} source - Battler source
+ * @returns {string} - Description, such as "Actor 1 (Harold) Lv 25"
+ */
+function describeSource(source) {
+  const kind = source.kind === 'actor' ? 'Actor' : 'Enemy';
+  const name = source.name ? ` (${source.name})` : '';
+  return `${kind} ${source.id}${name}${source.kind === 'actor' ? ` Lv ${source.level}` : ''}`;
+}
+
+/**
+ * Find out whether actors, enemies or both use each skill
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object} - Sets of skill IDs (actorSkills, enemySkills)
+ */
+function getSkillUsers(database) {
+  const actorSkills = new Set();
+  const enemySkills = new Set();
+
+  for (const entry of database.classes || []) {
+    if (!entry || !Array.isArray(entry.learnings)) continue;
+    entry.learnings.forEach(learning => learning && actorSkills.add(learning.skillId));
+  }
+
+  // Trait 43 (Add Skill) on anything an actor can have
+  for (const table of ['actors', 'classes', 'weapons', 'armors', 'states']) {
+    for (const entry of database[table] || []) {
+      if (!entry || !Array.isArray(entry.traits)) continue;
+      entry.traits.forEach(trait => trait && trait.code === 43 && actorSkills.add(trait.dataId));
+    }
+  }
+
+  for (const enemy of database.enemies || []) {
+    if (!enemy || !Array.isArray(enemy.actions)) continue;
+    enemy.actions.forEach(action => action && enemySkills.add(action.skillId));
+  }
+
+  return { actorSkills, enemySkills };
+}
+
+/**
+ * Create the sandbox context that formulas run in
+ *
+ * The context gets nothing from the tool but the text of its setup script: its global object
+ * has no prototype, and the mock battlers, v and the game objects are created inside it from
+ * JSON. Standard objects such as Math are the context's own, so no constructor chain leads
+ * back to the tool. The context has its own microtask queue, which is run before each
+ * evaluation returns.
+ * @param {Object} variables - Game variable values by ID
+ * @param {string} code - Formula code
+ * @param {Object[]} sources - Battler sources, referred to by index when evaluating
+ * @returns {Object} - VM context
+ */
+function createSandbox(variables, code, sources) {
+  // Promise callbacks run within each evaluation, so the time limit covers them as well
+  const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+  const constants = { PARAM_NAMES, XPARAMS, SPARAMS };
+
+  vm.runInContext(`(function (global, constants, variables, formula, sources) {
+  var PARAM_NAMES = constants.PARAM_NAMES;
+  var XPARAMS = constants.XPARAMS;
+  var SPARAMS = constants.SPARAMS;
+  var createMockBattler = ${createMockBattler.toString()};
+  var stringify = JSON.stringify;
+
+  // Unset variables are 0, like $gameVariables.value()
+  var values = new Proxy([], {
+    get: function (target, key) {
+      return typeof key === 'string' && /^\\d+$/.test(key) ? Number(variables[key]) || 0 : target[key];
+    }
+  });
+  global.$gameVariables = { value: function (variableId) { return values[variableId]; } };
+  global.$gameSwitches = { value: function () { return false; } };
+
+  // Runs the formula the way the engine does, with a, b and v in scope, and returns the result as JSON
+  Object.defineProperty(global, '__evaluate', {
+    value: function (userIndex, targetIndex) {
+      var a = createMockBattler(sources[userIndex]);
+      var b = createMockBattler(sources[targetIndex]);
+      var v = values;
+      var value;
+      try {
+        value = eval(formula);
+      } catch (error) {
+        var text = 'Error';
+        try {
+          text = String((error && error.name) || 'Error') + ': ' + String(error && error.message);
+        } catch (describeError) {
+          // An error that cannot be described is reported as Error
+        }
+        return stringify({ error: text });
+      }
+
+      value = typeof value === 'boolean' ? Number(value) : value;
+      if (typeof value === 'number') {
+        return stringify({ number: String(value) });
+      }
+      try {
+        return stringify({ text: String(value) });
+      } catch (describeError) {
+        return stringify({ text: typeof value });
+      }
+    }
+  });
+})(this, ${JSON.stringify(constants)}, ${JSON.stringify(variables || {})}, ${JSON.stringify(code)}, ${JSON.stringify(sources)});`, context);
+
+  return context;
+}
+
+/**
+ * Run a formula in its sandbox for one user and target
+ * @param {Object} context - Context from createSandbox
+ * @param {number} userIndex - Index of the user's battler source
+ * @param {number} targetIndex - Index of the target's battler source
+ * @param {number} timeout - Time limit in milliseconds
+ * @returns {Object} - The result ({ value }), or the error the formula threw ({ error })
+ */
+function runFormula(context, userIndex, targetIndex, timeout) {
+  // Only the indexes go in and only a JSON string comes out
+  const raw = vm.runInContext(`__evaluate(${userIndex}, ${targetIndex})`, context, { timeout });
+  const result = typeof raw === 'string' ? JSON.parse(raw) : {};
+  if (typeof result.error === 'string') {
+    return { error: result.error };
+  }
+  if (typeof result.number === 'string') {
+    return { value: Number(result.number) };
+  }
+  return { value: typeof result.text === 'string' ? result.text : 'undefined' };
+}
+
+/**
+ * Evaluate one formula against every user and target pair at every level bracket
+ * @param {Object} formula - Formula (label, code, userKinds, targetsFriends)
+ * @param {Object} database - Database from loadDatabase
+ * @param {Object} options - Evaluation options
+ * @returns {Object} - Ranges per level and problems found
+ */
+function evaluateFormula(formula, database, options) {
+  const problems = { exception: [], nan: [], negative: [], absurd: [] };
+  const ranges = [];
+  let evaluations = 0;
+  let timedOut = false;
+
+  try {
+    new vm.Script(formula.code, { filename: 'formula.js' });
+  } catch (error) {
+    problems.exception.push({ error: `${error.name}: ${error.message}`, user: null, target: null });
+    return { ranges, evaluations, problems };
+  }
+
+  const sources = [];
+  const addSource = source => sources.push(source) - 1;
+  const enemies = (database.enemies || [])
+    .filter(enemy => enemy && Array.isArray(enemy.params))
+    .map(enemy => ({ kind: 'enemy', id: enemy.id, name: enemy.name, params: enemy.params }));
+  enemies.forEach(enemy => { enemy.index = addSource(enemy); });
+
+  const brackets = options.levels.map(level => {
+    const actors = (database.actors || [])
+      .filter(actor => actor)
+      .map(actor => getActorSource(actor, database.classes, level))
+      .filter(source => source);
+    actors.forEach(actor => { actor.index = addSource(actor); });
+
+    const pairs = [];
+    if (formula.userKinds.includes('actor')) {
+      const targets = formula.targetsFriends ? actors : enemies;
+      actors.forEach(user => targets.forEach(target => pairs.push([user, target])));
+    }
+    if (formula.userKinds.includes('enemy')) {
+      const targets = formula.targetsFriends ? enemies : actors;
+      enemies.forEach(user => targets.forEach(target => pairs.push([user, target])));
+    }
+    return { level, pairs };
+  });
+
+  const context = createSandbox(options.variables, formula.code, sources);
+
+  for (const { level, pairs } of brackets) {
+    if (timedOut) break;
+
+    let min = null;
+    let max = null;
+    for (const [user, target] of pairs) {
+      evaluations++;
+
+      // Fresh battlers are created for each run, so changes made by one run do not leak into the next
+      let result;
+      try {
+        result = runFormula(context, user.index, target.index, options.timeout);
+      } catch (error) {
+        result = { error: `${error.name || 'Error'}: ${error.message}` };
+        // A formula that runs out of time once will do so for every pair
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+          timedOut = true;
+        }
+      }
+      if (result.error) {
+        problems.exception.push({ error: result.error, user, target });
+        if (timedOut) break;
+        continue;
+      }
+
+      const value = result.value;
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        problems.nan.push({ value, user, target });
+        continue;
+      }
+      if (value < 0) {
+        problems.negative.push({ value, user, target });
+      } else if (!Number.isFinite(value) || value > options.absurdLimit) {
+        problems.absurd.push({ value, user, target });
+      }
+
+      min = min === null ? value : Math.min(min, value);
+      max = max === null ? value : Math.max(max, value);
+    }
+
+    ranges.push({ level, min, max, evaluations: pairs.length });
+  }
+
+  return { ranges, evaluations, problems };
+}
+
+/**
+ * Create an issue for one kind of problem with a formula
+ * @param {Object} formula - Formula
+ * @param {string} kind - Problem kind (exception, nan, negative, absurd)
+ * @param {Object[]} occurrences - Occurrences of the problem
+ * @param {number} evaluations - Number of evaluations of the formula
+ * @returns {Object} - Issue
+ */
+function createIssue(formula, kind, occurrences, evaluations) {
+  const first = occurrences[0];
+  const between = first.user ? ` for ${describeSource(first.user)} against ${describeSource(first.target)}` : '';
+  const count = first.user ? `; ${occurrences.length} of ${evaluations} evaluations` : '';
+
+  const details = {
+    exception: { severity: 'error', text: `throws ${first.error}`, effect: '' },
+    nan: { severity: 'error', text: `gives ${typeof first.value === 'number' ? 'NaN' : `a non-number (${String(first.value)})`}`, effect: ', which deals 0 damage' },
+    negative: { severity: 'warning', text: `gives a negative result (${first.value})`, effect: ', which deals 0 damage' },
+    absurd: { severity: 'warning', text: `gives an absurd result (${first.value})`, effect: '' }
+  }[kind];
+
+  return {
+    type: `damage_formula_${kind}`,
+    message: `Damage formula of ${formula.label} ${details.text}${between}${details.effect}${count}`,
+    file: formula.file,
+    path: formula.path,
+    line: 0,
+    column: 0,
+    severity: details.severity,
+    fixable: false
+  };
+}
+
+/**
+ * Evaluate the damage formulas of every skill and item in a database
+ * @param {Object} database - Database from loadDatabase
+ * @param {Object} options - Evaluation options
+ * @param {number[]} options.levels - Actor level brackets (default: 1, 25, 50, 75, 99)
+ * @param {Object} options.variables - Game variable values by ID, used for v[n] (default: all 0)
+ * @param {number} options.absurdLimit - Results above this are reported as absurd (default: 999999)
+ * @param {number} options.timeout - Time limit per evaluation in milliseconds (default: 100)
+ * @returns {Object} - Evaluation results (formulas, issues)
+ */
+function evaluateDamageFormulas(database, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { actorSkills, enemySkills } = getSkillUsers(database);
+  const results = { formulas: [], issues: [] };
+
+  const tables = [
+    ['skills', 'Skills.json', 'Skill'],
+    ['items', 'Items.json', 'Item']
+  ];
+  for (const [table, file, kind] of tables) {
+    (database[table] || []).forEach((entry, index) => {
+      if (!entry || !entry.damage || entry.damage.type === 0) return;
+      if (typeof entry.damage.formula !== 'string' || !entry.damage.formula.trim()) return;
+
+      // Skills only enemies use run with enemy users; everything else runs with actor users
+      let userKinds = ['actor'];
+      if (table === 'skills' && enemySkills.has(entry.id)) {
+        userKinds = actorSkills.has(entry.id) ? ['actor', 'enemy'] : ['enemy'];
+      }
+
+      const formula = {
+        label: `${kind} ${index}${entry.name ? ` (${entry.name})` : ''}`,
+        file,
+        path: `[${index}].damage.formula`,
+        code: entry.damage.formula,
+        userKinds,
+        // Scopes 7 to 11 target allies or the user
+        targetsFriends: entry.scope >= 7 && entry.scope <= 11
+      };
+
+      const { ranges, evaluations, problems } = evaluateFormula(formula, database, settings);
+      const issues = Object.entries(problems)
+        .filter(([, occurrences]) => occurrences.length > 0)
+        .map(([problemKind, occurrences]) => createIssue(formula, problemKind, occurrences, evaluations));
+
+      results.formulas.push({
+        file,
+        id: entry.id,
+        name: entry.name,
+        path: formula.path,
+        formula: formula.code,
+        damageType: DamageTypes[entry.damage.type] || `Unknown (${entry.damage.type})`,
+        users: userKinds,
+        ranges,
+        evaluations,
+        issues
+      });
+      results.issues.push(...issues);
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Evaluate the damage formulas of every skill and item in an RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
+ * @param {Object} options - Evaluation options (see evaluateDamageFormulas)
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
+ * @returns {Promise<Object>} - Evaluation results (formulas, issues)
+ */
+async function analyzeDamageFormulas(projectPath, options = {}) {
+  // Validate project path
+  const project = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(project.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${project.projectPath}`);
+  }
+
+  const database = project.toDatabase();
+  return evaluateDamageFormulas(database, options);
+}
+
+/**
+ * Generate a Markdown report of damage formula evaluation
+ * @param {Object} results - Results from evaluateDamageFormulas
+ * @returns {string} - Markdown report
+ */
+function generateDamageFormulaReport(results) {
+  let report = '# Damage Formula Report\n\n';
+
+  report += '## Summary\n\n';
+  report += `- Formulas evaluated: ${results.formulas.length}\n`;
+  report += `- Formulas with issues: ${results.formulas.filter(formula => formula.issues.length > 0).length}\n`;
+  report += `- Issues: ${results.issues.length}\n\n`;
+
+  if (results.issues.length > 0) {
+    report += '## Issues\n\n';
+    for (const issue of results.issues) {
+      report += `- **${issue.severity}** ${issue.message}\n`;
+    }
+    report += '\n';
+  }
+
+  report += '## Damage Ranges\n\n';
+  for (const formula of results.formulas) {
+    report += `### ${formula.file} ${formula.id}${formula.name ? ` (${formula.name})` : ''}\n\n`;
+    report += `- Formula: \`${formula.formula}\`\n`;
+    report += `- Type: ${formula.damageType}\n`;
+    report += `- Users: ${formula.users.join(', ')}\n\n`;
+    report += '| Level | Min | Max | Evaluations |\n';
+    report += '| --- | --- | --- | --- |\n';
+    for (const range of formula.ranges) {
+      const min = range.min === null ? '-' : Math.round(range.min * 100) / 100;
+      const max = range.max === null ? '-' : Math.round(range.max * 100) / 100;
+      report += `| ${range.level} | ${min} | ${max} | ${range.evaluations} |\n`;
+    }
+    report += '\n';
+  }
+
+  return report;
+}
+
+module.exports = {
+  DamageTypes,
+  createMockBattler,
+  evaluateDamageFormulas,
+  analyzeDamageFormulas: withProjectCache('damageFormulas', analyzeDamageFormulas),
+  generateDamageFormulaReport
+};
@@ -6,13 +6,14 @@
  */
 
 const fs = require('fs-extra');
-const path = require('path');
-const { parseJson } = require('../../core');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Analyze game tags in an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} options - Options for analysis
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzeGameTags(projectPath, options = {}) {
@@ -23,9 +24,9 @@ async function analyzeGameTags(projectPath, options = {}) {
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
-  if (!await fs.pathExists(dataPath)) {
-    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  const database = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(database.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${database.projectPath}`);
   }
 
   // Initialize results
@@ -48,12 +49,10 @@ async function analyzeGameTags(projectPath, options = {}) {
   for (const file of includeFiles) {
     if (excludeFiles.includes(file)) continue;
 
-    const filePath = path.join(dataPath, file);
-    if (!await fs.pathExists(filePath)) continue;
+    const data = database.getFile(file);
+    if (data === null) continue;
 
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const data = parseJson(content);
       
       // Extract tags
       extractGameTags(data, file, includeTagTypes, results);
@@ -171,10 +170,10 @@ function hasJavaScript(value) {
   // Check for JavaScript operators and keywords
   const jsPatterns = [
     /\+\s*\d/, // Addition
-    /\-\s*\d/, // Subtraction
+    /-\s*\d/, // Subtraction
     /\*\s*\d/, // Multiplication
     /\/\s*\d/, // Division
-    /\%\s*\d/, // Modulo
+    /%\s*\d/, // Modulo
     /Math\./, // Math functions
     /\bif\b/, // if keyword
     /\belse\b/, // else keyword
@@ -194,7 +193,7 @@ function hasJavaScript(value) {
     /\[\]/, // array literal
     /\{\}/, // object literal
     /\(\)/, // function call
-    /\=\>/, // arrow function
+    /=>/, // arrow function
     /\$[a-zA-Z]/ // RPG Maker global variables
   ];
   
@@ -385,7 +384,7 @@ function analyzeExpressions(code, analysis) {
   }
   
   // Arithmetic expressions
-  const arithmeticRegex = /(\d+\s*[\+\-\*\/\%]\s*\d+)/g;
+  const arithmeticRegex = /(\d+\s*[+\-*/%]\s*\d+)/g;
   
   while ((match = arithmeticRegex.exec(code)) !== null) {
     const expr = match[1];
@@ -537,7 +536,7 @@ function generateJavaScriptUsageChart(results) {
 }
 
 module.exports = {
-  analyzeGameTags,
+  analyzeGameTags: withProjectCache('gameTags', analyzeGameTags),
   extractGameTags,
   analyzeTagValues,
   analyzeRelationships,
@@ -13,6 +13,8 @@ const customEvalAnalyzer = require('./customEvalAnalyzer');
 const gameTagAnalyzer = require('./gameTagAnalyzer');
 const relationshipMapper = require('./relationshipMapper');
 const visualizer = require('./visualizer');
+const scriptSyntaxChecker = require('./scriptSyntaxChecker');
+const damageFormulaEvaluator = require('./damageFormulaEvaluator');
 
 // Export all submodules
 module.exports = {
@@ -22,5 +24,7 @@ module.exports = {
   customEvalAnalyzer,
   gameTagAnalyzer,
   relationshipMapper,
-  visualizer
+  visualizer,
+  scriptSyntaxChecker,
+  damageFormulaEvaluator
 };
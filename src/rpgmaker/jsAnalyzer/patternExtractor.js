@@ -6,33 +6,33 @@
  */
 
 const fs = require('fs-extra');
-const path = require('path');
 const glob = require('glob');
-const { parseJson } = require('../../core');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Extract JavaScript patterns from an RPG Maker MV project
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} options - Options for extraction
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
  * @returns {Promise<Object>} - Extracted patterns
  */
 async function extractPatterns(projectPath, options = {}) {
   const {
-    includeFiles = ['*.json'],
     excludeFiles = [],
     recursive = true
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
-  if (!await fs.pathExists(dataPath)) {
-    throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
+  const database = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(database.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${database.projectPath}`);
   }
 
   // Get all JSON files
   const pattern = recursive ? '**/*.json' : '*.json';
   const files = glob.sync(pattern, {
-    cwd: dataPath,
+    cwd: database.dataPath,
     nodir: true,
     ignore: excludeFiles
   });
@@ -47,10 +47,8 @@ async function extractPatterns(projectPath, options = {}) {
 
   // Process each file
   for (const file of files) {
-    const filePath = path.join(dataPath, file);
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const data = parseJson(content);
+      const data = database.getFile(file);
 
       // Extract patterns based on file type
       if (file.startsWith('Skills')) {
@@ -834,7 +832,7 @@ function isJavaScriptKeyword(str) {
 }
 
 module.exports = {
-  extractPatterns,
+  extractPatterns: withProjectCache('patterns', extractPatterns),
   analyzePatterns,
   extractBattleAnimationPatterns,
   extractConditionalLogicPatterns,
@@ -5,30 +5,28 @@
  * It identifies which scripts affect which game mechanics and builds dependency graphs.
  */
 
-const fs = require('fs-extra');
 const path = require('path');
-const { parseJson } = require('../../core');
+const { getProjectDatabase } = require('../utils/projectDatabase');
 
 /**
  * Map relationships between JavaScript and game elements
- * @param {string} projectPath - Path to the RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {Object} analysisResults - Previous analysis results
  * @returns {Promise<Object>} - Relationship mapping
  */
 async function mapJavaScriptRelationships(projectPath, analysisResults = null) {
+  const database = getProjectDatabase(projectPath);
+
   // If no analysis results provided, load system data
   if (!analysisResults) {
     analysisResults = {
-      projectName: path.basename(projectPath)
+      projectName: path.basename(database.projectPath)
     };
     
     // Load system data
-    const systemPath = path.join(projectPath, 'data', 'System.json');
-    if (await fs.pathExists(systemPath)) {
-      const systemData = parseJson(await fs.readFile(systemPath, 'utf8'));
-      if (systemData && systemData.gameTitle) {
-        analysisResults.projectName = systemData.gameTitle;
-      }
+    const systemData = database.system.get();
+    if (systemData && systemData.gameTitle) {
+      analysisResults.projectName = systemData.gameTitle;
     }
   }
 
@@ -50,10 +48,10 @@ async function mapJavaScriptRelationships(projectPath, analysisResults = null) {
   };
 
   // Map relationships
-  await mapBattleAnimationRelationships(projectPath, analysisResults, results);
-  await mapConditionalLogicRelationships(projectPath, analysisResults, results);
-  await mapCustomEvalRelationships(projectPath, analysisResults, results);
-  await mapGameTagRelationships(projectPath, analysisResults, results);
+  await mapBattleAnimationRelationships(database, analysisResults, results);
+  await mapConditionalLogicRelationships(database, analysisResults, results);
+  await mapCustomEvalRelationships(database, analysisResults, results);
+  await mapGameTagRelationships(database, analysisResults, results);
   
   // Build dependency graph
   buildDependencyGraph(results);
@@ -63,11 +61,11 @@ async function mapJavaScriptRelationships(projectPath, analysisResults = null) {
 
 /**
  * Map battle animation relationships
- * @param {string} projectPath - Path to the project
+ * @param {Object} database - Project database
  * @param {Object} analysisResults - Analysis results
  * @param {Object} results - Results object to update
  */
-async function mapBattleAnimationRelationships(projectPath, analysisResults, results) {
+async function mapBattleAnimationRelationships(database, analysisResults, results) {
   // Skip if no battle animations in analysis results
   if (!analysisResults.battleAnimations || !analysisResults.battleAnimations.animations) {
     return;
@@ -76,13 +74,12 @@ async function mapBattleAnimationRelationships(projectPath, analysisResults, res
   const animations = analysisResults.battleAnimations.animations;
   
   // Load Skills.json to get skill information
-  const skillsPath = path.join(projectPath, 'data', 'Skills.json');
-  if (!await fs.pathExists(skillsPath)) {
+  const skills = database.skills.toArray();
+  if (!skills) {
     return;
   }
   
   try {
-    const skills = parseJson(await fs.readFile(skillsPath, 'utf8'));
     
     // Map relationships for each animation
     for (const animation of animations) {
@@ -157,11 +154,11 @@ function mapAnimationToSkillMechanics(animation, skill, results) {
 
 /**
  * Map conditional logic relationships
- * @param {string} projectPath - Path to the project
+ * @param {Object} database - Project database
  * @param {Object} analysisResults - Analysis results
  * @param {Object} results - Results object to update
  */
-async function mapConditionalLogicRelationships(projectPath, analysisResults, results) {
+async function mapConditionalLogicRelationships(database, analysisResults, results) {
   // Skip if no conditional logic in analysis results
   if (!analysisResults.conditionalLogic || !analysisResults.conditionalLogic.conditions) {
     return;
@@ -232,11 +229,11 @@ function mapStateTransitions(stateTransitions, results) {
 
 /**
  * Map custom eval relationships
- * @param {string} projectPath - Path to the project
+ * @param {Object} database - Project database
  * @param {Object} analysisResults - Analysis results
  * @param {Object} results - Results object to update
  */
-async function mapCustomEvalRelationships(projectPath, analysisResults, results) {
+async function mapCustomEvalRelationships(database, analysisResults, results) {
   // Skip if no custom evals in analysis results
   if (!analysisResults.customEvals || !analysisResults.customEvals.evaluations) {
     return;
@@ -331,11 +328,11 @@ function mapObjectDependencies(objectDependencies, results) {
 
 /**
  * Map game tag relationships
- * @param {string} projectPath - Path to the project
+ * @param {Object} database - Project database
  * @param {Object} analysisResults - Analysis results
  * @param {Object} results - Results object to update
  */
-async function mapGameTagRelationships(projectPath, analysisResults, results) {
+async function mapGameTagRelationships(database, analysisResults, results) {
   // Skip if no game tags in analysis results
   if (!analysisResults.gameTags || !analysisResults.gameTags.tags) {
     return;
@@ -0,0 +1,216 @@
+/**
+ * RPG Maker MV Script Syntax Checker
+ *
+ * This module finds every piece of JavaScript embedded in RPG Maker MV data files and
+ * compiles it without running it. Syntax errors are reported with the entity and field
+ * they were found in and the line and column inside the script.
+ *
+ * Scripts are compiled as programs, the same way the engine runs them with eval():
+ * - Script event commands (355 with 655 continuation lines)
+ * - Control Variables commands with a script operand (122)
+ * - Conditional Branch commands with a script condition (111)
+ * - Skill and item damage formulas
+ * - Eval notetags, such as <Custom Show Eval> or <Damage Formula>, and the <JS ...> notetags
+ *   that RPG Maker MZ plugins use instead, such as <JS Pre-Damage as User>
+ */
+
+const fs = require('fs-extra');
+const vm = require('vm');
+const { forEachEventList } = require('../analyzer/referenceChecker');
+const { withProjectCache } = require('../utils/analysisCache');
+const { getProjectDatabase } = require('../utils/projectDatabase');
+
+/**
+ * Notetags whose content is evaluated as JavaScript by common plugins: tags ending in Eval,
+ * Formula or Requirement in RPG Maker MV, tags starting with JS in RPG Maker MZ
+ * @type {RegExp}
+ */
+const EVAL_NOTETAG_PATTERN = /<(JS [\w ,%-]+?|[A-Za-z][\w ]*?(?:Eval|Formula|Requirement))>([\s\S]*?)<\/\1>/gi;
+
+/**
+ * Compile a script without running it
+ * @param {string} code - JavaScript code
+ * @returns {Object|null} - Syntax error (message, line, column within the script) or null if the script compiles
+ */
+function checkScriptSyntax(code) {
+  const filename = 'script.js';
+
+  try {
+    new vm.Script(code, { filename });
+    return null;
+  } catch (error) {
+    if (!(error instanceof SyntaxError) && error.name !== 'SyntaxError') {
+      throw error;
+    }
+
+    // The stack starts with "script.js:<line>", the source line and a caret under the column
+    const stackLines = (error.stack || '').split('\n');
+    const lineMatch = stackLines[0].match(/:(\d+)$/);
+    const caretIndex = stackLines[2] ? stackLines[2].indexOf('^') : -1;
+
+    return {
+      message: error.message,
+      line: lineMatch ? parseInt(lineMatch[1], 10) : 1,
+      column: caretIndex >= 0 ? caretIndex + 1 : 1
+    };
+  }
+}
+
+/**
+ * Extract the scripts from an event command list
+ * @param {Object[]} list - Event commands
+ * @param {string} file - File the list is in
+ * @param {string} listPath - Path of the list
+ * @param {Object[]} scripts - Script list to append to
+ */
+function extractEventScripts(list, file, listPath, scripts) {
+  list.forEach((command, index) => {
+    if (!command || !Array.isArray(command.parameters)) return;
+    const commandPath = `${listPath}[${index}]`;
+
+    if (command.code === 355) {
+      // Each 655 command after a 355 is one more line of the same script
+      const paths = [`${commandPath}.parameters[0]`];
+      const lines = [String(command.parameters[0])];
+      for (let next = index + 1; next < list.length && list[next] && list[next].code === 655; next++) {
+        paths.push(`${listPath}[${next}].parameters[0]`);
+        lines.push(String(list[next].parameters[0]));
+      }
+
+      scripts.push({ kind: 'script_command', label: 'Script command', file, path: paths[0], linePaths: paths, code: lines.join('\n') });
+    } else if (command.code === 122 && command.parameters[3] === 4) {
+      scripts.push({ kind: 'control_variables', label: 'Control Variables script', file, path: `${commandPath}.parameters[4]`, code: String(command.parameters[4]) });
+    } else if (command.code === 111 && command.parameters[0] === 12) {
+      scripts.push({ kind: 'conditional_branch', label: 'Conditional Branch script', file, path: `${commandPath}.parameters[1]`, code: String(command.parameters[1]) });
+    }
+  });
+}
+
+/**
+ * Extract the damage formulas and eval notetags from database entries
+ * @param {Object[]} entries - Database entries
+ * @param {string} file - File the entries are in
+ * @param {string} kind - Kind of entry, used in labels (e.g. 'Skill')
+ * @param {Object[]} scripts - Script list to append to
+ */
+function extractEntryScripts(entries, file, kind, scripts) {
+  entries.forEach((entry, index) => {
+    if (!entry) return;
+    const name = `${kind} ${index}${entry.name ? ` (${entry.name})` : ''}`;
+
+    // Damage type 0 is "None"; its formula is never evaluated
+    if (entry.damage && entry.damage.type !== 0 && typeof entry.damage.formula === 'string' && entry.damage.formula.trim()) {
+      scripts.push({ kind: 'damage_formula', label: `Damage formula of ${name}`, file, path: `[${index}].damage.formula`, code: entry.damage.formula });
+    }
+
+    if (typeof entry.note === 'string' && entry.note) {
+      const regex = new RegExp(EVAL_NOTETAG_PATTERN.source, EVAL_NOTETAG_PATTERN.flags);
+      let match;
+      while ((match = regex.exec(entry.note)) !== null) {
+        // Lines before the tag content, so errors can be mapped to the line of the note
+        const noteLine = entry.note.slice(0, match.index + match[0].indexOf('>') + 1).split('\n').length;
+        scripts.push({
+          kind: 'eval_notetag',
+          label: `<${match[1]}> notetag of ${name}`,
+          file,
+          path: `[${index}].note`,
+          code: match[2],
+          noteLine
+        });
+      }
+    }
+  });
+}
+
+/**
+ * Extract every embedded script from a database
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object[]} - Scripts (kind, label, file, path, code)
+ */
+function extractScripts(database) {
+  const scripts = [];
+
+  forEachEventList(database, (list, file, listPath) => {
+    extractEventScripts(list, file, listPath, scripts);
+  });
+
+  const noteTables = [
+    ['actors', 'Actors.json', 'Actor'],
+    ['armors', 'Armors.json', 'Armor'],
+    ['classes', 'Classes.json', 'Class'],
+    ['enemies', 'Enemies.json', 'Enemy'],
+    ['items', 'Items.json', 'Item'],
+    ['skills', 'Skills.json', 'Skill'],
+    ['states', 'States.json', 'State'],
+    ['weapons', 'Weapons.json', 'Weapon']
+  ];
+  for (const [table, file, kind] of noteTables) {
+    if (Array.isArray(database[table])) {
+      extractEntryScripts(database[table], file, kind, scripts);
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * Compile every embedded script in a database and report syntax errors
+ * @param {Object} database - Database from loadDatabase
+ * @returns {Object[]} - Syntax errors as analyzer issues
+ */
+function checkScripts(database) {
+  const issues = [];
+
+  for (const script of extractScripts(database)) {
+    const error = checkScriptSyntax(script.code);
+    if (!error) continue;
+
+    // Point at the 655 line of a multi-line script command that holds the error
+    const issuePath = script.linePaths ? script.linePaths[error.line - 1] || script.path : script.path;
+    const where = script.noteLine
+      ? `note line ${script.noteLine + error.line - 1}, column ${error.column}`
+      : `line ${error.line}, column ${error.column}`;
+
+    issues.push({
+      type: 'script_syntax_error',
+      message: `${script.label} has a syntax error at ${where}: ${error.message} (${script.file} ${issuePath})`,
+      file: script.file,
+      path: issuePath,
+      scriptKind: script.kind,
+      scriptLine: error.line,
+      scriptColumn: error.column,
+      line: 0,
+      column: 0,
+      severity: 'error',
+      fixable: false
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check the syntax of every embedded script in an RPG Maker MV project
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
+ * @param {Object} options - Options
+ * @param {boolean|Object} options.cache - Reuse the result for an unchanged project from the on-disk cache (true, or a cache from openCache)
+ * @returns {Promise<Object[]>} - Syntax errors
+ */
+async function analyzeScriptSyntax(projectPath, options = {}) {
+  // Validate project path
+  const project = getProjectDatabase(projectPath);
+  if (!await fs.pathExists(project.dataPath)) {
+    throw new Error(`Invalid RPG Maker MV project path: ${project.projectPath}`);
+  }
+
+  const database = project.toDatabase();
+  return checkScripts(database);
+}
+
+module.exports = {
+  EVAL_NOTETAG_PATTERN,
+  checkScriptSyntax,
+  extractScripts,
+  checkScripts,
+  analyzeScriptSyntax: withProjectCache('scriptSyntax', analyzeScriptSyntax)
+};
@@ -9,7 +9,7 @@ const fs = require('fs-extra');
 const path = require('path');
 
 /**
- * Generate visualizations of JavaScript analysis
+ * @param {string|Object} projectPath - Path to the RPG Maker MV project, or a project database
  * @param {string} projectPath - Path to the RPG Maker MV project
  * @param {Object} analysisResults - Analysis results
  * @param {Object} options - Options for visualization
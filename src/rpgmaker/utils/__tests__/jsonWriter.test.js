@@ -0,0 +1,86 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Layouts, detectJsonFormat, formatDataFile, writeDataFile } = require('../jsonWriter');
+
+const ITEMS = [null, { id: 1, name: 'Potion' }, { id: 2, name: 'Ether' }];
+const DATABASE_CONTENT = '[\nnull,\n{"id":1,"name":"Potion"},\n{"id":2,"name":"Ether"}\n]';
+
+describe('detectJsonFormat', () => {
+  test('detects the editor layouts', () => {
+    expect(detectJsonFormat(DATABASE_CONTENT).layout).toBe(Layouts.DATABASE);
+    expect(detectJsonFormat('{\n"width":1,\n"data":[0],\n"events":[]\n}').layout).toBe(Layouts.MAP);
+    expect(detectJsonFormat('{"gameTitle":"Test"}').layout).toBe(Layouts.COMPACT);
+  });
+
+  test('detects indentation, line endings, byte order mark and final newline', () => {
+    expect(detectJsonFormat('\uFEFF[\r\n    null\r\n]\r\n')).toEqual({
+      layout: Layouts.INDENTED,
+      indent: '    ',
+      lineEnding: '\r\n',
+      bom: true,
+      finalNewline: true
+    });
+  });
+});
+
+describe('formatDataFile', () => {
+  test('writes database files with one entry per line', () => {
+    expect(formatDataFile(ITEMS)).toBe(DATABASE_CONTENT);
+  });
+
+  test('writes maps with the properties, tile data and each event on their own line', () => {
+    const map = { width: 1, height: 1, data: [0, 0], events: [null, { id: 1 }] };
+
+    expect(formatDataFile(map)).toBe('{\n"width":1,"height":1,\n"data":[0,0],\n"events":[\nnull,\n{"id":1}\n]\n}');
+  });
+
+  test('writes other files on a single line', () => {
+    expect(formatDataFile({ gameTitle: 'Test' })).toBe('{"gameTitle":"Test"}');
+  });
+
+  test('keeps the format of the original content', () => {
+    const original = '\uFEFF[\r\nnull,\r\n{"id":1,"name":"Potion"}\r\n]\r\n';
+
+    expect(formatDataFile(ITEMS, { original })).toBe(`\uFEFF${DATABASE_CONTENT.replace(/\n/g, '\r\n')}\r\n`);
+  });
+
+  test('keeps the indentation of content re-indented by another tool', () => {
+    const original = JSON.stringify([null, { id: 1 }], null, 4);
+
+    expect(formatDataFile(ITEMS, { original })).toBe(JSON.stringify(ITEMS, null, 4));
+  });
+
+  test('does not force a database layout onto data that is no longer an array', () => {
+    expect(formatDataFile({ id: 1 }, { original: DATABASE_CONTENT })).toBe('{"id":1}');
+  });
+});
+
+describe('writeDataFile', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-writer-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('keeps the format of the file it overwrites', async () => {
+    const filePath = path.join(tempDir, 'Items.json');
+    await fs.writeFile(filePath, '[\r\nnull\r\n]\r\n', 'utf8');
+
+    await writeDataFile(filePath, ITEMS);
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe(`${DATABASE_CONTENT.replace(/\n/g, '\r\n')}\r\n`);
+  });
+
+  test('writes a new file in the editor layout', async () => {
+    const filePath = path.join(tempDir, 'Items.json');
+
+    await writeDataFile(filePath, ITEMS);
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe(DATABASE_CONTENT);
+  });
+});
@@ -0,0 +1,24 @@
+const { getMessageLines, getSpeakerName } = require('../messages');
+
+const command = (code, parameters) => ({ code, indent: 0, parameters });
+
+describe('messages', () => {
+  test('reads the lines of a Show Text command', () => {
+    const list = [command(101, ['', 0, 0, 2]), command(401, ['Hello']), command(401, ['there']), command(401, [null]), command(0, [])];
+
+    expect(getMessageLines(list, 0)).toEqual(['Hello', 'there', '']);
+  });
+
+  test('reads the speaker from the RPG Maker MZ name field', () => {
+    const list = [command(101, ['Actor1', 0, 0, 2, 'Harold']), command(401, ['\\n<Therese>Hello']), command(0, [])];
+
+    expect(getSpeakerName(list, 0)).toBe('Harold');
+  });
+
+  test('reads the speaker from a name box escape code in RPG Maker MV', () => {
+    const list = [command(101, ['Actor1', 0, 0, 2]), command(401, ['\\nr<Therese>']), command(401, ['Hello']), command(0, [])];
+
+    expect(getSpeakerName(list, 0)).toBe('Therese');
+    expect(getSpeakerName([command(101, ['', 0, 0, 2, ' ']), command(401, ['Hello'])], 0)).toBe('');
+  });
+});
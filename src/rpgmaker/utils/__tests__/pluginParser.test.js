@@ -0,0 +1,105 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parsePluginHeader, loadPluginHeader } = require('../pluginParser');
+
+const SOURCE = `/*:ja
+ * @plugindesc 日本語の説明
+ * @param 値
+ */
+
+/*:
+ * @plugindesc Shows a gauge.
+ * @author Someone
+ * @base PluginCommonBase
+ * @orderAfter PluginCommonBase
+ *
+ * @param Max
+ * @text Maximum
+ * @type number
+ * @min 1
+ * @max 99
+ * @default 10
+ *
+ * @param Style
+ * @type select
+ * @option Bar
+ * @value bar
+ * @option Ring
+ * @default bar
+ *
+ * @param Position
+ * @parent Style
+ * @type struct<Point>
+ *
+ * @command Show
+ * @text Show Gauge
+ * @arg duration
+ * @type number
+ *
+ * @help
+ * Place this plugin below PluginCommonBase.
+ *
+ * Has no plugin commands in MV.
+ */
+
+/*~struct~Point:
+ * @param x
+ * @type number
+ * @param y
+ * @type number
+ */
+`;
+
+describe('parsePluginHeader', () => {
+  test('reads the plugin annotations from the header without a language code', () => {
+    const header = parsePluginHeader(SOURCE);
+
+    expect(header).toMatchObject({
+      description: 'Shows a gauge.',
+      author: 'Someone',
+      base: ['PluginCommonBase'],
+      orderAfter: ['PluginCommonBase'],
+      orderBefore: [],
+      help: 'Place this plugin below PluginCommonBase.\n\nHas no plugin commands in MV.'
+    });
+    expect(Object.keys(header.params)).toEqual(['Max', 'Style', 'Position']);
+  });
+
+  test('reads parameters with their options, struct types and commands', () => {
+    const header = parsePluginHeader(SOURCE);
+
+    expect(header.params.Max).toEqual({ name: 'Max', text: 'Maximum', type: 'number', min: '1', max: '99', default: '10', options: [] });
+    expect(header.params.Style.options).toEqual([{ text: 'Bar', value: 'bar' }, { text: 'Ring', value: 'Ring' }]);
+    expect(header.params.Position).toMatchObject({ parent: 'Style', type: 'struct<Point>' });
+    expect(Object.keys(header.structs.Point)).toEqual(['x', 'y']);
+    expect(header.commands.Show).toMatchObject({ text: 'Show Gauge', args: { duration: { type: 'number' } } });
+  });
+
+  test('uses a header with a language code when it is the only one', () => {
+    expect(parsePluginHeader('/*:ja\n * @plugindesc 説明\n */').description).toBe('説明');
+  });
+
+  test('returns null for a plugin without a header', () => {
+    expect(parsePluginHeader('(function() {})();')).toBeNull();
+  });
+});
+
+describe('loadPluginHeader', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-plugin-parser-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('reads the header of a plugin in js/plugins', async () => {
+    await fs.outputFile(path.join(tempDir, 'js', 'plugins', 'Gauge.js'), SOURCE, 'utf8');
+
+    expect((await loadPluginHeader(tempDir, 'Gauge')).description).toBe('Shows a gauge.');
+    expect(await loadPluginHeader(tempDir, 'Missing')).toBeNull();
+  });
+});
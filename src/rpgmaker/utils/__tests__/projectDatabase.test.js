@@ -0,0 +1,122 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { openProjectDatabase, isProjectDatabase, getProjectPath } = require('../projectDatabase');
+const { analyzeReferences, loadDatabase } = require('../../analyzer/referenceChecker');
+const { analyzeEventStructure } = require('../../analyzer/eventStructureChecker');
+const { analyzePluginOrder } = require('../../analyzer/pluginOrderChecker');
+const analyzer = require('../../analyzer');
+
+const ITEMS = '[\nnull,\n{"id":1,"name":"Potion","animationId":0,"note":""},\n{"id":2,"name":"Ether","animationId":0,"note":""}\n]';
+
+describe('openProjectDatabase', () => {
+  let tempDir;
+  let dataDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-project-database-'));
+    dataDir = path.join(tempDir, 'data');
+    await fs.outputFile(path.join(dataDir, 'Items.json'), ITEMS, 'utf8');
+    await fs.outputFile(path.join(dataDir, 'Actors.json'), '{', 'utf8');
+    await fs.outputJson(path.join(dataDir, 'Animations.json'), [null, { id: 1, name: 'Hit' }]);
+    await fs.outputJson(path.join(dataDir, 'System.json'), { switches: ['', 'Door open'], variables: [''] });
+    await fs.outputJson(path.join(dataDir, 'Map001.json'), { events: [null] });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('reads files when they are first used', async () => {
+    const db = openProjectDatabase(tempDir);
+
+    await fs.outputFile(path.join(dataDir, 'Items.json'), '[null,{"id":1,"name":"Elixir"}]', 'utf8');
+
+    expect(isProjectDatabase(db)).toBe(true);
+    expect(getProjectPath(db)).toBe(tempDir);
+    expect(db.items.get(1).name).toBe('Elixir');
+    expect(db.items.findByName('Elixir')).toBe(db.items.get(1));
+    expect(db.system.switchName(1)).toBe('Door open');
+    expect(db.maps.ids()).toEqual([1]);
+  });
+
+  test('reads files that are missing or cannot be parsed as null', () => {
+    const db = openProjectDatabase(tempDir);
+
+    expect(db.actors.toArray()).toBeNull();
+    expect(db.actors.all()).toEqual([]);
+    expect(db.skills.get(1)).toBeNull();
+    expect(() => db.actors.set(1, { id: 1 })).toThrow('Cannot set actors 1: Actors.json could not be loaded');
+  });
+
+  test('saves only the files that changed, in place or with set()', async () => {
+    const db = openProjectDatabase(tempDir);
+    db.items.get(1).name = 'Hi-Potion';
+    db.animations.get(1);
+    db.maps.set(2, { events: [null] });
+
+    expect(db.getDirtyFiles()).toEqual(['Items.json', 'Map002.json']);
+    expect(await db.save()).toEqual(['Items.json', 'Map002.json']);
+
+    expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe(ITEMS.replace('Potion', 'Hi-Potion'));
+    expect(await fs.readJson(path.join(dataDir, 'Map002.json'))).toEqual({ events: [null] });
+    expect(db.isDirty()).toBe(false);
+  });
+
+  test('forgets unsaved changes on reload', () => {
+    const db = openProjectDatabase(tempDir);
+    db.items.set(1, { id: 1, name: 'Elixir' });
+
+    db.reload();
+
+    expect(db.items.get(1).name).toBe('Potion');
+    expect(db.isDirty()).toBe(false);
+  });
+
+  test('finds where an entry is referenced, including unsaved changes', () => {
+    const db = openProjectDatabase(tempDir);
+    expect(db.animations.referencesTo(1)).toEqual([]);
+
+    db.items.get(2).animationId = 1;
+    db.items.markDirty();
+
+    expect(db.animations.referencesTo(1)).toEqual([expect.objectContaining({ file: 'Items.json', path: '[2].animationId' })]);
+  });
+
+  test('includes maps that were set but not saved', async () => {
+    const db = openProjectDatabase(tempDir);
+    db.maps.set(3, { events: [null] });
+
+    expect(db.maps.ids()).toEqual([1, 3]);
+    expect(Object.keys((await loadDatabase(db)).maps)).toEqual(['1', '3']);
+  });
+
+  describe('analyzers', () => {
+    test('check the unsaved changes of a project database', async () => {
+      const db = openProjectDatabase(tempDir);
+      db.items.get(2).animationId = 5;
+      db.setFile('CommonEvents.json', [null, { id: 1, list: [{ code: 412, indent: 0, parameters: [] }, { code: 0, indent: 0, parameters: [] }] }]);
+
+      expect((await analyzeReferences(db)).map(issue => issue.path)).toEqual(['[2].animationId']);
+      expect((await analyzeEventStructure(db)).map(issue => issue.file)).toEqual(['CommonEvents.json']);
+      expect(await analyzePluginOrder(db)).toEqual([]);
+      expect(db.isDirty()).toBe(true);
+      expect(await fs.pathExists(path.join(dataDir, 'CommonEvents.json'))).toBe(false);
+    });
+
+    test('analyze a project database as it would be saved', async () => {
+      const db = openProjectDatabase(tempDir);
+      db.items.get(2).note = '<Eval: (a) => { return a; }>';
+      db.items.get(2).animationId = 5;
+
+      const { results } = await analyzer.analyzeProject(db, { projectType: 'mv' });
+      const items = results.find(result => path.basename(result.file) === 'Items.json');
+
+      expect(items.issues.map(issue => [issue.type, issue.line])).toEqual([
+        ['arrow_function', 4],
+        ['dangling_reference', 4]
+      ]);
+      expect(await fs.readFile(path.join(dataDir, 'Items.json'), 'utf8')).toBe(ITEMS);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ProjectTypes, getGameDirectory, detectProjectType, getProjectInfo } = require('../projectType');
+const utils = require('..');
+
+describe('project type', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-project-type-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('reads the type and version from the project file', async () => {
+    await fs.writeFile(path.join(tempDir, 'game.rmmzproject'), 'RPGMZ 1.8.0', 'utf8');
+
+    expect(await detectProjectType(tempDir)).toBe(ProjectTypes.MZ);
+    expect(await getProjectInfo(tempDir)).toEqual({ type: 'mz', version: '1.8.0', gameDirectory: tempDir });
+  });
+
+  test('reads the type and version from the core script of a deployed game', async () => {
+    await fs.outputJson(path.join(tempDir, 'www', 'data', 'System.json'), {});
+    await fs.outputFile(path.join(tempDir, 'www', 'js', 'rpg_core.js'), "Utils.RPGMAKER_VERSION = \"1.6.2\";\n", 'utf8');
+
+    expect(getGameDirectory(tempDir)).toBe(path.join(tempDir, 'www'));
+    expect(await getProjectInfo(tempDir)).toEqual({ type: 'mv', version: '1.6.2', gameDirectory: path.join(tempDir, 'www') });
+  });
+
+  test('tells MZ from System.json when nothing else does', async () => {
+    await fs.outputJson(path.join(tempDir, 'data', 'System.json'), { advanced: { gameId: 1 } });
+
+    expect(getGameDirectory(tempDir)).toBe(tempDir);
+    expect(await detectProjectType(tempDir)).toBe(ProjectTypes.MZ);
+  });
+
+  test('takes a project it cannot tell for MV', async () => {
+    expect(await detectProjectType(tempDir)).toBe(ProjectTypes.MV);
+    expect(await detectProjectType(path.join(tempDir, 'missing'))).toBe(ProjectTypes.MV);
+    expect(await getProjectInfo(tempDir)).toEqual({ type: 'mv', version: null, gameDirectory: tempDir });
+  });
+
+  test('accepts an MZ project whose index.html does not mention RPG Maker', async () => {
+    await fs.outputJson(path.join(tempDir, 'data', 'System.json'), {});
+    await fs.writeFile(path.join(tempDir, 'index.html'), '<title>Game</title>', 'utf8');
+    expect(await utils.isValidProject(tempDir)).toBe(false);
+
+    await fs.writeFile(path.join(tempDir, 'game.rmmzproject'), 'RPGMZ 1.8.0', 'utf8');
+    expect(await utils.isValidProject(tempDir)).toBe(true);
+  });
+});
@@ -0,0 +1,187 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const zlib = require('zlib');
+const LZString = require('lz-string');
+const saveFile = require('../saveFile');
+
+// A saved game as MV's JsonEx writes it; the map refers to the actor object of Harold
+const GAME_JSON = JSON.stringify({
+  system: { _saveCount: 3, _framesOnSave: 7200, '@c': 2, '@': 'Game_System' },
+  party: {
+    _gold: 500,
+    _actors: { '@c': 4, '@a': [1, 2] },
+    _items: { 1: 3, '@c': 5 },
+    _weapons: { '@c': 6 },
+    _armors: { '@c': 7 },
+    '@c': 3,
+    '@': 'Game_Party'
+  },
+  actors: {
+    _data: { '@c': 9, '@a': [null, { _name: 'Harold', _level: 5, '@c': 10, '@': 'Game_Actor' }, { _name: 'Therese', _level: 4, '@c': 11, '@': 'Game_Actor' }] },
+    '@c': 8,
+    '@': 'Game_Actors'
+  },
+  switches: { _data: { '@c': 13, '@a': [null, true, false, true] }, '@c': 12, '@': 'Game_Switches' },
+  variables: { _data: { '@c': 15, '@a': [null, 10] }, '@c': 14, '@': 'Game_Variables' },
+  selfSwitches: { _data: { '1,2,A': true, '@c': 17 }, '@c': 16, '@': 'Game_SelfSwitches' },
+  map: { _mapId: 1, _leader: { '@r': 10 }, '@c': 18, '@': 'Game_Map' },
+  player: { _x: 5, _y: 6, _direction: 2, _transferring: false, '@c': 19, '@': 'Game_Player' },
+  '@c': 1
+});
+
+const GAME_SAVE = LZString.compressToBase64(GAME_JSON);
+
+describe('decodeSave and encodeSave', () => {
+  test('decodes a saved game into plain objects with references resolved', () => {
+    const save = saveFile.decodeSave(GAME_SAVE);
+    const { contents } = save;
+
+    expect(save).toMatchObject({ format: 'jsonex', compression: 'lzstring' });
+    expect(contents.party._actors).toEqual([1, 2]);
+    expect(contents.party).not.toHaveProperty('@c');
+    expect(contents.map._leader).toBe(contents.actors._data[1]);
+    expect(saveFile.getClassName(contents.party)).toBe('Game_Party');
+    expect(saveFile.getClassName(contents)).toBeUndefined();
+  });
+
+  test('encodes an unchanged saved game to the same bytes', () => {
+    expect(saveFile.encodeSave(saveFile.decodeSave(GAME_SAVE))).toBe(GAME_SAVE);
+  });
+
+  test('decodes and encodes global saves as plain JSON', () => {
+    const text = LZString.compressToBase64(JSON.stringify([null, { title: 'Game', playtime: '00:02:00' }]));
+    const save = saveFile.decodeSave(text);
+
+    expect(save.format).toBe('json');
+    expect(saveFile.encodeSave(save)).toBe(text);
+  });
+
+  test('decodes and encodes RPG Maker MZ saves compressed with zlib', () => {
+    const json = JSON.stringify({ party: { _gold: 20, _actors: [1], '@': 'Game_Party' }, system: { '@': 'Game_System' } });
+    const save = saveFile.decodeSave(zlib.deflateSync(Buffer.from(json)).toString('latin1'));
+
+    expect(save).toMatchObject({ format: 'jsonex-mz', compression: 'zlib' });
+    expect(saveFile.getClassName(save.contents.party)).toBe('Game_Party');
+    expect(saveFile.decodeSave(saveFile.encodeSave(save)).contents).toEqual(save.contents);
+  });
+
+  test('rejects content that is not a save', () => {
+    expect(() => saveFile.decodeSave('not a save!')).toThrow('Invalid save data: neither LZString compressed Base64 nor zlib compressed');
+    expect(() => saveFile.decodeSave(LZString.compressToBase64('{"a":'))).toThrow('Invalid save data');
+    expect(() => saveFile.parseJsonEx('{"a":{"@r":2},"@c":1}')).toThrow('Invalid save data: unknown reference @r 2');
+  });
+
+  test('refuses to write a circular object to an RPG Maker MZ save', () => {
+    const contents = { party: {} };
+    contents.party.self = contents.party;
+
+    expect(() => saveFile.stringifyMzJsonEx(contents)).toThrow('circular object');
+  });
+});
+
+describe('save editing', () => {
+  let contents;
+
+  beforeEach(() => {
+    contents = saveFile.decodeSave(GAME_SAVE).contents;
+  });
+
+  test('summarizes a saved game', () => {
+    expect(saveFile.getSaveSummary(contents)).toEqual({
+      party: [{ actorId: 1, name: 'Harold', level: 5 }, { actorId: 2, name: 'Therese', level: 4 }],
+      gold: 500,
+      position: { mapId: 1, x: 5, y: 6, direction: 2 },
+      playtime: 120,
+      saveCount: 3,
+      switchesOn: [1, 3]
+    });
+  });
+
+  test('edits the party, gold, items, switches, variables and self switches', () => {
+    const actors = contents.party._actors;
+
+    saveFile.removePartyMember(contents, 1);
+    saveFile.addPartyMember(contents, 3);
+    saveFile.setGold(contents, 1000);
+    saveFile.setItemCount(contents, 'item', 1, 0);
+    saveFile.setItemCount(contents, 'weapon', 4, 2);
+    saveFile.setSwitch(contents, 2, true);
+    saveFile.setVariable(contents, 1, 2.7);
+    saveFile.setSelfSwitch(contents, 1, 2, 'A', false);
+    saveFile.setSelfSwitch(contents, 3, 1, 'B', true);
+
+    expect(contents.party._actors).toBe(actors);
+    expect(saveFile.getPartyMembers(contents)).toEqual([2, 3]);
+    expect(contents.party._gold).toBe(1000);
+    expect(saveFile.getItemCount(contents, 'item', 1)).toBe(0);
+    expect(saveFile.getItemCount(contents, 'weapon', 4)).toBe(2);
+    expect(saveFile.getSwitch(contents, 2)).toBe(true);
+    expect(saveFile.getVariable(contents, 1)).toBe(2);
+    expect(contents.selfSwitches._data).toEqual({ '3,1,B': true });
+  });
+
+  test('moves the player with a transfer that happens on load', () => {
+    saveFile.setPosition(contents, { mapId: 4, x: 10, y: 12, direction: 8 });
+
+    expect(contents.player).toMatchObject({ _transferring: true, _newMapId: 4, _newX: 10, _newY: 12, _newDirection: 8 });
+    expect(saveFile.getPosition(contents)).toEqual({ mapId: 4, x: 10, y: 12, direction: 8 });
+  });
+
+  test('rejects values the game does not accept', () => {
+    expect(() => saveFile.setGold(contents, 100000000)).toThrow('Invalid gold: 100000000 (must be 0 to 99999999)');
+    expect(() => saveFile.setPartyMembers(contents, [1, 1])).toThrow('Actor in the party twice: 1, 1');
+    expect(() => saveFile.setItemCount(contents, 'shield', 1, 1)).toThrow('Invalid item kind: shield');
+    expect(() => saveFile.setItemCount(contents, 'item', 1, 100)).toThrow('Invalid item count: 100 (must be 0 to 99)');
+    expect(() => saveFile.setSwitch(contents, 0, true)).toThrow('Invalid switch ID: 0');
+    expect(() => saveFile.setSelfSwitch(contents, 1, 1, 'E', true)).toThrow('Invalid self switch: E');
+    expect(() => saveFile.setPosition(contents, { x: -1, y: 0 })).toThrow('Invalid position: -1, 0');
+    expect(() => saveFile.getPartyMembers({})).toThrow('Save has no party');
+  });
+});
+
+describe('save files', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpgmaker-save-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('names save files the way each project type does', () => {
+    expect(saveFile.getSaveFileName(1)).toBe('file1.rpgsave');
+    expect(saveFile.getSaveFileName('global')).toBe('global.rpgsave');
+    expect(saveFile.getSaveFileName(-1, 'mz')).toBe('config.rmmzsave');
+    expect(() => saveFile.getSaveFileName(1.5)).toThrow('Invalid save file ID: 1.5');
+  });
+
+  test('lists, reads, edits and writes the saved games of a deployed game', async () => {
+    const saveDir = path.join(tempDir, 'www', 'save');
+    await fs.outputFile(path.join(saveDir, 'file1.rpgsave'), GAME_SAVE, 'utf8');
+    await fs.outputFile(path.join(saveDir, 'file1.rmmzsave'), '', 'utf8');
+    await fs.outputFile(path.join(saveDir, 'global.rpgsave'), LZString.compressToBase64('[null,{"title":"Game"}]'), 'utf8');
+
+    const saves = await saveFile.listSaveFiles(tempDir);
+    expect(saves).toEqual([{ savefileId: 1, filePath: path.join(saveDir, 'file1.rpgsave'), info: { title: 'Game' } }]);
+    expect(await saveFile.getSaveFilePath(tempDir, 2)).toBe(path.join(saveDir, 'file2.rpgsave'));
+
+    const save = await saveFile.readSaveFile(saves[0].filePath);
+    saveFile.setGold(save.contents, 0);
+    const written = await saveFile.writeSaveFile(save, { filePath: path.join(saveDir, 'file2.rpgsave') });
+
+    expect((await saveFile.readSaveFile(written)).contents.party._gold).toBe(0);
+    expect(await fs.readFile(saves[0].filePath, 'utf8')).toBe(GAME_SAVE);
+  });
+
+  test('reports save files that are missing or damaged', async () => {
+    const filePath = path.join(tempDir, 'save', 'file1.rpgsave');
+    await expect(saveFile.readSaveFile(filePath)).rejects.toThrow(`Save file not found: ${filePath}`);
+
+    await fs.outputFile(filePath, 'not a save!', 'utf8');
+    await expect(saveFile.readSaveFile(filePath)).rejects.toThrow(`in ${filePath}`);
+    await expect(saveFile.writeSaveFile({ format: 'json', contents: {} })).rejects.toThrow('No file path to write the save to');
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * RPG Maker MV Analysis Cache
+ *
+ * This module keeps analysis results on disk between runs, keyed by the content hash of the
+ * files they were computed from, so that files which have not changed are not parsed and
+ * analyzed again:
+ * - The analyzer caches the issues of each file, and the issues of project rules for the
+ *   whole data directory
+ * - Context extraction and JavaScript analysis cache their results for the whole project
+ * Cache entries are grouped in namespaces. The cache is stored in a .rpgmaker-cache directory
+ * next to the data directory, and is dropped when the tool version changes. Use clearCache to
+ * invalidate it explicitly.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const glob = require('glob');
+const { version } = require('../../../package.json');
+const { isProjectDatabase, getProjectPath } = require('./projectDatabase');
+const { getGameDirectory } = require('./projectType');
+
+/**
+ * Version of the cache file format
+ * @type {number}
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Name of the cache directory, created next to the data directory
+ * @type {string}
+ */
+const CACHE_DIR = '.rpgmaker-cache';
+
+/**
+ * Name of the cache file in the cache directory
+ * @type {string}
+ */
+const CACHE_FILE = 'analysis-cache.json';
+
+/**
+ * Entries kept per namespace; the least recently used entries are dropped when saving
+ * @type {number}
+ */
+const MAX_ENTRIES = 5000;
+
+/**
+ * Hash content with SHA-256
+ * @param {Buffer|string} content - Content to hash
+ * @returns {string} - Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Get the default cache directory for a data directory
+ * @param {string} dataPath - Path to the data directory
+ * @returns {string} - Cache directory next to the data directory
+ */
+function getDefaultCacheDir(dataPath) {
+  return path.join(path.dirname(path.resolve(dataPath)), CACHE_DIR);
+}
+
+/**
+ * Open the analysis cache of a data directory
+ *
+ * A missing, unreadable or outdated cache file gives an empty cache.
+ * @param {string} dataPath - Path to the data directory
+ * @param {Object} options - Options
+ * @param {string} options.cacheDir - Cache directory (default: .rpgmaker-cache next to the data directory)
+ * @returns {Promise<Object>} - Cache (pass to getCacheEntry, setCacheEntry and saveCache)
+ */
+async function openCache(dataPath, options = {}) {
+  const { cacheDir = getDefaultCacheDir(dataPath) } = options;
+  const filePath = path.join(cacheDir, CACHE_FILE);
+
+  const cache = {
+    filePath,
+    namespaces: {},
+    hits: 0,
+    misses: 0,
+    dirty: false
+  };
+
+  if (await fs.pathExists(filePath)) {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (stored.cacheVersion === CACHE_VERSION && stored.toolVersion === version) {
+        cache.namespaces = stored.namespaces || {};
+      } else {
+        cache.dirty = true;
+      }
+    } catch (error) {
+      // A damaged cache is rebuilt from scratch
+      cache.dirty = true;
+    }
+  }
+
+  return cache;
+}
+
+/**
+ * Get a cached value
+ * @param {Object} cache - Cache from openCache
+ * @param {string} namespace - Namespace of the entry
+ * @param {string} key - Key of the entry
+ * @returns {*} - Copy of the cached value, or undefined if there is none
+ */
+function getCacheEntry(cache, namespace, key) {
+  const entries = cache.namespaces[namespace];
+  const entry = entries && entries[key];
+  if (!entry) {
+    cache.misses++;
+    return undefined;
+  }
+
+  cache.hits++;
+  entry.usedAt = Date.now();
+  cache.dirty = true;
+  return JSON.parse(JSON.stringify(entry.value));
+}
+
+/**
+ * Store a value in the cache
+ * @param {Object} cache - Cache from openCache
+ * @param {string} namespace - Namespace of the entry
+ * @param {string} key - Key of the entry
+ * @param {*} value - Value to store; must survive a JSON round trip
+ */
+function setCacheEntry(cache, namespace, key, value) {
+  if (!cache.namespaces[namespace]) {
+    cache.namespaces[namespace] = {};
+  }
+  cache.namespaces[namespace][key] = {
+    value: JSON.parse(JSON.stringify(value === undefined ? null : value)),
+    usedAt: Date.now()
+  };
+  cache.dirty = true;
+}
+
+/**
+ * Write the cache to disk if it changed
+ * @param {Object} cache - Cache from openCache
+ * @returns {Promise<void>}
+ */
+async function saveCache(cache) {
+  if (!cache.dirty) return;
+
+  for (const [namespace, entries] of Object.entries(cache.namespaces)) {
+    const keys = Object.keys(entries);
+    if (keys.length <= MAX_ENTRIES) continue;
+
+    keys
+      .sort((a, b) => entries[b].usedAt - entries[a].usedAt)
+      .slice(MAX_ENTRIES)
+      .forEach(key => delete cache.namespaces[namespace][key]);
+  }
+
+  // Write to a temporary file first, so an interrupted save never leaves a broken cache
+  const tempPath = `${cache.filePath}.tmp`;
+  await fs.ensureDir(path.dirname(cache.filePath));
+  await fs.writeFile(tempPath, JSON.stringify({
+    cacheVersion: CACHE_VERSION,
+    toolVersion: version,
+    namespaces: cache.namespaces
+  }));
+  await fs.rename(tempPath, cache.filePath);
+  cache.dirty = false;
+}
+
+/**
+ * Invalidate the analysis cache of a data directory
+ * @param {string} dataPath - Path to the data directory
+ * @param {Object} options - Options
+ * @param {string} options.cacheDir - Cache directory (default: .rpgmaker-cache next to the data directory)
+ * @param {string} options.namespace - Only clear this namespace (default: clear everything)
+ * @returns {Promise<Object>} - Result (filePath, cleared namespaces)
+ */
+async function clearCache(dataPath, options = {}) {
+  const { cacheDir = getDefaultCacheDir(dataPath), namespace = null } = options;
+  const filePath = path.join(cacheDir, CACHE_FILE);
+
+  if (!namespace) {
+    const existed = await fs.pathExists(filePath);
+    await fs.remove(filePath);
+    return { filePath, cleared: existed ? ['*'] : [] };
+  }
+
+  const cache = await openCache(dataPath, { cacheDir });
+  if (!cache.namespaces[namespace]) {
+    return { filePath, cleared: [] };
+  }
+  delete cache.namespaces[namespace];
+  cache.dirty = true;
+  await saveCache(cache);
+  return { filePath, cleared: [namespace] };
+}
+
+/**
+ * Hash every JSON file in a data directory, plus the plugin list and plugins next to it
+ * @param {string} dataPath - Path to the data directory
+ * @returns {Promise<Object>} - Fingerprint of all files together, and the hash of each file
+ */
+async function getDataFingerprint(dataPath) {
+  const files = glob.sync('**/*.json', { cwd: dataPath, nodir: true }).sort();
+  const hashes = {};
+
+  for (const file of files) {
+    hashes[file] = hashContent(await fs.readFile(path.join(dataPath, file)));
+  }
+
+  // Plugin headers declare the parameters that the plugin list is checked against
+  const jsPath = path.join(path.dirname(path.resolve(dataPath)), 'js');
+  const pluginFiles = glob.sync('{plugins.js,plugins/*.js}', { cwd: jsPath, nodir: true }).sort();
+  for (const file of pluginFiles) {
+    hashes[`../js/${file}`] = hashContent(await fs.readFile(path.join(jsPath, file)));
+  }
+
+  return {
+    fingerprint: hashContent(JSON.stringify(hashes)),
+    files: hashes
+  };
+}
+
+/**
+ * Wrap a project analysis function so its result is cached for an unchanged project
+ *
+ * The wrapped function takes (projectPath, options) like the original; projectPath can also be
+ * a project database, whose result is not cached while it has unsaved changes. The result is only
+ * cached when options.cache is true or a cache from openCache, and it is reused while every
+ * data file and the options stay the same.
+ * @param {string} namespace - Cache namespace for the function
+ * @param {Function} analyze - Async function (projectPath, options) to wrap
+ * @returns {Function} - Wrapped function
+ */
+function withProjectCache(namespace, analyze) {
+  return async (projectPath, options = {}) => {
+    const { cache: cacheOption = false, cacheDir, ...analysisOptions } = options;
+    if (!cacheOption) {
+      return analyze(projectPath, options);
+    }
+
+    // Unsaved changes in a project database are not in the files the cache key is made from
+    if (isProjectDatabase(projectPath) && projectPath.isDirty()) {
+      return analyze(projectPath, analysisOptions);
+    }
+
+    const dataPath = path.join(getGameDirectory(getProjectPath(projectPath)), 'data');
+    if (!await fs.pathExists(dataPath)) {
+      // Let the analysis report the invalid project the way it always does
+      return analyze(projectPath, analysisOptions);
+    }
+
+    const cache = cacheOption === true ? await openCache(dataPath, { cacheDir }) : cacheOption;
+    const { fingerprint } = await getDataFingerprint(dataPath);
+    const key = hashContent(`${fingerprint}\n${JSON.stringify(analysisOptions)}`);
+
+    let result = getCacheEntry(cache, namespace, key);
+    if (result === undefined) {
+      result = await analyze(projectPath, analysisOptions);
+      setCacheEntry(cache, namespace, key, result);
+    }
+
+    // A cache opened here is saved here; a cache that was passed in is saved by its owner
+    if (cacheOption === true) {
+      await saveCache(cache);
+    }
+
+    return result;
+  };
+}
+
+module.exports = {
+  CACHE_DIR,
+  hashContent,
+  getDefaultCacheDir,
+  openCache,
+  getCacheEntry,
+  setCacheEntry,
+  saveCache,
+  clearCache,
+  getDataFingerprint,
+  withProjectCache
+};
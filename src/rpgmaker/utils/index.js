@@ -8,11 +8,19 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { parseJson, stringifyJson } = require('../../core');
+const { parseJson } = require('../../core');
 const textReplacer = require('./textReplacer');
+const jsonWriter = require('./jsonWriter');
+const analysisCache = require('./analysisCache');
+const pluginParser = require('./pluginParser');
+const pluginsFile = require('./pluginsFile');
+const projectDatabase = require('./projectDatabase');
+const saveFile = require('./saveFile');
+const projectType = require('./projectType');
+const messages = require('./messages');
 
 /**
- * RPG Maker MV file types
+ * RPG Maker MV file types. RPG Maker MZ uses the same files.
  * @type {Object}
  */
 const FileTypes = {
@@ -39,23 +47,27 @@ const FileTypes = {
  * @returns {string} - Path to the file
  */
 function getDataFilePath(projectPath, fileType) {
-  return path.join(projectPath, 'data', fileType);
+  return path.join(projectType.getGameDirectory(projectPath), 'data', fileType);
 }
 
 /**
  * Load a data file
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database (which reads missing files as null)
  * @param {string} fileType - File type (use FileTypes constants)
  * @returns {Promise<Object>} - Parsed data
  */
 async function loadDataFile(projectPath, fileType) {
+  if (projectDatabase.isProjectDatabase(projectPath)) {
+    return projectPath.getFile(fileType);
+  }
+
   const filePath = getDataFilePath(projectPath, fileType);
   const content = await fs.readFile(filePath, 'utf8');
-  return parseJson(content);
+  return parseJson(content.replace(/^\uFEFF/, ''));
 }
 
 /**
- * Save a data file
+ * Save a data file in the editor's layout, keeping the format of the existing file
  * @param {string} projectPath - Path to the project
  * @param {string} fileType - File type (use FileTypes constants)
  * @param {Object} data - Data to save
@@ -63,8 +75,7 @@ async function loadDataFile(projectPath, fileType) {
  */
 async function saveDataFile(projectPath, fileType, data) {
   const filePath = getDataFilePath(projectPath, fileType);
-  const content = stringifyJson(data);
-  await fs.writeFile(filePath, content, 'utf8');
+  await jsonWriter.writeDataFile(filePath, data);
 }
 
 /**
@@ -75,23 +86,27 @@ async function saveDataFile(projectPath, fileType, data) {
  */
 function getMapFilePath(projectPath, mapId) {
   const mapIdStr = mapId.toString().padStart(3, '0');
-  return path.join(projectPath, 'data', `Map${mapIdStr}.json`);
+  return path.join(projectType.getGameDirectory(projectPath), 'data', `Map${mapIdStr}.json`);
 }
 
 /**
  * Load a map file
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database (which reads missing files as null)
  * @param {number} mapId - Map ID
  * @returns {Promise<Object>} - Parsed map data
  */
 async function loadMapFile(projectPath, mapId) {
+  if (projectDatabase.isProjectDatabase(projectPath)) {
+    return projectPath.maps.get(mapId);
+  }
+
   const filePath = getMapFilePath(projectPath, mapId);
   const content = await fs.readFile(filePath, 'utf8');
-  return parseJson(content);
+  return parseJson(content.replace(/^\uFEFF/, ''));
 }
 
 /**
- * Save a map file
+ * Save a map file in the editor's layout, keeping the format of the existing file
  * @param {string} projectPath - Path to the project
  * @param {number} mapId - Map ID
  * @param {Object} data - Map data to save
@@ -99,13 +114,12 @@ async function loadMapFile(projectPath, mapId) {
  */
 async function saveMapFile(projectPath, mapId, data) {
   const filePath = getMapFilePath(projectPath, mapId);
-  const content = stringifyJson(data);
-  await fs.writeFile(filePath, content, 'utf8');
+  await jsonWriter.writeDataFile(filePath, data);
 }
 
 /**
  * Get all map IDs in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<number[]>} - List of map IDs
  */
 async function getMapIds(projectPath) {
@@ -117,7 +131,7 @@ async function getMapIds(projectPath) {
 
 /**
  * Get map info for a specific map
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @param {number} mapId - Map ID
  * @returns {Promise<Object>} - Map info
  */
@@ -128,7 +142,7 @@ async function getMapInfo(projectPath, mapId) {
 
 /**
  * Get all actors in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of actors
  */
 async function getActors(projectPath) {
@@ -138,7 +152,7 @@ async function getActors(projectPath) {
 
 /**
  * Get all classes in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of classes
  */
 async function getClasses(projectPath) {
@@ -148,7 +162,7 @@ async function getClasses(projectPath) {
 
 /**
  * Get all skills in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of skills
  */
 async function getSkills(projectPath) {
@@ -158,7 +172,7 @@ async function getSkills(projectPath) {
 
 /**
  * Get all items in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of items
  */
 async function getItems(projectPath) {
@@ -168,7 +182,7 @@ async function getItems(projectPath) {
 
 /**
  * Get all weapons in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of weapons
  */
 async function getWeapons(projectPath) {
@@ -178,7 +192,7 @@ async function getWeapons(projectPath) {
 
 /**
  * Get all armors in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of armors
  */
 async function getArmors(projectPath) {
@@ -188,7 +202,7 @@ async function getArmors(projectPath) {
 
 /**
  * Get all enemies in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of enemies
  */
 async function getEnemies(projectPath) {
@@ -198,7 +212,7 @@ async function getEnemies(projectPath) {
 
 /**
  * Get all troops in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of troops
  */
 async function getTroops(projectPath) {
@@ -208,7 +222,7 @@ async function getTroops(projectPath) {
 
 /**
  * Get all states in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of states
  */
 async function getStates(projectPath) {
@@ -218,7 +232,7 @@ async function getStates(projectPath) {
 
 /**
  * Get all animations in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of animations
  */
 async function getAnimations(projectPath) {
@@ -228,7 +242,7 @@ async function getAnimations(projectPath) {
 
 /**
  * Get all tilesets in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of tilesets
  */
 async function getTilesets(projectPath) {
@@ -238,7 +252,7 @@ async function getTilesets(projectPath) {
 
 /**
  * Get all common events in a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object[]>} - List of common events
  */
 async function getCommonEvents(projectPath) {
@@ -248,7 +262,7 @@ async function getCommonEvents(projectPath) {
 
 /**
  * Get the system data for a project
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<Object>} - System data
  */
 async function getSystemData(projectPath) {
@@ -256,14 +270,16 @@ async function getSystemData(projectPath) {
 }
 
 /**
- * Check if a project is a valid RPG Maker MV project
- * @param {string} projectPath - Path to the project
+ * Check if a project is a valid RPG Maker MV or RPG Maker MZ project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @returns {Promise<boolean>} - Whether the project is valid
  */
 async function isValidProject(projectPath) {
+  projectPath = projectDatabase.getProjectPath(projectPath);
   try {
-    // Check if the data directory exists
-    const dataPath = path.join(projectPath, 'data');
+    // Check if the data directory exists, in www/ for a deployed game
+    const gamePath = projectType.getGameDirectory(projectPath);
+    const dataPath = path.join(gamePath, 'data');
     const dataExists = await fs.pathExists(dataPath);
     if (!dataExists) {
       return false;
@@ -276,8 +292,13 @@ async function isValidProject(projectPath) {
       return false;
     }
     
+    // RPG Maker MZ projects are recognized by their project file or core script
+    if (await projectType.detectProjectType(projectPath) === projectType.ProjectTypes.MZ) {
+      return true;
+    }
+    
     // Check if the project has a valid package.json with RPG Maker MV dependencies
-    const packagePath = path.join(projectPath, 'package.json');
+    const packagePath = path.join(gamePath, 'package.json');
     const packageExists = await fs.pathExists(packagePath);
     if (packageExists) {
       const packageJson = await fs.readJson(packagePath);
@@ -288,7 +309,7 @@ async function isValidProject(projectPath) {
     }
     
     // Check if the project has an index.html file with RPG Maker MV content
-    const indexPath = path.join(projectPath, 'index.html');
+    const indexPath = path.join(gamePath, 'index.html');
     const indexExists = await fs.pathExists(indexPath);
     if (indexExists) {
       const indexContent = await fs.readFile(indexPath, 'utf8');
@@ -304,13 +325,12 @@ async function isValidProject(projectPath) {
 
 /**
  * Get the plugin list for a project
- * @param {string} projectPath - Path to the project
- * @returns {Promise<Object[]>} - List of plugins
+ * @param {string|Object} projectPath - Path to the project, or a project database
+ * @returns {Promise<Object[]>} - List of plugins from js/plugins.js
  */
 async function getPlugins(projectPath) {
   try {
-    const systemData = await getSystemData(projectPath);
-    return systemData.plugins || [];
+    return await pluginsFile.loadPluginList(projectDatabase.getProjectPath(projectPath));
   } catch (error) {
     return [];
   }
@@ -318,7 +338,7 @@ async function getPlugins(projectPath) {
 
 /**
  * Get the plugin parameters for a specific plugin
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @param {string} pluginName - Plugin name
  * @returns {Promise<Object>} - Plugin parameters
  */
@@ -329,16 +349,16 @@ async function getPluginParameters(projectPath, pluginName) {
     return null;
   }
   
-  try {
-    return parseJson(plugin.parameters);
-  } catch (error) {
-    return plugin.parameters;
+  // The editor stores parameters as an object of strings
+  if (typeof plugin.parameters !== 'string') {
+    return plugin.parameters || {};
   }
+  return parseJson(plugin.parameters) || plugin.parameters;
 }
 
 /**
  * Check if a plugin is installed
- * @param {string} projectPath - Path to the project
+ * @param {string|Object} projectPath - Path to the project, or a project database
  * @param {string} pluginName - Plugin name
  * @returns {Promise<boolean>} - Whether the plugin is installed
  */
@@ -375,10 +395,86 @@ module.exports = {
   getPluginParameters,
   hasPlugin,
   
+  // Project type (RPG Maker MV or MZ)
+  ProjectTypes: projectType.ProjectTypes,
+  getGameDirectory: projectType.getGameDirectory,
+  detectProjectType: projectType.detectProjectType,
+  getProjectInfo: projectType.getProjectInfo,
+  
+  // Messages (Show Text)
+  getMessageLines: messages.getMessageLines,
+  getSpeakerName: messages.getSpeakerName,
+  
   // Text replacement utilities
   searchText: textReplacer.searchText,
   replaceText: textReplacer.replaceText,
   generateReplacementReport: textReplacer.generateReplacementReport,
   fixTerminology: textReplacer.fixTerminology,
-  updateLore: textReplacer.updateLore
+  updateLore: textReplacer.updateLore,
+  
+  // Writing in the editor's layout
+  JsonLayouts: jsonWriter.Layouts,
+  detectJsonFormat: jsonWriter.detectJsonFormat,
+  formatDataFile: jsonWriter.formatDataFile,
+  writeDataFile: jsonWriter.writeDataFile,
+  
+  // Analysis cache
+  openCache: analysisCache.openCache,
+  saveCache: analysisCache.saveCache,
+  clearCache: analysisCache.clearCache,
+  getDataFingerprint: analysisCache.getDataFingerprint,
+  
+  // Shared project database
+  DatabaseTables: projectDatabase.Tables,
+  openProjectDatabase: projectDatabase.openProjectDatabase,
+  isProjectDatabase: projectDatabase.isProjectDatabase,
+  getProjectDatabase: projectDatabase.getProjectDatabase,
+  
+  // Plugin list (js/plugins.js)
+  parsePluginList: pluginsFile.parsePluginList,
+  readPluginsFile: pluginsFile.readPluginsFile,
+  formatPluginsFile: pluginsFile.formatPluginsFile,
+  writePluginsFile: pluginsFile.writePluginsFile,
+  setPluginStatus: pluginsFile.setPluginStatus,
+  movePlugin: pluginsFile.movePlugin,
+  addPlugin: pluginsFile.addPlugin,
+  removePlugin: pluginsFile.removePlugin,
+  decodePluginParameters: pluginsFile.decodeParameters,
+  encodePluginParameters: pluginsFile.encodeParameters,
+  getParameterValues: pluginsFile.getParameterValues,
+  setParameterValues: pluginsFile.setParameterValues,
+  
+  // Plugin headers
+  parsePluginHeader: pluginParser.parsePluginHeader,
+  loadPluginHeader: pluginParser.loadPluginHeader,
+  
+  // Save files (save/*.rpgsave, or save/*.rmmzsave in RPG Maker MZ)
+  SaveFormats: saveFile.SaveFormats,
+  SaveCompressions: saveFile.SaveCompressions,
+  SaveExtensions: saveFile.SaveExtensions,
+  decodeSave: saveFile.decodeSave,
+  encodeSave: saveFile.encodeSave,
+  getSaveDirectory: saveFile.getSaveDirectory,
+  getSaveFilePath: saveFile.getSaveFilePath,
+  listSaveFiles: saveFile.listSaveFiles,
+  readSaveFile: saveFile.readSaveFile,
+  writeSaveFile: saveFile.writeSaveFile,
+  getSaveClassName: saveFile.getClassName,
+  setSaveClassName: saveFile.setClassName,
+  getSaveSummary: saveFile.getSaveSummary,
+  getPartyMembers: saveFile.getPartyMembers,
+  setPartyMembers: saveFile.setPartyMembers,
+  addPartyMember: saveFile.addPartyMember,
+  removePartyMember: saveFile.removePartyMember,
+  setGold: saveFile.setGold,
+  getItemCount: saveFile.getItemCount,
+  setItemCount: saveFile.setItemCount,
+  getSwitch: saveFile.getSwitch,
+  setSwitch: saveFile.setSwitch,
+  getVariable: saveFile.getVariable,
+  setVariable: saveFile.setVariable,
+  getSelfSwitch: saveFile.getSelfSwitch,
+  setSelfSwitch: saveFile.setSelfSwitch,
+  getPosition: saveFile.getPosition,
+  setPosition: saveFile.setPosition
 };
@@ -0,0 +1,181 @@
+/**
+ * RPG Maker MV JSON Writer
+ *
+ * This module writes data files in the same layout as the RPG Maker MV editor, so that files
+ * changed by these tools diff minimally against what the editor saves:
+ * - Database files: one entry per line between the opening and closing brackets
+ * - Map files: a header line with the map properties, the tile data on one line, then one event per line
+ * - Other files (System.json): compact JSON on a single line
+ * When the existing file content is given, its layout, line endings, byte order mark and final
+ * newline are kept, including files that were previously re-indented by other tools.
+ */
+
+const fs = require('fs-extra');
+
+/**
+ * Layouts that data files can be written in
+ * @type {Object}
+ */
+const Layouts = {
+  DATABASE: 'database',
+  MAP: 'map',
+  COMPACT: 'compact',
+  INDENTED: 'indented'
+};
+
+/**
+ * Detect the layout of JSON content
+ * @param {string} content - JSON content
+ * @returns {Object} - Format (layout, indent, lineEnding, bom, finalNewline)
+ */
+function detectJsonFormat(content) {
+  const bom = content.charCodeAt(0) === 0xFEFF;
+  const text = bom ? content.slice(1) : content;
+
+  const format = {
+    layout: Layouts.COMPACT,
+    indent: null,
+    lineEnding: text.includes('\r\n') ? '\r\n' : '\n',
+    bom,
+    finalNewline: /\n$/.test(text)
+  };
+
+  // Content re-indented by another tool, e.g. JSON.stringify(data, null, 2)
+  const indentMatch = text.match(/^\s*[[{]\r?\n([ \t]+)\S/);
+  if (indentMatch) {
+    format.layout = Layouts.INDENTED;
+    format.indent = indentMatch[1];
+  } else if (/^\s*\[\r?\n/.test(text)) {
+    format.layout = Layouts.DATABASE;
+  } else if (/^\s*\{\r?\n/.test(text) && /\n"data":/.test(text)) {
+    format.layout = Layouts.MAP;
+  }
+
+  return format;
+}
+
+/**
+ * Choose the editor layout for data from its shape
+ * @param {*} data - Data to write
+ * @returns {string} - Layout
+ */
+function getDefaultLayout(data) {
+  if (Array.isArray(data)) {
+    return Layouts.DATABASE;
+  }
+  if (data && typeof data === 'object' && Array.isArray(data.data) && Array.isArray(data.events)) {
+    return Layouts.MAP;
+  }
+  return Layouts.COMPACT;
+}
+
+/**
+ * Serialize an array with one element per line
+ * @param {Array} entries - Entries
+ * @returns {string} - Serialized entries
+ */
+function stringifyEntryLines(entries) {
+  if (entries.length === 0) {
+    return '[]';
+  }
+  return `[\n${entries.map(entry => JSON.stringify(entry === undefined ? null : entry)).join(',\n')}\n]`;
+}
+
+/**
+ * Serialize a map with its properties on one line, then the tile data and one event per line
+ * @param {Object} map - Map data
+ * @returns {string} - Serialized map
+ */
+function stringifyMap(map) {
+  const header = Object.keys(map)
+    .filter(key => key !== 'data' && key !== 'events' && map[key] !== undefined)
+    .map(key => `${JSON.stringify(key)}:${JSON.stringify(map[key])}`);
+
+  const lines = [];
+  if (header.length > 0) {
+    lines.push(header.join(','));
+  }
+  lines.push(`"data":${JSON.stringify(map.data)}`);
+  lines.push(`"events":${stringifyEntryLines(map.events)}`);
+
+  return `{\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * Serialize data in the layout of the RPG Maker MV editor
+ * @param {*} data - Data to write
+ * @param {Object} options - Options
+ * @param {string} options.original - Current content of the file, whose format is kept
+ * @param {string} options.layout - Layout to use instead of the detected one (use Layouts constants)
+ * @returns {string} - Serialized content
+ */
+function formatDataFile(data, options = {}) {
+  const { original = null } = options;
+
+  const format = original !== null
+    ? detectJsonFormat(original)
+    : { layout: getDefaultLayout(data), indent: null, lineEnding: '\n', bom: false, finalNewline: false };
+  let layout = options.layout || format.layout;
+
+  // A layout detected from the original may not fit data whose shape has changed
+  if (layout === Layouts.DATABASE && !Array.isArray(data)) {
+    layout = getDefaultLayout(data);
+  } else if (layout === Layouts.MAP && getDefaultLayout(data) !== Layouts.MAP) {
+    layout = Layouts.COMPACT;
+  }
+
+  let content;
+  switch (layout) {
+    case Layouts.DATABASE:
+      content = stringifyEntryLines(data);
+      break;
+    case Layouts.MAP:
+      content = stringifyMap(data);
+      break;
+    case Layouts.INDENTED:
+      content = JSON.stringify(data, null, format.indent || 2);
+      break;
+    case Layouts.COMPACT:
+    default:
+      content = JSON.stringify(data);
+  }
+
+  // Raw newlines only occur between values, since newlines in strings are escaped
+  if (format.lineEnding !== '\n') {
+    content = content.replace(/\n/g, format.lineEnding);
+  }
+  if (format.finalNewline) {
+    content += format.lineEnding;
+  }
+  if (format.bom) {
+    content = `\uFEFF${content}`;
+  }
+
+  return content;
+}
+
+/**
+ * Write a data file, keeping the format of the existing file if there is one
+ * @param {string} filePath - Path to the file
+ * @param {*} data - Data to write
+ * @param {Object} options - Options (see formatDataFile)
+ * @returns {Promise<string>} - Written content
+ */
+async function writeDataFile(filePath, data, options = {}) {
+  let { original = null } = options;
+
+  if (original === null && await fs.pathExists(filePath)) {
+    original = await fs.readFile(filePath, 'utf8');
+  }
+
+  const content = formatDataFile(data, { ...options, original });
+  await fs.writeFile(filePath, content, 'utf8');
+  return content;
+}
+
+module.exports = {
+  Layouts,
+  detectJsonFormat,
+  formatDataFile,
+  writeDataFile
+};
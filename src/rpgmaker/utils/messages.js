@@ -0,0 +1,58 @@
+/**
+ * RPG Maker MV Messages
+ *
+ * This module reads the Show Text commands (101) of event command lists. The command holds the
+ * face image, window and position of the message, and each line of text follows it in a Text
+ * line command (401). Who speaks is stored differently:
+ * - RPG Maker MZ has a name field, stored in parameters[4]
+ * - RPG Maker MV has none; message plugins such as YEP_MessageCore show a name box for the
+ *   \n<Name> escape code (or \nl, \nc, \nr and so on for its position) in the text
+ */
+
+/**
+ * Escape code that message plugins for RPG Maker MV replace with a name box
+ * @type {RegExp}
+ */
+const NAME_BOX_PATTERN = /\\n[a-z]*<([^>]*)>/i;
+
+/**
+ * Get the lines of text of a Show Text command
+ * @param {Object[]} list - Event commands
+ * @param {number} index - Index of the Show Text command
+ * @returns {string[]} - Lines of text
+ */
+function getMessageLines(list, index) {
+  const lines = [];
+  for (let next = index + 1; next < list.length && list[next] && list[next].code === 401; next++) {
+    lines.push(String(list[next].parameters[0] || ''));
+  }
+  return lines;
+}
+
+/**
+ * Get the name of the speaker of a Show Text command
+ * @param {Object[]} list - Event commands
+ * @param {number} index - Index of the Show Text command
+ * @returns {string} - Speaker name, or '' if the message has none
+ */
+function getSpeakerName(list, index) {
+  const command = list[index];
+  const name = command && Array.isArray(command.parameters) ? command.parameters[4] : null;
+  if (typeof name === 'string' && name.trim() !== '') {
+    return name;
+  }
+
+  for (const line of getMessageLines(list, index)) {
+    const match = line.match(NAME_BOX_PATTERN);
+    if (match) {
+      return match[1];
+    }
+  }
+  return '';
+}
+
+module.exports = {
+  NAME_BOX_PATTERN,
+  getMessageLines,
+  getSpeakerName
+};
@@ -0,0 +1,181 @@
+/**
+ * RPG Maker MV Plugin Parser
+ *
+ * This module reads the annotations in the header of each plugin in js/plugins (the plugin
+ * list in js/plugins.js is read by pluginsFile). The header describes the plugin and its parameters:
+ * - @plugindesc, @author, @help and the ordering annotations (@base, @orderAfter, @orderBefore)
+ * - @param with @text, @desc, @type, @default, @parent, @min, @max, @decimals, @dir, @on, @off,
+ *   and @option/@value for the choices of select and combo parameters
+ * - @command with @text, @desc and its @arg arguments, the Plugin Commands of RPG Maker MZ
+ * - Struct types, declared in their own comment blocks with /*~struct~Name:
+ * The header without a language code (/*:) is used when there is one, since the editor
+ * stores parameter values by the names declared there.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getGameDirectory } = require('./projectType');
+
+/**
+ * Annotations of a parameter that hold a single value
+ * @type {string[]}
+ */
+const PARAM_TAGS = ['text', 'desc', 'type', 'default', 'parent', 'min', 'max', 'decimals', 'dir', 'on', 'off', 'require'];
+
+/**
+ * Annotations of the plugin that hold a single value
+ * @type {string[]}
+ */
+const PLUGIN_TAGS = ['plugindesc', 'author', 'url', 'target'];
+
+/**
+ * Annotations of the plugin that can appear more than once
+ * @type {string[]}
+ */
+const LIST_TAGS = ['base', 'orderAfter', 'orderBefore', 'requiredAssets', 'noteParam'];
+
+/**
+ * Get the lines of a comment block without the leading asterisks
+ * @param {string} block - Comment block content
+ * @returns {string[]} - Lines
+ */
+function getCommentLines(block) {
+  return block.split(/\r?\n/).map(line => line.replace(/^\s*\*? ?/, ''));
+}
+
+/**
+ * Parse the parameters declared in the lines of a comment block
+ * @param {string[]} lines - Comment lines
+ * @param {Object} header - Header to add plugin annotations to, or null for a struct
+ * @returns {Object} - Parameters by name
+ */
+function parseParams(lines, header) {
+  const params = {};
+  let current = null;
+  let command = null;
+  let helpLines = null;
+
+  for (const line of lines) {
+    const match = line.match(/^\s*@(\w+)\s*(.*?)\s*$/);
+    if (!match) {
+      if (helpLines) {
+        helpLines.push(line);
+      }
+      continue;
+    }
+    helpLines = null;
+
+    const [, tag, value] = match;
+    if (tag === 'param' || tag === 'arg') {
+      current = { name: value, options: [] };
+      if (tag === 'arg' && command) {
+        command.args[value] = current;
+      } else if (tag === 'param') {
+        command = null;
+        params[value] = current;
+      }
+    } else if (header && PLUGIN_TAGS.includes(tag)) {
+      header[tag] = value;
+    } else if (tag === 'command' && header) {
+      command = { name: value, args: {}, options: [] };
+      header.commands[value] = command;
+      current = command;
+    } else if (tag === 'option' && current) {
+      current.options.push({ text: value, value });
+    } else if (tag === 'value' && current && current.options.length > 0) {
+      current.options[current.options.length - 1].value = value;
+    } else if (PARAM_TAGS.includes(tag) && current) {
+      current[tag] = value;
+    } else if (header && tag === 'help') {
+      helpLines = value ? [value] : [];
+      header.help = helpLines;
+    } else if (header && LIST_TAGS.includes(tag)) {
+      header[tag].push(value);
+    }
+  }
+
+  if (header && Array.isArray(header.help)) {
+    header.help = header.help.join('\n').trim();
+  }
+
+  return params;
+}
+
+/**
+ * Find the comment blocks of a kind, preferring the one without a language code
+ * @param {string} source - Plugin source
+ * @param {RegExp} pattern - Global pattern with the block name (if any), language code and content
+ * @returns {Object} - Block content by name ('' for the plugin header)
+ */
+function findBlocks(source, pattern) {
+  const blocks = {};
+  const regex = new RegExp(pattern.source, pattern.flags);
+  let match;
+
+  while ((match = regex.exec(source)) !== null) {
+    const name = match[1] || '';
+    const language = match[2] || '';
+    if (!(name in blocks) || (blocks[name].language && !language)) {
+      blocks[name] = { language, content: match[3] };
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse the annotations in the header of a plugin
+ * @param {string} source - Plugin source
+ * @returns {Object|null} - Header (description, author, help, base, orderAfter, orderBefore, params,
+ *   structs, commands), or null if the plugin has no header
+ */
+function parsePluginHeader(source) {
+  const headers = findBlocks(source, /\/\*:()([a-z]{2}(?=\s))?([\s\S]*?)\*\//g);
+  if (!headers['']) {
+    return null;
+  }
+
+  const header = {
+    description: '',
+    author: '',
+    url: '',
+    target: '',
+    help: '',
+    commands: {},
+    structs: {}
+  };
+  for (const tag of LIST_TAGS) {
+    header[tag] = [];
+  }
+
+  header.params = parseParams(getCommentLines(headers[''].content), header);
+  header.description = header.plugindesc || '';
+  delete header.plugindesc;
+
+  const structs = findBlocks(source, /\/\*~struct~(\w+):([a-z]{2}(?=\s))?([\s\S]*?)\*\//g);
+  for (const [name, block] of Object.entries(structs)) {
+    header.structs[name] = parseParams(getCommentLines(block.content), null);
+  }
+
+  return header;
+}
+
+/**
+ * Load and parse the header of a plugin in js/plugins
+ * @param {string} projectPath - Path to the project
+ * @param {string} pluginName - Plugin name (file name without .js)
+ * @returns {Promise<Object|null>} - Header, or null if the plugin file does not exist or has no header
+ */
+async function loadPluginHeader(projectPath, pluginName) {
+  const pluginPath = path.join(getGameDirectory(projectPath), 'js', 'plugins', `${pluginName}.js`);
+  if (!await fs.pathExists(pluginPath)) {
+    return null;
+  }
+
+  return parsePluginHeader(await fs.readFile(pluginPath, 'utf8'));
+}
+
+module.exports = {
+  parsePluginHeader,
+  loadPluginHeader
+};
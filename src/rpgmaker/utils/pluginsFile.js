@@ -0,0 +1,376 @@
+/**
+ * RPG Maker MV Plugins File
+ *
+ * This module reads, edits and writes the plugin list in js/plugins.js, the file the Plugin
+ * Manager of the editor saves:
+ * - Enable, disable, reorder, add and remove plugins
+ * - Get and set plugin parameters. The editor stores every value as a string, and struct and
+ *   list parameters as JSON strings nested inside them; values are decoded to objects, lists,
+ *   numbers and booleans and encoded back the same way. With the plugin header, the @type of
+ *   each parameter decides how it is decoded.
+ * - Write the file in the editor's format: the generated comment, one plugin per line, and
+ *   the line endings of the existing file
+ * The editing functions do not change the list they are given; they return a new list.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseJson } = require('../../core');
+const { getGameDirectory } = require('./projectType');
+
+/**
+ * Comment the editor writes at the top of js/plugins.js
+ * @type {string}
+ */
+const DEFAULT_HEADER = '// Generated by RPG Maker.\n// Do not edit this file directly.\n';
+
+/**
+ * Get the path of js/plugins.js in a project
+ * @param {string} projectPath - Path to the project
+ * @returns {string} - Path to js/plugins.js
+ */
+function getPluginsFilePath(projectPath) {
+  return path.join(getGameDirectory(projectPath), 'js', 'plugins.js');
+}
+
+/**
+ * Parse the plugin list in the content of js/plugins.js
+ * @param {string} content - Content of js/plugins.js
+ * @returns {Object[]|null} - Plugins (name, status, description, parameters), or null if the list cannot be read
+ */
+function parsePluginList(content) {
+  const match = content.match(/\$plugins\s*=\s*(\[[\s\S]*\])\s*;?\s*$/);
+  if (!match) {
+    return null;
+  }
+
+  const plugins = parseJson(match[1]);
+  return Array.isArray(plugins) ? plugins : null;
+}
+
+/**
+ * Load the plugin list of a project
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object[]>} - Plugins (empty if js/plugins.js does not exist or cannot be read)
+ */
+async function loadPluginList(projectPath) {
+  const pluginsPath = getPluginsFilePath(projectPath);
+  if (!await fs.pathExists(pluginsPath)) {
+    return [];
+  }
+
+  return parsePluginList(await fs.readFile(pluginsPath, 'utf8')) || [];
+}
+
+/**
+ * Read the plugin list of a project, failing if it cannot be read
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object[]>} - Plugins
+ */
+async function readPluginsFile(projectPath) {
+  const pluginsPath = getPluginsFilePath(projectPath);
+  if (!await fs.pathExists(pluginsPath)) {
+    throw new Error(`Plugins file not found: ${pluginsPath}`);
+  }
+
+  const plugins = parsePluginList(await fs.readFile(pluginsPath, 'utf8'));
+  if (!plugins) {
+    throw new Error(`Invalid plugins file: ${pluginsPath}`);
+  }
+  return plugins;
+}
+
+/**
+ * Format a plugin list the way the editor writes js/plugins.js
+ * @param {Object[]} plugins - Plugins
+ * @param {Object} options - Options
+ * @param {string} options.original - Existing file content, whose header comment and line endings are kept
+ * @returns {string} - File content
+ */
+function formatPluginsFile(plugins, options = {}) {
+  const { original = null } = options;
+
+  let header = DEFAULT_HEADER;
+  let lineEnding = '\n';
+  if (original) {
+    lineEnding = original.includes('\r\n') ? '\r\n' : '\n';
+    const start = original.search(/var\s+\$plugins\s*=/);
+    header = start >= 0 ? original.slice(0, start) : header.split('\n').join(lineEnding);
+  }
+
+  // One plugin per line, as the Plugin Manager writes them
+  const lines = ['[', ...plugins.map((plugin, i) => JSON.stringify(plugin) + (i < plugins.length - 1 ? ',' : '')), '];'];
+  return `${header}var $plugins =${lineEnding}${lines.join(lineEnding)}${lineEnding}`;
+}
+
+/**
+ * Write the plugin list of a project, keeping the format of the existing file
+ * @param {string} projectPath - Path to the project
+ * @param {Object[]} plugins - Plugins
+ * @returns {Promise<string>} - Written content
+ */
+async function writePluginsFile(projectPath, plugins) {
+  const pluginsPath = getPluginsFilePath(projectPath);
+  const original = await fs.pathExists(pluginsPath) ? await fs.readFile(pluginsPath, 'utf8') : null;
+
+  const content = formatPluginsFile(plugins, { original });
+  await fs.ensureDir(path.dirname(pluginsPath));
+  await fs.writeFile(pluginsPath, content, 'utf8');
+  return content;
+}
+
+/**
+ * Find a plugin in a plugin list
+ * @param {Object[]} plugins - Plugins
+ * @param {string} name - Plugin name
+ * @returns {number} - Index of the plugin
+ */
+function getPluginIndex(plugins, name) {
+  const index = plugins.findIndex(plugin => plugin && plugin.name === name);
+  if (index < 0) {
+    throw new Error(`Plugin not found in plugins.js: ${name}`);
+  }
+  return index;
+}
+
+/**
+ * Enable or disable a plugin
+ * @param {Object[]} plugins - Plugins
+ * @param {string} name - Plugin name
+ * @param {boolean} status - Whether the plugin is enabled
+ * @returns {Object[]} - New plugin list
+ */
+function setPluginStatus(plugins, name, status) {
+  const index = getPluginIndex(plugins, name);
+  const result = [...plugins];
+  result[index] = { ...plugins[index], status: !!status };
+  return result;
+}
+
+/**
+ * Move a plugin in the load order
+ * @param {Object[]} plugins - Plugins
+ * @param {string} name - Plugin name
+ * @param {Object} position - Where to move the plugin: { index }, { before: name } or { after: name }
+ * @returns {Object[]} - New plugin list
+ */
+function movePlugin(plugins, name, position) {
+  const index = getPluginIndex(plugins, name);
+  const result = [...plugins];
+  const [plugin] = result.splice(index, 1);
+
+  let target;
+  if (position.before !== undefined) {
+    target = getPluginIndex(result, position.before);
+  } else if (position.after !== undefined) {
+    target = getPluginIndex(result, position.after) + 1;
+  } else {
+    target = Math.max(0, Math.min(position.index, result.length));
+  }
+
+  result.splice(target, 0, plugin);
+  return result;
+}
+
+/**
+ * Add a plugin to a plugin list
+ *
+ * With the plugin header, the description and the @default value of every parameter are filled in,
+ * as the editor does.
+ * @param {Object[]} plugins - Plugins
+ * @param {Object} plugin - Plugin (name, status, description, parameters)
+ * @param {Object} options - Options
+ * @param {Object} options.header - Plugin header from parsePluginHeader
+ * @param {Object} options.position - Where to add the plugin (see movePlugin; default: at the end)
+ * @returns {Object[]} - New plugin list
+ */
+function addPlugin(plugins, plugin, options = {}) {
+  const { header = null, position = null } = options;
+  if (plugins.some(existing => existing && existing.name === plugin.name)) {
+    throw new Error(`Plugin already in plugins.js: ${plugin.name}`);
+  }
+
+  const parameters = {};
+  if (header) {
+    for (const [name, param] of Object.entries(header.params)) {
+      parameters[name] = param.default !== undefined ? param.default : '';
+    }
+  }
+
+  const entry = {
+    name: plugin.name,
+    status: plugin.status !== undefined ? !!plugin.status : true,
+    description: plugin.description !== undefined ? plugin.description : (header ? header.description : ''),
+    parameters: { ...parameters, ...encodeParameters(plugin.parameters || {}, header) }
+  };
+
+  const result = [...plugins, entry];
+  return position ? movePlugin(result, plugin.name, position) : result;
+}
+
+/**
+ * Remove a plugin from a plugin list
+ * @param {Object[]} plugins - Plugins
+ * @param {string} name - Plugin name
+ * @returns {Object[]} - New plugin list
+ */
+function removePlugin(plugins, name) {
+  const index = getPluginIndex(plugins, name);
+  return plugins.filter((plugin, i) => i !== index);
+}
+
+/**
+ * Decode a stored parameter value
+ * @param {string} value - Stored value
+ * @param {Object} param - Parameter from the plugin header, or null to decode nested JSON only
+ * @param {Object} header - Plugin header, for struct types
+ * @returns {*} - Decoded value
+ */
+function decodeValue(value, param, header) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (!param) {
+    // Without a header, only strings holding lists and objects are decoded
+    const parsed = /^\s*[[{]/.test(value) ? parseJson(value) : null;
+    if (Array.isArray(parsed)) {
+      return parsed.map(item => decodeValue(item, null, header));
+    }
+    if (parsed && typeof parsed === 'object') {
+      return Object.fromEntries(Object.entries(parsed).map(([key, item]) => [key, decodeValue(item, null, header)]));
+    }
+    return value;
+  }
+
+  const type = (param.type || 'string').trim();
+  if (type.endsWith('[]')) {
+    const list = value === '' ? [] : parseJson(value);
+    const itemParam = { ...param, type: type.slice(0, -2) };
+    return Array.isArray(list) ? list.map(item => decodeValue(item, itemParam, header)) : value;
+  }
+
+  const structMatch = type.match(/^struct<(\w+)>$/);
+  if (structMatch) {
+    const struct = value === '' ? null : parseJson(value);
+    const fields = (header && header.structs[structMatch[1]]) || {};
+    if (!struct || typeof struct !== 'object') {
+      return struct === null && value === '' ? null : value;
+    }
+    return Object.fromEntries(Object.entries(struct).map(([key, item]) => [key, decodeValue(item, fields[key] || null, header)]));
+  }
+
+  if (type === 'number') {
+    return value === '' || !Number.isFinite(Number(value)) ? value : Number(value);
+  }
+  if (type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  if (type === 'note') {
+    const text = parseJson(value);
+    return typeof text === 'string' ? text : value;
+  }
+  return value;
+}
+
+/**
+ * Encode a parameter value the way the editor stores it
+ * @param {*} value - Value
+ * @param {Object} param - Parameter from the plugin header, or null
+ * @param {Object} header - Plugin header, for struct types
+ * @returns {string} - Stored value
+ */
+function encodeValue(value, param, header) {
+  const type = param ? (param.type || 'string').trim() : '';
+
+  if (Array.isArray(value)) {
+    const itemParam = type.endsWith('[]') ? { ...param, type: type.slice(0, -2) } : null;
+    return JSON.stringify(value.map(item => encodeValue(item, itemParam, header)));
+  }
+  if (value && typeof value === 'object') {
+    const structMatch = type.match(/^struct<(\w+)>$/);
+    const fields = (structMatch && header && header.structs[structMatch[1]]) || {};
+    return JSON.stringify(Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, encodeValue(item, fields[key] || null, header)])
+    ));
+  }
+  if (type === 'note' && typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Decode the parameters of a plugin
+ * @param {Object} parameters - Stored parameters
+ * @param {Object} header - Plugin header from parsePluginHeader (default: decode nested JSON only)
+ * @returns {Object} - Decoded parameters
+ */
+function decodeParameters(parameters, header = null) {
+  const values = {};
+  for (const [name, value] of Object.entries(parameters || {})) {
+    values[name] = decodeValue(value, header ? header.params[name] || null : null, header);
+  }
+  return values;
+}
+
+/**
+ * Encode parameters the way the editor stores them
+ * @param {Object} values - Parameter values
+ * @param {Object} header - Plugin header from parsePluginHeader (default: none)
+ * @returns {Object} - Stored parameters
+ */
+function encodeParameters(values, header = null) {
+  const parameters = {};
+  for (const [name, value] of Object.entries(values || {})) {
+    parameters[name] = encodeValue(value, header ? header.params[name] || null : null, header);
+  }
+  return parameters;
+}
+
+/**
+ * Get the decoded parameters of a plugin
+ * @param {Object[]} plugins - Plugins
+ * @param {string} name - Plugin name
+ * @param {Object} header - Plugin header from parsePluginHeader (default: decode nested JSON only)
+ * @returns {Object} - Decoded parameters
+ */
+function getParameterValues(plugins, name, header = null) {
+  return decodeParameters(plugins[getPluginIndex(plugins, name)].parameters, header);
+}
+
+/**
+ * Set parameters of a plugin; parameters that are not given keep their values
+ * @param {Object[]} plugins - Plugins
+ * @param {string} name - Plugin name
+ * @param {Object} values - Parameter values to set, decoded or as stored strings
+ * @param {Object} header - Plugin header from parsePluginHeader (default: none)
+ * @returns {Object[]} - New plugin list
+ */
+function setParameterValues(plugins, name, values, header = null) {
+  const index = getPluginIndex(plugins, name);
+  const result = [...plugins];
+  result[index] = {
+    ...plugins[index],
+    parameters: { ...plugins[index].parameters, ...encodeParameters(values, header) }
+  };
+  return result;
+}
+
+module.exports = {
+  getPluginsFilePath,
+  parsePluginList,
+  loadPluginList,
+  readPluginsFile,
+  formatPluginsFile,
+  writePluginsFile,
+  getPluginIndex,
+  setPluginStatus,
+  movePlugin,
+  addPlugin,
+  removePlugin,
+  decodeParameters,
+  encodeParameters,
+  getParameterValues,
+  setParameterValues
+};
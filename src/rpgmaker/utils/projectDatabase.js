@@ -0,0 +1,477 @@
+/**
+ * RPG Maker MV Project Database
+ *
+ * This module provides a shared, lazily loaded view of the data files of a project, so that
+ * analyzers working on the same project parse each file once:
+ * - Tables for the database files (db.actors.get(3), db.skills.findByName('Fire'))
+ * - System.json (db.system.get()) and maps (db.maps.get(12).events)
+ * - Reverse lookups: where an actor, item, switch or map is referenced (db.actors.referencesTo(3))
+ * - Dirty tracking: files that were changed, in place or with set(), are written by save()
+ *   in the editor's layout, and files that were not changed are left alone
+ * A file is read the first time it is used. Files that are missing or cannot be parsed
+ * read as null. Every analyzer that takes a project path also takes a project database.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { parseJson } = require('../../core');
+const jsonWriter = require('./jsonWriter');
+const { getGameDirectory } = require('./projectType');
+
+/**
+ * Database tables and the files they are loaded from
+ * @type {Object}
+ */
+const Tables = {
+  actors: 'Actors.json',
+  animations: 'Animations.json',
+  armors: 'Armors.json',
+  classes: 'Classes.json',
+  commonEvents: 'CommonEvents.json',
+  enemies: 'Enemies.json',
+  items: 'Items.json',
+  mapInfos: 'MapInfos.json',
+  skills: 'Skills.json',
+  states: 'States.json',
+  tilesets: 'Tilesets.json',
+  troops: 'Troops.json',
+  weapons: 'Weapons.json'
+};
+
+/**
+ * Marks objects created by openProjectDatabase
+ * @type {symbol}
+ */
+const PROJECT_DATABASE = Symbol('projectDatabase');
+
+/**
+ * Hash data, to find files that were changed in place
+ * @param {*} data - Data
+ * @returns {string} - Hex digest
+ */
+function hashData(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+/**
+ * Get the file name of a map
+ * @param {number} mapId - Map ID
+ * @returns {string} - File name
+ */
+function getMapFileName(mapId) {
+  return `Map${mapId.toString().padStart(3, '0')}.json`;
+}
+
+/**
+ * Create the accessor for a database table
+ * @param {Object} database - Project database
+ * @param {string} table - Table name
+ * @returns {Object} - Table accessor
+ */
+function createTable(database, table) {
+  const fileName = Tables[table];
+  const entries = () => database.getFile(fileName);
+
+  return {
+    fileName,
+
+    /**
+     * Get an entry by ID
+     * @param {number} id - Entry ID
+     * @returns {Object|null} - Entry, or null if it does not exist
+     */
+    get(id) {
+      const data = entries();
+      return Array.isArray(data) && data[id] ? data[id] : null;
+    },
+
+    /**
+     * Get every entry, without the empty entry 0
+     * @returns {Object[]} - Entries
+     */
+    all() {
+      const data = entries();
+      return Array.isArray(data) ? data.filter(Boolean) : [];
+    },
+
+    /**
+     * Get the table as stored in the file, with null at index 0
+     * @returns {Array|null} - Entries, or null if the file is missing or cannot be parsed
+     */
+    toArray() {
+      const data = entries();
+      return Array.isArray(data) ? data : null;
+    },
+
+    /**
+     * Find the first entry that matches a predicate
+     * @param {Function} predicate - Called with each entry
+     * @returns {Object|null} - Entry, or null if none matches
+     */
+    find(predicate) {
+      return this.all().find(predicate) || null;
+    },
+
+    /**
+     * Find the first entry with a name
+     * @param {string} name - Entry name
+     * @returns {Object|null} - Entry, or null if none has the name
+     */
+    findByName(name) {
+      return this.find(entry => entry.name === name);
+    },
+
+    /**
+     * Replace an entry and mark the file as changed
+     * @param {number} id - Entry ID
+     * @param {Object} entry - New entry
+     */
+    set(id, entry) {
+      const data = entries();
+      if (!Array.isArray(data)) {
+        throw new Error(`Cannot set ${table} ${id}: ${fileName} could not be loaded`);
+      }
+      data[id] = entry;
+      database.markDirty(fileName);
+    },
+
+    /**
+     * Find where an entry is referenced
+     * @param {number} id - Entry ID
+     * @returns {Object[]} - References (file, path, table, id, description)
+     */
+    referencesTo(id) {
+      return database.findReferences(table, id);
+    },
+
+    /**
+     * Mark the file as changed
+     */
+    markDirty() {
+      database.markDirty(fileName);
+    }
+  };
+}
+
+/**
+ * Create the accessor for System.json
+ * @param {Object} database - Project database
+ * @returns {Object} - System accessor
+ */
+function createSystem(database) {
+  const fileName = 'System.json';
+
+  return {
+    fileName,
+
+    /**
+     * Get System.json
+     * @returns {Object|null} - System data, or null if the file is missing or cannot be parsed
+     */
+    get() {
+      return database.getFile(fileName);
+    },
+
+    /**
+     * Get the name of a switch
+     * @param {number} id - Switch ID
+     * @returns {string|null} - Name, or null if the switch does not exist
+     */
+    switchName(id) {
+      const system = this.get();
+      return system && Array.isArray(system.switches) && id > 0 && id < system.switches.length ? system.switches[id] : null;
+    },
+
+    /**
+     * Get the name of a variable
+     * @param {number} id - Variable ID
+     * @returns {string|null} - Name, or null if the variable does not exist
+     */
+    variableName(id) {
+      const system = this.get();
+      return system && Array.isArray(system.variables) && id > 0 && id < system.variables.length ? system.variables[id] : null;
+    },
+
+    /**
+     * Replace System.json and mark it as changed
+     * @param {Object} data - System data
+     */
+    set(data) {
+      database.setFile(fileName, data);
+    },
+
+    /**
+     * Mark the file as changed
+     */
+    markDirty() {
+      database.markDirty(fileName);
+    }
+  };
+}
+
+/**
+ * Create the accessor for maps
+ * @param {Object} database - Project database
+ * @returns {Object} - Map accessor
+ */
+function createMaps(database) {
+  return {
+    /**
+     * Get the IDs of the maps that have a file, or were set and not saved yet
+     * @returns {number[]} - Map IDs, in order
+     */
+    ids() {
+      const fileNames = database.getDirtyFiles();
+      if (fs.existsSync(database.dataPath)) {
+        fileNames.push(...fs.readdirSync(database.dataPath));
+      }
+      const ids = fileNames
+        .map(file => file.match(/^Map(\d+)\.json$/))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+      return [...new Set(ids)].sort((a, b) => a - b);
+    },
+
+    /**
+     * Get a map by ID
+     * @param {number} mapId - Map ID
+     * @returns {Object|null} - Map, or null if the file is missing or cannot be parsed
+     */
+    get(mapId) {
+      return database.getFile(getMapFileName(mapId));
+    },
+
+    /**
+     * Get the MapInfos.json entry of a map
+     * @param {number} mapId - Map ID
+     * @returns {Object|null} - Map info, or null if the map is not in MapInfos.json
+     */
+    info(mapId) {
+      return database.mapInfos.get(mapId);
+    },
+
+    /**
+     * Get every map that can be loaded
+     * @returns {Array} - [mapId, map] pairs
+     */
+    entries() {
+      return this.ids()
+        .map(mapId => [mapId, this.get(mapId)])
+        .filter(([, map]) => map);
+    },
+
+    /**
+     * Replace a map and mark it as changed
+     * @param {number} mapId - Map ID
+     * @param {Object} map - Map data
+     */
+    set(mapId, map) {
+      database.setFile(getMapFileName(mapId), map);
+    },
+
+    /**
+     * Mark a map as changed
+     * @param {number} mapId - Map ID
+     */
+    markDirty(mapId) {
+      database.markDirty(getMapFileName(mapId));
+    }
+  };
+}
+
+/**
+ * Check whether a value is a project database
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value was created by openProjectDatabase
+ */
+function isProjectDatabase(value) {
+  return !!value && value[PROJECT_DATABASE] === true;
+}
+
+/**
+ * Open the database of a project
+ *
+ * Nothing is read until it is used.
+ * @param {string} projectPath - Path to the project
+ * @returns {Object} - Project database
+ */
+function openProjectDatabase(projectPath) {
+  const dataPath = path.join(getGameDirectory(projectPath), 'data');
+
+  // Loaded files by name: data, the content read from disk, and a hash of the data as loaded
+  const files = new Map();
+  const dirty = new Set();
+  let references = null;
+
+  const database = {
+    [PROJECT_DATABASE]: true,
+    projectPath,
+    dataPath,
+
+    /**
+     * Get the data of a file, loading it on first use
+     * @param {string} fileName - File name in the data directory
+     * @returns {*} - Data, or null if the file is missing or cannot be parsed
+     */
+    getFile(fileName) {
+      if (!files.has(fileName)) {
+        const filePath = path.join(dataPath, fileName);
+        const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        const data = content === null ? null : parseJson(content.replace(/^\uFEFF/, ''));
+        files.set(fileName, { data, content, hash: data === null ? null : hashData(data) });
+      }
+      return files.get(fileName).data;
+    },
+
+    /**
+     * Replace the data of a file and mark it as changed
+     * @param {string} fileName - File name in the data directory
+     * @param {*} data - New data
+     */
+    setFile(fileName, data) {
+      database.getFile(fileName);
+      files.get(fileName).data = data;
+      database.markDirty(fileName);
+    },
+
+    /**
+     * Mark a file as changed, so save() writes it
+     * @param {string} fileName - File name in the data directory
+     */
+    markDirty(fileName) {
+      dirty.add(fileName);
+      references = null;
+    },
+
+    /**
+     * Get the files that were changed since they were loaded or saved
+     *
+     * Files changed in place are found by comparing their data with the data as loaded.
+     * @returns {string[]} - File names
+     */
+    getDirtyFiles() {
+      const changed = [];
+      for (const [fileName, file] of files) {
+        if (dirty.has(fileName) || (file.data !== null && hashData(file.data) !== file.hash)) {
+          changed.push(fileName);
+        }
+      }
+      return changed;
+    },
+
+    /**
+     * Check whether any file was changed
+     * @returns {boolean} - Whether save() would write anything
+     */
+    isDirty() {
+      return database.getDirtyFiles().length > 0;
+    },
+
+    /**
+     * Write the changed files, keeping the format of each file
+     * @returns {Promise<string[]>} - Names of the files written
+     */
+    async save() {
+      const changed = database.getDirtyFiles();
+      if (changed.length > 0) {
+        await fs.ensureDir(dataPath);
+      }
+
+      for (const fileName of changed) {
+        const file = files.get(fileName);
+        const content = jsonWriter.formatDataFile(file.data, { original: file.content });
+        await fs.writeFile(path.join(dataPath, fileName), content, 'utf8');
+        file.content = content;
+        file.hash = hashData(file.data);
+        dirty.delete(fileName);
+      }
+
+      return changed;
+    },
+
+    /**
+     * Forget loaded files, so they are read from disk again; changes that were not saved are lost
+     * @param {string} fileName - File to forget (default: every file)
+     */
+    reload(fileName = null) {
+      if (fileName) {
+        files.delete(fileName);
+        dirty.delete(fileName);
+      } else {
+        files.clear();
+        dirty.clear();
+      }
+      references = null;
+    },
+
+    /**
+     * Load every file into the shape of referenceChecker.loadDatabase
+     * @returns {Object} - Database tables, system and maps by ID (files that did not load are undefined)
+     */
+    toDatabase() {
+      const result = { maps: {} };
+      for (const table of Object.keys(Tables)) {
+        result[table] = database[table].toArray() || undefined;
+      }
+      result.system = database.system.get() || undefined;
+      for (const [mapId, map] of database.maps.entries()) {
+        result.maps[mapId] = map;
+      }
+      return result;
+    },
+
+    /**
+     * Find where a database entry, switch, variable or map is referenced
+     *
+     * The references are gathered once and gathered again after a file is set or marked as
+     * changed; call markDirty after changing data in place to see the change here.
+     * @param {string} table - Table name, or 'switches', 'variables' or 'maps'
+     * @param {number} id - ID
+     * @returns {Object[]} - References (file, path, table, id, description)
+     */
+    findReferences(table, id) {
+      if (!references) {
+        // Loaded here because the reference checker depends on utils
+        const { collectReferences } = require('../analyzer/referenceChecker');
+        references = collectReferences(database.toDatabase());
+      }
+      return references.filter(reference => reference.table === table && reference.id === id);
+    }
+  };
+
+  for (const table of Object.keys(Tables)) {
+    database[table] = createTable(database, table);
+  }
+  database.system = createSystem(database);
+  database.maps = createMaps(database);
+
+  return database;
+}
+
+/**
+ * Get the database of a project path, or use a project database that was passed in
+ * @param {string|Object} project - Path to the project, or a project database
+ * @returns {Object} - Project database
+ */
+function getProjectDatabase(project) {
+  return isProjectDatabase(project) ? project : openProjectDatabase(project);
+}
+
+/**
+ * Get the project path of a project path or project database
+ * @param {string|Object} project - Path to the project, or a project database
+ * @returns {string} - Path to the project
+ */
+function getProjectPath(project) {
+  return isProjectDatabase(project) ? project.projectPath : project;
+}
+
+module.exports = {
+  Tables,
+  getMapFileName,
+  isProjectDatabase,
+  openProjectDatabase,
+  getProjectDatabase,
+  getProjectPath
+};
@@ -0,0 +1,152 @@
+/**
+ * RPG Maker MV Project Type
+ *
+ * This module tells RPG Maker MV projects from RPG Maker MZ projects and finds the directory
+ * the game files are in. The data files of the two are the same apart from a few additions
+ * in MZ, so the rest of the toolchain works on both once it knows where the files are:
+ * - The type is read from the project file the editor opens (Game.rpgproject for MV,
+ *   game.rmmzproject for MZ), then from the core script (js/rpg_core.js for MV,
+ *   js/rmmz_core.js for MZ), then from System.json, which only has "advanced" in MZ
+ * - A deployed MV game, and some MZ setups, keep data/, js/, audio/ and save/ in www/
+ *   next to the executable instead of in the project directory
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Types of projects
+ * @type {Object}
+ */
+const ProjectTypes = {
+  MV: 'mv',
+  MZ: 'mz'
+};
+
+/**
+ * Project file extension and core script of each project type
+ * @type {Object}
+ */
+const ProjectMarkers = {
+  [ProjectTypes.MV]: { projectFile: '.rpgproject', coreScript: 'rpg_core.js' },
+  [ProjectTypes.MZ]: { projectFile: '.rmmzproject', coreScript: 'rmmz_core.js' }
+};
+
+/**
+ * Get the directory the game files (data/, js/, audio/, save/) of a project are in
+ * @param {string} projectPath - Path to the project
+ * @returns {string} - The project directory, or its www/ directory if the data is there
+ */
+function getGameDirectory(projectPath) {
+  const wwwPath = path.join(projectPath, 'www');
+  if (!fs.pathExistsSync(path.join(projectPath, 'data')) && fs.pathExistsSync(path.join(wwwPath, 'data'))) {
+    return wwwPath;
+  }
+  return projectPath;
+}
+
+/**
+ * Find the project file of a project
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object|null>} - Type and path of the project file, or null if there is none
+ */
+async function findProjectFile(projectPath) {
+  let names;
+  try {
+    names = await fs.readdir(projectPath);
+  } catch (error) {
+    return null;
+  }
+
+  for (const [type, markers] of Object.entries(ProjectMarkers)) {
+    const name = names.find(fileName => fileName.toLowerCase().endsWith(markers.projectFile));
+    if (name) {
+      return { type, filePath: path.join(projectPath, name) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the core script of a project
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object|null>} - Type and path of the core script, or null if there is none
+ */
+async function findCoreScript(projectPath) {
+  const jsPath = path.join(getGameDirectory(projectPath), 'js');
+  for (const [type, markers] of Object.entries(ProjectMarkers)) {
+    const filePath = path.join(jsPath, markers.coreScript);
+    if (await fs.pathExists(filePath)) {
+      return { type, filePath };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect whether a project is an RPG Maker MV or an RPG Maker MZ project
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<string>} - Project type (use ProjectTypes constants); MV if nothing tells
+ */
+async function detectProjectType(projectPath) {
+  const projectFile = await findProjectFile(projectPath);
+  if (projectFile) {
+    return projectFile.type;
+  }
+
+  const coreScript = await findCoreScript(projectPath);
+  if (coreScript) {
+    return coreScript.type;
+  }
+
+  try {
+    const system = await fs.readJson(path.join(getGameDirectory(projectPath), 'data', 'System.json'));
+    if (system && system.advanced) {
+      return ProjectTypes.MZ;
+    }
+  } catch (error) {
+    // Without System.json there is nothing more to go on
+  }
+
+  return ProjectTypes.MV;
+}
+
+/**
+ * Get the type, editor version and game directory of a project
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object>} - Project information (type, version, gameDirectory); version is null if unknown
+ */
+async function getProjectInfo(projectPath) {
+  const type = await detectProjectType(projectPath);
+  let version = null;
+
+  // The project file holds a single line such as "RPGMZ 1.8.0"
+  const projectFile = await findProjectFile(projectPath);
+  if (projectFile) {
+    const content = await fs.readFile(projectFile.filePath, 'utf8').catch(() => '');
+    const match = content.match(/RPGM[VZ]\s+([\d.]+)/);
+    if (match) {
+      version = match[1];
+    }
+  }
+
+  if (!version) {
+    const coreScript = await findCoreScript(projectPath);
+    if (coreScript) {
+      const content = await fs.readFile(coreScript.filePath, 'utf8').catch(() => '');
+      const match = content.match(/RPGMAKER_VERSION\s*=\s*["']([^"']+)["']/);
+      if (match) {
+        version = match[1];
+      }
+    }
+  }
+
+  return { type, version, gameDirectory: getGameDirectory(projectPath) };
+}
+
+module.exports = {
+  ProjectTypes,
+  getGameDirectory,
+  detectProjectType,
+  getProjectInfo
+};
@@ -0,0 +1,762 @@
+/**
+ * RPG Maker MV Save Files
+ *
+ * This module reads, edits and writes the save files of a game: file1.rpgsave and so on,
+ * global.rpgsave (the list shown on the save screen) and config.rpgsave (the options).
+ * The game stores them in save/, or in www/save/ for a deployed game, as JSON compressed
+ * with LZString to Base64. Saved games are written with the game's JsonEx, which marks
+ * every object with an ID (@c) and its class (@), wraps arrays ({ "@c": id, "@a": [...] })
+ * and writes an object that occurs twice as a reference ({ "@r": id }):
+ * - Saves are decoded into plain objects; references are resolved to the same object, and
+ *   the class of each object is remembered so that encoding writes it back
+ * - Encoding a save that was not changed gives the same bytes as the game wrote
+ * - Helpers inspect and edit the party, gold, items, switches, variables, self switches and
+ *   the map position of a saved game. They change the contents in place.
+ * The global save is not updated when a saved game is edited, so the save screen keeps showing
+ * the party and playtime the game last saved.
+ * RPG Maker MZ names the files file1.rmmzsave and so on, compresses them with zlib (pako)
+ * into a binary string, and only marks the class of each object: objects have no IDs, so an
+ * object that occurs twice is written twice and circular objects cannot be saved. MZ saves
+ * are decoded and edited the same way, but encoding one does not always give the same bytes
+ * as the game wrote; the game reads them all the same.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const LZString = require('lz-string');
+const { getProjectPath } = require('./projectDatabase');
+const { ProjectTypes, detectProjectType } = require('./projectType');
+
+/**
+ * Formats of save files: saved games use JsonEx (or the JsonEx of RPG Maker MZ), global and
+ * config saves plain JSON
+ * @type {Object}
+ */
+const SaveFormats = {
+  JSON_EX: 'jsonex',
+  JSON_EX_MZ: 'jsonex-mz',
+  JSON: 'json'
+};
+
+/**
+ * Compressions of save files: LZString to Base64 in RPG Maker MV, zlib in RPG Maker MZ
+ * @type {Object}
+ */
+const SaveCompressions = {
+  LZSTRING: 'lzstring',
+  ZLIB: 'zlib'
+};
+
+/**
+ * Extension of save files by project type
+ * @type {Object}
+ */
+const SaveExtensions = {
+  [ProjectTypes.MV]: '.rpgsave',
+  [ProjectTypes.MZ]: '.rmmzsave'
+};
+
+/**
+ * Most gold the party can hold (Game_Party.maxGold)
+ * @type {number}
+ */
+const MAX_GOLD = 99999999;
+
+/**
+ * Most of one item the party can hold (Game_Party.maxItems)
+ * @type {number}
+ */
+const MAX_ITEMS = 99;
+
+/**
+ * Party inventories by item kind
+ * @type {Object}
+ */
+const ItemKinds = {
+  item: '_items',
+  weapon: '_weapons',
+  armor: '_armors'
+};
+
+/**
+ * Class names of decoded objects, by object
+ * @type {WeakMap<Object, string>}
+ */
+const classNames = new WeakMap();
+
+/**
+ * Get the class a decoded object had in the game
+ * @param {Object} object - Object from a decoded save
+ * @returns {string|undefined} - Class name (Game_Party, Game_Actor and so on), or undefined for plain objects
+ */
+function getClassName(object) {
+  return classNames.get(object);
+}
+
+/**
+ * Set the class an object is given when the save is encoded, for objects added to a save
+ * @param {Object} object - Object
+ * @param {string} className - Class name (Game_Item and so on)
+ * @returns {Object} - The object
+ */
+function setClassName(object, className) {
+  classNames.set(object, className);
+  return object;
+}
+
+/**
+ * Decode a value written by JsonEx, in place
+ * @param {*} value - Parsed JSON value
+ * @param {Map<number, Object>} registry - Decoded objects by ID
+ * @param {Array[]} references - References to resolve: [object, key, ID]
+ * @returns {*} - Decoded value
+ */
+function decodeJsonExValue(value, registry, references) {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  // Arrays are wrapped in an object that carries their ID
+  const node = !Array.isArray(value) && Array.isArray(value['@a']) ? value['@a'] : value;
+  if (value['@c'] !== undefined) {
+    registry.set(value['@c'], node);
+  }
+  if (node === value && !Array.isArray(node)) {
+    if ('@' in node) {
+      classNames.set(node, node['@']);
+    }
+    delete node['@c'];
+    delete node['@'];
+  }
+
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (child && typeof child === 'object' && !Array.isArray(child) && child['@r'] !== undefined) {
+      references.push([node, key, child['@r']]);
+    } else {
+      node[key] = decodeJsonExValue(child, registry, references);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Parse JSON written by the game's JsonEx.stringify, in RPG Maker MV or MZ
+ * @param {string} json - JSON
+ * @returns {*} - Decoded contents
+ */
+function parseJsonEx(json) {
+  const registry = new Map();
+  const references = [];
+  const contents = decodeJsonExValue(JSON.parse(json), registry, references);
+
+  for (const [object, key, id] of references) {
+    if (!registry.has(id)) {
+      throw new Error(`Invalid save data: unknown reference @r ${id}`);
+    }
+    object[key] = registry.get(id);
+  }
+
+  return contents;
+}
+
+/**
+ * Write contents the way the game's JsonEx.stringify does
+ *
+ * Objects get IDs in the order they are written, and an object that was already written
+ * is written as a reference, so shared and circular objects survive a round trip.
+ * @param {*} contents - Contents
+ * @returns {string} - JSON
+ */
+function stringifyJsonEx(contents) {
+  const ids = new Map();
+
+  const encode = value => {
+    const id = ids.size + 1;
+    ids.set(value, id);
+
+    const result = Array.isArray(value) ? [] : {};
+    for (const key of Object.keys(value)) {
+      const child = value[key];
+      if (!child || typeof child !== 'object') {
+        result[key] = child;
+      } else if (ids.has(child)) {
+        result[key] = { '@r': ids.get(child) };
+      } else {
+        const encoded = encode(child);
+        result[key] = Array.isArray(child) ? { '@c': ids.get(child), '@a': encoded } : encoded;
+      }
+    }
+
+    if (!Array.isArray(value)) {
+      result['@c'] = id;
+      if (classNames.has(value)) {
+        result['@'] = classNames.get(value);
+      }
+    }
+    return result;
+  };
+
+  return JSON.stringify(contents && typeof contents === 'object' ? encode(contents) : contents);
+}
+
+/**
+ * Write contents the way the JsonEx.stringify of RPG Maker MZ does
+ *
+ * Only the class of each object is written, after its other keys. An object that occurs
+ * twice is written twice.
+ * @param {*} contents - Contents
+ * @returns {string} - JSON
+ */
+function stringifyMzJsonEx(contents) {
+  const ancestors = new Set();
+
+  const encode = value => {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (ancestors.has(value)) {
+      throw new Error('Invalid save data: circular object, which RPG Maker MZ cannot save');
+    }
+
+    ancestors.add(value);
+    const result = Array.isArray(value) ? [] : {};
+    for (const key of Object.keys(value)) {
+      result[key] = encode(value[key]);
+    }
+    if (!Array.isArray(value) && classNames.has(value)) {
+      result['@'] = classNames.get(value);
+    }
+    ancestors.delete(value);
+    return result;
+  };
+
+  return JSON.stringify(encode(contents));
+}
+
+/**
+ * Decompress the content of a save file
+ * @param {string} text - Content of the save file
+ * @returns {Object} - Compression and JSON
+ */
+function decompressSave(text) {
+  // LZString writes Base64; pako writes a binary string, one character per byte
+  if (/^[A-Za-z0-9+/=\s]*$/.test(text)) {
+    const json = LZString.decompressFromBase64(text.trim());
+    if (!json) {
+      throw new Error('Invalid save data: not LZString compressed Base64');
+    }
+    return { compression: SaveCompressions.LZSTRING, json };
+  }
+
+  try {
+    const json = zlib.inflateSync(Buffer.from(text, 'latin1')).toString('utf8');
+    return { compression: SaveCompressions.ZLIB, json };
+  } catch (error) {
+    throw new Error('Invalid save data: neither LZString compressed Base64 nor zlib compressed');
+  }
+}
+
+/**
+ * Decode the content of a save file
+ * @param {string} text - Content of the .rpgsave or .rmmzsave file
+ * @returns {Object} - Save (format, compression, contents)
+ */
+function decodeSave(text) {
+  const { compression, json } = decompressSave(text);
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid save data: ${error.message}`);
+  }
+
+  // Saved games have an ID on the root object in MV and classes on the game objects in MZ;
+  // global and config saves are plain JSON
+  const isObject = data !== null && typeof data === 'object' && !Array.isArray(data);
+  if (isObject && '@c' in data) {
+    return { format: SaveFormats.JSON_EX, compression, contents: parseJsonEx(json) };
+  }
+  if (isObject && Object.values(data).some(value => value && typeof value === 'object' && '@' in value)) {
+    return { format: SaveFormats.JSON_EX_MZ, compression, contents: parseJsonEx(json) };
+  }
+  return { format: SaveFormats.JSON, compression, contents: data };
+}
+
+/**
+ * Encode a save the way the game writes it
+ * @param {Object} save - Save from decodeSave or readSaveFile
+ * @returns {string} - Content of the .rpgsave or .rmmzsave file
+ */
+function encodeSave(save) {
+  let json;
+  if (save.format === SaveFormats.JSON_EX) {
+    json = stringifyJsonEx(save.contents);
+  } else if (save.format === SaveFormats.JSON_EX_MZ) {
+    json = stringifyMzJsonEx(save.contents);
+  } else {
+    json = JSON.stringify(save.contents);
+  }
+
+  if (save.compression === SaveCompressions.ZLIB) {
+    return zlib.deflateSync(Buffer.from(json, 'utf8'), { level: 1 }).toString('latin1');
+  }
+  return LZString.compressToBase64(json);
+}
+
+/**
+ * Get the save directory of a project: www/save for a deployed game, save otherwise
+ * @param {string|Object} projectPath - Path to the project, or a project database
+ * @returns {Promise<string>} - Save directory
+ */
+async function getSaveDirectory(projectPath) {
+  const root = getProjectPath(projectPath);
+  const wwwPath = path.join(root, 'www');
+  return await fs.pathExists(wwwPath) ? path.join(wwwPath, 'save') : path.join(root, 'save');
+}
+
+/**
+ * Get the file name of a save, numbered the way the game numbers them
+ * @param {number|string} savefileId - Save file ID (1 and up), 'global' or 0, or 'config' or -1
+ * @param {string} projectType - Project type (use ProjectTypes constants; default: MV)
+ * @returns {string} - File name
+ */
+function getSaveFileName(savefileId, projectType = ProjectTypes.MV) {
+  const extension = SaveExtensions[projectType];
+  if (!extension) {
+    throw new Error(`Unknown project type: ${projectType}`);
+  }
+
+  if (savefileId === 'config' || savefileId < 0) {
+    return `config${extension}`;
+  }
+  if (savefileId === 'global' || savefileId === 0) {
+    return `global${extension}`;
+  }
+  if (!Number.isInteger(savefileId)) {
+    throw new Error(`Invalid save file ID: ${savefileId}`);
+  }
+  return `file${savefileId}${extension}`;
+}
+
+/**
+ * Get the path of a save file in a project
+ * @param {string|Object} projectPath - Path to the project, or a project database
+ * @param {number|string} savefileId - Save file ID (1 and up), 'global' or 'config'
+ * @returns {Promise<string>} - Path to the save file, with the extension of the project type
+ */
+async function getSaveFilePath(projectPath, savefileId) {
+  const projectType = await detectProjectType(getProjectPath(projectPath));
+  return path.join(await getSaveDirectory(projectPath), getSaveFileName(savefileId, projectType));
+}
+
+/**
+ * List the saved games of a project, with what the global save records about them
+ * @param {string|Object} projectPath - Path to the project, or a project database
+ * @returns {Promise<Object[]>} - Saved games (savefileId, filePath, info), by ID
+ */
+async function listSaveFiles(projectPath) {
+  const saveDir = await getSaveDirectory(projectPath);
+  if (!await fs.pathExists(saveDir)) {
+    return [];
+  }
+
+  const projectType = await detectProjectType(getProjectPath(projectPath));
+  const extension = SaveExtensions[projectType];
+
+  // The save screen reads the title, party and playtime of each save from the global save
+  let globalInfo = [];
+  const globalPath = path.join(saveDir, getSaveFileName('global', projectType));
+  if (await fs.pathExists(globalPath)) {
+    try {
+      const { contents } = decodeSave(await fs.readFile(globalPath, 'utf8'));
+      globalInfo = Array.isArray(contents) ? contents : [];
+    } catch (error) {
+      // A damaged global save only loses the info; the game rebuilds it too
+    }
+  }
+
+  const saves = [];
+  for (const file of await fs.readdir(saveDir)) {
+    const match = file.match(/^file(\d+)(\.\w+)$/);
+    if (!match || match[2] !== extension) continue;
+    const savefileId = parseInt(match[1], 10);
+    saves.push({
+      savefileId,
+      filePath: path.join(saveDir, file),
+      info: globalInfo[savefileId] || null
+    });
+  }
+
+  return saves.sort((a, b) => a.savefileId - b.savefileId);
+}
+
+/**
+ * Read and decode a save file
+ * @param {string} filePath - Path to the .rpgsave or .rmmzsave file
+ * @returns {Promise<Object>} - Save (filePath, format, compression, contents)
+ */
+async function readSaveFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Save file not found: ${filePath}`);
+  }
+
+  try {
+    return { filePath, ...decodeSave(await fs.readFile(filePath, 'utf8')) };
+  } catch (error) {
+    throw new Error(`${error.message} in ${filePath}`);
+  }
+}
+
+/**
+ * Encode and write a save file
+ * @param {Object} save - Save from readSaveFile
+ * @param {Object} options - Options
+ * @param {string} options.filePath - File to write (default: the file the save was read from)
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeSaveFile(save, options = {}) {
+  const { filePath = save.filePath } = options;
+  if (!filePath) {
+    throw new Error('No file path to write the save to');
+  }
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, encodeSave(save), 'utf8');
+  return filePath;
+}
+
+/**
+ * Get a game object from the contents of a saved game
+ * @param {Object} contents - Contents of a saved game
+ * @param {string} key - Key of the object (party, switches, player and so on)
+ * @returns {Object} - Game object
+ */
+function getGameObject(contents, key) {
+  if (!contents || !contents[key] || typeof contents[key] !== 'object') {
+    throw new Error(`Save has no ${key}; only saved games (file*.rpgsave or file*.rmmzsave) can be edited`);
+  }
+  return contents[key];
+}
+
+/**
+ * Check that a value is an ID the game accepts
+ * @param {*} id - Value to check
+ * @param {string} name - Name of the ID, for the error
+ */
+function checkId(id, name) {
+  if (!Number.isInteger(id) || id < 1) {
+    throw new Error(`Invalid ${name}: ${id}`);
+  }
+}
+
+/**
+ * Summarize a saved game: party, gold, position, playtime and switches that are on
+ * @param {Object} contents - Contents of a saved game
+ * @returns {Object} - Summary
+ */
+function getSaveSummary(contents) {
+  const party = getGameObject(contents, 'party');
+  const system = contents.system || {};
+  const actors = contents.actors && Array.isArray(contents.actors._data) ? contents.actors._data : [];
+  const switches = contents.switches && Array.isArray(contents.switches._data) ? contents.switches._data : [];
+
+  return {
+    party: getPartyMembers(contents).map(actorId => {
+      const actor = actors[actorId];
+      return { actorId, name: actor ? actor._name : null, level: actor ? actor._level : null };
+    }),
+    gold: party._gold,
+    position: getPosition(contents),
+    playtime: Math.floor((system._framesOnSave || 0) / 60),
+    saveCount: system._saveCount || 0,
+    switchesOn: switches.reduce((ids, value, id) => (value === true ? [...ids, id] : ids), [])
+  };
+}
+
+/**
+ * Get the actor IDs of the party, in order
+ * @param {Object} contents - Contents of a saved game
+ * @returns {number[]} - Actor IDs
+ */
+function getPartyMembers(contents) {
+  const party = getGameObject(contents, 'party');
+  return Array.isArray(party._actors) ? [...party._actors] : [];
+}
+
+/**
+ * Set the members of the party
+ *
+ * Actors that have not joined before are set up by the game when the save is loaded.
+ * @param {Object} contents - Contents of a saved game
+ * @param {number[]} actorIds - Actor IDs, in order
+ */
+function setPartyMembers(contents, actorIds) {
+  const party = getGameObject(contents, 'party');
+  actorIds.forEach(actorId => checkId(actorId, 'actor ID'));
+  if (new Set(actorIds).size !== actorIds.length) {
+    throw new Error(`Actor in the party twice: ${actorIds.join(', ')}`);
+  }
+
+  // Keep the array the save had, since other objects can refer to it
+  if (Array.isArray(party._actors)) {
+    party._actors.splice(0, party._actors.length, ...actorIds);
+  } else {
+    party._actors = [...actorIds];
+  }
+}
+
+/**
+ * Add an actor to the end of the party, like the Change Party Member command
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} actorId - Actor ID
+ */
+function addPartyMember(contents, actorId) {
+  const members = getPartyMembers(contents);
+  if (!members.includes(actorId)) {
+    setPartyMembers(contents, [...members, actorId]);
+  }
+}
+
+/**
+ * Remove an actor from the party
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} actorId - Actor ID
+ */
+function removePartyMember(contents, actorId) {
+  setPartyMembers(contents, getPartyMembers(contents).filter(id => id !== actorId));
+}
+
+/**
+ * Set the gold of the party
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} gold - Gold, from 0 to 99999999
+ */
+function setGold(contents, gold) {
+  const party = getGameObject(contents, 'party');
+  if (!Number.isInteger(gold) || gold < 0 || gold > MAX_GOLD) {
+    throw new Error(`Invalid gold: ${gold} (must be 0 to ${MAX_GOLD})`);
+  }
+  party._gold = gold;
+}
+
+/**
+ * Get how many of an item, weapon or armor the party holds
+ * @param {Object} contents - Contents of a saved game
+ * @param {string} kind - 'item', 'weapon' or 'armor'
+ * @param {number} id - Item, weapon or armor ID
+ * @returns {number} - Count
+ */
+function getItemCount(contents, kind, id) {
+  const party = getGameObject(contents, 'party');
+  if (!ItemKinds[kind]) {
+    throw new Error(`Invalid item kind: ${kind} (must be ${Object.keys(ItemKinds).join(', ')})`);
+  }
+  const inventory = party[ItemKinds[kind]] || {};
+  return inventory[id] || 0;
+}
+
+/**
+ * Set how many of an item, weapon or armor the party holds
+ * @param {Object} contents - Contents of a saved game
+ * @param {string} kind - 'item', 'weapon' or 'armor'
+ * @param {number} id - Item, weapon or armor ID
+ * @param {number} count - Count, from 0 to 99
+ */
+function setItemCount(contents, kind, id, count) {
+  const party = getGameObject(contents, 'party');
+  if (!ItemKinds[kind]) {
+    throw new Error(`Invalid item kind: ${kind} (must be ${Object.keys(ItemKinds).join(', ')})`);
+  }
+  checkId(id, `${kind} ID`);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_ITEMS) {
+    throw new Error(`Invalid ${kind} count: ${count} (must be 0 to ${MAX_ITEMS})`);
+  }
+
+  if (!party[ItemKinds[kind]]) {
+    party[ItemKinds[kind]] = {};
+  }
+  // The game drops items the party no longer holds
+  if (count === 0) {
+    delete party[ItemKinds[kind]][id];
+  } else {
+    party[ItemKinds[kind]][id] = count;
+  }
+}
+
+/**
+ * Get the value of a switch
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} switchId - Switch ID
+ * @returns {boolean} - Value
+ */
+function getSwitch(contents, switchId) {
+  const switches = getGameObject(contents, 'switches');
+  return !!(switches._data && switches._data[switchId]);
+}
+
+/**
+ * Set the value of a switch
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} switchId - Switch ID
+ * @param {boolean} value - Value
+ */
+function setSwitch(contents, switchId, value) {
+  const switches = getGameObject(contents, 'switches');
+  checkId(switchId, 'switch ID');
+  if (!Array.isArray(switches._data)) {
+    switches._data = [];
+  }
+  switches._data[switchId] = !!value;
+}
+
+/**
+ * Get the value of a variable
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} variableId - Variable ID
+ * @returns {*} - Value (0 if it was never set)
+ */
+function getVariable(contents, variableId) {
+  const variables = getGameObject(contents, 'variables');
+  return (variables._data && variables._data[variableId]) || 0;
+}
+
+/**
+ * Set the value of a variable; numbers are rounded down, as the game does
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} variableId - Variable ID
+ * @param {*} value - Value
+ */
+function setVariable(contents, variableId, value) {
+  const variables = getGameObject(contents, 'variables');
+  checkId(variableId, 'variable ID');
+  if (!Array.isArray(variables._data)) {
+    variables._data = [];
+  }
+  variables._data[variableId] = typeof value === 'number' ? Math.floor(value) : value;
+}
+
+/**
+ * Get the value of a self switch
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} mapId - Map ID
+ * @param {number} eventId - Event ID
+ * @param {string} letter - 'A', 'B', 'C' or 'D'
+ * @returns {boolean} - Value
+ */
+function getSelfSwitch(contents, mapId, eventId, letter) {
+  const selfSwitches = getGameObject(contents, 'selfSwitches');
+  return !!(selfSwitches._data && selfSwitches._data[[mapId, eventId, letter].join(',')]);
+}
+
+/**
+ * Set the value of a self switch
+ * @param {Object} contents - Contents of a saved game
+ * @param {number} mapId - Map ID
+ * @param {number} eventId - Event ID
+ * @param {string} letter - 'A', 'B', 'C' or 'D'
+ * @param {boolean} value - Value
+ */
+function setSelfSwitch(contents, mapId, eventId, letter, value) {
+  const selfSwitches = getGameObject(contents, 'selfSwitches');
+  checkId(mapId, 'map ID');
+  checkId(eventId, 'event ID');
+  if (!['A', 'B', 'C', 'D'].includes(letter)) {
+    throw new Error(`Invalid self switch: ${letter} (must be A, B, C or D)`);
+  }
+
+  if (!selfSwitches._data) {
+    selfSwitches._data = {};
+  }
+  // The game keeps only the self switches that are on, keyed by "mapId,eventId,letter"
+  const key = [mapId, eventId, letter].join(',');
+  if (value) {
+    selfSwitches._data[key] = true;
+  } else {
+    delete selfSwitches._data[key];
+  }
+}
+
+/**
+ * Get the map position of the player; a transfer that is waiting to happen counts as done
+ * @param {Object} contents - Contents of a saved game
+ * @returns {Object} - Position (mapId, x, y, direction)
+ */
+function getPosition(contents) {
+  const player = getGameObject(contents, 'player');
+  if (player._transferring) {
+    return { mapId: player._newMapId, x: player._newX, y: player._newY, direction: player._newDirection || player._direction };
+  }
+
+  const map = getGameObject(contents, 'map');
+  return { mapId: map._mapId, x: player._x, y: player._y, direction: player._direction };
+}
+
+/**
+ * Move the player to a map position
+ *
+ * The move is saved as a Transfer Player that happens when the save is loaded, so the game
+ * sets up the map and its events the way it does for the event command.
+ * @param {Object} contents - Contents of a saved game
+ * @param {Object} position - Position
+ * @param {number} position.mapId - Map ID (default: the current map)
+ * @param {number} position.x - X coordinate
+ * @param {number} position.y - Y coordinate
+ * @param {number} position.direction - Direction: 2 down, 4 left, 6 right, 8 up (default: keep the current one)
+ */
+function setPosition(contents, position) {
+  const player = getGameObject(contents, 'player');
+  const { mapId = getPosition(contents).mapId, x, y, direction = 0 } = position;
+  checkId(mapId, 'map ID');
+  if (!Number.isInteger(x) || x < 0 || !Number.isInteger(y) || y < 0) {
+    throw new Error(`Invalid position: ${x}, ${y}`);
+  }
+  if (![0, 2, 4, 6, 8].includes(direction)) {
+    throw new Error(`Invalid direction: ${direction} (must be 2, 4, 6 or 8)`);
+  }
+
+  player._transferring = true;
+  player._newMapId = mapId;
+  player._newX = x;
+  player._newY = y;
+  player._newDirection = direction;
+  player._fadeType = 0;
+}
+
+module.exports = {
+  SaveFormats,
+  SaveCompressions,
+  SaveExtensions,
+  getClassName,
+  setClassName,
+  parseJsonEx,
+  stringifyJsonEx,
+  stringifyMzJsonEx,
+  decodeSave,
+  encodeSave,
+  getSaveDirectory,
+  getSaveFileName,
+  getSaveFilePath,
+  listSaveFiles,
+  readSaveFile,
+  writeSaveFile,
+  getSaveSummary,
+  getPartyMembers,
+  setPartyMembers,
+  addPartyMember,
+  removePartyMember,
+  setGold,
+  getItemCount,
+  setItemCount,
+  getSwitch,
+  setSwitch,
+  getVariable,
+  setVariable,
+  getSelfSwitch,
+  setSelfSwitch,
+  getPosition,
+  setPosition
+};
@@ -8,6 +8,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { parseJson } = require('../../core');
+const { formatDataFile } = require('./jsonWriter');
+const { getGameDirectory } = require('./projectType');
 
 /**
  * Search for text patterns across all game data files
@@ -31,7 +33,7 @@ async function searchText(projectPath, searchPattern, options = {}) {
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
+  const dataPath = path.join(getGameDirectory(projectPath), 'data');
   if (!await fs.pathExists(dataPath)) {
     throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
   }
@@ -39,7 +41,7 @@ async function searchText(projectPath, searchPattern, options = {}) {
   // Convert string pattern to RegExp if needed
   const pattern = searchPattern instanceof RegExp 
     ? searchPattern 
-    : new RegExp(searchPattern.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'), caseSensitive ? 'g' : 'gi');
+    : new RegExp(searchPattern.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'), caseSensitive ? 'g' : 'gi');
 
   // Initialize results
   const results = {
@@ -64,7 +66,7 @@ async function searchText(projectPath, searchPattern, options = {}) {
     const fileContent = await fs.readFile(filePath, 'utf8');
     
     try {
-      const data = parseJson(fileContent);
+      const data = parseJson(fileContent.replace(/^\uFEFF/, ''));
       const fileMatches = searchInObject(data, pattern);
       
       if (fileMatches.length > 0) {
@@ -104,7 +106,7 @@ async function replaceText(projectPath, searchPattern, replacement, options = {}
   } = options;
 
   // Validate project path
-  const dataPath = path.join(projectPath, 'data');
+  const dataPath = path.join(getGameDirectory(projectPath), 'data');
   if (!await fs.pathExists(dataPath)) {
     throw new Error(`Invalid RPG Maker MV project path: ${projectPath}`);
   }
@@ -112,7 +114,7 @@ async function replaceText(projectPath, searchPattern, replacement, options = {}
   // Convert string pattern to RegExp if needed
   const pattern = searchPattern instanceof RegExp 
     ? searchPattern 
-    : new RegExp(searchPattern.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'), caseSensitive ? 'g' : 'gi');
+    : new RegExp(searchPattern.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'), caseSensitive ? 'g' : 'gi');
 
   // Initialize results
   const results = {
@@ -138,7 +140,7 @@ async function replaceText(projectPath, searchPattern, replacement, options = {}
     const fileContent = await fs.readFile(filePath, 'utf8');
     
     try {
-      const data = parseJson(fileContent);
+      const data = parseJson(fileContent.replace(/^\uFEFF/, ''));
       const { object: updatedData, count } = replaceInObject(data, pattern, replacement);
       
       if (count > 0) {
@@ -148,8 +150,8 @@ async function replaceText(projectPath, searchPattern, replacement, options = {}
           await fs.writeFile(backupPath, fileContent);
         }
         
-        // Write updated file
-        await fs.writeFile(filePath, JSON.stringify(updatedData, null, 2));
+        // Write updated file in the same layout, so only the replaced text shows up in a diff
+        await fs.writeFile(filePath, formatDataFile(updatedData, { original: fileContent }));
         
         results.replacementsByFile[file] = count;
         results.totalReplacements += count;